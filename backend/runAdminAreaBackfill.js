@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// === backend/runAdminAreaBackfill.js ===
+// Standalone Admin Area Backfill
+// Resolves division/district/upazila/thana for reports and safe zones saved
+// before offline boundary resolution existed (or before boundary data was updated)
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { adminBoundaryService } = require('./src/services/adminBoundaryService');
+
+const BATCH_SIZE = 500;
+const ADMIN_LEVELS = ['division', 'district', 'upazila', 'thana'];
+
+/**
+ * Backfill location.adminArea on reports
+ */
+async function backfillReports(Report, force) {
+  const filter = force ? {} : { 'location.adminArea.resolvedAt': { $exists: false } };
+  const cursor = Report.find(filter)
+    .select('_id location.coordinates +location.originalCoordinates')
+    .lean()
+    .cursor();
+
+  let scanned = 0;
+  let resolved = 0;
+  let operations = [];
+
+  for await (const report of cursor) {
+    scanned++;
+    const coordinates = report.location?.originalCoordinates?.length === 2 ?
+      report.location.originalCoordinates : report.location?.coordinates;
+    const area = adminBoundaryService.resolveCoordinates(coordinates);
+    if (!area.resolved) continue;
+
+    resolved++;
+    operations.push({
+      updateOne: {
+        filter: { _id: report._id },
+        update: {
+          $set: {
+            'location.adminArea': {
+              division: area.division,
+              district: area.district,
+              upazila: area.upazila,
+              thana: area.thana,
+              resolvedAt: new Date()
+            }
+          }
+        }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await Report.bulkWrite(operations, { ordered: false });
+      operations = [];
+      console.log(`   ...${resolved} reports updated`);
+    }
+  }
+
+  if (operations.length > 0) {
+    await Report.bulkWrite(operations, { ordered: false });
+  }
+
+  return { scanned, resolved };
+}
+
+/**
+ * Backfill address admin fields on safe zones (save() runs the resolver hook)
+ */
+async function backfillSafeZones(SafeZone, force) {
+  const filter = force ? {} : { 'address.adminCodes.district': { $exists: false } };
+  let scanned = 0;
+  let resolved = 0;
+
+  for await (const zone of SafeZone.find(filter).cursor()) {
+    scanned++;
+    zone.markModified('location');
+    await zone.save();
+    if (ADMIN_LEVELS.some(level => zone.address?.adminCodes?.[level])) resolved++;
+  }
+
+  return { scanned, resolved };
+}
+
+async function runAdminAreaBackfill() {
+  const force = process.argv.includes('--force');
+
+  try {
+    if (!adminBoundaryService.isAvailable()) {
+      console.error(`❌ No boundary data found in ${adminBoundaryService.config.dataDir}`);
+      process.exit(1);
+    }
+
+    if (!process.env.MONGODB_URI) {
+      console.error('❌ MONGODB_URI environment variable not set');
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI, {
+      socketTimeoutMS: 45000,
+      serverSelectionTimeoutMS: 10000
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const Report = require('./src/models/Report');
+    const SafeZone = require('./src/models/SafeZone');
+
+    console.log(`🗺️ Backfilling admin areas${force ? ' (force re-resolve)' : ''}...`);
+    const reports = await backfillReports(Report, force);
+    console.log(`✅ Reports: ${reports.resolved}/${reports.scanned} resolved`);
+
+    const safeZones = await backfillSafeZones(SafeZone, force);
+    console.log(`✅ Safe zones: ${safeZones.resolved}/${safeZones.scanned} resolved`);
+
+    console.log('📊 Resolver stats:', adminBoundaryService.getStats());
+    return { reports, safeZones };
+
+  } catch (error) {
+    console.error('❌ Admin area backfill failed:', error);
+    process.exit(1);
+
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Database connection closed');
+    } catch (error) {
+      console.error('❌ Error closing database:', error.message);
+    }
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  runAdminAreaBackfill().catch(error => {
+    console.error('💥 Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runAdminAreaBackfill, backfillReports, backfillSafeZones };
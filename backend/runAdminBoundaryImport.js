@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// === backend/runAdminBoundaryImport.js ===
+// Standalone Admin Boundary Import
+// Installs Bangladesh admin boundary GeoJSON (e.g. the HDX BBS/OCHA COD-AB
+// ADM1-3 layers) into src/data/boundaries in the layout adminBoundaryService
+// reads, then verifies the levels the area features need are present.
+//
+// Usage:
+//   node runAdminBoundaryImport.js --division bgd_adm1.geojson --district bgd_adm2.geojson \
+//     --upazila bgd_adm3.geojson [--thana metro_thanas.geojson]
+//
+// Exits non-zero when a file is unreadable or district/thana data is missing.
+
+const fs = require('fs');
+const path = require('path');
+const {
+  AdminBoundaryService,
+  ADMIN_LEVELS,
+  ADMIN_LEVEL_FILES
+} = require('./src/services/adminBoundaryService');
+
+// ~1m at Bangladesh latitudes - plenty for thana matching, keeps files small
+const COORDINATE_PRECISION = 5;
+
+const roundRing = (ring) => ring.map(([lng, lat]) => [
+  Number(lng.toFixed(COORDINATE_PRECISION)),
+  Number(lat.toFixed(COORDINATE_PRECISION))
+]);
+
+function parseArgs(argv) {
+  const files = {};
+  for (let i = 0; i < argv.length; i++) {
+    const level = argv[i].replace(/^--/, '');
+    if (ADMIN_LEVELS.includes(level) && argv[i + 1]) {
+      files[level] = argv[++i];
+    }
+  }
+  return files;
+}
+
+/**
+ * Read a source file and rewrite it with name/code/name_bn properties only
+ */
+function importLevel(service, level, sourcePath) {
+  const source = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+  const adminLevel = level === 'division' ? 1 : level === 'district' ? 2 : 3;
+
+  const features = (source.features || [])
+    .map(feature => service.prepareFeature(feature, { key: level, adminLevel }))
+    .filter(Boolean)
+    .map(feature => ({
+      type: 'Feature',
+      properties: {
+        name: feature.name,
+        code: feature.code,
+        ...(feature.nameBn && { name_bn: feature.nameBn })
+      },
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: feature.polygons.map(polygon => polygon.map(roundRing))
+      }
+    }));
+
+  if (features.length === 0) {
+    throw new Error(`${sourcePath} has no Polygon/MultiPolygon features with a name property`);
+  }
+
+  const targetPath = path.join(service.config.dataDir, ADMIN_LEVEL_FILES[level]);
+  fs.writeFileSync(targetPath, JSON.stringify({ type: 'FeatureCollection', features }));
+  console.log(`✅ ${level}: ${features.length} boundaries written to ${targetPath}`);
+}
+
+function runAdminBoundaryImport() {
+  const files = parseArgs(process.argv.slice(2));
+  const service = new AdminBoundaryService();
+
+  if (Object.keys(files).length === 0) {
+    console.error(`❌ No input files. Pass one or more of: ${ADMIN_LEVELS.map(level => `--${level} <file>`).join(' ')}`);
+    process.exit(1);
+  }
+
+  try {
+    fs.mkdirSync(service.config.dataDir, { recursive: true });
+    for (const [level, sourcePath] of Object.entries(files)) {
+      importLevel(service, level, sourcePath);
+    }
+  } catch (error) {
+    console.error('❌ Admin boundary import failed:', error.message);
+    process.exit(1);
+  }
+
+  // Verify with a fresh service instance, the same way the server loads them
+  const missing = new AdminBoundaryService().getMissingLevels();
+  if (missing.length > 0) {
+    console.error(`❌ Still missing required levels: ${missing.join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log('✅ Admin boundaries installed. Re-resolve stored records with: node runAdminAreaBackfill.js --force');
+}
+
+// Run if called directly
+if (require.main === module) {
+  runAdminBoundaryImport();
+}
+
+module.exports = { runAdminBoundaryImport };
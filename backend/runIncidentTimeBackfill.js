@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// === backend/runIncidentTimeBackfill.js ===
+// Standalone Incident Time Backfill
+// Reports saved before incidentOccurredAt existed only know when they were
+// submitted. Use that as the incident time (precision: unknown) and re-derive
+// timeOfDayRisk in Bangladesh time - the old value came from the server clock.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { getTimeOfDayRisk } = require('./src/utils/bangladeshTime');
+
+const BATCH_SIZE = 500;
+
+async function flush(Report, operations) {
+  if (operations.length > 0) {
+    await Report.bulkWrite(operations.splice(0), { ordered: false });
+  }
+}
+
+async function runIncidentTimeBackfill() {
+  try {
+    if (!process.env.MONGODB_URI) {
+      console.error('❌ MONGODB_URI environment variable not set');
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI, {
+      socketTimeoutMS: 45000,
+      serverSelectionTimeoutMS: 10000
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const Report = require('./src/models/Report');
+
+    // Every report is visited so timeOfDayRisk is corrected on reports that already have an incident time too
+    const cursor = Report.find()
+      .select('_id createdAt incidentOccurredAt timeOfDayRisk')
+      .lean()
+      .cursor();
+
+    const operations = [];
+    let backfilled = 0;
+    let reclassified = 0;
+
+    for await (const report of cursor) {
+      const $set = {};
+      let occurredAt = report.incidentOccurredAt;
+
+      if (!occurredAt) {
+        occurredAt = report.createdAt;
+        if (!occurredAt) continue;
+        $set.incidentOccurredAt = occurredAt;
+        $set['incidentTime.precision'] = 'unknown';
+        backfilled++;
+      }
+
+      const timeOfDayRisk = getTimeOfDayRisk(occurredAt);
+      if (timeOfDayRisk !== report.timeOfDayRisk) {
+        $set.timeOfDayRisk = timeOfDayRisk;
+        reclassified++;
+      }
+
+      if (Object.keys($set).length === 0) continue;
+      operations.push({ updateOne: { filter: { _id: report._id }, update: { $set } } });
+      if (operations.length >= BATCH_SIZE) await flush(Report, operations);
+    }
+
+    await flush(Report, operations);
+
+    console.log(`✅ ${backfilled} reports given an incident time (from submission time)`);
+    console.log(`✅ ${reclassified} reports moved to a different time-of-day bucket`);
+    return { backfilled, reclassified };
+
+  } catch (error) {
+    console.error('❌ Incident time backfill failed:', error);
+    process.exit(1);
+
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Database connection closed');
+    } catch (error) {
+      console.error('❌ Error closing database:', error.message);
+    }
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  runIncidentTimeBackfill().catch(error => {
+    console.error('💥 Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runIncidentTimeBackfill };
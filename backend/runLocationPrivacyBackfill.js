@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+// === backend/runLocationPrivacyBackfill.js ===
+// Standalone Location Privacy Backfill
+// Moves reports saved before the k-anonymous privacy grid onto it: keeps the
+// true point in originalCoordinates, snaps public coordinates to a grid cell,
+// then runs the k-anonymity check across all cells
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { locationPrivacyService } = require('./src/services/locationPrivacyService');
+
+const BATCH_SIZE = 500;
+
+async function flush(Report, operations) {
+  if (operations.length > 0) {
+    await Report.bulkWrite(operations.splice(0), { ordered: false });
+  }
+}
+
+/**
+ * Pass 1: assign privacy cells to reports that have none
+ */
+async function assignCells(Report) {
+  const cursor = Report.find({ 'location.privacy.cellIds.0': { $exists: false } })
+    .select('_id genderSensitive location.coordinates location.originalCoordinates')
+    .lean()
+    .cursor();
+
+  const operations = [];
+  let assigned = 0;
+
+  for await (const report of cursor) {
+    const original = report.location?.originalCoordinates?.length === 2 ?
+      report.location.originalCoordinates : report.location?.coordinates;
+    if (!Array.isArray(original) || original.length !== 2) continue;
+
+    const snapped = locationPrivacyService.snap(original, { sensitive: report.genderSensitive });
+    operations.push({
+      updateOne: {
+        filter: { _id: report._id },
+        update: {
+          $set: {
+            'location.originalCoordinates': original,
+            'location.coordinates': snapped.coordinates,
+            'location.privacy': snapped.privacy,
+            'location.obfuscated': true
+          }
+        }
+      }
+    });
+    assigned++;
+
+    if (operations.length >= BATCH_SIZE) await flush(Report, operations);
+  }
+
+  await flush(Report, operations);
+  return assigned;
+}
+
+/**
+ * Pass 2: pick the finest cell with at least k reports for every report
+ */
+async function evaluateCells(Report) {
+  const cursor = Report.find({ 'location.privacy.cellIds.0': { $exists: true } })
+    .select('_id genderSensitive location.originalCoordinates location.privacy.cellSize location.privacy.suppressed location.privacy.evaluatedAt')
+    .lean()
+    .cursor();
+
+  const counts = new Map(); // Cell counts are stable once pass 1 is done
+  const operations = [];
+  let updated = 0;
+
+  for await (const report of cursor) {
+    const update = await locationPrivacyService.evaluate(Report, report, counts);
+    if (!update) continue;
+
+    operations.push(update);
+    updated++;
+    if (operations.length >= BATCH_SIZE) await flush(Report, operations);
+  }
+
+  await flush(Report, operations);
+  return updated;
+}
+
+async function runLocationPrivacyBackfill() {
+  try {
+    if (!process.env.MONGODB_URI) {
+      console.error('❌ MONGODB_URI environment variable not set');
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI, {
+      socketTimeoutMS: 45000,
+      serverSelectionTimeoutMS: 10000
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const Report = require('./src/models/Report');
+
+    console.log(`🔒 Assigning privacy cells (k=${locationPrivacyService.config.k})...`);
+    const assigned = await assignCells(Report);
+    console.log(`✅ ${assigned} reports snapped to the privacy grid`);
+
+    const updated = await evaluateCells(Report);
+    console.log(`✅ ${updated} reports re-evaluated for k-anonymity`);
+
+    console.log('📊 Privacy stats:', locationPrivacyService.getStats());
+    return { assigned, updated };
+
+  } catch (error) {
+    console.error('❌ Location privacy backfill failed:', error);
+    process.exit(1);
+
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Database connection closed');
+    } catch (error) {
+      console.error('❌ Error closing database:', error.message);
+    }
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  runLocationPrivacyBackfill().catch(error => {
+    console.error('💥 Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runLocationPrivacyBackfill };
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+// === backend/runModeratorProfileMigration.js ===
+// Standalone Moderator Profile Migration
+// Female safety reports can only be decided by admins whose moderator profile
+// marks them as female moderators. Admins created before moderatorProfile
+// existed have no profile, so this fills in the defaults and sets the female
+// moderator attribute for the admins named on the command line.
+//
+// Usage:
+//   node runModeratorProfileMigration.js [--female <username|email>,...] [--not-female <username|email>,...]
+//
+// Run without flags to add missing profiles and list every moderator's profile.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+function parseArgs(argv) {
+  const lists = { female: [], 'not-female': [] };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (lists[flag] && argv[i + 1]) {
+      lists[flag].push(...argv[++i].split(',').map(value => value.trim()).filter(Boolean));
+    }
+  }
+  return { female: lists.female, notFemale: lists['not-female'] };
+}
+
+/**
+ * Set femaleModerator on the admins matching each username or email
+ */
+async function setFemaleModerator(User, identifiers, femaleModerator) {
+  const unmatched = [];
+
+  for (const identifier of identifiers) {
+    const result = await User.updateOne(
+      {
+        userType: 'admin',
+        $or: [{ 'roleData.admin.username': identifier }, { 'roleData.admin.email': identifier.toLowerCase() }]
+      },
+      { $set: { 'roleData.admin.moderatorProfile.femaleModerator': femaleModerator } }
+    );
+
+    if (result.matchedCount === 0) {
+      unmatched.push(identifier);
+    } else {
+      console.log(`✅ ${identifier}: femaleModerator = ${femaleModerator}`);
+    }
+  }
+
+  return unmatched;
+}
+
+async function runModeratorProfileMigration() {
+  const { female, notFemale } = parseArgs(process.argv.slice(2));
+  let unmatched = [];
+
+  try {
+    if (!process.env.MONGODB_URI) {
+      console.error('❌ MONGODB_URI environment variable not set');
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI, {
+      socketTimeoutMS: 45000,
+      serverSelectionTimeoutMS: 10000
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const User = require('./src/models/User');
+
+    // Admins from before moderatorProfile existed get the schema defaults
+    const defaults = await User.updateMany(
+      { userType: 'admin', 'roleData.admin.moderatorProfile.femaleModerator': { $exists: false } },
+      {
+        $set: {
+          'roleData.admin.moderatorProfile.femaleModerator': false,
+          'roleData.admin.moderatorProfile.acceptingAssignments': true
+        }
+      }
+    );
+    console.log(`✅ ${defaults.modifiedCount} admins given a default moderator profile`);
+
+    unmatched = [
+      ...await setFemaleModerator(User, female, true),
+      ...await setFemaleModerator(User, notFemale, false)
+    ];
+
+    const moderators = await User.find({ userType: 'admin' })
+      .select('roleData.admin.username roleData.admin.email roleData.admin.moderatorProfile')
+      .lean();
+
+    console.log('📋 Moderator profiles:');
+    moderators.forEach(moderator => {
+      const admin = moderator.roleData?.admin || {};
+      const profile = admin.moderatorProfile || {};
+      console.log(`   ${admin.username || admin.email}: female moderator ${profile.femaleModerator ? 'yes' : 'no'}, ` +
+        `accepting assignments ${profile.acceptingAssignments === false ? 'no' : 'yes'}`);
+    });
+
+    const femaleCount = moderators.filter(moderator => moderator.roleData?.admin?.moderatorProfile?.femaleModerator).length;
+    if (femaleCount === 0) {
+      console.warn('⚠️ No female moderators - female safety reports can only be decided by a super admin override. ' +
+        'Re-run with --female <username>');
+    }
+
+    return { defaulted: defaults.modifiedCount, femaleModerators: femaleCount, unmatched };
+
+  } catch (error) {
+    console.error('❌ Moderator profile migration failed:', error);
+    process.exit(1);
+
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Database connection closed');
+    } catch (error) {
+      console.error('❌ Error closing database:', error.message);
+    }
+
+    if (unmatched.length > 0) {
+      console.error(`❌ No admin found for: ${unmatched.join(', ')}`);
+      process.exit(1);
+    }
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  runModeratorProfileMigration().catch(error => {
+    console.error('💥 Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runModeratorProfileMigration };
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// === backend/runPublishedAtBackfill.js ===
+// Standalone Published-At Backfill
+// Delta sync only announces removals for reports with lifecycle.publishedAt,
+// which approvals set from now on. Reports published before that need it
+// backfilled, or clients keep a stale copy once they are withdrawn. Uses the
+// first approval in the lifecycle history, else the last moderation time.
+// Archived reports count as published - they may have been archived from approved.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const PUBLISHED_STATUSES = ['approved', 'verified'];
+
+async function runPublishedAtBackfill() {
+  try {
+    if (!process.env.MONGODB_URI) {
+      console.error('❌ MONGODB_URI environment variable not set');
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI, {
+      socketTimeoutMS: 45000,
+      serverSelectionTimeoutMS: 10000
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const Report = require('./src/models/Report');
+
+    const firstApproval = {
+      $arrayElemAt: [{
+        $map: {
+          input: {
+            $filter: {
+              input: { $ifNull: ['$lifecycle.history', []] },
+              cond: { $in: ['$$this.to', PUBLISHED_STATUSES] }
+            }
+          },
+          in: '$$this.at'
+        }
+      }, 0]
+    };
+
+    // Update pipeline, so the date comes from each report's own history
+    const result = await Report.collection.updateMany(
+      {
+        'lifecycle.publishedAt': { $exists: false },
+        $or: [
+          { status: { $in: [...PUBLISHED_STATUSES, 'archived'] } },
+          { 'lifecycle.history.to': { $in: PUBLISHED_STATUSES } }
+        ]
+      },
+      [{ $set: { 'lifecycle.publishedAt': { $ifNull: [firstApproval, '$moderatedAt', '$createdAt'] } } }]
+    );
+
+    console.log(`✅ ${result.modifiedCount} reports given a published time`);
+    return { backfilled: result.modifiedCount };
+
+  } catch (error) {
+    console.error('❌ Published-at backfill failed:', error);
+    process.exit(1);
+
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Database connection closed');
+    } catch (error) {
+      console.error('❌ Error closing database:', error.message);
+    }
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  runPublishedAtBackfill().catch(error => {
+    console.error('💥 Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runPublishedAtBackfill };
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// === backend/runReportRollupRebuild.js ===
+// Standalone Report Rollup Rebuild
+// Recomputes every hour/day/week report count rollup from raw reports - run
+// after a restore, a bulk import or anything else that bypassed the app.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+async function runReportRollupRebuild() {
+  try {
+    if (!process.env.MONGODB_URI) {
+      console.error('❌ MONGODB_URI environment variable not set');
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI, {
+      socketTimeoutMS: 45000,
+      serverSelectionTimeoutMS: 10000
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const { reportRollupService } = require('./src/services/reportRollupService');
+    const result = await reportRollupService.rebuild();
+    if (!result.success) {
+      throw new Error(result.error || 'Rebuild did not complete');
+    }
+
+    console.log(`✅ ${result.weeks} weeks rebuilt into ${result.rows} rollup rows`);
+    return result;
+
+  } catch (error) {
+    console.error('❌ Report rollup rebuild failed:', error);
+    process.exit(1);
+
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Database connection closed');
+    } catch (error) {
+      console.error('❌ Error closing database:', error.message);
+    }
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  runReportRollupRebuild().catch(error => {
+    console.error('💥 Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runReportRollupRebuild };
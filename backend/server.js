@@ -236,6 +236,9 @@ async function initializeServer() {
     console.log('🚀 SafeStreets Bangladesh API server initialization...');
     console.log('📡 Server will run on port', PORT);
     
+    // STEP 0: Admin boundary data - area features depend on it
+    verifyAdminBoundaries();
+
     // STEP 1: Initialize database connection with intelligent pooling
     await initializeDatabase();
     
@@ -265,6 +268,29 @@ async function initializeServer() {
   }
 }
 
+/**
+ * Check that admin boundary GeoJSON is installed. Without district and thana
+ * boundaries reports never get location.adminArea, so police jurisdiction,
+ * area stats and anomaly detection silently return nothing. Production refuses
+ * to start unless ADMIN_BOUNDARIES_OPTIONAL=true.
+ */
+function verifyAdminBoundaries() {
+  const { adminBoundaryService } = require('./src/services/adminBoundaryService');
+  const missing = adminBoundaryService.getMissingLevels();
+  if (missing.length === 0) {
+    console.log('✅ Admin boundary data loaded');
+    return;
+  }
+
+  console.error(`❌ Admin boundary data missing for: ${missing.join(', ')} (looked in ${adminBoundaryService.config.dataDir})`);
+  console.error('❌ Police portal, area stats, area analytics and anomaly detection will return no data');
+  console.error('❌ Install boundaries with: node runAdminBoundaryImport.js --district <file> --upazila <file>');
+
+  if (process.env.NODE_ENV === 'production' && process.env.ADMIN_BOUNDARIES_OPTIONAL !== 'true') {
+    throw new Error('Admin boundary data is required in production (set ADMIN_BOUNDARIES_OPTIONAL=true to override)');
+  }
+}
+
 /**
  * Initialize application components after database connection
  */
@@ -285,6 +311,18 @@ async function initializeApplicationComponents() {
       await optimizeMongoDB();
     }
     
+    // Resolve admin areas for reports saved before boundary data was installed
+    if (process.env.RUN_ADMIN_AREA_BACKFILL === 'true') {
+      const { adminBoundaryService } = require('./src/services/adminBoundaryService');
+      if (adminBoundaryService.isAvailable()) {
+        console.log('🗺️ Backfilling unresolved admin areas in the background...');
+        const { backfillReports } = require('./runAdminAreaBackfill');
+        backfillReports(require('./src/models/Report'), false)
+          .then(({ scanned, resolved }) => console.log(`✅ Admin area backfill: ${resolved}/${scanned} reports resolved`))
+          .catch(error => console.error('❌ Admin area backfill failed:', error));
+      }
+    }
+
     // Initialize scaled WebSocket handler with Redis backing
     console.log('🔌 Initializing WebSocket server...');
     const socketHandler = new ScaledSocketHandler(server);
@@ -308,6 +346,42 @@ async function initializeApplicationComponents() {
       const { reportProcessor } = require('./src/middleware/reportProcessor');
       await reportProcessor.initialize();
     }
+
+    // Moderator claims: release stale locks, auto-assign when MODERATION_AUTO_ASSIGN=true
+    const { moderatorAssignmentService } = require('./src/services/moderatorAssignmentService');
+    moderatorAssignmentService.start();
+
+    // Moderation SLAs: escalate overdue reports and alert admins
+    const { moderationSlaService } = require('./src/services/moderationSlaService');
+    moderationSlaService.start();
+
+    // Rule-based auto-moderation: delayed actions and missed evaluations
+    const { autoModerationService } = require('./src/services/autoModerationService');
+    autoModerationService.start();
+
+    // Recurring incident patterns (e.g. scheduled chadabaji collection)
+    const { recurringPatternService } = require('./src/services/recurringPatternService');
+    recurringPatternService.start();
+
+    // Gang territory polygons from teen_gang / chintai clusters
+    const { gangTerritoryService } = require('./src/services/gangTerritoryService');
+    gangTerritoryService.start();
+
+    // Getis-Ord Gi* hot/cold spots per incident type and period
+    const { hotspotAnalysisService } = require('./src/services/hotspotAnalysisService');
+    hotspotAnalysisService.start();
+
+    // Hour/day/week report count rollups behind dashboards and public stats
+    const { reportRollupService } = require('./src/services/reportRollupService');
+    reportRollupService.start();
+
+    // Daily incident spikes per area and type, alerted to admins
+    const { anomalyDetectionService } = require('./src/services/anomalyDetectionService');
+    anomalyDetectionService.start();
+
+    // Expired research exports removed from disk
+    const { researchExportService } = require('./src/services/researchExportService');
+    researchExportService.start();
     
     console.log('✅ Application components initialized');
     
@@ -329,6 +403,8 @@ function initializeRoutes() {
     try {
       const healthStatus = databaseHealthChecker.getHealthStatus();
       const poolStatus = connectionPoolManager.getPoolStatus();
+      const { adminBoundaryService } = require('./src/services/adminBoundaryService');
+      const boundaryStats = adminBoundaryService.getStats();
       
       res.json({
         status: 'ok',
@@ -339,6 +415,11 @@ function initializeRoutes() {
           connectionState: healthStatus.connectionState,
           poolUtilization: poolStatus.stats.poolUtilization?.toFixed(1) + '%'
         },
+        adminBoundaries: {
+          available: boundaryStats.available,
+          levels: boundaryStats.levels,
+          missingLevels: boundaryStats.missingLevels
+        },
         server: {
           uptime: process.uptime(),
           environment: process.env.NODE_ENV,
@@ -362,6 +443,20 @@ function initializeRoutes() {
     app.use('/api/safezones', require('./src/routes/safezones'));
     app.use('/api/user-types', require('./src/routes/userTypes'));
     app.use('/api/invites', require('./src/routes/invites'));
+    app.use('/api/geo', require('./src/routes/geo'));
+    app.use('/api/patterns', require('./src/routes/patterns'));
+    app.use('/api/territories', require('./src/routes/territories'));
+    app.use('/api/hotspots', require('./src/routes/hotspots'));
+    app.use('/api/stats', require('./src/routes/stats'));
+    app.use('/api/anomalies', require('./src/routes/anomalies'));
+    app.use('/api/sync', require('./src/routes/sync'));
+    app.use('/api/research', require('./src/routes/research'));
+    app.use('/api/police', require('./src/routes/police'));
+    
+    // NEW: Processed evidence media (re-encoded, metadata-free, random names) -
+    // public once the report is published, moderators only before that
+    const { mediaProcessingService } = require('./src/services/mediaProcessingService');
+    app.use(mediaProcessingService.config.publicPath, require('./src/routes/media'));
     
     console.log('✅ API routes initialized');
   } catch (error) {
@@ -402,6 +497,17 @@ function setupGracefulShutdown(serverInstance) {
         
         // Shutdown database health checker
         databaseHealthChecker.shutdown();
+
+        // Stop moderator assignment runs
+        require('./src/services/moderatorAssignmentService').moderatorAssignmentService.stop();
+        require('./src/services/moderationSlaService').moderationSlaService.stop();
+        require('./src/services/autoModerationService').autoModerationService.stop();
+        require('./src/services/recurringPatternService').recurringPatternService.stop();
+        require('./src/services/gangTerritoryService').gangTerritoryService.stop();
+        require('./src/services/hotspotAnalysisService').hotspotAnalysisService.stop();
+        require('./src/services/reportRollupService').reportRollupService.stop();
+        require('./src/services/anomalyDetectionService').anomalyDetectionService.stop();
+        require('./src/services/researchExportService').researchExportService.stop();
         
         // Shutdown connection pool manager
         await connectionPoolManager.shutdown();
@@ -459,6 +565,7 @@ function displaySystemStatus() {
   console.log('   🔐 /api/auth - Authentication');
   console.log('   👥 /api/user-types - User management');
   console.log('   📧 /api/invites - Invite system');
+  console.log('   🖼️ /uploads/reports - Evidence media (metadata stripped, published reports or moderators)');
   console.log('   💚 /api/health - Enhanced health check');
   console.log('   🔍 /api/security/status - Security monitoring');
   console.log('   🔌 /api/websocket/status - WebSocket status');
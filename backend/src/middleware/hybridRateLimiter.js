@@ -579,6 +579,11 @@ class EnhancedHybridRateLimiter {
         return next();
       }
 
+      // NEW: Research API key requests are limited per key instead (createApiKeyRateLimit)
+      if (req.userContext?.apiKey) {
+        return next();
+      }
+
       const identifier = this.hashIp(req.ip);
       const deviceId = req.userContext?.deviceFingerprint?.fingerprintId;
 
@@ -620,6 +625,48 @@ class EnhancedHybridRateLimiter {
     };
   }
 
+  /**
+   * NEW: Per-key rate limiting for research API keys.
+   * The limit and window come from the key itself (req.userContext.apiKey).
+   */
+  createApiKeyRateLimit() {
+    return async (req, res, next) => {
+      const apiKey = req.userContext?.apiKey;
+      if (!apiKey || process.env.LOAD_TESTING === 'true' || process.env.NODE_ENV === 'test') {
+        return next();
+      }
+
+      const { limit, window } = apiKey.rateLimit;
+
+      try {
+        const result = await this.checkRateLimit(String(apiKey.id), limit, window, 'research_api_key');
+        this.stats.rateLimitHits++;
+
+        res.set({
+          'X-RateLimit-Limit': limit,
+          'X-RateLimit-Remaining': result.remaining,
+          'X-RateLimit-Reset': new Date(result.resetTime).toISOString(),
+          'X-RateLimit-Source': result.source
+        });
+
+        if (!result.allowed) {
+          this.stats.rateLimitBlocks++;
+          return res.status(429).json({
+            success: false,
+            message: 'API key rate limit exceeded',
+            retryAfter: Math.ceil((result.resetTime - Date.now()) / 1000)
+          });
+        }
+
+        next();
+
+      } catch (error) {
+        console.error('❌ API key rate limiting error:', error);
+        next();
+      }
+    };
+  }
+
   /**
    * Enhanced admin rate limiting middleware
    */
@@ -5,6 +5,13 @@
 const crypto = require('crypto');
 const Report = require('../models/Report');
 const { cacheLayer } = require('./cacheLayer');
+const { normalizeForMatching } = require('../utils/bengaliText');
+
+// Bump whenever the fingerprint's normalization changes - hashes are only
+// compared within one version, so old stored hashes never count as misses
+// or false matches. 2: Bengali-aware normalization with Banglish folding
+// 3: unlisted words that are already canonical no longer fold
+const CONTENT_HASH_VERSION = 3;
 
 class ReportDeduplicationManager {
   constructor() {
@@ -22,8 +29,9 @@ class ReportDeduplicationManager {
   generateContentHash(reportData) {
     const { type, description, location, severity, submittedBy } = reportData;
     
-    // Normalize description (remove extra spaces, lowercase)
-    const normalizedDesc = description.toLowerCase().trim().replace(/\s+/g, ' ');
+    // Normalize description - Unicode/Bengali normalization, punctuation and
+    // whitespace removal, Banglish spellings folded to Bengali script
+    const normalizedDesc = normalizeForMatching(description);
     
     // Round coordinates to prevent minor GPS differences
     const roundedCoords = location.coordinates.map(coord => 
@@ -32,6 +40,7 @@ class ReportDeduplicationManager {
     
     // Create content fingerprint
     const contentString = JSON.stringify({
+      version: CONTENT_HASH_VERSION,
       type,
       description: normalizedDesc,
       coordinates: roundedCoords,
@@ -67,6 +76,7 @@ class ReportDeduplicationManager {
       
       const duplicate = await Report.findOne({
         'deduplication.contentHash': contentHash,
+        'deduplication.contentHashVersion': CONTENT_HASH_VERSION,
         createdAt: { $gte: since },
         status: { $ne: 'rejected' } // Don't count rejected reports as duplicates
       }).select('_id type description location severity createdAt submittedBy');
@@ -239,6 +249,7 @@ class ReportDeduplicationManager {
 
       // 4. Add deduplication metadata to report
       results.details.contentHash = contentHash;
+      results.details.contentHashVersion = CONTENT_HASH_VERSION;
       results.details.temporalHash = temporalHash;
       
       return results;
@@ -361,6 +372,7 @@ const reportDeduplicationManager = new ReportDeduplicationManager();
 module.exports = {
   ReportDeduplicationManager,
   reportDeduplicationManager,
+  CONTENT_HASH_VERSION,
   
   // Middleware factory
   deduplicationMiddleware: () => reportDeduplicationManager.createMiddleware(),
@@ -6,6 +6,10 @@
 const crypto = require('crypto');
 const mongoose = require('mongoose');
 const { productionLogger } = require('../utils/productionLogger');
+const { analyzeLexicons } = require('../utils/bengaliText');
+const { getBangladeshHour } = require('../utils/bangladeshTime');
+const { adminBoundaryService } = require('../services/adminBoundaryService');
+const { getPrivacyCell } = require('../services/locationPrivacyService');
 
 // CRITICAL FIX: Import new connection validation systems
 const { databaseHealthChecker } = require('./databaseHealthChecker');
@@ -384,7 +388,12 @@ class ReportProcessor {
       // 2. Route to appropriate processing tier
       const result = await this.routeToProcessingTier(reportData, analysis, options);
 
-      // 3. Update statistics
+      // 3. NEW: Keep the report rollups current (the analytics tier already does this itself)
+      if (analysis.analyticsNeeded && analysis.tier !== 'analytics') {
+        await this.queueRollupRefresh(reportData);
+      }
+
+      // 4. Update statistics
       this.updateProcessingStats(analysis.tier, Date.now() - startTime);
 
       console.log(`✅ Report processed successfully: ${analysis.tier} tier (${Date.now() - startTime}ms)`);
@@ -1111,14 +1120,19 @@ class ReportProcessor {
   }
 
   /**
-   * PRESERVED: Get area name from coordinates (simplified)
+   * ENHANCED: Get area name from coordinates via offline admin boundaries
    */
   getAreaName(location) {
     if (!location?.coordinates) return 'Unknown Area';
 
+    // Prefer the stored resolution, then resolve on the fly
+    const areaLabel = adminBoundaryService.getAreaLabel(location.adminArea) ||
+      adminBoundaryService.getAreaLabel(adminBoundaryService.resolveCoordinates(location.coordinates));
+    if (areaLabel) return areaLabel;
+
     const [lng, lat] = location.coordinates;
 
-    // Simplified area mapping for Dhaka
+    // PRESERVED: Simplified area mapping for Dhaka (fallback when boundary data is missing)
     if (lat > 23.8 && lat < 23.9 && lng > 90.3 && lng < 90.5) return 'Dhaka Central';
     if (lat > 23.7 && lat < 23.8 && lng > 90.3 && lng < 90.5) return 'Old Dhaka';
     if (lat > 23.8 && lat < 23.9 && lng > 90.4 && lng < 90.5) return 'Gulshan Area';
@@ -1127,18 +1141,22 @@ class ReportProcessor {
   }
 
   /**
-   * PRESERVED: Obfuscate location coordinates for privacy
+   * ENHANCED: Obfuscate location coordinates for privacy.
+   * Snaps to a deterministic grid cell (cell size = 2 x radius) instead of
+   * random jitter, so repeated broadcasts cannot be averaged back to the spot.
    */
   obfuscateLocation(coordinates, radiusMeters = 100) {
     if (!coordinates || coordinates.length !== 2) return null;
 
-    const [lng, lat] = coordinates;
-    const obfuscation = (radiusMeters / 111000); // ~100m radius per degree
+    return getPrivacyCell(coordinates, radiusMeters * 2).center;
+  }
 
-    return [
-      lng + (Math.random() - 0.5) * obfuscation,
-      lat + (Math.random() - 0.5) * obfuscation
-    ];
+  /**
+   * NEW: Public broadcast coordinates - none while the report's privacy cell is below k
+   */
+  getPublicCoordinates(report, radiusMeters = 100) {
+    if (report.location?.privacy?.suppressed) return null;
+    return this.obfuscateLocation(report.location?.coordinates, radiusMeters);
   }
 
   /**
@@ -2359,13 +2377,22 @@ class ReportProcessor {
       flags.push('spam_pattern');
     }
 
+    // NEW: Bengali/Banglish lexicon analysis - most reports are not in English
+    const lexicon = analyzeLexicons(description);
+
     // Check for emotional content (indicates genuine report)
     const emotionalWords = /scared|afraid|threatened|unsafe|dangerous|worried|anxious/i;
-    if (emotionalWords.test(description)) {
+    if (emotionalWords.test(description) || lexicon.emotionalTerms > 0) {
       score += 10;
       flags.push('emotional_content');
     }
 
+    // NEW: Concrete time/place/incident details make a report verifiable
+    if (lexicon.detailTerms >= 2) {
+      score += 5;
+      flags.push('specific_details');
+    }
+
     return {
       credibilityScore: Math.max(-30, Math.min(30, score)),
       flags
@@ -2402,10 +2429,14 @@ class ReportProcessor {
    * PRESERVED: Analyze submission time patterns
    */
   analyzeSubmissionTime(timestamp) {
-    const hour = new Date(timestamp).getHours();
     let credibilityModifier = 0;
     const flags = [];
 
+    // Hours are Bangladesh local time, whatever the server's timezone
+    const submittedAt = new Date(timestamp ?? Date.now());
+    if (Number.isNaN(submittedAt.getTime())) return { credibilityModifier, flags };
+    const hour = getBangladeshHour(submittedAt);
+
     // Night time reports might be more urgent
     if (hour >= 22 || hour <= 6) {
       credibilityModifier += 5;
@@ -2507,7 +2538,7 @@ class ReportProcessor {
       }
 
       // Time-based analysis (late night reports get higher score)
-      const hour = new Date().getHours();
+      const hour = getBangladeshHour();
       if (hour >= 22 || hour <= 6) {
         score += 5;
         flags.push('night_time');
@@ -2986,7 +3017,7 @@ class ReportProcessor {
             severity: report.severity,
             location: {
               area: this.getAreaName(report.location),
-              coordinates: this.obfuscateLocation(report.location.coordinates)
+              coordinates: this.getPublicCoordinates(report)
             },
             message: this.generateEmergencyMessage(report),
             timestamp: new Date(),
@@ -3043,7 +3074,7 @@ class ReportProcessor {
           severity: report.severity,
           location: {
             area: this.getAreaName(report.location),
-            coordinates: this.obfuscateLocation(report.location.coordinates, 200) // 200m obfuscation
+            coordinates: this.getPublicCoordinates(report, 200) // 400m privacy cell
           },
           timestamp: new Date(),
           safetyImpact: this.calculateSafetyImpact(report)
@@ -3074,6 +3105,34 @@ class ReportProcessor {
     }
   }
 
+  /**
+   * NEW: Queue a report rollup refresh on the analytics queue
+   */
+  async queueRollupRefresh(reportData) {
+    if (!reportData._id) return { queued: false };
+
+    try {
+      if (this.distributedQueue) {
+        const job = await this.distributedQueue.addJob('analyticsQueue', {
+          analyticsType: 'report_rollup',
+          data: {
+            reportId: reportData._id,
+            createdAt: reportData.createdAt,
+            incidentOccurredAt: reportData.incidentOccurredAt
+          }
+        });
+        return { queued: true, jobId: job.jobId };
+      }
+    } catch (error) {
+      console.warn('⚠️ Rollup refresh could not be queued, leaving it to the next rollup sync:', error.message);
+    }
+
+    // No queue - the rollup service refreshes the week on its next flush
+    const { reportRollupService } = require('../services/reportRollupService');
+    reportRollupService.markDirty(reportData);
+    return { queued: false };
+  }
+
   /**
    * PRESERVED: Queue background analysis
    */
@@ -3145,7 +3204,7 @@ class ReportProcessor {
   // =================================================================
 
   /**
-   * PRESERVED: Update analytics counters
+   * ENHANCED: Update analytics counters - refreshes the submission-time report rollups
    */
   async updateAnalyticsCounters(reportData) {
     try {
@@ -3153,29 +3212,15 @@ class ReportProcessor {
 
       // ENHANCED: Wrap analytics updates with connection validation
       return await this.withConnectionValidation(async () => {
-        
-        // Update daily counters
-        const today = new Date().toISOString().split('T')[0];
-        const mongoose = require('mongoose');
-
-        await mongoose.connection.db.collection('daily_analytics').updateOne(
-          { date: today },
-          {
-            $inc: {
-              totalReports: 1,
-              [`reportTypes.${reportData.type}`]: 1,
-              [`severityBreakdown.severity_${reportData.severity}`]: 1
-            },
-            $setOnInsert: { date: today, createdAt: new Date() }
-          },
-          { upsert: true }
-        );
+        const { reportRollupService } = require('../services/reportRollupService');
+        const result = await reportRollupService.refreshForReport(reportData, { bases: ['submitted'] });
 
         console.log(`✅ Analytics counters updated for ${reportData.type}`);
 
         return {
-          success: true,
-          countersUpdated: ['daily', 'type', 'severity']
+          success: result.success !== false,
+          countersUpdated: ['hour', 'day', 'week'],
+          weeksRefreshed: result.weeks
         };
 
       }, 'analytics_update', {
@@ -3194,7 +3239,7 @@ class ReportProcessor {
   }
 
   /**
-   * PRESERVED: Update trend data
+   * ENHANCED: Update trend data - refreshes the incident-time report rollups
    */
   async updateTrendData(reportData) {
     try {
@@ -3202,31 +3247,15 @@ class ReportProcessor {
 
       // ENHANCED: Wrap trend updates with connection validation
       return await this.withConnectionValidation(async () => {
-        
-        const mongoose = require('mongoose');
-        const hour = new Date(reportData.timestamp).getHours();
-        const today = new Date().toISOString().split('T')[0];
-
-        // Update hourly trends
-        await mongoose.connection.db.collection('hourly_trends').updateOne(
-          { date: today, hour: hour },
-          {
-            $inc: {
-              totalReports: 1,
-              [`types.${reportData.type}`]: 1,
-              [`severitySum`]: reportData.severity
-            },
-            $set: { lastUpdated: new Date() },
-            $setOnInsert: { date: today, hour: hour, createdAt: new Date() }
-          },
-          { upsert: true }
-        );
+        const { reportRollupService } = require('../services/reportRollupService');
+        const result = await reportRollupService.refreshForReport(reportData, { bases: ['occurred'] });
 
         console.log(`✅ Trend data updated for ${reportData.type}`);
 
         return {
-          success: true,
-          trendsUpdated: ['hourly', 'daily', 'location']
+          success: result.success !== false,
+          trendsUpdated: ['hour', 'day', 'week'],
+          weeksRefreshed: result.weeks
         };
 
       }, 'trend_update', {
@@ -3416,11 +3445,19 @@ class ReportProcessor {
         enrichedAt: new Date()
       };
 
-      // Simple area identification
-      enrichedData.address = { area: this.getAreaName({ coordinates }) };
+      // ENHANCED: Offline admin boundary resolution
+      const adminArea = adminBoundaryService.resolve(lat, lng);
+      enrichedData.adminArea = adminArea;
+      enrichedData.address = {
+        area: adminBoundaryService.getAreaLabel(adminArea) || this.getAreaName({ coordinates }),
+        division: adminArea.division?.name || null,
+        district: adminArea.district?.name || null,
+        upazila: adminArea.upazila?.name || null,
+        thana: adminArea.thana?.name || null
+      };
 
-      // Simple safety assessment
-      enrichedData.areaSafetyAssessment = { score: 70 }; // Default score
+      // ENHANCED: Safety assessment from recent reports in the same area
+      enrichedData.areaSafetyAssessment = await this.assessAreaSafety(adminArea);
 
       console.log(`✅ Location enrichment completed for ${enrichedData.address?.area || 'unknown area'}`);
 
@@ -3441,6 +3478,65 @@ class ReportProcessor {
     }
   }
 
+  /**
+   * NEW: Score an admin area 0-100 (higher is safer) against a typical area
+   * at the same level. Load is the severity total of published reports in the
+   * last 90 days; ratio is that load over the average load per area, counting
+   * every area in the boundary data so quiet areas pull the average down.
+   * score = 100 * 0.7^ratio: an area with no reports scores 100, a typical
+   * area 70 (the unresolved default), each further multiple of the typical
+   * load costs another 30%. Floored at 10.
+   */
+  async assessAreaSafety(adminArea) {
+    const fallback = { score: 70, basis: 'default' };
+    const level = ['thana', 'upazila', 'district'].find(key => adminArea?.[key]?.code);
+    if (!level) return fallback;
+
+    const areaCount = adminBoundaryService.listAreas(level).length;
+    if (areaCount === 0) return fallback;
+
+    try {
+      const Report = require('../models/Report');
+      const since = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+      const codePath = `location.adminArea.${level}.code`;
+
+      const [summary] = await Report.aggregate([
+        {
+          $match: {
+            [codePath]: { $ne: null },
+            status: { $in: ['approved', 'verified'] },
+            createdAt: { $gte: since }
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            totalLoad: { $sum: { $ifNull: ['$severity', 1] } },
+            areaLoad: { $sum: { $cond: [{ $eq: [`$${codePath}`, adminArea[level].code] }, { $ifNull: ['$severity', 1] }, 0] } },
+            areaReports: { $sum: { $cond: [{ $eq: [`$${codePath}`, adminArea[level].code] }, 1, 0] } }
+          }
+        }
+      ]);
+
+      // No published reports anywhere yet - nothing to compare against
+      if (!summary?.totalLoad) return fallback;
+
+      const ratio = summary.areaLoad / (summary.totalLoad / areaCount);
+
+      return {
+        score: Math.max(10, Math.round(100 * Math.pow(0.7, ratio))),
+        basis: level,
+        areaCode: adminArea[level].code,
+        recentReports: summary.areaReports,
+        loadRatio: Math.round(ratio * 100) / 100,
+        windowDays: 90
+      };
+    } catch (error) {
+      console.warn('⚠️ Area safety assessment failed, using default:', error.message);
+      return fallback;
+    }
+  }
+
   /**
    * PRESERVED: Analyze trends (simplified implementation)
    */
@@ -3462,19 +3558,32 @@ class ReportProcessor {
         // Simple temporal trends
         const recentReports = await Report.find({
           type: reportData.type,
-          timestamp: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } // Last 7 days
+          createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } // FIXED: Last 7 days (reports have no timestamp field)
         }).limit(20);
 
         trends.patterns.temporal = {
           totalIncidents: recentReports.length
         };
 
+        // NEW: Known recurring patterns (detected by recurringPatternService) at this location
+        const { findNearbyRecurringPatterns } = require('../services/recurringPatternService');
+        const recurring = await findNearbyRecurringPatterns(
+          reportData.type,
+          reportData.location?.originalCoordinates || reportData.location?.coordinates
+        );
+        trends.patterns.recurring = recurring.map(pattern => ({
+          patternId: pattern._id,
+          period: pattern.period,
+          confidence: pattern.confidence,
+          predictedNextAt: pattern.predictedNextAt
+        }));
+
         console.log(`✅ Trend analysis completed for ${reportData.type}`);
 
         return {
           success: true,
           trends: trends,
-          riskLevel: recentReports.length > 10 ? 'high' : 'medium'
+          riskLevel: recentReports.length > 10 || recurring.length > 0 ? 'high' : 'medium'
         };
 
       }, 'trend_analysis', {
@@ -0,0 +1,106 @@
+// === backend/src/middleware/researchApiKey.js ===
+// Research API key authentication for SafeStreets Bangladesh
+// Routes opt in per endpoint scope; everywhere else the X-API-Key header is ignored.
+
+const { cacheLayer } = require('./cacheLayer');
+const { createEnhancedHybridRateLimiter } = require('./hybridRateLimiter');
+const { getUserPermissions } = require('./roleBasedAccess');
+const { researchApiKeyService, RESEARCH_API_ENDPOINTS } = require('../services/researchApiKeyService');
+
+// One limiter so a key's requests are counted together across routes
+const apiKeyRateLimit = createEnhancedHybridRateLimiter(cacheLayer).createApiKeyRateLimit();
+
+/**
+ * Accept a research API key (X-API-Key header) for one endpoint scope.
+ * A valid key makes the request its researcher's, with req.userContext.apiKey set;
+ * requests without the header continue unchanged unless the key is required.
+ * @param {string} endpoint - Endpoint scope the key must hold (exports, sync, keys)
+ * @param {object} options - datasets the request may serve (the key needs one), required
+ */
+const researchApiKeyAuth = (endpoint, { datasets = RESEARCH_API_ENDPOINTS[endpoint].datasets, required = false } = {}) => {
+  return async (req, res, next) => {
+    const rawKey = req.headers['x-api-key'];
+    if (!rawKey) {
+      if (required) {
+        return res.status(401).json({ success: false, message: 'API key required (X-API-Key header)' });
+      }
+      return next();
+    }
+
+    try {
+      const { key, user, error, status } = await researchApiKeyService.authenticate(rawKey);
+      if (error) {
+        return res.status(status).json({ success: false, message: error });
+      }
+
+      if (!researchApiKeyService.hasScope(key, endpoint, datasets)) {
+        return res.status(403).json({
+          success: false,
+          message: `API key is not scoped for the ${endpoint} endpoint`,
+          scopes: key.scopes
+        });
+      }
+
+      const permissions = await getUserPermissions({ user, userType: 'researcher' });
+      if (!permissions.includes(RESEARCH_API_ENDPOINTS[endpoint].permission)) {
+        return res.status(403).json({
+          success: false,
+          message: `Researcher access level no longer allows the ${endpoint} endpoint`
+        });
+      }
+
+      req.userContext = {
+        ...req.userContext,
+        user,
+        userType: 'researcher',
+        permissions,
+        securityContext: {
+          trustScore: 50,
+          riskLevel: 'medium',
+          quarantined: false,
+          ...req.userContext?.securityContext,
+          ...(user.securityProfile?.toObject?.() || {})
+        },
+        apiKey: {
+          id: key._id,
+          key,
+          prefix: key.prefix,
+          scopes: key.scopes,
+          rateLimit: key.rateLimit,
+          dailyQuota: key.dailyQuota
+        }
+      };
+
+      apiKeyRateLimit(req, res, async () => {
+        try {
+          const usedToday = await researchApiKeyService.recordUsage(key, endpoint);
+          res.set('X-Quota-Limit', key.dailyQuota);
+          res.set('X-Quota-Remaining', Math.max(0, key.dailyQuota - usedToday));
+
+          if (usedToday > key.dailyQuota) {
+            return res.status(429).json({
+              success: false,
+              message: 'API key daily quota exceeded',
+              quota: key.dailyQuota
+            });
+          }
+        } catch (error) {
+          // Metering must not take the API down
+          console.error('❌ Research API usage metering error:', error);
+        }
+        next();
+      });
+    } catch (error) {
+      console.error('❌ Research API key authentication error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error checking API key',
+        error: error.message
+      });
+    }
+  };
+};
+
+module.exports = {
+  researchApiKeyAuth
+};
@@ -36,7 +36,12 @@ const PERMISSIONS = {
       'export_data',
       'view_user_statistics',
       'view_security_analytics',
-      'generate_reports'
+      'generate_reports',
+      'view_recurring_patterns',
+      'review_recurring_patterns',
+      'view_incident_anomalies',
+      'review_incident_anomalies',
+      'export_anonymized_data'
     ],
     user_management: [
       'view_users',
@@ -53,6 +58,8 @@ const PERMISSIONS = {
       'manage_safe_zone_categories'
     ],
     security_monitoring: [
+      'view_recurring_patterns',
+      'view_incident_anomalies',
       'view_security_dashboard',
       'manage_threat_intel',
       'view_device_fingerprints',
@@ -80,7 +87,8 @@ const PERMISSIONS = {
       'view_map',
       'update_report_status',
       'add_police_notes',
-      'view_area_analytics'
+      'view_area_analytics',
+      'view_recurring_patterns'
     ],
     supervisor: [
       'view_reports',
@@ -89,7 +97,9 @@ const PERMISSIONS = {
       'add_police_notes',
       'view_area_analytics',
       'manage_patrol_routes',
-      'view_advanced_analytics'
+      'view_advanced_analytics',
+      'view_recurring_patterns',
+      'review_recurring_patterns'
     ],
     chief: [
       'view_reports',
@@ -100,7 +110,9 @@ const PERMISSIONS = {
       'manage_patrol_routes',
       'view_advanced_analytics',
       'manage_officers',
-      'coordinate_operations'
+      'coordinate_operations',
+      'view_recurring_patterns',
+      'review_recurring_patterns'
     ]
   },
   
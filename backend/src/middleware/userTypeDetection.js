@@ -8,7 +8,7 @@ const { cacheLayer } = require('../middleware/cacheLayer');
 /**
  * User Type Detection Middleware
  * Detects and manages user types based on device fingerprints and authentication.
- * Prioritizes authenticated users (admin) over device-based or anonymous detection.
+ * Prioritizes authenticated users (admin, police) over device-based or anonymous detection.
  */
 
 const userTypeDetection = async (req, res, next) => {
@@ -32,7 +32,7 @@ const userTypeDetection = async (req, res, next) => {
       req.body?.deviceFingerprint || // This will no longer crash
       req.query?.deviceFingerprint;
 
-    // Extract admin session token from Authorization header or cookies
+    // Extract admin, police or researcher session token from Authorization header or cookies
     const adminToken = req.headers['authorization']?.replace('Bearer ', '') ||
       req.cookies?.adminToken;
 
@@ -87,6 +87,58 @@ const userTypeDetection = async (req, res, next) => {
 
             userIdentified = true; // Admin user successfully identified
             // console.log(`🔑 Admin user authenticated by token: ${adminUser.roleData.admin.username}`);
+          } else if (adminUser && adminUser.userType === 'police' && adminUser.roleData.police?.verificationStatus === 'verified') {
+            // NEW: Police portal session (same token pair as admins, verified officers only)
+            const police = adminUser.roleData.police;
+            if (police.accountLocked && police.lockUntil > new Date()) {
+              req.userContext.userType = 'locked';
+              req.userContext.securityContext.accountLocked = true;
+              req.userContext.securityContext.lockUntil = police.lockUntil;
+              console.log(`🔒 Police account locked: ${police.badgeNumber}`);
+              return next();
+            }
+
+            const userContextToCache = {
+              user: adminUser,
+              userType: 'police',
+              permissions: await getUserPermissions({ user: adminUser, userType: 'police' }),
+              securityContext: {
+                ...req.userContext.securityContext,
+                ...(adminUser.securityProfile || {}),
+                accountLocked: police.accountLocked
+              },
+            };
+
+            req.userContext = { ...req.userContext, ...userContextToCache };
+            await cacheLayer.set(cacheKey, userContextToCache, 5); // Cache for 5 seconds
+
+            userIdentified = true;
+          } else if (adminUser && adminUser.userType === 'researcher' && adminUser.roleData.researcher?.verificationStatus === 'approved') {
+            // NEW: Researcher session (same token pair, approved researchers only) for managing API keys
+            const researcher = adminUser.roleData.researcher;
+            if (researcher.accountLocked && researcher.lockUntil > new Date()) {
+              req.userContext.userType = 'locked';
+              req.userContext.securityContext.accountLocked = true;
+              req.userContext.securityContext.lockUntil = researcher.lockUntil;
+              console.log(`🔒 Researcher account locked: ${researcher.email}`);
+              return next();
+            }
+
+            const userContextToCache = {
+              user: adminUser,
+              userType: 'researcher',
+              permissions: await getUserPermissions({ user: adminUser, userType: 'researcher' }),
+              securityContext: {
+                ...req.userContext.securityContext,
+                ...(adminUser.securityProfile || {}),
+                accountLocked: researcher.accountLocked
+              },
+            };
+
+            req.userContext = { ...req.userContext, ...userContextToCache };
+            await cacheLayer.set(cacheKey, userContextToCache, 5); // Cache for 5 seconds
+
+            userIdentified = true;
           }
         } catch (jwtError) {
           console.log('❌ Admin token invalid or expired:', jwtError.message);
@@ -20,9 +20,11 @@ const auditLogSchema = new mongoose.Schema({
     required: true,
     enum: [
       'admin_login', 'admin_logout', 'admin_password_change', 'admin_2fa_setup', 'admin_2fa_disable',
+      'police_login', 'police_logout', 'police_verification', 'police_report_access', 'police_note_add', 'police_action_record',
+      'researcher_login', 'researcher_logout',
       'user_permission_change', 'user_quarantine_status_change', 'user_role_change', 'user_delete',
-      'report_status_change', 'safezone_create', 'safezone_update', 'safezone_delete',
-      'invite_token_generate', 'invite_token_use',
+      'report_status_change', 'report_bulk_status_change', 'report_follow_up_message', 'report_auto_moderation', 'moderation_rule_change', 'recurring_pattern_review', 'incident_anomaly_review', 'safezone_create', 'safezone_update', 'safezone_delete',
+      'invite_token_generate', 'invite_token_use', 'api_key_create', 'api_key_revoke',
       'system_config_update', 'data_export', 'data_import',
       'security_alert_review', 'security_policy_change',
       'password_reset_request', 'password_reset_complete', 'email_verification_request', 'email_verification_complete',
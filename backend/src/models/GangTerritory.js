@@ -0,0 +1,77 @@
+// === backend/src/models/GangTerritory.js ===
+// Monthly snapshots of inferred gang territories (clustered teen_gang / chintai
+// reports) built by gangTerritoryService. A lineage links one territory's
+// snapshots month over month so growth and movement can be followed.
+const mongoose = require('mongoose');
+
+const gangTerritorySchema = new mongoose.Schema({
+  // Snapshot month in Bangladesh time, e.g. "2025-03"
+  month: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}$/
+  },
+  // Reports counted - the trailing window ending with this month
+  window: {
+    start: { type: Date, required: true },
+    end: { type: Date, required: true }
+  },
+
+  // Same territory across months
+  lineageId: {
+    type: String,
+    required: true
+  },
+
+  // Public polygon built from privacy-grid coordinates only
+  polygon: {
+    type: { type: String, enum: ['Polygon'], default: 'Polygon' },
+    coordinates: { type: [[[Number]]], required: true }
+  },
+  centroid: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true }
+  },
+  areaSqMeters: { type: Number, default: 0 },
+
+  reportCount: { type: Number, default: 0 },
+  typeBreakdown: {
+    teen_gang: { type: Number, default: 0 },
+    chintai: { type: Number, default: 0 }
+  },
+  averageSeverity: Number,
+  reports: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Report' }],
+    select: false
+  },
+  adminArea: {
+    district: { code: String, name: String },
+    thana: { code: String, name: String }
+  },
+
+  // Compared with the same lineage in the previous month
+  change: {
+    status: {
+      type: String,
+      enum: ['new', 'expanded', 'contracted', 'shifted', 'stable', 'dissolved'],
+      required: true
+    },
+    previousId: { type: mongoose.Schema.Types.ObjectId, ref: 'GangTerritory' },
+    areaChangePct: Number,
+    shiftMeters: Number,
+    reportCountChange: Number
+  },
+
+  computedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+gangTerritorySchema.index({ month: 1, 'change.status': 1 });
+gangTerritorySchema.index({ lineageId: 1, month: 1 }, { unique: true });
+gangTerritorySchema.index({ polygon: '2dsphere' });
+gangTerritorySchema.index({ 'adminArea.thana.code': 1, month: 1 });
+
+const GangTerritory = mongoose.model('GangTerritory', gangTerritorySchema);
+
+module.exports = GangTerritory;
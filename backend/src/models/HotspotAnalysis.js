@@ -0,0 +1,64 @@
+// === backend/src/models/HotspotAnalysis.js ===
+// Stored Getis-Ord Gi* hot/cold spot results, one document per incident type
+// and period, written by hotspotAnalysisService. Only significant cells are kept.
+const mongoose = require('mongoose');
+
+const hotspotCellSchema = new mongoose.Schema({
+  cellId: { type: String, required: true },
+  center: { type: [Number], required: true }, // [lng, lat]
+  bounds: { type: [[Number]], required: true }, // [[minLng, minLat], [maxLng, maxLat]]
+  count: { type: Number, default: 0 }, // Reports in the cell
+  neighbourhoodCount: { type: Number, default: 0 }, // Reports in the cell and its neighbours
+  zScore: { type: Number, required: true },
+  pValue: { type: Number, required: true },
+  qValue: Number, // Benjamini-Hochberg adjusted p-value
+  confidence: { type: Number, enum: [90, 95, 99], required: true },
+  kind: { type: String, enum: ['hot', 'cold'], required: true }
+}, { _id: false });
+
+const hotspotAnalysisSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // Incident type or 'all'
+  period: { type: String, enum: ['week', 'month', 'quarter', 'year'], required: true },
+  window: {
+    start: { type: Date, required: true },
+    end: { type: Date, required: true }
+  },
+
+  // How the numbers were produced - shared with data partners alongside the results
+  method: {
+    statistic: { type: String, default: 'getis_ord_gi_star' },
+    grid: { type: String, default: 'square' },
+    cellSizeMeters: Number,
+    weights: String, // e.g. binary, queen contiguity (cell + 8 neighbours)
+    neighbourhoodRadiusCells: Number,
+    multipleTesting: String,
+    minHotNeighbourhoodReports: Number,
+    studyArea: String
+  },
+
+  stats: {
+    reports: Number,
+    studyAreaCells: Number,
+    evaluatedCells: Number,
+    mean: Number,
+    stdDev: Number,
+    hotCells: Number,
+    coldCells: Number
+  },
+
+  // Data too sparse for a meaningful test (see skippedReason)
+  skipped: { type: Boolean, default: false },
+  skippedReason: String,
+
+  cells: [hotspotCellSchema],
+
+  computedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+hotspotAnalysisSchema.index({ type: 1, period: 1 }, { unique: true });
+
+const HotspotAnalysis = mongoose.model('HotspotAnalysis', hotspotAnalysisSchema);
+
+module.exports = HotspotAnalysis;
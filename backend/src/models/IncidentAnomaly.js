@@ -0,0 +1,53 @@
+// === backend/src/models/IncidentAnomaly.js ===
+// Unusual daily incident spikes per area and type (e.g. political_harassment in
+// one thana far above its recent baseline) found by anomalyDetectionService
+const mongoose = require('mongoose');
+
+const incidentAnomalySchema = new mongoose.Schema({
+  day: { type: Date, required: true }, // Bangladesh midnight starting the day
+  area: {
+    level: { type: String, enum: ['district', 'thana'], required: true },
+    code: { type: String, required: true },
+    name: String
+  },
+  type: { type: String, required: true },
+
+  observed: { type: Number, required: true }, // Incidents that day
+  baseline: {
+    method: { type: String, default: 'ewma' },
+    mean: Number, // Expected daily count
+    stdDev: Number,
+    days: Number // Days of history behind the baseline
+  },
+  zScore: { type: Number, required: true },
+  peakZScore: Number,
+  level: { type: String, enum: ['elevated', 'critical'], required: true },
+
+  reports: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Report' }], // Evidence
+
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'dismissed'],
+    default: 'open'
+  },
+  review: {
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewerType: String,
+    reviewedAt: Date,
+    note: { type: String, maxlength: 1000 }
+  },
+
+  alertedLevel: String, // Highest level admins have been alerted about
+  firstDetectedAt: { type: Date, default: Date.now },
+  lastEvaluatedAt: Date
+}, {
+  timestamps: true
+});
+
+incidentAnomalySchema.index({ day: 1, 'area.level': 1, 'area.code': 1, type: 1 }, { unique: true });
+incidentAnomalySchema.index({ status: 1, day: -1 });
+incidentAnomalySchema.index({ 'area.code': 1, day: -1 });
+
+const IncidentAnomaly = mongoose.model('IncidentAnomaly', incidentAnomalySchema);
+
+module.exports = IncidentAnomaly;
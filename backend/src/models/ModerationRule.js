@@ -0,0 +1,89 @@
+// === backend/src/models/ModerationRule.js ===
+// Admin-defined auto-moderation rules, evaluated in ascending order after the
+// fast processing phase (see autoModerationService)
+const mongoose = require('mongoose');
+
+const conditionSchema = new mongoose.Schema({
+  field: { type: String, required: true }, // Whitelisted in autoModerationService
+  operator: {
+    type: String,
+    enum: ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in', 'nin', 'exists'],
+    required: true
+  },
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const moderationRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  enabled: { type: Boolean, default: true },
+  order: { type: Number, default: 100 }, // Lower runs first
+
+  // dry_run rules are evaluated and recorded but never change a report
+  mode: {
+    type: String,
+    enum: ['live', 'dry_run'],
+    default: 'dry_run'
+  },
+
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  conditions: {
+    type: [conditionSchema],
+    validate: [conditions => conditions.length > 0, 'A rule needs at least one condition']
+  },
+
+  action: {
+    type: {
+      type: String,
+      enum: ['approve', 'reject', 'escalate', 'set_priority'],
+      required: true
+    },
+    delayMinutes: { type: Number, min: 0, max: 7 * 24 * 60, default: 0 },
+    reason: { type: String, trim: true, maxlength: 500 },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent', 'critical']
+    }
+  },
+
+  // Gender-sensitive reports need a female moderator, so rules skip them unless told otherwise
+  applyToGenderSensitive: { type: Boolean, default: false },
+  stopProcessing: { type: Boolean, default: true }, // Later rules are not evaluated after a match
+
+  stats: {
+    matched: { type: Number, default: 0 },
+    applied: { type: Number, default: 0 },
+    lastMatchedAt: Date
+  },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+moderationRuleSchema.index({ enabled: 1, order: 1 });
+
+/**
+ * Enabled rules in evaluation order
+ */
+moderationRuleSchema.statics.getActiveRules = function () {
+  return this.find({ enabled: true }).sort({ order: 1, createdAt: 1 }).lean();
+};
+
+const ModerationRule = mongoose.model('ModerationRule', moderationRuleSchema);
+
+module.exports = ModerationRule;
@@ -0,0 +1,40 @@
+// === backend/src/models/PoliceNote.js ===
+// Police notes and recorded actions on reports, written from the police portal.
+// Kept out of the Report document so moderator notes and police notes never mix
+// and neither side's listings carry the other's notes.
+const mongoose = require('mongoose');
+
+const POLICE_ACTIONS = [
+  'patrol_dispatched',
+  'site_visited',
+  'investigation_opened',
+  'general_diary_filed', // GD entry
+  'case_filed', // FIR
+  'arrest_made',
+  'referred',
+  'no_action_required',
+  'other'
+];
+
+const policeNoteSchema = new mongoose.Schema({
+  reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'Report', required: true },
+  kind: { type: String, enum: ['note', 'action'], required: true },
+  action: { type: String, enum: POLICE_ACTIONS }, // Set when kind is 'action'
+  reference: { type: String, trim: true, maxlength: 100 }, // GD/FIR number or similar
+  text: { type: String, trim: true, maxlength: 2000 },
+
+  officer: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    badgeNumber: String,
+    rank: String,
+    thana: String
+  }
+}, {
+  timestamps: true
+});
+
+policeNoteSchema.index({ reportId: 1, createdAt: -1 });
+
+const PoliceNote = mongoose.model('PoliceNote', policeNoteSchema);
+
+module.exports = PoliceNote;
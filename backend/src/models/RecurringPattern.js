@@ -0,0 +1,86 @@
+// === backend/src/models/RecurringPattern.js ===
+// Repeating spatio-temporal incident patterns (e.g. weekly chadabaji collection
+// at the same market) found by recurringPatternService
+const mongoose = require('mongoose');
+
+const recurringPatternSchema = new mongoose.Schema({
+  // Stable key (type, period, slot, rounded location) so re-runs update rather than duplicate
+  signature: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  period: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    required: true
+  },
+  schedule: {
+    weekday: { type: Number, min: 0, max: 6 }, // weekly - 0 = Sunday, Bangladesh time
+    dayOfMonth: { type: Number, min: 1, max: 31 }, // monthly
+    hour: { type: Number, min: 0, max: 23 }, // Typical hour, Bangladesh time
+    hourWindow: { type: Number, default: 3 } // +/- hours around the typical hour
+  },
+
+  // Cluster centre (true coordinates - patterns are only shown to admins and police)
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true }
+  },
+  radiusMeters: { type: Number, required: true },
+  adminArea: {
+    district: { code: String, name: String },
+    thana: { code: String, name: String }
+  },
+
+  reports: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Report' }],
+  occurrences: { type: Number, default: 0 }, // Reports matching the schedule
+  distinctPeriods: { type: Number, default: 0 }, // Weeks or months with at least one occurrence
+  firstOccurrenceAt: Date,
+  lastOccurrenceAt: Date,
+
+  confidence: { type: Number, min: 0, max: 100, required: true },
+  confidenceFactors: {
+    regularity: Number, // Share of periods since the first sighting that had an occurrence
+    concentration: Number, // Share of the location's reports that fit the schedule
+    volume: Number
+  },
+
+  predictedNextAt: Date,
+  predictedWindow: {
+    start: Date,
+    end: Date
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'dormant', 'confirmed', 'dismissed'],
+    default: 'active'
+  },
+  review: {
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewerType: String,
+    reviewedAt: Date,
+    note: { type: String, maxlength: 1000 }
+  },
+
+  detectedAt: { type: Date, default: Date.now },
+  lastEvaluatedAt: Date
+}, {
+  timestamps: true
+});
+
+recurringPatternSchema.index({ location: '2dsphere' });
+recurringPatternSchema.index({ status: 1, confidence: -1 });
+recurringPatternSchema.index({ status: 1, predictedNextAt: 1 });
+recurringPatternSchema.index({ 'adminArea.thana.code': 1, status: 1 });
+
+const RecurringPattern = mongoose.model('RecurringPattern', recurringPatternSchema);
+
+module.exports = RecurringPattern;
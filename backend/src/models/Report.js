@@ -3,6 +3,18 @@
 // BACKWARD COMPATIBLE + New distributed queue integration
 
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { resolveAdminAreaFromCoordinates } = require('../services/adminBoundaryService');
+const { snapToPrivacyGrid, reevaluatePrivacyCells } = require('../services/locationPrivacyService');
+const { computeSlaDueAt } = require('../services/moderationSlaService');
+const { getTimeOfDayRisk } = require('../utils/bangladeshTime');
+
+// Resolved admin area level (division/district/upazila/thana)
+const adminAreaLevelSchema = {
+  name: String,
+  code: String,
+  nameBn: String
+};
 
 const reportSchema = new mongoose.Schema({
   // Enhanced incident types with female safety categories
@@ -49,6 +61,23 @@ const reportSchema = new mongoose.Schema({
     originalCoordinates: { type: [Number], select: false }, // Hidden by default, admin only
     withinBangladesh: { type: Boolean, default: true },
 
+    // NEW: Administrative area resolved offline from boundary polygons
+    adminArea: {
+      division: adminAreaLevelSchema,
+      district: adminAreaLevelSchema,
+      upazila: adminAreaLevelSchema,
+      thana: adminAreaLevelSchema,
+      resolvedAt: Date
+    },
+
+    // NEW: k-anonymous privacy grid - public coordinates are the cell centre
+    privacy: {
+      cellIds: { type: [String], select: false }, // One cell per grid size, finest first
+      cellSize: Number,
+      suppressed: { type: Boolean, default: false }, // Hidden from public until k published reports share a cell
+      evaluatedAt: Date
+    },
+
     // Enhanced location context for female safety (PRESERVED)
     locationContext: {
       publicSpace: { type: Boolean, default: true },
@@ -72,11 +101,13 @@ const reportSchema = new mongoose.Schema({
     type: { type: String, enum: ['image', 'video', 'audio'] },
     url: String,
     thumbnail: String,
+    storageKey: String, // NEW: set for server-processed uploads, used for cleanup
     metadata: {
       size: Number,
       format: String,
       duration: Number,
-      resolution: String
+      resolution: String,
+      metadataStripped: { type: Boolean, default: false } // NEW: EXIF/GPS removed on upload
     }
   }],
 
@@ -100,6 +131,48 @@ const reportSchema = new mongoose.Schema({
   moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   moderationReason: String,
 
+  // NEW: Audited lifecycle transitions (see reportLifecycleService)
+  lifecycle: {
+    history: [{
+      action: {
+        type: String,
+        enum: ['approve', 'reject', 'escalate', 'request_info', 'verify', 'unapprove', 'archive', 'reopen']
+      },
+      from: String,
+      to: String,
+      reason: String,
+      actor: {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        username: String
+      },
+      batchId: String, // Set when applied through bulk moderation
+      at: { type: Date, default: Date.now }
+    }],
+    escalatedAt: Date,
+    publishedAt: Date, // Last approval - reports without it were never public
+    verifiedAt: Date,
+    archivedAt: Date
+  },
+
+  // NEW: Rule-based auto-moderation outcome (see autoModerationService)
+  autoModeration: {
+    evaluatedAt: Date,
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'ModerationRule' },
+    ruleName: String,
+    action: { type: String, enum: ['approve', 'reject', 'escalate', 'set_priority'] },
+    scheduledFor: Date, // Delayed actions run once due, if the rule still matches
+    executedAt: Date,
+    cancelledAt: Date,
+    cancelReason: String,
+    dryRunMatches: [{
+      ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'ModerationRule' },
+      ruleName: String,
+      action: String,
+      at: { type: Date, default: Date.now },
+      _id: false
+    }]
+  },
+
   // Female Safety Specific Fields (PRESERVED)
   genderSensitive: {
     type: Boolean,
@@ -113,17 +186,24 @@ const reportSchema = new mongoose.Schema({
     },
   },
 
+  // NEW: When the incident happened (not when it was reported)
+  incidentOccurredAt: Date, // Best estimate - the midpoint for a range
+  incidentTime: {
+    precision: {
+      type: String,
+      enum: ['exact', 'approximate', 'range', 'unknown'], // unknown = reporter gave no time, submission time used
+      default: 'unknown'
+    },
+    rangeStart: Date,
+    rangeEnd: Date
+  },
+
+  // FIXED: Derived from incidentOccurredAt in Bangladesh time (see pre-save)
   timeOfDayRisk: {
     type: String,
     enum: ['early_morning', 'morning', 'afternoon', 'evening', 'night', 'late_night'],
     default: function () {
-      const hour = new Date().getHours();
-      if (hour >= 4 && hour < 8) return 'early_morning';
-      if (hour >= 8 && hour < 12) return 'morning';
-      if (hour >= 12 && hour < 17) return 'afternoon';
-      if (hour >= 17 && hour < 20) return 'evening';
-      if (hour >= 20 && hour < 24) return 'night';
-      return 'late_night';
+      return getTimeOfDayRisk(this.incidentOccurredAt || new Date());
     }
   },
 
@@ -192,6 +272,8 @@ const reportSchema = new mongoose.Schema({
       index: true,
       sparse: true
     },
+    contentHashVersion: Number, // Normalization the content hash was made with
+
 
     temporalHash: {
       type: String,
@@ -199,6 +281,9 @@ const reportSchema = new mongoose.Schema({
       sparse: true
     },
 
+    // NEW: MinHash signature of the normalized description (near-duplicate detection)
+    minHashSignature: { type: [Number], select: false },
+
     normalizedContent: {
       description: String,
       roundedCoordinates: [Number],
@@ -244,6 +329,18 @@ const reportSchema = new mongoose.Schema({
       }
     },
     assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // NEW: Time-limited claim lock (see moderatorAssignmentService)
+    assignedToName: String,
+    assignedAt: Date,
+    claimExpiresAt: Date,
+    assignmentMethod: { type: String, enum: ['claim', 'auto'] },
+    // NEW: Moderation SLA tracking (see moderationSlaService)
+    sla: {
+      dueAt: Date,
+      breachedAt: Date,
+      escalationLevel: { type: Number, default: 0 },
+      lastEscalatedAt: Date
+    },
     flagReason: String,
     internalNotes: String,
     autoModerationScore: { type: Number, default: 50 },
@@ -336,6 +433,22 @@ const reportSchema = new mongoose.Schema({
       timestamp: { type: Date, default: Date.now },
       validatorTrustScore: Number
     }]
+  },
+
+  // NEW: Anonymous status receipt - only a keyed hash of the code is stored
+  receipt: {
+    codeHash: { type: String, select: false },
+    issuedAt: Date,
+    lastCheckedAt: Date,
+    checkCount: { type: Number, default: 0 }
+  },
+
+  // NEW: Follow-up thread summary (messages live in ReportMessage)
+  followUp: {
+    messageCount: { type: Number, default: 0 },
+    lastMessageAt: Date,
+    awaitingReporterReply: { type: Boolean, default: false },
+    unreadByModerators: { type: Number, default: 0 }
   }
 }, {
   timestamps: true
@@ -346,56 +459,92 @@ const reportSchema = new mongoose.Schema({
 // ENHANCED: Pre-save middleware with distributed queue integration
 reportSchema.pre('save', function (next) {
   if (this.isNew) {
-    // 1. IMMEDIATE PRIVACY PROTECTION for sensitive reports
-    if (this.genderSensitive && this.location.coordinates && !this.location.obfuscated) {
+    // 1. IMMEDIATE PRIVACY PROTECTION - deterministic privacy grid for every report
+    // (random jitter averaged over several reports converges on the true spot)
+    if (this.location.coordinates && !this.location.obfuscated) {
       // Store original coordinates for admin use
       this.location.originalCoordinates = [...this.location.coordinates];
 
-      // ENHANCED obfuscation for female safety incidents (±200m instead of ±100m)
-      const obfuscationRadius = 0.002; // ~200 meters for sensitive incidents
-      this.location.coordinates[0] += (Math.random() - 0.5) * obfuscationRadius;
-      this.location.coordinates[1] += (Math.random() - 0.5) * obfuscationRadius;
-
+      // Sensitive reports start at a coarser cell; k-anonymity is checked after save
+      const snapped = snapToPrivacyGrid(this.location.coordinates, { sensitive: this.genderSensitive });
+      this.location.coordinates = snapped.coordinates;
+      this.location.privacy = snapped.privacy;
       this.location.obfuscated = true;
-      this.securityFlags.enhancedPrivacyRequired = true;
-      this.securityFlags.requiresFemaleValidation = true;
-      this.moderation.femaleModeratorRequired = true;
 
-      console.log(`🔒 Immediate obfuscation applied for sensitive report: ${this._id}`);
-    } else if (this.location.coordinates && !this.location.obfuscated) {
-      // Store original for non-sensitive reports too
-      this.location.originalCoordinates = [...this.location.coordinates];
+      if (this.genderSensitive) {
+        this.securityFlags.enhancedPrivacyRequired = true;
+        this.securityFlags.requiresFemaleValidation = true;
+        this.moderation.femaleModeratorRequired = true;
+
+        console.log(`🔒 Immediate obfuscation applied for sensitive report: ${this._id}`);
+      }
     }
 
-    // 2. Set processing tier for distributed queue
+    // 2. Resolve admin area from the true location (before any obfuscation drift)
+    const resolvedArea = resolveAdminAreaFromCoordinates(
+      this.location.originalCoordinates?.length === 2 ? this.location.originalCoordinates : this.location.coordinates
+    );
+    if (resolvedArea.resolved) {
+      this.location.adminArea = {
+        division: resolvedArea.division,
+        district: resolvedArea.district,
+        upazila: resolvedArea.upazila,
+        thana: resolvedArea.thana,
+        resolvedAt: new Date()
+      };
+    }
+
+    // 3. Set processing tier for distributed queue
     this.processingStatus.distributedProcessing.tier = this.determineProcessingTier();
     this.processingStatus.distributedProcessing.priority = this.calculatePriority();
 
-    // 3. Set processing requirements
+    // 4. Set processing requirements
     this.processingStatus.isProcessing = true;
     this.processingStatus.backgroundProcessingRequired = true;
     this.processingStatus.lastUpdated = new Date();
     this.processingStatus.overallStatus = 'pending';
 
-    // 4. Basic security flags for immediate filtering
+    // 5. Basic security flags for immediate filtering
     if (this.description && this.description.length < 10) {
       this.securityFlags.potentialSpam = true;
       this.securityScore = 30;
     }
 
-    // 5. Set priority based on content
+    // 6. Set priority based on content
     if (this.genderSensitive) {
       this.moderation.priority = this.severity >= 4 ? 'urgent' : 'high';
     } else if (this.severity >= 4) {
       this.moderation.priority = 'high';
     }
+
+    // 7. Moderation SLA due time from the final priority
+    if (!this.moderation.sla?.dueAt) {
+      this.set('moderation.sla.dueAt', computeSlaDueAt(this.moderation.priority, this.createdAt || new Date()));
+    }
+  }
+
+  // 8. Time of day always follows the incident time, in Bangladesh local time
+  if (this.isNew || this.isModified('incidentOccurredAt')) {
+    if (!this.incidentOccurredAt) {
+      this.incidentOccurredAt = this.createdAt || new Date();
+      this.set('incidentTime.precision', 'unknown');
+    }
+    this.timeOfDayRisk = getTimeOfDayRisk(this.incidentOccurredAt);
   }
 
+  // 9. Publishing or withdrawing a report changes its privacy cell's k count
+  this.$locals.statusChanged = !this.isNew && this.isModified('status');
+
   next();
 });
 
 // ENHANCED: Post-save hook with distributed queue integration
 reportSchema.post('save', async function (doc) {
+  if (doc.$locals.statusChanged) {
+    doc.$locals.statusChanged = false;
+    reevaluatePrivacyCells({ reportIds: [doc._id] });
+  }
+
   if (doc.processingStatus.backgroundProcessingRequired && !doc.processingStatus.immediatePhaseCompleted) {
     try {
       // Try distributed queue first
@@ -782,6 +931,47 @@ reportSchema.statics.markPhaseCompleted = async function (reportId, phase) {
   return this.findByIdAndUpdate(reportId, { $set: update });
 };
 
+// NEW: Anonymous receipt codes
+// Crockford base32 (no I/L/O/U) keeps codes readable when copied by hand
+const RECEIPT_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+reportSchema.statics.normalizeReceiptCode = function (code) {
+  if (!code || typeof code !== 'string') return null;
+  const normalized = code.toUpperCase().replace(/[^0-9A-Z]/g, '');
+  return /^[0-9A-HJKMNP-TV-Z]{16}$/.test(normalized) ? normalized : null;
+};
+
+reportSchema.statics.hashReceiptCode = function (code) {
+  const normalized = this.normalizeReceiptCode(code);
+  if (!normalized) return null;
+  // No built-in fallback: a known key would let anyone hash guessed codes offline.
+  // Fails on first use like signing a token without JWT_SECRET.
+  const secret = process.env.RECEIPT_CODE_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('RECEIPT_CODE_SECRET or JWT_SECRET must be set to hash receipt codes');
+  }
+  return crypto.createHmac('sha256', secret).update(normalized).digest('hex');
+};
+
+// Returns the plaintext code once (for the reporter) and its hash (for storage)
+reportSchema.statics.generateReceiptCode = function () {
+  const bytes = crypto.randomBytes(16);
+  let raw = '';
+  for (let i = 0; i < 16; i++) {
+    raw += RECEIPT_ALPHABET[bytes[i] % RECEIPT_ALPHABET.length];
+  }
+  return {
+    code: raw.match(/.{4}/g).join('-'),
+    codeHash: this.hashReceiptCode(raw)
+  };
+};
+
+reportSchema.statics.findByReceiptCode = function (code) {
+  const codeHash = this.hashReceiptCode(code);
+  if (!codeHash) return null;
+  return this.findOne({ 'receipt.codeHash': codeHash });
+};
+
 // PRESERVED: Find potential duplicates
 reportSchema.statics.findPotentialDuplicates = function (contentHash, timeRange = 24 * 60 * 60 * 1000) {
   const since = new Date(Date.now() - timeRange);
@@ -1087,6 +1277,38 @@ reportSchema.index({
   'threatIntelligence.riskLevel': 1
 });
 
+// Moderator queues and workload counts
+reportSchema.index({ 'moderation.assignedTo': 1, 'moderation.claimExpiresAt': 1, status: 1 });
+reportSchema.index({ status: 1, 'moderation.priority': 1, createdAt: 1 });
+
+// Overdue moderation scans
+reportSchema.index({ 'moderation.sla.dueAt': 1, status: 1 });
+
+// Delayed auto-moderation actions
+reportSchema.index({ 'autoModeration.scheduledFor': 1 }, { sparse: true });
+
+// Bulk moderation result lookups
+reportSchema.index({ 'lifecycle.history.batchId': 1 }, { sparse: true });
+
+// Receipt lookups
+reportSchema.index({ 'receipt.codeHash': 1 }, { unique: true, sparse: true });
+
+// Evidence media access checks
+reportSchema.index({ 'media.storageKey': 1 }, { sparse: true });
+
+// k-anonymity cell density counts
+reportSchema.index({ 'location.privacy.cellIds': 1 });
+
+// Incident-time analytics
+reportSchema.index({ incidentOccurredAt: -1, type: 1 });
+
+// Area-level analytics
+reportSchema.index({ 'location.adminArea.district.code': 1, createdAt: -1 });
+reportSchema.index({ 'location.adminArea.thana.code': 1, createdAt: -1 });
+
+// Report rollup sync (recently updated reports) and delta sync keyset paging
+reportSchema.index({ updatedAt: 1, _id: 1 });
+
 // Create the model
 const Report = mongoose.model('Report', reportSchema);
 
@@ -0,0 +1,66 @@
+// === backend/src/models/ReportMessage.js ===
+// Follow-up thread between moderators and anonymous reporters
+// Reporters are identified only by the report receipt - no user or device data is stored here
+const mongoose = require('mongoose');
+
+const reportMessageSchema = new mongoose.Schema({
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true,
+    index: true
+  },
+  senderType: {
+    type: String,
+    enum: ['moderator', 'reporter'],
+    required: true
+  },
+  // Moderator identity is kept for the audit trail but never shown to reporters
+  moderator: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: String
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  readAt: { // Read by the other side (reporter for moderator messages and vice versa)
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reportMessageSchema.index({ reportId: 1, createdAt: 1 });
+
+/**
+ * Shape a message for the reporter - strips moderator identity
+ */
+reportMessageSchema.methods.toReporterView = function () {
+  return {
+    id: this._id,
+    from: this.senderType,
+    body: this.body,
+    createdAt: this.createdAt,
+    read: Boolean(this.readAt)
+  };
+};
+
+/**
+ * Mark messages from the given sender as read by the other side
+ */
+reportMessageSchema.statics.markReadFrom = function (reportId, senderType) {
+  return this.updateMany(
+    { reportId, senderType, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+};
+
+const ReportMessage = mongoose.model('ReportMessage', reportMessageSchema);
+
+module.exports = ReportMessage;
@@ -0,0 +1,44 @@
+// === backend/src/models/ReportRollup.js ===
+// Pre-aggregated report counts per time bucket, area, incident type, severity
+// and status, maintained by reportRollupService. Each row is a plain count that
+// can be summed across any dimension, so dashboards never scan raw reports.
+const mongoose = require('mongoose');
+
+const rollupAreaSchema = {
+  code: { type: String, default: 'unknown' }, // 'unknown' when the report could not be placed in an area
+  name: String
+};
+
+const reportRollupSchema = new mongoose.Schema({
+  // 'occurred' buckets by incident time (falling back to submission time),
+  // 'submitted' by when the report reached us
+  basis: { type: String, enum: ['occurred', 'submitted'], required: true },
+  granularity: { type: String, enum: ['hour', 'day', 'week'], required: true },
+  bucketStart: { type: Date, required: true }, // Bangladesh-local hour, midnight or Sunday midnight
+
+  division: rollupAreaSchema,
+  district: rollupAreaSchema,
+  thana: rollupAreaSchema,
+  type: { type: String, required: true },
+  severity: { type: Number, required: true },
+  status: { type: String, required: true },
+
+  count: { type: Number, default: 0 },
+  genderSensitive: { type: Number, default: 0 },
+
+  // Stamp of the refresh that last wrote this row - rows a refresh didn't touch are stale
+  refreshedAt: { type: Date, required: true }
+}, {
+  collection: 'report_rollups'
+});
+
+reportRollupSchema.index({
+  basis: 1, granularity: 1, bucketStart: 1, 'division.code': 1, 'district.code': 1, 'thana.code': 1, type: 1, severity: 1, status: 1
+}, { unique: true });
+reportRollupSchema.index({ basis: 1, granularity: 1, 'thana.code': 1, bucketStart: 1 });
+reportRollupSchema.index({ basis: 1, granularity: 1, 'district.code': 1, bucketStart: 1 });
+reportRollupSchema.index({ basis: 1, granularity: 1, 'division.code': 1, bucketStart: 1 });
+
+const ReportRollup = mongoose.model('ReportRollup', reportRollupSchema);
+
+module.exports = ReportRollup;
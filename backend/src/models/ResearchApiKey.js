@@ -0,0 +1,50 @@
+// === backend/src/models/ResearchApiKey.js ===
+// API keys researchers use to reach the research endpoints without an admin session.
+// Only a SHA-256 hash of the key is stored; the prefix identifies it in listings.
+const mongoose = require('mongoose');
+
+const researchApiKeySchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // The researcher
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  prefix: { type: String, required: true }, // First characters of the key, safe to show
+  keyHash: { type: String, required: true, unique: true },
+
+  scopes: {
+    endpoints: [{ type: String, enum: ['exports', 'sync', 'keys'] }],
+    datasets: [{ type: String, enum: ['reports', 'safe_zones'] }]
+  },
+
+  rateLimit: {
+    limit: { type: Number, required: true }, // Requests per window
+    window: { type: Number, required: true } // Seconds
+  },
+  dailyQuota: { type: Number, required: true }, // Requests per UTC day
+
+  usage: {
+    totalRequests: { type: Number, default: 0 },
+    lastUsedAt: Date,
+    lastEndpoint: String
+  },
+
+  createdBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    userType: { type: String, enum: ['admin', 'researcher'] },
+    keyId: { type: mongoose.Schema.Types.ObjectId, ref: 'ResearchApiKey' } // Key used to create this one
+  },
+
+  expiresAt: { type: Date, required: true }, // Never later than the end of the researcher's access period
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+researchApiKeySchema.index({ owner: 1, createdAt: -1 });
+
+researchApiKeySchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+const ResearchApiKey = mongoose.model('ResearchApiKey', researchApiKeySchema);
+
+module.exports = ResearchApiKey;
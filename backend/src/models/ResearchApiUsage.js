@@ -0,0 +1,21 @@
+// === backend/src/models/ResearchApiUsage.js ===
+// Daily request counts per research API key. Enforces the per-key daily quota
+// and lets researchers and admins see what a key is used for.
+const mongoose = require('mongoose');
+
+const researchApiUsageSchema = new mongoose.Schema({
+  keyId: { type: mongoose.Schema.Types.ObjectId, ref: 'ResearchApiKey', required: true },
+  day: { type: Date, required: true }, // UTC midnight
+  requests: { type: Number, default: 0 },
+  endpoints: { type: Map, of: Number, default: {} }, // Requests per endpoint scope
+  expiresAt: { type: Date, required: true }
+});
+
+researchApiUsageSchema.index({ keyId: 1, day: 1 }, { unique: true });
+
+// TTL cleanup
+researchApiUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ResearchApiUsage = mongoose.model('ResearchApiUsage', researchApiUsageSchema);
+
+module.exports = ResearchApiUsage;
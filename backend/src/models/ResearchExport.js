@@ -0,0 +1,59 @@
+// === backend/src/models/ResearchExport.js ===
+// Anonymized research dataset exports built by researchExportService.
+// The files live on disk until expiresAt; this record tracks the job, the
+// protections applied and where the files are.
+const mongoose = require('mongoose');
+
+const researchExportSchema = new mongoose.Schema({
+  requestedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    userType: { type: String, enum: ['admin', 'researcher'], required: true },
+    username: String
+  },
+
+  params: {
+    formats: [{ type: String, enum: ['csv', 'geojson', 'ndjson'] }],
+    from: Date,
+    to: Date,
+    types: [String],
+    gridMeters: Number, // Coordinates coarsened to this grid
+    timeBucket: { type: String, enum: ['day', 'week', 'month'] },
+    k: Number, // Minimum rows sharing every quasi-identifier combination
+    maxRows: Number
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+
+  result: {
+    sourceRows: Number, // Approved reports read
+    rowCount: Number, // Rows written
+    generalizedRows: Number, // time_of_day dropped to reach k
+    suppressedRows: Number, // Dropped entirely to reach k
+    truncated: { type: Boolean, default: false }, // More matching reports than maxRows
+    files: [{
+      kind: { type: String, enum: ['csv', 'geojson', 'ndjson', 'dictionary'] },
+      filename: String,
+      bytes: Number,
+      sha256: String
+    }]
+  },
+
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: { type: Date, required: true } // Files and record are removed after this
+}, {
+  timestamps: true
+});
+
+researchExportSchema.index({ 'requestedBy.userId': 1, createdAt: -1 });
+researchExportSchema.index({ status: 1, createdAt: 1 });
+researchExportSchema.index({ expiresAt: 1 });
+
+const ResearchExport = mongoose.model('ResearchExport', researchExportSchema);
+
+module.exports = ResearchExport;
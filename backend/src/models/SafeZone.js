@@ -3,6 +3,8 @@
 // Combines comprehensive female safety features with all refinements and original functionality
 
 const mongoose = require('mongoose');
+const { resolveAdminAreaFromCoordinates } = require('../services/adminBoundaryService');
+const { getBangladeshHour } = require('../utils/bangladeshTime');
 
 const safeZoneSchema = new mongoose.Schema({
   // Basic Information
@@ -191,6 +193,13 @@ const safeZoneSchema = new mongoose.Schema({
     thana: String,
     district: String,
     division: String,
+    upazila: String, // NEW: Filled by offline boundary resolution
+    adminCodes: {
+      division: String,
+      district: String,
+      upazila: String,
+      thana: String
+    },
     landmark: String,
     streetAddress: String,
     street: String,
@@ -686,7 +695,7 @@ const safeZoneSchema = new mongoose.Schema({
 
 // PRESERVED: Original virtual + Enhanced
 safeZoneSchema.virtual('currentSafetyScore').get(function() {
-  const hour = new Date().getHours();
+  const hour = getBangladeshHour();
   
   if (hour >= 6 && hour < 12) {
     return this.timeOfDaySafety.evening;
@@ -699,7 +708,7 @@ safeZoneSchema.virtual('currentSafetyScore').get(function() {
 
 // ENHANCED: Virtual for getting current female safety score
 safeZoneSchema.virtual('currentFemaleSafetyScore').get(function() {
-  const hour = new Date().getHours();
+  const hour = getBangladeshHour();
   
   let timePeriod;
   if (hour >= 5 && hour < 8) timePeriod = 'earlyMorning';
@@ -714,7 +723,7 @@ safeZoneSchema.virtual('currentFemaleSafetyScore').get(function() {
 
 // REFINED: Virtual for getting granular time-based safety
 safeZoneSchema.virtual('currentGranularFemaleSafety').get(function() {
-  const hour = new Date().getHours();
+  const hour = getBangladeshHour();
   
   let timePeriod;
   if (hour >= 5 && hour < 8) timePeriod = 'earlyMorning';
@@ -758,7 +767,7 @@ safeZoneSchema.methods.containsPoint = function(lat, lng) {
 };
 
 // REFINED: Enhanced method to get time-specific female safety recommendations
-safeZoneSchema.methods.getTimeSpecificFemaleSafetyRecommendations = function(hour = new Date().getHours()) {
+safeZoneSchema.methods.getTimeSpecificFemaleSafetyRecommendations = function(hour = getBangladeshHour()) {
   const recommendations = [];
   
   // Determine time period
@@ -854,7 +863,7 @@ safeZoneSchema.methods.getTimeSpecificFemaleSafetyRecommendations = function(hou
 // REFINED: Method to calculate dynamic female safety score
 safeZoneSchema.methods.calculateDynamicFemaleSafetyScore = function(options = {}) {
   const {
-    timeOfDay = new Date().getHours(),
+    timeOfDay = getBangladeshHour(),
     crowdLevel = 'medium',
     season = 'normal',
     weatherCondition = 'clear'
@@ -1227,7 +1236,7 @@ safeZoneSchema.statics.findFemaleFriendlySafeZones = function(lat, lng, options
     maxDistance = 2000,
     minFemaleSafetyScore = 6,
     culturallyAppropriate = true,
-    timeOfDay = new Date().getHours(),
+    timeOfDay = getBangladeshHour(),
     requireFemaleStaff = false,
     requirePrivateSpaces = false,
     dressCodeTolerance = 'any',
@@ -1376,6 +1385,17 @@ safeZoneSchema.statics.updateFemaleSafetyScoresFromIncidents = async function()
   }
 };
 
+/**
+ * Vertex average of a polygon ring - close enough to pick the containing admin area
+ */
+function getRingCentroid(ring = []) {
+  const points = ring.length > 1 ? ring.slice(0, -1) : ring; // Skip closing vertex
+  if (points.length === 0) return null;
+
+  const [lngSum, latSum] = points.reduce(([lng, lat], point) => [lng + point[0], lat + point[1]], [0, 0]);
+  return [lngSum / points.length, latSum / points.length];
+}
+
 // PRESERVED: Original pre-save middleware + Enhanced with female safety
 safeZoneSchema.pre('save', function(next) {
   if (this.isModified('safetyScore') || this.isModified('timeOfDaySafety')) {
@@ -1386,6 +1406,24 @@ safeZoneSchema.pre('save', function(next) {
   if (this.isModified('femaleSafety')) {
     this.lastFemaleSafetyUpdate = new Date();
   }
+
+  // NEW: Fill admin areas from boundary polygons (manually entered names win)
+  if (this.isNew || this.isModified('location')) {
+    const center = this.location.type === 'Polygon' ?
+      getRingCentroid(this.location.coordinates[0]) :
+      this.location.coordinates;
+    const resolvedArea = resolveAdminAreaFromCoordinates(center);
+
+    if (resolvedArea.resolved) {
+      this.address = this.address || {};
+      this.address.adminCodes = this.address.adminCodes || {};
+      for (const level of ['division', 'district', 'upazila', 'thana']) {
+        if (!resolvedArea[level]) continue;
+        if (!this.address[level]) this.address[level] = resolvedArea[level].name;
+        this.address.adminCodes[level] = resolvedArea[level].code;
+      }
+    }
+  }
   
   next();
 });
@@ -0,0 +1,22 @@
+// === backend/src/models/SyncTombstone.js ===
+// Hard-deleted reports and safe zones, kept so delta sync clients
+// (GET /api/sync/changes) can drop them from their local copy. Rejections and
+// archiving don't need one - the record still exists and is sent as removed.
+const mongoose = require('mongoose');
+
+const syncTombstoneSchema = new mongoose.Schema({
+  entity: { type: String, enum: ['report', 'safezone'], required: true },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  removedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true } // Sync tokens older than this get a full reset
+});
+
+// Keyset paging for sync
+syncTombstoneSchema.index({ removedAt: 1, _id: 1 });
+
+// TTL cleanup
+syncTombstoneSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SyncTombstone = mongoose.model('SyncTombstone', syncTombstoneSchema);
+
+module.exports = SyncTombstone;
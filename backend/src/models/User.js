@@ -41,6 +41,12 @@ const userSchema = new mongoose.Schema({
       twoFactorEnabled: { type: Boolean, default: false },
       twoFactorSecret: String, // For 2FA authentication
       adminLevel: { type: Number, min: 1, max: 10, default: 5 },
+      // NEW: Moderator attributes used for report assignment
+      moderatorProfile: {
+        femaleModerator: { type: Boolean, default: false },
+        maxActiveClaims: { type: Number, min: 1, max: 500 },
+        acceptingAssignments: { type: Boolean, default: true }
+      },
       emailVerified: { type: Boolean, default: false }, // For email verification
       emailVerificationToken: String, // For email verification process
       passwordResetToken: String, // For password reset functionality
@@ -69,7 +75,13 @@ const userSchema = new mongoose.Schema({
         type: String,
         enum: ['read_only', 'standard', 'supervisor', 'chief'],
         default: 'read_only'
-      }
+      },
+      // NEW: Police portal login - hash only loaded on login
+      passwordHash: { type: String, select: false },
+      lastLogin: Date,
+      loginAttempts: { type: Number, default: 0 },
+      accountLocked: { type: Boolean, default: false },
+      lockUntil: Date
     },
     
     // Researcher Information (Future Implementation Ready)
@@ -92,7 +104,13 @@ const userSchema = new mongoose.Schema({
         type: String,
         enum: ['basic', 'full', 'api_access'],
         default: 'basic'
-      }
+      },
+      // NEW: Approved researchers sign in to manage their own API keys
+      passwordHash: { type: String, select: false },
+      lastLogin: Date,
+      loginAttempts: { type: Number, default: 0 },
+      accountLocked: { type: Boolean, default: false },
+      lockUntil: Date
     }
   },
   
@@ -401,41 +419,46 @@ userSchema.statics.getSecurityInsights = async function() {
 
 // === PASSWORD AND AUTHENTICATION METHODS ===
 
+// ENHANCED: Admins, police officers and researchers log in with a password
+const PASSWORD_USER_TYPES = ['admin', 'police', 'researcher'];
+
 userSchema.methods.setPassword = async function(password) {
-  if (this.userType !== 'admin') {
-    throw new Error('Password can only be set for admin users');
+  if (!PASSWORD_USER_TYPES.includes(this.userType)) {
+    throw new Error('Password can only be set for admin, police and researcher users');
   }
   
   const saltRounds = 12;
-  this.roleData.admin.passwordHash = await bcrypt.hash(password, saltRounds);
+  this.roleData[this.userType].passwordHash = await bcrypt.hash(password, saltRounds);
 };
 
 userSchema.methods.comparePassword = async function(password) {
-  if (this.userType !== 'admin' || !this.roleData.admin.passwordHash) {
+  if (!PASSWORD_USER_TYPES.includes(this.userType) || !this.roleData[this.userType]?.passwordHash) {
     return false;
   }
   
-  return await bcrypt.compare(password, this.roleData.admin.passwordHash);
+  return await bcrypt.compare(password, this.roleData[this.userType].passwordHash);
 };
 
 userSchema.methods.incrementLoginAttempts = function() {
-  if (this.userType === 'admin') {
-    this.roleData.admin.loginAttempts += 1;
+  if (PASSWORD_USER_TYPES.includes(this.userType)) {
+    const account = this.roleData[this.userType];
+    account.loginAttempts = (account.loginAttempts || 0) + 1;
     
     // Lock account after 5 failed attempts
-    if (this.roleData.admin.loginAttempts >= 5) {
-      this.roleData.admin.accountLocked = true;
-      this.roleData.admin.lockUntil = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
+    if (account.loginAttempts >= 5) {
+      account.accountLocked = true;
+      account.lockUntil = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
     }
   }
 };
 
 userSchema.methods.resetLoginAttempts = function() {
-  if (this.userType === 'admin') {
-    this.roleData.admin.loginAttempts = 0;
-    this.roleData.admin.accountLocked = false;
-    this.roleData.admin.lockUntil = null;
-    this.roleData.admin.lastLogin = new Date();
+  if (PASSWORD_USER_TYPES.includes(this.userType)) {
+    const account = this.roleData[this.userType];
+    account.loginAttempts = 0;
+    account.accountLocked = false;
+    account.lockUntil = null;
+    account.lastLogin = new Date();
   }
 };
 
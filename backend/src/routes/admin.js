@@ -10,9 +10,22 @@ const AuditLog = require('../models/AuditLog'); // For logging admin actions
 const { userTypeDetection } = require('../middleware/userTypeDetection');
 const { requireAdmin, requirePermission } = require('../middleware/roleBasedAccess'); // Corrected import
 const { cacheLayer, cacheMiddleware } = require('../middleware/cacheLayer'); // Import Redis caching
-const crypto = require('crypto'); // For cache key hashing
 const { performanceMonitor } = require('../utils/performanceMonitor'); // Import performance monitoring
 const { lightSanitization, adminSanitization } = require('../utils/sanitization');
+const { getSlaMetrics } = require('../services/moderationSlaService');
+const ModerationRule = require('../models/ModerationRule');
+const { autoModerationService } = require('../services/autoModerationService');
+const { reportRollupService } = require('../services/reportRollupService');
+const {
+  parseLocationFilter,
+  parseSort,
+  hashQuery,
+  listingCacheKey,
+  encodeCursor,
+  decodeCursor,
+  applyCursorFilter
+} = require('../utils/reportQuery');
+const mongoose = require('mongoose');
 
 // Apply security middleware to all admin routes
 router.use(userTypeDetection);
@@ -58,11 +71,14 @@ router.get('/dashboard',
   }, 'admin'), // Add version namespace
   async (req, res) => {
   try {
+    // ENHANCED: Status and type counts come from the report rollups
+    const byStatus = await reportRollupService.query({ basis: 'submitted', granularity: 'week', groupBy: ['status'] });
+    const countByStatus = (status) => byStatus.find(row => row.status === status)?.count || 0;
     const basicStats = {
-      total: await Report.countDocuments(),
-      pending: await Report.countDocuments({ status: 'pending' }),
-      approved: await Report.countDocuments({ status: 'approved' }),
-      rejected: await Report.countDocuments({ status: 'rejected' })
+      total: byStatus.reduce((sum, row) => sum + row.count, 0),
+      pending: countByStatus('pending'),
+      approved: countByStatus('approved'),
+      rejected: countByStatus('rejected')
     };
 
     const securityStats = {
@@ -73,16 +89,12 @@ router.get('/dashboard',
     };
 
     // Add source breakdown for frontend compatibility
-    const sourceBreakdown = await Report.aggregate([
-      {
-        $group: {
-          _id: '$type',
-          count: { $sum: 1 }
-        }
-      },
-          { $sort: { count: -1 } },
-          { $limit: 5 }
-        ]);
+    const sourceBreakdown = (await reportRollupService.query({ basis: 'submitted', granularity: 'week', groupBy: ['type'] }))
+      .slice(0, 5)
+      .map(row => ({ _id: row.type, count: row.count }));
+
+    // NEW: Moderation SLA breaches and time-to-decision
+    const slaMetrics = await getSlaMetrics();
 
     // Log this action
     await logAdminAction(req, 'data_export', { 
@@ -95,7 +107,8 @@ router.get('/dashboard',
       data: {
         ...basicStats,
         security: securityStats,
-        sourceBreakdown
+        sourceBreakdown,
+        sla: slaMetrics
       }
     });
   } catch (error) {
@@ -152,41 +165,51 @@ router.get('/reports',
   lightSanitization(), // Only sanitize query params
   requirePermission('view_all_reports'),
   cacheMiddleware(180, (req) => {
-    // Cache moderation queue for 3 minutes with pagination
-    const queryHash = crypto.createHash('md5')
-      .update(JSON.stringify({
-        page: req.query.page || 1,
-        limit: req.query.limit || 10,
-        status: req.query.status,
-        severity: req.query.severity
-      }))
-      .digest('hex');
-    return `admin:reports:moderation:${queryHash}`;
+    // Cache moderation queue for 3 minutes - every filter and page parameter is in the key
+    return `admin:reports:moderation:${listingCacheKey('list', req.query)}`;
   }, 'admin'), // Add version namespace
   async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 500);
     const skip = (page - 1) * limit;
 
+    // NEW: bbox/polygon/radius filtering
+    const location = parseLocationFilter(req.query);
+    if (location.error) {
+      return res.status(400).json({ success: false, message: location.error });
+    }
+
     // Build filter
-    const filter = {};
+    const filter = { ...location.filter };
     if (req.query.status && req.query.status !== 'all') {
       filter.status = req.query.status;
     }
     if (req.query.severity && req.query.severity !== 'all') {
       filter.severity = req.query.severity;
     }
+    const total = await Report.countDocuments(filter);
+
+    // NEW: A cursor replaces page/skip and stays stable while reports arrive
+    const sort = parseSort('createdAt', 'desc');
+    const queryHash = hashQuery(req.query, 'admin:moderation');
+    if (req.query.cursor) {
+      const decoded = decodeCursor(req.query.cursor, sort, queryHash);
+      if (decoded.error) {
+        return res.status(400).json({ success: false, message: decoded.error });
+      }
+      applyCursorFilter(filter, decoded.filter);
+    }
 
     // Get reports with pagination
-    const reports = await Report.find(filter)
+    const rows = await Report.find(filter)
       .populate('submittedBy.userId', 'username userType')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
+      .sort(sort.spec)
+      .skip(req.query.cursor ? 0 : skip)
+      .limit(limit + 1)
       .lean();
-
-    const total = await Report.countDocuments(filter);
+    const hasMore = rows.length > limit;
+    const reports = hasMore ? rows.slice(0, limit) : rows;
 
     // Log this action
     await logAdminAction(req, 'data_export', { 
@@ -203,11 +226,16 @@ router.get('/reports',
           page,
           limit,
           total,
-          pages: Math.ceil(total / limit)
+          pages: Math.ceil(total / limit),
+          hasMore,
+          nextCursor: hasMore ? encodeCursor(reports[reports.length - 1], sort, queryHash) : null
         }
       }
     });
   } catch (error) {
+    if (error.code === 2 && req.query.polygon) {
+      return res.status(400).json({ success: false, message: 'Invalid polygon' });
+    }
     console.error('❌ Error fetching reports for moderation:', error);
     res.status(500).json({
       success: false,
@@ -222,46 +250,53 @@ router.get('/reports/all',
   lightSanitization(), // Only sanitize query params
   requirePermission('view_all_reports'),
   cacheMiddleware(180, (req) => {
-    // Cache admin reports for 3 minutes with pagination
-    const queryHash = crypto.createHash('md5')
-      .update(JSON.stringify({
-        page: req.query.page || 1,
-        limit: req.query.limit || 50,
-        status: req.query.status,
-        severity: req.query.severity,
-        sortBy: req.query.sortBy || 'timestamp',
-        sortOrder: req.query.sortOrder || 'desc'
-      }))
-      .digest('hex');
-    return `admin:reports:all:${queryHash}`;
+    // Cache admin reports for 3 minutes - every filter and page parameter is in the key
+    return `admin:reports:all:${listingCacheKey('list', req.query)}`;
   }, 'admin'), // Add version namespace
   async (req, res) => {
   try {
-    const { page = 1, limit = 50, status, severity, sortBy = 'timestamp', sortOrder = 'desc' } = req.query;
-    
+    const { status, severity, sortBy = 'timestamp', sortOrder = 'desc', cursor } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    // NEW: bbox/polygon/radius filtering and a keyset sort ('timestamp' means createdAt)
+    const location = parseLocationFilter(req.query);
+    const sort = parseSort(sortBy, sortOrder);
+    if (location.error || sort.error) {
+      return res.status(400).json({ success: false, message: location.error || sort.error });
+    }
+
     // Build filter object
-    const filter = {};
+    const filter = { ...location.filter };
     if (status && status !== 'all') {
       filter.status = status;
     }
     if (severity && severity !== 'all') {
       filter.severity = severity;
     }
+    const totalReports = await Report.countDocuments(filter);
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // NEW: A cursor replaces page/skip and stays stable while reports arrive
+    const queryHash = hashQuery(req.query, 'admin:all');
+    if (cursor) {
+      const decoded = decodeCursor(cursor, sort, queryHash);
+      if (decoded.error) {
+        return res.status(400).json({ success: false, message: decoded.error });
+      }
+      applyCursorFilter(filter, decoded.filter);
+    }
 
     // Execute query with pagination
-    const reports = await Report.find(filter)
+    const rows = await Report.find(filter)
       .select('+location.originalCoordinates')
-      .sort(sort)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
+      .sort(sort.spec)
+      .skip(cursor ? 0 : (page - 1) * limit)
+      .limit(limit + 1)
       .populate('submittedBy.userId', 'username userType')
       .lean();
+    const hasMore = rows.length > limit;
+    const reports = hasMore ? rows.slice(0, limit) : rows;
 
-    const totalReports = await Report.countDocuments(filter);
     const totalPages = Math.ceil(totalReports / limit);
 
     // Log this action
@@ -275,14 +310,18 @@ router.get('/reports/all',
       success: true,
       data: reports,
       pagination: {
-        currentPage: parseInt(page),
+        currentPage: page,
         totalPages,
         totalReports,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
+        hasNextPage: cursor ? hasMore : page < totalPages,
+        hasPrevPage: page > 1,
+        nextCursor: hasMore ? encodeCursor(reports[reports.length - 1], sort, queryHash) : null
       }
     });
   } catch (error) {
+    if (error.code === 2 && req.query.polygon) {
+      return res.status(400).json({ success: false, message: 'Invalid polygon' });
+    }
     console.error('❌ Error fetching all reports:', error);
     res.status(500).json({
       success: false,
@@ -353,14 +392,9 @@ router.get('/analytics/security',
       }
     ]);
 
-    const statusBreakdown = await Report.aggregate([
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
+    // ENHANCED: From the report rollups
+    const statusBreakdown = (await reportRollupService.query({ basis: 'submitted', granularity: 'week', groupBy: ['status'] }))
+      .map(row => ({ _id: row.status, count: row.count }));
 
     // Log this action
     await logAdminAction(req, 'data_export', { action: 'view_security_analytics', count: statusBreakdown.length }, 'medium');
@@ -561,6 +595,224 @@ router.post('/performance/reset',
   }
 });
 
+// === AUTO-MODERATION RULES ===
+
+// GET /api/admin/moderation-rules - All rules in evaluation order, plus the field reference
+router.get('/moderation-rules',
+  lightSanitization(),
+  requirePermission('moderate_content'),
+  async (req, res) => {
+  try {
+    const rules = await ModerationRule.find().sort({ order: 1, createdAt: 1 }).lean();
+
+    res.json({
+      success: true,
+      count: rules.length,
+      data: rules,
+      definition: autoModerationService.getDefinition(),
+      engine: autoModerationService.getStats()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching moderation rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching moderation rules',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/admin/moderation-rules/decisions - Audit trail of rules that fired
+router.get('/moderation-rules/decisions',
+  lightSanitization(),
+  requirePermission('moderate_content'),
+  async (req, res) => {
+  try {
+    const { ruleId, reportId } = req.query;
+    if ([ruleId, reportId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: 'Invalid rule or report ID' });
+    }
+
+    const decisions = await autoModerationService.getDecisions({
+      ruleId,
+      reportId,
+      limit: parseInt(req.query.limit) || 100
+    });
+
+    res.json({ success: true, count: decisions.length, data: decisions });
+  } catch (error) {
+    console.error('❌ Error fetching auto-moderation decisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching auto-moderation decisions',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin/moderation-rules/dry-run - What the rules (or one unsaved rule) would do to recent reports
+router.post('/moderation-rules/dry-run',
+  adminSanitization(),
+  requirePermission('moderate_content'),
+  async (req, res) => {
+  try {
+    const { reportIds, days, limit } = req.body;
+    let rule = null;
+
+    if (req.body.rule) {
+      const validation = autoModerationService.validateRule(req.body.rule);
+      if (validation.errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid rule', errors: validation.errors });
+      }
+      rule = validation.rule;
+    }
+
+    if (reportIds !== undefined && (!Array.isArray(reportIds) || !reportIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+      return res.status(400).json({ success: false, message: 'reportIds must be an array of report IDs' });
+    }
+
+    const result = await autoModerationService.dryRun({
+      rule,
+      reportIds,
+      days: Math.min(Math.max(parseInt(days) || 7, 1), 90),
+      limit: parseInt(limit) || 200
+    });
+
+    res.json({ success: true, dryRun: true, data: result });
+  } catch (error) {
+    console.error('❌ Error running moderation rule dry run:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running dry run',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin/moderation-rules - Create a rule (dry_run unless mode is set to live)
+router.post('/moderation-rules',
+  adminSanitization(),
+  requirePermission('system_configuration'),
+  async (req, res) => {
+  try {
+    const { errors, rule } = autoModerationService.validateRule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid rule', errors });
+    }
+
+    const created = await ModerationRule.create({
+      ...rule,
+      createdBy: req.userContext.user?._id,
+      updatedBy: req.userContext.user?._id
+    });
+    autoModerationService.invalidateRules();
+
+    await logAdminAction(req, 'moderation_rule_change', {
+      operation: 'create',
+      ruleId: String(created._id),
+      rule
+    }, rule.mode === 'live' ? 'high' : 'medium');
+
+    res.status(201).json({ success: true, data: created });
+  } catch (error) {
+    console.error('❌ Error creating moderation rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating moderation rule',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/admin/moderation-rules/:id - Update a rule (fields not sent are kept)
+router.put('/moderation-rules/:id',
+  adminSanitization(),
+  requirePermission('system_configuration'),
+  async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid rule ID' });
+    }
+
+    const existing = await ModerationRule.findById(req.params.id).lean();
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Rule not found' });
+    }
+
+    const { errors, rule } = autoModerationService.validateRule({ ...existing, ...req.body });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid rule', errors });
+    }
+
+    const updated = await ModerationRule.findByIdAndUpdate(
+      req.params.id,
+      { $set: { ...rule, updatedBy: req.userContext.user?._id } },
+      { new: true, runValidators: true }
+    );
+    autoModerationService.invalidateRules();
+
+    const goesLive = existing.mode !== 'live' && rule.mode === 'live';
+    await logAdminAction(req, 'moderation_rule_change', {
+      operation: 'update',
+      ruleId: String(existing._id),
+      before: {
+        name: existing.name,
+        enabled: existing.enabled,
+        order: existing.order,
+        mode: existing.mode,
+        match: existing.match,
+        conditions: existing.conditions,
+        action: existing.action
+      },
+      after: rule
+    }, goesLive ? 'high' : 'medium');
+
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error('❌ Error updating moderation rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating moderation rule',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/moderation-rules/:id - Delete a rule (pending delayed actions from it are cancelled by the sweep)
+router.delete('/moderation-rules/:id',
+  adminSanitization(),
+  requirePermission('system_configuration'),
+  async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid rule ID' });
+    }
+
+    const deleted = await ModerationRule.findByIdAndDelete(req.params.id).lean();
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Rule not found' });
+    }
+    autoModerationService.invalidateRules();
+
+    await logAdminAction(req, 'moderation_rule_change', {
+      operation: 'delete',
+      ruleId: String(deleted._id),
+      name: deleted.name,
+      mode: deleted.mode,
+      stats: deleted.stats
+    }, 'medium');
+
+    res.json({ success: true, message: 'Rule deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting moderation rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting moderation rule',
+      error: error.message
+    });
+  }
+});
+
 // When admin actions modify data, invalidate relevant caches
 // Example: After user management actions
 async function invalidateUserRelatedCaches() {
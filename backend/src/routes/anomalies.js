@@ -0,0 +1,184 @@
+// === backend/src/routes/anomalies.js ===
+// Incident spike alerts for SafeStreets Bangladesh
+// Admin access only - evidence includes unmoderated reports
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const IncidentAnomaly = require('../models/IncidentAnomaly');
+const AuditLog = require('../models/AuditLog');
+const { userTypeDetection } = require('../middleware/userTypeDetection');
+const { requirePermission } = require('../middleware/roleBasedAccess');
+const { lightSanitization, adminSanitization } = require('../utils/sanitization');
+const { anomalyDetectionService } = require('../services/anomalyDetectionService');
+
+router.use(userTypeDetection);
+
+const VISIBLE_STATUSES = ['open', 'acknowledged', 'dismissed'];
+
+// GET /api/anomalies - Recent anomalies, newest and strongest first
+router.get('/',
+  lightSanitization(),
+  requirePermission('view_incident_anomalies'),
+  async (req, res) => {
+    try {
+      const { type, level, district, thana } = req.query;
+      const statuses = (req.query.status || 'open').split(',').filter(status => VISIBLE_STATUSES.includes(status));
+      const days = Math.min(Math.max(parseInt(req.query.days) || 14, 1), 90);
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      const query = {
+        status: { $in: statuses },
+        day: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+      };
+      if (type) query.type = type;
+      if (level) query.level = level;
+      if (thana) Object.assign(query, { 'area.level': 'thana', 'area.code': thana });
+      else if (district) Object.assign(query, { 'area.level': 'district', 'area.code': district });
+
+      const anomalies = await IncidentAnomaly.find(query)
+        .select('-reports')
+        .sort({ day: -1, zScore: -1 })
+        .limit(limit)
+        .lean();
+
+      res.json({
+        success: true,
+        days,
+        count: anomalies.length,
+        data: anomalies
+      });
+    } catch (error) {
+      console.error('❌ Error fetching incident anomalies:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching incident anomalies',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/anomalies/detect - Run detection now instead of waiting for the schedule
+router.post('/detect',
+  adminSanitization(),
+  requirePermission('system_configuration'),
+  async (req, res) => {
+    try {
+      const result = await anomalyDetectionService.detect();
+
+      if (result.skipped) {
+        return res.status(409).json({ success: false, message: 'Anomaly detection is already running' });
+      }
+      if (result.error) {
+        return res.status(500).json({ success: false, message: 'Anomaly detection failed', error: result.error });
+      }
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      console.error('❌ Error running anomaly detection:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error running anomaly detection',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/anomalies/:id - One anomaly with its evidence reports
+router.get('/:id',
+  lightSanitization(),
+  requirePermission('view_incident_anomalies'),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid anomaly ID' });
+      }
+
+      const anomaly = await IncidentAnomaly.findById(req.params.id)
+        .populate('reports', 'type severity status description incidentOccurredAt incidentTime.precision createdAt location.address')
+        .lean();
+      if (!anomaly) {
+        return res.status(404).json({ success: false, message: 'Anomaly not found' });
+      }
+
+      res.json({ success: true, data: anomaly });
+    } catch (error) {
+      console.error('❌ Error fetching incident anomaly:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching incident anomaly',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PATCH /api/anomalies/:id/review - Acknowledge or dismiss an anomaly
+router.patch('/:id/review',
+  adminSanitization(),
+  requirePermission('review_incident_anomalies'),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid anomaly ID' });
+      }
+
+      const { status, note } = req.body;
+      if (!VISIBLE_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: 'Status must be open, acknowledged or dismissed' });
+      }
+      if (note !== undefined && (typeof note !== 'string' || note.length > 1000)) {
+        return res.status(400).json({ success: false, message: 'Note must be text of 1000 characters or less' });
+      }
+
+      const user = req.userContext.user;
+      const anomaly = await IncidentAnomaly.findByIdAndUpdate(
+        req.params.id,
+        {
+          $set: {
+            status,
+            review: {
+              reviewedBy: user?._id,
+              reviewerType: req.userContext.userType,
+              reviewedAt: new Date(),
+              note: note?.trim() || null
+            }
+          }
+        },
+        { new: true }
+      ).select('-reports');
+      if (!anomaly) {
+        return res.status(404).json({ success: false, message: 'Anomaly not found' });
+      }
+
+      try {
+        await AuditLog.create({
+          actor: {
+            userId: user?._id,
+            userType: req.userContext.userType,
+            username: user?.roleData?.admin?.username,
+            deviceFingerprint: req.userContext.deviceFingerprint?.fingerprintId
+          },
+          actionType: 'incident_anomaly_review',
+          target: { id: String(anomaly._id), type: 'incident_anomaly', name: anomaly.type },
+          details: { status, note: note?.trim() || null, level: anomaly.level, area: anomaly.area?.code },
+          severity: 'low'
+        });
+      } catch (auditError) {
+        console.error('❌ Audit log failed for anomaly review:', auditError);
+      }
+
+      res.json({ success: true, data: anomaly });
+    } catch (error) {
+      console.error('❌ Error reviewing incident anomaly:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error reviewing incident anomaly',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
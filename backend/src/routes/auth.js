@@ -12,6 +12,9 @@ const EmailService = require('../services/emailService');
 const { requireEmailVerification, requireEmailVerificationForLogin } = require('../middleware/emailVerification');
 const { loginLimiter, passwordResetLimiter, twoFactorLimiter, refreshLimiter } = require('../middleware/rateLimiter');
 const { userTypeDetection } = require('../middleware/userTypeDetection');
+const { getUserPermissions } = require('../middleware/roleBasedAccess');
+const { policePortalService } = require('../services/policePortalService');
+const { researchApiKeyService } = require('../services/researchApiKeyService');
 const { cacheLayer, cacheMiddleware } = require('../middleware/cacheLayer'); // Import Redis caching
 const { lightSanitization, fullSanitization, validationRules, validationErrorHandler } = require('../utils/sanitization');
 
@@ -273,6 +276,328 @@ router.post('/admin/2fa/verify-login',
   }
 });
 
+// NEW: POST /api/auth/police/login - Police portal login (badge number or email)
+router.post('/police/login',
+  loginLimiter,
+  fullSanitization(),
+  async (req, res) => {
+  try {
+    const { badgeNumber, password, deviceFingerprint } = req.body;
+    const actor = { userType: 'police', username: badgeNumber, ipAddress: req.ip };
+
+    if (typeof badgeNumber !== 'string' || !badgeNumber.trim() || typeof password !== 'string' || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Badge number and password are required'
+      });
+    }
+
+    const officer = await User.findOne({
+      userType: 'police',
+      $or: [
+        { 'roleData.police.badgeNumber': badgeNumber.trim() },
+        { 'roleData.police.email': badgeNumber.trim() }
+      ]
+    }).select('+roleData.police.passwordHash');
+
+    if (!officer) {
+      await logAuthAction(actor, 'police_login', 'failure', { reason: 'Invalid badge number' }, 'medium');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    actor.userId = officer._id;
+    const police = officer.roleData.police;
+
+    // Check account lock status
+    if (police.accountLocked) {
+      if (police.lockUntil && police.lockUntil > new Date()) {
+        await logAuthAction(actor, 'police_login', 'failure', { reason: 'Account locked' }, 'high');
+        return res.status(423).json({
+          success: false,
+          message: 'Account is locked. Please try again later.',
+          accountLocked: true
+        });
+      }
+      // Reset expired lock
+      police.accountLocked = false;
+      police.lockUntil = null;
+      police.loginAttempts = 0;
+    }
+
+    const isValidPassword = await officer.comparePassword(password);
+    if (!isValidPassword) {
+      officer.incrementLoginAttempts();
+      await officer.save();
+      await logAuthAction(actor, 'police_login', 'failure', { reason: 'Invalid password' }, 'medium');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Only officers an admin has verified get a session
+    if (police.verificationStatus !== 'verified') {
+      await logAuthAction(actor, 'police_login', 'failure', { reason: `Verification ${police.verificationStatus}` }, 'medium');
+      return res.status(403).json({
+        success: false,
+        message: police.verificationStatus === 'rejected'
+          ? 'Your police account was not approved.'
+          : 'Your police account is awaiting verification by an administrator.',
+        verificationStatus: police.verificationStatus
+      });
+    }
+
+    officer.resetLoginAttempts();
+
+    if (deviceFingerprint) {
+      officer.addDeviceAssociation(deviceFingerprint, 'police-device', true);
+    }
+
+    const { accessToken, refreshToken } = await TokenManager.generateTokenPair(officer);
+    await officer.save();
+
+    await logAuthAction(actor, 'police_login', 'success', { thana: police.thana, accessLevel: police.accessLevel }, 'low');
+    await cacheLayer.bumpVersion('auth');
+
+    const permissions = await getUserPermissions({ user: officer, userType: 'police' });
+    res.json({
+      success: true,
+      message: 'Login successful',
+      accessToken,
+      refreshToken,
+      user: policePortalService.toProfile(officer, permissions)
+    });
+
+  } catch (error) {
+    console.error('❌ Police login error:', error);
+    await logAuthAction(
+      { userType: 'police', username: req.body.badgeNumber, ipAddress: req.ip },
+      'police_login',
+      'failure',
+      { reason: error.message },
+      'critical'
+    );
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message
+    });
+  }
+});
+
+// NEW: POST /api/auth/police/logout - End a police portal session
+router.post('/police/logout',
+  lightSanitization(),
+  async (req, res) => {
+  try {
+    if (req.userContext?.userType !== 'police') {
+      return res.status(401).json({
+        success: false,
+        message: 'No police session'
+      });
+    }
+
+    const { refreshToken } = req.body;
+    const accessToken = req.headers.authorization?.replace('Bearer ', '');
+
+    if (accessToken) {
+      await TokenManager.blacklistToken(accessToken);
+    }
+    if (refreshToken) {
+      await TokenManager.revokeRefreshToken(refreshToken);
+    }
+
+    await logAuthAction(
+      {
+        userId: req.userContext.user._id,
+        userType: 'police',
+        username: req.userContext.user.roleData.police.badgeNumber,
+        ipAddress: req.ip
+      },
+      'police_logout',
+      'success'
+    );
+
+    await cacheLayer.bumpVersion('auth');
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    console.error('❌ Police logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// NEW: POST /api/auth/researcher/login - Researcher session for managing API keys
+router.post('/researcher/login',
+  loginLimiter,
+  fullSanitization(),
+  async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const actor = { userType: 'researcher', username: email, ipAddress: req.ip };
+
+    if (typeof email !== 'string' || !email.trim() || typeof password !== 'string' || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    const researcher = await User.findOne({
+      userType: 'researcher',
+      'roleData.researcher.email': email.trim()
+    }).select('+roleData.researcher.passwordHash');
+
+    if (!researcher) {
+      await logAuthAction(actor, 'researcher_login', 'failure', { reason: 'Invalid email' }, 'medium');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    actor.userId = researcher._id;
+    const account = researcher.roleData.researcher;
+
+    // Check account lock status
+    if (account.accountLocked) {
+      if (account.lockUntil && account.lockUntil > new Date()) {
+        await logAuthAction(actor, 'researcher_login', 'failure', { reason: 'Account locked' }, 'high');
+        return res.status(423).json({
+          success: false,
+          message: 'Account is locked. Please try again later.',
+          accountLocked: true
+        });
+      }
+      // Reset expired lock
+      account.accountLocked = false;
+      account.lockUntil = null;
+      account.loginAttempts = 0;
+    }
+
+    const isValidPassword = await researcher.comparePassword(password);
+    if (!isValidPassword) {
+      researcher.incrementLoginAttempts();
+      await researcher.save();
+      await logAuthAction(actor, 'researcher_login', 'failure', { reason: 'Invalid password' }, 'medium');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Only approved researchers with API access inside their access period get a session
+    const ineligible = await researchApiKeyService.checkResearcher(researcher);
+    if (ineligible) {
+      await logAuthAction(actor, 'researcher_login', 'failure', { reason: ineligible }, 'medium');
+      return res.status(403).json({
+        success: false,
+        message: ineligible,
+        verificationStatus: account.verificationStatus
+      });
+    }
+
+    researcher.resetLoginAttempts();
+
+    const { accessToken, refreshToken } = await TokenManager.generateTokenPair(researcher);
+    await researcher.save();
+
+    await logAuthAction(actor, 'researcher_login', 'success', { accessLevel: account.accessLevel }, 'low');
+    await cacheLayer.bumpVersion('auth');
+
+    const permissions = await getUserPermissions({ user: researcher, userType: 'researcher' });
+    res.json({
+      success: true,
+      message: 'Login successful',
+      accessToken,
+      refreshToken,
+      user: {
+        id: researcher._id,
+        userType: 'researcher',
+        email: account.email,
+        institution: account.institution,
+        accessLevel: account.accessLevel,
+        accessEnd: researchApiKeyService.getAccessEnd(researcher),
+        permissions
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Researcher login error:', error);
+    await logAuthAction(
+      { userType: 'researcher', username: req.body.email, ipAddress: req.ip },
+      'researcher_login',
+      'failure',
+      { reason: error.message },
+      'critical'
+    );
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message
+    });
+  }
+});
+
+// NEW: POST /api/auth/researcher/logout - End a researcher session
+router.post('/researcher/logout',
+  lightSanitization(),
+  async (req, res) => {
+  try {
+    if (req.userContext?.userType !== 'researcher' || req.userContext.apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'No researcher session'
+      });
+    }
+
+    const { refreshToken } = req.body;
+    const accessToken = req.headers.authorization?.replace('Bearer ', '');
+
+    if (accessToken) {
+      await TokenManager.blacklistToken(accessToken);
+    }
+    if (refreshToken) {
+      await TokenManager.revokeRefreshToken(refreshToken);
+    }
+
+    await logAuthAction(
+      {
+        userId: req.userContext.user._id,
+        userType: 'researcher',
+        username: req.userContext.user.roleData.researcher.email,
+        ipAddress: req.ip
+      },
+      'researcher_logout',
+      'success'
+    );
+
+    await cacheLayer.bumpVersion('auth');
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    console.error('❌ Researcher logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
 // POST /api/auth/token/refresh - Token refresh endpoint
 router.post('/token/refresh', 
   refreshLimiter, 
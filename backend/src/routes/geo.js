@@ -0,0 +1,83 @@
+// === backend/src/routes/geo.js ===
+// Geographic lookups for SafeStreets Bangladesh
+// Offline admin-boundary resolution - coordinates never leave the server
+const express = require('express');
+const router = express.Router();
+const { cacheLayer } = require('../middleware/cacheLayer');
+const { createEnhancedHybridRateLimiter } = require('../middleware/hybridRateLimiter');
+const { lightSanitization } = require('../utils/sanitization');
+const { adminBoundaryService, ADMIN_LEVELS } = require('../services/adminBoundaryService');
+
+const geoRateLimit = createEnhancedHybridRateLimiter(cacheLayer).createEnhancedApiRateLimit({ limit: 60, window: 60 });
+
+// GET /api/geo/resolve?lat&lng - Resolve a point to division/district/upazila/thana
+router.get('/resolve',
+  lightSanitization(),
+  geoRateLimit,
+  (req, res) => {
+    try {
+      const lat = parseFloat(req.query.lat);
+      const lng = parseFloat(req.query.lng);
+
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid lat and lng query parameters are required'
+        });
+      }
+
+      if (!adminBoundaryService.isAvailable()) {
+        return res.status(503).json({
+          success: false,
+          message: 'Administrative boundary data is not loaded on this server'
+        });
+      }
+
+      const area = adminBoundaryService.resolve(lat, lng);
+
+      res.json({
+        success: true,
+        data: {
+          ...area,
+          label: adminBoundaryService.getAreaLabel(area)
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error resolving admin area:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error resolving administrative area',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/geo/areas/:level - List known areas for a level (division, district, upazila, thana)
+router.get('/areas/:level',
+  lightSanitization(),
+  geoRateLimit,
+  (req, res) => {
+    const { level } = req.params;
+
+    if (!ADMIN_LEVELS.includes(level)) {
+      return res.status(400).json({
+        success: false,
+        message: `Level must be one of: ${ADMIN_LEVELS.join(', ')}`
+      });
+    }
+
+    const areas = adminBoundaryService.listAreas(level);
+
+    res.json({
+      success: true,
+      data: {
+        level,
+        areas,
+        total: areas.length
+      }
+    });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// === backend/src/routes/hotspots.js ===
+// Statistically significant hot/cold spots (Getis-Ord Gi*) for SafeStreets Bangladesh
+// Public - results are built from privacy-grid coordinates and stored per type and period
+const express = require('express');
+const router = express.Router();
+const { userTypeDetection } = require('../middleware/userTypeDetection');
+const { requirePermission } = require('../middleware/roleBasedAccess');
+const { cacheMiddleware } = require('../middleware/cacheLayer');
+const { lightSanitization, adminSanitization } = require('../utils/sanitization');
+const { hotspotAnalysisService, getHotspotAnalysis, HOTSPOT_PERIODS } = require('../services/hotspotAnalysisService');
+
+router.use(userTypeDetection);
+
+// GET /api/hotspots - Significant cells for an incident type ('all' by default) and period
+router.get('/',
+  lightSanitization(),
+  cacheMiddleware(900, (req) =>
+    `hotspots:${req.query.type || 'all'}:${req.query.period || 'month'}:${req.query.minConfidence || 90}:${req.query.kind || 'any'}`,
+  'hotspots'),
+  async (req, res) => {
+    try {
+      const type = req.query.type || 'all';
+      const period = req.query.period || 'month';
+      const minConfidence = parseInt(req.query.minConfidence) || 90;
+      const kind = req.query.kind || null;
+
+      if (!HOTSPOT_PERIODS.includes(period)) {
+        return res.status(400).json({ success: false, message: `Period must be one of: ${HOTSPOT_PERIODS.join(', ')}` });
+      }
+      if (![90, 95, 99].includes(minConfidence)) {
+        return res.status(400).json({ success: false, message: 'Minimum confidence must be 90, 95 or 99' });
+      }
+      if (kind && !['hot', 'cold'].includes(kind)) {
+        return res.status(400).json({ success: false, message: 'Kind must be hot or cold' });
+      }
+
+      const analysis = await getHotspotAnalysis(type, period, { minConfidence, kind });
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          message: 'No hotspot analysis available for this type and period yet'
+        });
+      }
+
+      res.json({
+        success: true,
+        type,
+        period,
+        window: analysis.window,
+        computedAt: analysis.computedAt,
+        method: analysis.method,
+        stats: analysis.stats,
+        skipped: analysis.skipped,
+        skippedReason: analysis.skippedReason,
+        count: analysis.cells.length,
+        data: analysis.cells
+      });
+    } catch (error) {
+      console.error('❌ Error fetching hotspots:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching hotspots',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/hotspots/recompute - Rerun the analysis now instead of waiting for the schedule
+router.post('/recompute',
+  adminSanitization(),
+  requirePermission('system_configuration'),
+  async (req, res) => {
+    try {
+      const result = await hotspotAnalysisService.run();
+
+      if (result.skipped) {
+        return res.status(409).json({ success: false, message: 'Hotspot analysis is already running' });
+      }
+      if (result.error) {
+        return res.status(500).json({ success: false, message: 'Hotspot analysis failed', error: result.error });
+      }
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      console.error('❌ Error recomputing hotspots:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error recomputing hotspots',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -319,12 +319,22 @@ router.post('/register/:token',
         });
       }
 
+      // NEW: Officers log in with their badge number and only see their thana
+      if (invite.userType === 'police' && (!badgeNumber || !thana)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Badge number and thana are required for police officers.'
+        });
+      }
+
       // 3. Check for existing user with this username/email/phone
       const existingUser = await User.findOne({
         $or: [
           { 'roleData.admin.username': username },
           { 'roleData.admin.email': email },
           { 'roleData.police.phoneNumber': phoneNumber }, // Assuming phone number is unique for police
+          ...(badgeNumber ? [{ 'roleData.police.badgeNumber': badgeNumber }] : []),
+          { 'roleData.police.email': email },
           { 'roleData.researcher.email': email }
         ]
       });
@@ -380,8 +390,8 @@ router.post('/register/:token',
           accessLevel: invite.policeAccessLevel,
           verificationStatus: 'pending' // Requires admin approval
         };
-        // If police also need a password, uncomment and adapt:
-        // await newUser.setPassword(password);
+        // NEW: Officers log in to the police portal once verified
+        await newUser.setPassword(password);
       } else if (invite.userType === 'researcher') {
         // Researcher-specific fields from request body
         newUser.roleData.researcher = {
@@ -397,8 +407,8 @@ router.post('/register/:token',
           dataUsageAgreement: false, // Will be set true after review
           verificationStatus: 'pending' // Requires admin approval
         };
-        // If researcher also need a password, uncomment and adapt:
-        // await newUser.setPassword(password);
+        // NEW: Researchers log in to manage their API keys once approved
+        await newUser.setPassword(password);
       }
 
       await newUser.save();
@@ -0,0 +1,64 @@
+// === backend/src/routes/media.js ===
+// Evidence media for SafeStreets Bangladesh
+// Serves processed report images. Media of published reports is public;
+// anything else is only served to moderators, never cached by shared caches
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const { userTypeDetection } = require('../middleware/userTypeDetection');
+const { userHasPermission } = require('../middleware/roleBasedAccess');
+const { mediaProcessingService } = require('../services/mediaProcessingService');
+const { reportRollupService } = require('../services/reportRollupService');
+
+// Files written by mediaProcessingService: random hex key, optional thumbnail suffix
+const MEDIA_FILE_PATTERN = /^([a-f0-9]{32})(_thumb)?\.jpg$/;
+
+// Published media may be withdrawn later, so shared caches keep it for a day, not forever
+const PUBLISHED_CACHE_CONTROL = 'public, max-age=86400';
+const PRIVATE_CACHE_CONTROL = 'private, no-cache';
+
+router.use(userTypeDetection);
+
+// GET /uploads/reports/:file - Evidence image or thumbnail
+router.get('/:file', async (req, res) => {
+  try {
+    const match = MEDIA_FILE_PATTERN.exec(req.params.file);
+    if (!match) {
+      return res.status(404).json({ success: false, message: 'Media not found' });
+    }
+
+    const Report = require('../models/Report');
+    const report = await Report.findOne({ 'media.storageKey': match[1] }).select('status').lean();
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Media not found' });
+    }
+
+    const published = reportRollupService.config.publicStatuses.includes(report.status);
+    const moderator = req.userContext?.userType === 'admin' && await userHasPermission(req.userContext, 'moderate_content');
+    if (!published && !moderator) {
+      // Same answer as a missing file - don't confirm an unpublished report exists
+      return res.status(404).json({ success: false, message: 'Media not found' });
+    }
+
+    res.setHeader('Cache-Control', published ? PUBLISHED_CACHE_CONTROL : PRIVATE_CACHE_CONTROL);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.sendFile(path.join(mediaProcessingService.config.uploadDir, req.params.file), {
+      cacheControl: false,
+      dotfiles: 'deny'
+    }, (error) => {
+      if (error && !res.headersSent) {
+        res.removeHeader('Cache-Control');
+        res.status(error.status || 500).json({ success: false, message: 'Media not found' });
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error serving media:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error serving media',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
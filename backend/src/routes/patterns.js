@@ -0,0 +1,252 @@
+// === backend/src/routes/patterns.js ===
+// Recurring incident patterns for SafeStreets Bangladesh
+// Admin and police access only - patterns use true (unobfuscated) locations.
+// Police see patterns in their own jurisdiction and only published linked reports.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const RecurringPattern = require('../models/RecurringPattern');
+const AuditLog = require('../models/AuditLog');
+const { userTypeDetection } = require('../middleware/userTypeDetection');
+const { requirePermission } = require('../middleware/roleBasedAccess');
+const { lightSanitization, adminSanitization } = require('../utils/sanitization');
+const { recurringPatternService, describeRecurringPattern } = require('../services/recurringPatternService');
+const { policePortalService } = require('../services/policePortalService');
+
+router.use(userTypeDetection);
+
+const VISIBLE_STATUSES = ['active', 'dormant', 'confirmed', 'dismissed'];
+
+// Police are limited to their jurisdiction; admins see every pattern
+const scopeToJurisdiction = (req, res, next) => {
+  if (req.userContext?.userType !== 'police') {
+    req.patternScope = {};
+    return next();
+  }
+
+  const areaFilter = policePortalService.getAreaFilter(req.userContext.user, { prefix: 'adminArea' });
+  if (!areaFilter) {
+    return res.status(403).json({
+      success: false,
+      message: 'No jurisdiction on record - ask an administrator to set your thana'
+    });
+  }
+  req.patternScope = { $and: [areaFilter] };
+  next();
+};
+
+// Linked reports: police get published reports in their jurisdiction only
+const linkedReportMatch = (req) => {
+  if (req.userContext?.userType !== 'police') return {};
+  return {
+    ...policePortalService.getAreaFilter(req.userContext.user),
+    status: { $in: policePortalService.config.publishedStatuses }
+  };
+};
+
+// Add the human-readable schedule to a pattern
+const withSchedule = (pattern) => ({ ...pattern, scheduleLabel: describeRecurringPattern(pattern) });
+
+// GET /api/patterns - Recurring patterns, most confident first
+router.get('/',
+  lightSanitization(),
+  requirePermission('view_recurring_patterns'),
+  scopeToJurisdiction,
+  async (req, res) => {
+    try {
+      const { type, district, thana } = req.query;
+      const statuses = (req.query.status || 'active,confirmed').split(',').filter(status => VISIBLE_STATUSES.includes(status));
+      const minConfidence = Math.max(0, Math.min(100, parseInt(req.query.minConfidence) || 0));
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      const query = { ...req.patternScope, status: { $in: statuses }, confidence: { $gte: minConfidence } };
+      if (type) query.type = type;
+      if (district) query['adminArea.district.code'] = district;
+      if (thana) query['adminArea.thana.code'] = thana;
+
+      const patterns = await RecurringPattern.find(query)
+        .select('-reports')
+        .sort({ confidence: -1, predictedNextAt: 1 })
+        .limit(limit)
+        .lean();
+
+      res.json({
+        success: true,
+        count: patterns.length,
+        data: patterns.map(withSchedule)
+      });
+    } catch (error) {
+      console.error('❌ Error fetching recurring patterns:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching recurring patterns',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/patterns/upcoming - Patterns predicted to recur in the next few days
+router.get('/upcoming',
+  lightSanitization(),
+  requirePermission('view_recurring_patterns'),
+  scopeToJurisdiction,
+  async (req, res) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 31);
+      const now = new Date();
+
+      const patterns = await RecurringPattern.find({
+        ...req.patternScope,
+        status: { $in: ['active', 'confirmed'] },
+        'predictedWindow.end': { $gte: now },
+        predictedNextAt: { $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) }
+      })
+        .select('-reports')
+        .sort({ predictedNextAt: 1 })
+        .limit(100)
+        .lean();
+
+      res.json({ success: true, days, count: patterns.length, data: patterns.map(withSchedule) });
+    } catch (error) {
+      console.error('❌ Error fetching upcoming patterns:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching upcoming patterns',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/patterns/detect - Run detection now instead of waiting for the schedule
+router.post('/detect',
+  adminSanitization(),
+  requirePermission('system_configuration'),
+  async (req, res) => {
+    try {
+      const types = Array.isArray(req.body?.types) && req.body.types.length > 0 ? req.body.types : null;
+      const result = await recurringPatternService.detect({ types });
+
+      if (result.skipped) {
+        return res.status(409).json({ success: false, message: 'Pattern detection is already running' });
+      }
+      if (result.error) {
+        return res.status(500).json({ success: false, message: 'Pattern detection failed', error: result.error });
+      }
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      console.error('❌ Error running pattern detection:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error running pattern detection',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/patterns/:id - One pattern with its linked reports
+router.get('/:id',
+  lightSanitization(),
+  requirePermission('view_recurring_patterns'),
+  scopeToJurisdiction,
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid pattern ID' });
+      }
+
+      const pattern = await RecurringPattern.findOne({ ...req.patternScope, _id: req.params.id })
+        .populate({
+          path: 'reports',
+          select: 'type severity status incidentOccurredAt incidentTime.precision createdAt location.address',
+          match: linkedReportMatch(req)
+        })
+        .lean();
+      if (!pattern) {
+        return res.status(404).json({ success: false, message: 'Pattern not found' });
+      }
+
+      res.json({ success: true, data: withSchedule(pattern) });
+    } catch (error) {
+      console.error('❌ Error fetching recurring pattern:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching recurring pattern',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PATCH /api/patterns/:id/review - Confirm or dismiss a pattern
+router.patch('/:id/review',
+  adminSanitization(),
+  requirePermission('review_recurring_patterns'),
+  scopeToJurisdiction,
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid pattern ID' });
+      }
+
+      const { status, note } = req.body;
+      if (!['confirmed', 'dismissed', 'active'].includes(status)) {
+        return res.status(400).json({ success: false, message: 'Status must be confirmed, dismissed or active' });
+      }
+      if (note !== undefined && (typeof note !== 'string' || note.length > 1000)) {
+        return res.status(400).json({ success: false, message: 'Note must be text of 1000 characters or less' });
+      }
+
+      const user = req.userContext.user;
+      const pattern = await RecurringPattern.findOneAndUpdate(
+        { ...req.patternScope, _id: req.params.id },
+        {
+          $set: {
+            status,
+            review: {
+              reviewedBy: user?._id,
+              reviewerType: req.userContext.userType,
+              reviewedAt: new Date(),
+              note: note?.trim() || null
+            }
+          }
+        },
+        { new: true }
+      ).select('-reports');
+      if (!pattern) {
+        return res.status(404).json({ success: false, message: 'Pattern not found' });
+      }
+
+      try {
+        await AuditLog.create({
+          actor: {
+            userId: user?._id,
+            userType: req.userContext.userType,
+            username: user?.roleData?.admin?.username || user?.roleData?.police?.badgeNumber,
+            deviceFingerprint: req.userContext.deviceFingerprint?.fingerprintId
+          },
+          actionType: 'recurring_pattern_review',
+          target: { id: String(pattern._id), type: 'recurring_pattern', name: pattern.type },
+          details: { status, note: note?.trim() || null, confidence: pattern.confidence },
+          severity: 'low'
+        });
+      } catch (auditError) {
+        console.error('❌ Audit log failed for pattern review:', auditError);
+      }
+
+      res.json({ success: true, data: withSchedule(pattern.toObject()) });
+    } catch (error) {
+      console.error('❌ Error reviewing recurring pattern:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error reviewing recurring pattern',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,192 @@
+// === backend/src/routes/police.js ===
+// Police portal for SafeStreets Bangladesh
+// Verified officers (POST /api/auth/police/login) see reports in their own thana
+// and keep police notes and recorded actions on them. Every request is audited.
+const express = require('express');
+const router = express.Router();
+const PoliceNote = require('../models/PoliceNote');
+const { cacheLayer } = require('../middleware/cacheLayer');
+const { createEnhancedHybridRateLimiter } = require('../middleware/hybridRateLimiter');
+const { userTypeDetection } = require('../middleware/userTypeDetection');
+const { requirePermission } = require('../middleware/roleBasedAccess');
+const { lightSanitization, fullSanitization } = require('../utils/sanitization');
+const { policePortalService } = require('../services/policePortalService');
+
+router.use(userTypeDetection);
+
+const policeRateLimit = createEnhancedHybridRateLimiter(cacheLayer).createEnhancedApiRateLimit({ limit: 120, window: 60 });
+
+// Police sessions only - admins use the admin dashboard
+const requirePolice = (req, res, next) => {
+  if (req.userContext?.userType !== 'police') {
+    return res.status(401).json({
+      success: false,
+      message: 'Police portal requires a verified officer session',
+      userType: req.userContext?.userType || 'unknown'
+    });
+  }
+  next();
+};
+
+// GET /api/police/session - Officer profile, jurisdiction and recordable actions
+router.get('/session',
+  lightSanitization(),
+  requirePolice,
+  async (req, res) => {
+    try {
+      const { user, permissions } = req.userContext;
+      res.json({
+        success: true,
+        user: policePortalService.toProfile(user, permissions),
+        actionTypes: PoliceNote.schema.path('action').enumValues
+      });
+    } catch (error) {
+      console.error('❌ Error fetching police session:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching police session',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/police/reports - Reports in the officer's jurisdiction (cursor paged)
+router.get('/reports',
+  lightSanitization(),
+  requirePolice,
+  policeRateLimit,
+  requirePermission('view_reports'),
+  async (req, res) => {
+    try {
+      const result = await policePortalService.listReports(req.userContext.user, req.query);
+      if (result.error) {
+        await policePortalService.logAccess(req, 'police_report_access', { view: 'list', query: req.query }, null, 'failure');
+        return res.status(result.status).json({ success: false, message: result.error });
+      }
+
+      await policePortalService.logAccess(req, 'police_report_access', {
+        view: 'list',
+        query: req.query,
+        reportIds: result.reports.map(report => String(report._id))
+      });
+
+      res.set('Cache-Control', 'no-store');
+      res.json({
+        success: true,
+        count: result.reports.length,
+        data: result.reports,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('❌ Error fetching police reports:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching reports',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/police/reports/:id - One report with its police notes and actions
+router.get('/reports/:id',
+  lightSanitization(),
+  requirePolice,
+  policeRateLimit,
+  requirePermission('view_reports'),
+  async (req, res) => {
+    try {
+      const target = { id: req.params.id, type: 'Report' };
+      const found = await policePortalService.getReport(req.userContext.user, req.params.id);
+      if (!found) {
+        await policePortalService.logAccess(req, 'police_report_access', { view: 'detail' }, target, 'failure');
+        return res.status(404).json({ success: false, message: 'Report not found in your jurisdiction' });
+      }
+
+      await policePortalService.logAccess(req, 'police_report_access', { view: 'detail' }, { ...target, name: found.report.type });
+
+      res.set('Cache-Control', 'no-store');
+      res.json({ success: true, data: found });
+    } catch (error) {
+      console.error('❌ Error fetching police report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching report',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/police/reports/:id/notes - Add a police note { text }
+router.post('/reports/:id/notes',
+  fullSanitization(),
+  requirePolice,
+  policeRateLimit,
+  requirePermission('add_police_notes'),
+  async (req, res) => {
+    try {
+      const result = await policePortalService.addEntry(req.userContext.user, req.params.id, {
+        text: req.body.text
+      });
+      const target = { id: req.params.id, type: 'Report' };
+      if (result.error) {
+        await policePortalService.logAccess(req, 'police_note_add', { reason: result.error }, target, 'failure');
+        return res.status(result.status).json({ success: false, message: result.error });
+      }
+
+      await policePortalService.logAccess(req, 'police_note_add', { noteId: String(result.entry._id) }, target);
+      res.status(201).json({ success: true, data: result.entry });
+    } catch (error) {
+      console.error('❌ Error adding police note:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error adding note',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/police/reports/:id/actions - Record an action taken { action, reference, text }
+router.post('/reports/:id/actions',
+  fullSanitization(),
+  requirePolice,
+  policeRateLimit,
+  requirePermission('add_police_notes'),
+  async (req, res) => {
+    try {
+      if (!req.body.action) {
+        return res.status(400).json({ success: false, message: 'action is required' });
+      }
+
+      const result = await policePortalService.addEntry(req.userContext.user, req.params.id, {
+        action: req.body.action,
+        reference: req.body.reference,
+        text: req.body.text
+      });
+      const target = { id: req.params.id, type: 'Report' };
+      if (result.error) {
+        await policePortalService.logAccess(req, 'police_action_record', { action: req.body.action, reason: result.error }, target, 'failure');
+        return res.status(result.status).json({ success: false, message: result.error });
+      }
+
+      await policePortalService.logAccess(req, 'police_action_record', {
+        noteId: String(result.entry._id),
+        action: result.entry.action,
+        reference: result.entry.reference
+      }, target);
+      res.status(201).json({ success: true, data: result.entry });
+    } catch (error) {
+      console.error('❌ Error recording police action:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error recording action',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -4,19 +4,48 @@
 
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Report = require('../models/Report');
 const crypto = require('crypto');
+const {
+  reportLifecycleService,
+  LifecycleError,
+  REPORT_TRANSITIONS,
+  getLifecycleDefinition
+} = require('../services/reportLifecycleService');
+const {
+  moderatorAssignmentService,
+  OPEN_STATUSES,
+  CLAIM_UNSET
+} = require('../services/moderatorAssignmentService');
+const { parseIncidentTime } = require('../utils/bangladeshTime');
+const { reportRollupService, getBucketStart } = require('../services/reportRollupService');
+const { reportTileService, invalidateReportTiles } = require('../services/reportTileService');
+const { recordSyncRemoval } = require('../services/syncService');
+const {
+  PUBLIC_REPORT_FIELDS,
+  parseLocationFilter,
+  parseSort,
+  hashQuery,
+  listingCacheKey,
+  encodeCursor,
+  decodeCursor,
+  applyCursorFilter
+} = require('../utils/reportQuery');
 
 // FIXED: Safe imports with fallbacks
-let User, DeviceFingerprint, AuditLog, SocketHandler, cacheLayer, queueReportForProcessing;
+let User, DeviceFingerprint, AuditLog, ReportMessage, SocketHandler, cacheLayer, queueReportForProcessing;
 let userTypeDetection, requireNonQuarantined, logUserActivity, requireAdmin, requirePermission;
 let lightSanitization, reportSanitization, validationRules, validationErrorHandler;
 let createEnhancedHybridRateLimiter, deduplicationMiddleware, getReportProcessingStats, getFemaleSafetyStats;
+let multer, fileUploadValidation, mediaProcessingService, MediaProcessingError;
+let linkNearDuplicates, applyKAnonymity, reevaluatePrivacyCells, evaluateAutoModeration;
 
 try {
   User = require('../models/User');
   DeviceFingerprint = require('../models/DeviceFingerprint');
   AuditLog = require('../models/AuditLog');
+  ReportMessage = require('../models/ReportMessage');
 } catch (error) {
   console.warn('⚠️ Some models not available:', error.message);
 }
@@ -115,11 +144,50 @@ try {
   validationErrorHandler = () => (req, res, next) => next();
 }
 
+// NEW: Evidence media upload pipeline (multipart + image re-encoding)
+try {
+  multer = require('multer');
+  ({ fileUploadValidation } = require('../utils/sanitization'));
+  ({ mediaProcessingService, MediaProcessingError } = require('../services/mediaProcessingService'));
+} catch (error) {
+  console.warn('⚠️ Media upload not available, reports will accept JSON only:', error.message);
+  multer = null;
+}
+
+// NEW: Near-duplicate linking (same incident reported by several witnesses)
+try {
+  ({ linkNearDuplicates } = require('../services/nearDuplicateService'));
+} catch (error) {
+  console.warn('⚠️ Near-duplicate detection not available:', error.message);
+  linkNearDuplicates = async () => [];
+}
+
+// NEW: k-anonymous public locations
+try {
+  ({ applyKAnonymity, reevaluatePrivacyCells } = require('../services/locationPrivacyService'));
+} catch (error) {
+  console.warn('⚠️ Location privacy service not available:', error.message);
+  applyKAnonymity = async () => null;
+  reevaluatePrivacyCells = async () => null;
+}
+
+// NEW: Admin-defined auto-moderation rules
+try {
+  ({ evaluateAutoModeration } = require('../services/autoModerationService'));
+} catch (error) {
+  console.warn('⚠️ Auto-moderation not available:', error.message);
+  evaluateAutoModeration = async () => null;
+}
+
 // FIXED: Initialize enhanced features with fallbacks
 const enhancedRateLimiter = createEnhancedHybridRateLimiter(cacheLayer);
 const submitRateLimit = enhancedRateLimiter.createEnhancedReportRateLimit();
 const apiRateLimit = enhancedRateLimiter.createEnhancedApiRateLimit({ limit: 100, window: 60 });
 const adminRateLimit = enhancedRateLimiter.createEnhancedAdminRateLimit();
+// NEW: Tight limit on receipt lookups to make code guessing impractical
+const receiptRateLimit = enhancedRateLimiter.createEnhancedApiRateLimit({ limit: 10, window: 60 });
+// NEW: A map viewport loads a dozen or more tiles per pan or zoom
+const tileRateLimit = enhancedRateLimiter.createEnhancedApiRateLimit({ limit: 600, window: 60 });
 
 const enhancedDeduplicationCheck = deduplicationMiddleware({
   femaleSafetyPriority: true,
@@ -178,6 +246,59 @@ const emitRealtimeUpdate = (event, data) => {
   }
 };
 
+/**
+ * NEW: Accept multipart report submissions with evidence files.
+ * Report fields travel as a JSON string in the `report` part so types survive
+ * validation; files arrive in `media` parts and are held in memory only until
+ * they are re-encoded by mediaProcessingService.
+ */
+const reportMediaUpload = (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+
+  if (!multer || !mediaProcessingService?.isAvailable()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Evidence uploads are temporarily unavailable. Please submit without attachments.'
+    });
+  }
+
+  const { maxFiles, maxFileSize } = mediaProcessingService.config;
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { files: maxFiles, fileSize: maxFileSize, fields: 5, fieldSize: 64 * 1024 }
+  }).array('media', maxFiles);
+
+  upload(req, res, (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        message: uploadError.code === 'LIMIT_FILE_SIZE' ?
+          `Each file must be smaller than ${Math.round(maxFileSize / (1024 * 1024))}MB` :
+          uploadError.code === 'LIMIT_FILE_COUNT' || uploadError.code === 'LIMIT_UNEXPECTED_FILE' ?
+            `A maximum of ${maxFiles} files can be attached` :
+            'Invalid upload',
+        code: 'MEDIA_UPLOAD_ERROR'
+      });
+    }
+
+    try {
+      req.body = JSON.parse(req.body?.report || '{}');
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Report data must be sent as JSON in the "report" field'
+      });
+    }
+
+    // Client-supplied media URLs are not accepted alongside uploads
+    delete req.body.media;
+
+    fileUploadValidation('image')(req, res, next);
+  });
+};
+
 // Apply middleware to all routes
 router.use(userTypeDetection);
 router.use(requireNonQuarantined);
@@ -185,6 +306,7 @@ router.use(requireNonQuarantined);
 // ✅ FIXED: POST /api/reports - Ultra-fast submission with graceful degradation
 router.post('/', 
   submitRateLimit,
+  reportMediaUpload,
   reportSanitization(),
   validationRules.reportSubmission, 
   validationErrorHandler(), 
@@ -204,7 +326,7 @@ router.post('/',
         behaviorSignature,
         idempotencyKey,
         culturalContext = {},
-        timeContext = {}
+        incidentTime
       } = req.body;
 
       // Enhanced validation with female safety types
@@ -224,6 +346,16 @@ router.post('/',
       
       const isFemaleSafetyReport = femaleSafetyTypes.includes(type);
 
+      // NEW: When the incident happened - drives timeOfDayRisk (Bangladesh time)
+      const incidentTiming = parseIncidentTime(incidentTime);
+      if (incidentTiming.error) {
+        return res.status(400).json({
+          success: false,
+          message: incidentTiming.error,
+          code: 'INVALID_INCIDENT_TIME'
+        });
+      }
+
       // Enhanced deduplication check results
       const deduplicationResult = req.deduplicationCheck || { 
         isDuplicate: false,
@@ -253,6 +385,24 @@ router.post('/',
         }
       }
 
+      // NEW: Re-encode uploaded evidence (strips EXIF/GPS) before anything is persisted
+      let uploadedMedia = [];
+      if (req.files?.length) {
+        try {
+          uploadedMedia = await mediaProcessingService.processUploads(req.files);
+          console.log(`🔒 ${uploadedMedia.length} evidence file(s) re-encoded with metadata stripped`);
+        } catch (mediaError) {
+          if (mediaError instanceof MediaProcessingError) {
+            return res.status(mediaError.statusCode).json({
+              success: false,
+              message: mediaError.message,
+              code: 'MEDIA_REJECTED'
+            });
+          }
+          throw mediaError;
+        }
+      }
+
       // FIXED: Enhanced user handling with fallbacks
       let submittedByUserId;
       let submittedByUserType = req.userContext.userType;
@@ -343,32 +493,12 @@ router.post('/',
         submittedByDeviceFingerprintId = req.userContext.user.securityProfile?.primaryDeviceFingerprint || submittedByDeviceFingerprintId;
       }
 
-      // FIXED: Enhanced location processing with immediate obfuscation
-      let processedLocation = { ...location };
-      if (isFemaleSafetyReport && location.coordinates) {
-        const originalCoords = [...location.coordinates];
-        const obfuscationRadius = 0.002; // 200m for female safety
-        
-        processedLocation.coordinates = [
-          location.coordinates[0] + (Math.random() - 0.5) * obfuscationRadius,
-          location.coordinates[1] + (Math.random() - 0.5) * obfuscationRadius
-        ];
-        processedLocation.originalCoordinates = originalCoords;
-        processedLocation.obfuscated = true;
-        
-        console.log(`🔒 Immediate enhanced obfuscation applied for female safety report`);
-      }
-
-      // Calculate time of day risk
-      const calculateTimeOfDayRisk = () => {
-        const hour = new Date().getHours();
-        if (hour >= 4 && hour < 8) return 'early_morning';
-        if (hour >= 8 && hour < 12) return 'morning';
-        if (hour >= 12 && hour < 17) return 'afternoon';
-        if (hour >= 17 && hour < 20) return 'evening';
-        if (hour >= 20 && hour < 24) return 'night';
-        return 'late_night';
-      };
+      // ENHANCED: Location obfuscation happens in the Report pre-save hook
+      // (deterministic privacy grid, coarser cells for female safety reports)
+      const processedLocation = { ...location };
+
+      // NEW: One-time receipt for anonymous status tracking (only the hash is stored)
+      const receipt = Report.generateReceiptCode();
 
       // Enhanced report data with backward compatibility
       const reportData = {
@@ -380,8 +510,7 @@ router.post('/',
           address: processedLocation.address || null,
           source: processedLocation.source || 'Manual',
           accuracy: processedLocation.accuracy || null,
-          obfuscated: processedLocation.obfuscated || false,
-          originalCoordinates: processedLocation.originalCoordinates,
+          obfuscated: false,
           
           // Enhanced location context
           locationContext: {
@@ -395,7 +524,7 @@ router.post('/',
           }
         },
         severity,
-        media,
+        media: [...(Array.isArray(media) ? media : []), ...uploadedMedia],
         submittedBy: {
           userId: submittedByUserId,
           userType: submittedByUserType,
@@ -408,7 +537,8 @@ router.post('/',
         
         // Female safety specific fields
         genderSensitive: isFemaleSafetyReport,
-        timeOfDayRisk: timeContext.timeOfDayRisk || calculateTimeOfDayRisk(),
+        incidentOccurredAt: incidentTiming.incidentOccurredAt,
+        incidentTime: incidentTiming.incidentTime,
         
         // Cultural context
         culturalContext: {
@@ -445,6 +575,8 @@ router.post('/',
         
         // Deduplication data
         deduplication: {
+          contentHash: deduplicationResult.details?.contentHash,
+          contentHashVersion: deduplicationResult.details?.contentHashVersion,
           duplicateCheck: {
             isDuplicate: deduplicationResult.isDuplicate || false,
             duplicateType: deduplicationResult.duplicateType || 'none',
@@ -485,12 +617,25 @@ router.post('/',
           requiresFemaleValidators: isFemaleSafetyReport,
           femaleValidationsReceived: 0,
           validationHistory: []
+        },
+
+        receipt: {
+          codeHash: receipt.codeHash,
+          issuedAt: new Date()
         }
       };
 
       // Create and save report
       const report = new Report(reportData);
-      await report.save();
+      try {
+        await report.save();
+      } catch (saveError) {
+        // Don't leave orphaned evidence files behind
+        if (uploadedMedia.length) {
+          await mediaProcessingService.removeMedia(uploadedMedia);
+        }
+        throw saveError;
+      }
 
       const submissionTime = Date.now() - startTime;
       
@@ -568,9 +713,19 @@ router.post('/',
             }
           }
 
+          // NEW: k-anonymity check - widen or suppress the public location cell
+          await applyKAnonymity(report._id);
+
+          // NEW: Link likely-same incidents for moderators (never blocks submission)
+          await linkNearDuplicates(report);
+
+          // NEW: Auto-moderation rules (no-op until the fast phase has completed)
+          await evaluateAutoModeration(report._id);
+
           // Invalidate caches with fallbacks
           try {
             await cacheLayer.bumpVersion('reports');
+            await invalidateReportTiles([report], { privacyNeighbours: true });
             await Promise.all([
               cacheLayer.delete('admin:dashboard:stats'),
               cacheLayer.delete('admin:analytics:security'),
@@ -645,6 +800,13 @@ router.post('/',
         status: report.status,
         submissionTime: `${submissionTime}ms`,
         
+        // NEW: Shown once - cannot be recovered if lost
+        receipt: {
+          code: receipt.code,
+          checkUrl: '/report/status',
+          notice: 'Save this code to check your report status later. It cannot be recovered if lost.'
+        },
+        
         // Enhanced processing information
         processing: {
           status: 'queued',
@@ -662,7 +824,7 @@ router.post('/',
         
         // Privacy and security information
         privacy: {
-          locationObfuscated: processedLocation.obfuscated || false,
+          locationObfuscated: report.location.obfuscated || false,
           enhancedPrivacy: isFemaleSafetyReport,
           anonymousSubmission: anonymous
         }
@@ -741,7 +903,11 @@ router.post('/:id/status',
   }
 );
 
-// ✅ ENHANCED: PUT /api/reports/:id/moderate - Enhanced moderation with female safety support
+// Recorded when a legacy PUT /:id/moderate reject arrives without a reason
+const LEGACY_REJECT_REASON = 'No reason given (legacy moderation endpoint)';
+
+// ✅ ENHANCED: PUT /api/reports/:id/moderate - Enhanced moderation with female safety support.
+// Rejections without a reason are accepted here for older clients; /:id/transition requires one.
 router.put('/:id/moderate', 
   requireAdmin,
   adminRateLimit,
@@ -758,7 +924,11 @@ router.put('/:id/moderate',
         culturalSensitivity = 'standard'
       } = req.body;
 
-      return await handleModeration(req, res, id, action, reason, mergeDuplicates, waitForProcessing, femaleModerator, culturalSensitivity);
+      // Legacy clients reject without a reason - keep accepting that, recorded as such
+      const hasReason = typeof reason === 'string' && reason.trim();
+      const moderationReason = action === 'reject' && !hasReason ? LEGACY_REJECT_REASON : reason;
+
+      return await handleModeration(req, res, id, action, moderationReason, mergeDuplicates, waitForProcessing, femaleModerator, culturalSensitivity);
       
     } catch (error) {
       console.error('❌ Error moderating report:', error);
@@ -770,32 +940,530 @@ router.put('/:id/moderate',
   }
 );
 
+// ✅ NEW: GET /api/reports/lifecycle - State machine definition for the moderation UI
+router.get('/lifecycle',
+  requireAdmin,
+  adminRateLimit,
+  (req, res) => {
+    res.json({
+      success: true,
+      data: getLifecycleDefinition()
+    });
+  }
+);
+
+// ✅ NEW: POST /api/reports/:id/transition - Single entry point for every lifecycle action
+router.post('/:id/transition',
+  requireAdmin,
+  adminRateLimit,
+  reportSanitization(),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const {
+        action,
+        reason,
+        mergeDuplicates = false,
+        waitForProcessing = false,
+        femaleModerator = false,
+        culturalSensitivity = 'standard'
+      } = req.body;
+
+      return await handleModeration(req, res, id, action, reason, mergeDuplicates, waitForProcessing, femaleModerator, culturalSensitivity);
+
+    } catch (error) {
+      console.error('❌ Error applying report transition:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update report'
+      });
+    }
+  }
+);
+
+// Bulk moderation limits - request_info posts to each reporter's thread, so it stays single-report only.
+// 3000 IDs stay under express.json()'s default 100kb body limit.
+const MAX_BULK_MODERATION_IDS = 3000;
+const BULK_MODERATION_CHUNK_SIZE = 500;
+const BULK_MODERATION_FIELDS = '_id status type genderSensitive moderation.femaleModeratorRequired ' +
+  'moderation.priority moderation.assignedTo moderation.assignedToName moderation.claimExpiresAt ' +
+  'processingStatus.fastPhaseCompleted receipt.issuedAt';
+
+// ✅ NEW: POST /api/reports/bulk/moderate - Apply one lifecycle action to many reports
+router.post('/bulk/moderate',
+  requireAdmin,
+  adminRateLimit,
+  reportSanitization(),
+  async (req, res) => {
+    try {
+      const {
+        reportIds,
+        action,
+        reason,
+        waitForProcessing = false,
+        femaleModerator = false
+      } = req.body;
+
+      if (!reportLifecycleService.getTransition(action) || action === 'request_info') {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid bulk action. Use one of: ${Object.keys(REPORT_TRANSITIONS).filter(a => a !== 'request_info').join(', ')}`
+        });
+      }
+
+      if (!Array.isArray(reportIds) || reportIds.length === 0 || reportIds.length > MAX_BULK_MODERATION_IDS) {
+        return res.status(400).json({
+          success: false,
+          message: `reportIds must be an array of 1 to ${MAX_BULK_MODERATION_IDS} report IDs`
+        });
+      }
+
+      if (!(await reportLifecycleService.canPerform(req.userContext, action))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions',
+          required: REPORT_TRANSITIONS[action].permission
+        });
+      }
+
+      const username = req.userContext?.user?.roleData?.admin?.username || 'admin';
+      const actor = { userId: req.userContext?.user?._id, username };
+      const { femaleModerator: actsAsFemaleModerator, femaleModerationOverride } = resolveFemaleModerator(req, femaleModerator);
+      const batchId = crypto.randomBytes(12).toString('hex');
+      const ids = [...new Set(reportIds.map(String))];
+      const results = new Map();
+      const pending = new Map(); // reportId -> { from, to } awaiting write confirmation
+
+      const fail = (reportId, code, message) => results.set(reportId, { reportId, success: false, code, message });
+
+      const validIds = ids.filter(reportId => {
+        if (mongoose.Types.ObjectId.isValid(reportId)) return true;
+        fail(reportId, 'INVALID_ID', 'Invalid report ID');
+        return false;
+      });
+
+      for (let i = 0; i < validIds.length; i += BULK_MODERATION_CHUNK_SIZE) {
+        const chunk = validIds.slice(i, i + BULK_MODERATION_CHUNK_SIZE);
+        const reports = await Report.find({ _id: { $in: chunk } }).select(BULK_MODERATION_FIELDS).lean();
+        const found = new Set(reports.map(report => report._id.toString()));
+        chunk.filter(reportId => !found.has(reportId)).forEach(reportId => fail(reportId, 'NOT_FOUND', 'Report not found'));
+
+        const operations = [];
+        for (const report of reports) {
+          const reportId = report._id.toString();
+
+          if (action === 'approve' && !report.processingStatus?.fastPhaseCompleted && waitForProcessing !== true) {
+            fail(reportId, 'PROCESSING_INCOMPLETE', 'Privacy processing has not completed yet');
+            continue;
+          }
+
+          if (report.genderSensitive && report.moderation?.femaleModeratorRequired && !actsAsFemaleModerator &&
+              FEMALE_MODERATOR_ACTIONS.includes(action)) {
+            fail(reportId, 'FEMALE_MODERATOR_REQUIRED', 'This female safety report requires a female moderator');
+            continue;
+          }
+
+          if (moderatorAssignmentService.isClaimedByOther(report, actor.userId)) {
+            fail(reportId, 'ALREADY_CLAIMED', `Report is being reviewed by ${report.moderation.assignedToName || 'another moderator'}`);
+            continue;
+          }
+
+          try {
+            const { from, to, operation } = reportLifecycleService.buildUpdate(report, action, { reason, actor, batchId });
+            // Never overwrite a claim taken while the batch was running; closed reports drop their claim
+            Object.assign(operation.updateOne.filter, moderatorAssignmentService.getClaimableFilter(actor.userId));
+            if (!OPEN_STATUSES.includes(to)) operation.updateOne.update.$unset = CLAIM_UNSET;
+            operations.push(operation);
+            pending.set(reportId, { from, to });
+          } catch (error) {
+            if (!(error instanceof LifecycleError)) throw error;
+            fail(reportId, error.code, error.message);
+          }
+        }
+
+        if (operations.length > 0) {
+          try {
+            await Report.bulkWrite(operations, { ordered: false });
+          } catch (writeError) {
+            // Individual write failures are picked up by the confirmation pass below
+            console.error(`❌ Bulk moderation batch ${batchId} had write errors:`, writeError.message);
+          }
+        }
+      }
+
+      // Confirm which writes landed - the status-pinned filter skips reports changed concurrently
+      const pendingIds = [...pending.keys()];
+      const applied = new Set();
+      for (let i = 0; i < pendingIds.length; i += BULK_MODERATION_CHUNK_SIZE) {
+        const written = await Report.find({
+          _id: { $in: pendingIds.slice(i, i + BULK_MODERATION_CHUNK_SIZE) },
+          'lifecycle.history.batchId': batchId
+        }).select('_id').lean();
+        written.forEach(report => applied.add(report._id.toString()));
+      }
+
+      for (const [reportId, { from, to }] of pending) {
+        if (applied.has(reportId)) {
+          results.set(reportId, { reportId, success: true, from, status: to });
+        } else {
+          fail(reportId, 'CONCURRENT_UPDATE', 'Report changed while the bulk action was running');
+        }
+      }
+
+      const items = ids.map(reportId => results.get(reportId));
+      const succeeded = items.filter(item => item.success);
+      const failed = items.filter(item => !item.success);
+
+      // NEW: bulkWrite skips save hooks - published/withdrawn reports change their cells' k counts
+      if (succeeded.length > 0) {
+        await reevaluatePrivacyCells({ reportIds: succeeded.map(item => item.reportId) });
+      }
+
+      // Invalidate caches once for the whole batch
+      if (succeeded.length > 0) {
+        try {
+          await cacheLayer.bumpVersion('reports');
+          await invalidateReportTiles(succeeded.map(item => item.reportId));
+          await Promise.all([
+            cacheLayer.delete('admin:dashboard:stats'),
+            cacheLayer.delete('admin:analytics:security'),
+            cacheLayer.delete('female_safety:stats'),
+            cacheLayer.delete('community:validation:queue'),
+            cacheLayer.deletePattern('reports:detail:*')
+          ]);
+        } catch (cacheError) {
+          console.warn('Cache invalidation failed (non-critical):', cacheError.message);
+        }
+      }
+
+      // One grouped audit record for the batch
+      await logAdminAction(
+        req,
+        'report_bulk_status_change',
+        { id: batchId, type: 'Report', name: `bulk_${action}` },
+        {
+          batchId,
+          action,
+          reason: reason?.trim() || 'No reason provided',
+          requested: ids.length,
+          succeeded: succeeded.length,
+          failed: failed.length,
+          reportIds: succeeded.map(item => item.reportId),
+          failures: failed.map(item => ({ reportId: item.reportId, code: item.code })),
+          femaleModerator: actsAsFemaleModerator,
+          femaleModerationOverride
+        },
+        'high'
+      );
+
+      try {
+        emitRealtimeUpdate('reports_bulk_moderated', {
+          batchId,
+          action,
+          reportIds: succeeded.map(item => item.reportId),
+          moderatedBy: username
+        });
+      } catch (realtimeError) {
+        console.warn('Real-time notifications failed (non-critical):', realtimeError.message);
+      }
+
+      console.log(`✅ Bulk ${action} ${batchId}: ${succeeded.length}/${ids.length} reports updated by admin ${username}`);
+
+      res.json({
+        success: true,
+        batchId,
+        action,
+        summary: {
+          requested: ids.length,
+          succeeded: succeeded.length,
+          failed: failed.length
+        },
+        results: items
+      });
+
+    } catch (error) {
+      console.error('❌ Error in bulk moderation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to moderate reports'
+      });
+    }
+  }
+);
+
+// ============================================================================
+// NEW: MODERATOR ASSIGNMENT (claims, queues, workload balancing)
+// ============================================================================
+
+/**
+ * Send an assignment service failure as an HTTP response
+ */
+const sendAssignmentError = (res, result) => res.status(result.statusCode || 400).json({
+  success: false,
+  message: result.message,
+  code: result.code,
+  claim: result.claim
+});
+
+// ✅ NEW: GET /api/reports/assignments/queue?view=mine|unassigned - Moderator work queues
+router.get('/assignments/queue',
+  requireAdmin,
+  requirePermission('view_pending_reports'),
+  adminRateLimit,
+  lightSanitization(),
+  async (req, res) => {
+    try {
+      const view = req.query.view === 'mine' ? 'mine' : 'unassigned';
+      const user = req.userContext.user;
+      const reports = await moderatorAssignmentService.getQueue(view, user, {
+        limit: parseInt(req.query.limit) || 50
+      });
+
+      res.json({
+        success: true,
+        data: {
+          view,
+          reports: reports.map(report => ({
+            ...report,
+            claim: moderatorAssignmentService.describeClaim(report, user._id)
+          })),
+          total: reports.length
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error loading moderation queue:', error);
+      res.status(500).json({ success: false, message: 'Failed to load moderation queue' });
+    }
+  }
+);
+
+// ✅ NEW: GET /api/reports/assignments/workload - Active claims per moderator
+router.get('/assignments/workload',
+  requireAdmin,
+  requirePermission('moderate_content'),
+  adminRateLimit,
+  async (req, res) => {
+    try {
+      const moderators = await moderatorAssignmentService.getModeratorWorkload();
+      res.json({
+        success: true,
+        data: {
+          moderators,
+          stats: moderatorAssignmentService.getStats()
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error loading moderator workload:', error);
+      res.status(500).json({ success: false, message: 'Failed to load moderator workload' });
+    }
+  }
+);
+
+// ✅ NEW: POST /api/reports/assignments/distribute - Run auto-distribution now
+router.post('/assignments/distribute',
+  requireAdmin,
+  requirePermission('manage_admins'),
+  adminRateLimit,
+  async (req, res) => {
+    try {
+      const result = await moderatorAssignmentService.autoDistribute();
+      res.json({ success: true, data: result });
+    } catch (error) {
+      console.error('❌ Error distributing reports:', error);
+      res.status(500).json({ success: false, message: 'Failed to distribute reports' });
+    }
+  }
+);
+
+// ✅ NEW: PUT /api/reports/assignments/moderators/:userId - Update a moderator's assignment profile
+router.put('/assignments/moderators/:userId',
+  requireAdmin,
+  requirePermission('manage_admins'),
+  adminRateLimit,
+  lightSanitization(),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { femaleModerator, maxActiveClaims, acceptingAssignments } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ success: false, message: 'Invalid user ID' });
+      }
+
+      const updates = {};
+      if (typeof femaleModerator === 'boolean') updates['roleData.admin.moderatorProfile.femaleModerator'] = femaleModerator;
+      if (typeof acceptingAssignments === 'boolean') updates['roleData.admin.moderatorProfile.acceptingAssignments'] = acceptingAssignments;
+      if (maxActiveClaims !== undefined) {
+        const max = parseInt(maxActiveClaims);
+        if (!Number.isInteger(max) || max < 1 || max > 500) {
+          return res.status(400).json({ success: false, message: 'maxActiveClaims must be between 1 and 500' });
+        }
+        updates['roleData.admin.moderatorProfile.maxActiveClaims'] = max;
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ success: false, message: 'No moderator profile fields provided' });
+      }
+
+      const moderator = await User.findOneAndUpdate(
+        { _id: userId, userType: 'admin' },
+        { $set: updates },
+        { new: true, projection: { _id: 1, 'roleData.admin.username': 1, 'roleData.admin.moderatorProfile': 1 } }
+      ).lean();
+
+      if (!moderator) {
+        return res.status(404).json({ success: false, message: 'Admin user not found' });
+      }
+
+      await logAdminAction(
+        req,
+        'user_permission_change',
+        { id: moderator._id, type: 'User', name: moderator.roleData?.admin?.username },
+        { moderatorProfile: updates },
+        'high'
+      );
+
+      res.json({
+        success: true,
+        data: {
+          userId: moderator._id,
+          username: moderator.roleData?.admin?.username,
+          moderatorProfile: moderator.roleData?.admin?.moderatorProfile
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error updating moderator profile:', error);
+      res.status(500).json({ success: false, message: 'Failed to update moderator profile' });
+    }
+  }
+);
+
+// ✅ NEW: POST /api/reports/:id/claim - Claim a report (or renew your claim)
+router.post('/:id/claim',
+  requireAdmin,
+  requirePermission('moderate_content'),
+  adminRateLimit,
+  async (req, res) => {
+    try {
+      const result = await moderatorAssignmentService.claim(req.params.id, req.userContext.user);
+      if (!result.success) return sendAssignmentError(res, result);
+
+      moderatorAssignmentService.notifyAdmins('report_claimed', {
+        reportId: req.params.id,
+        assignedTo: result.claim.assignedTo,
+        claimedBy: result.claim.assignedToName,
+        claimExpiresAt: result.claim.claimExpiresAt
+      });
+
+      res.json({ success: true, renewed: result.renewed, data: result.claim });
+    } catch (error) {
+      console.error('❌ Error claiming report:', error);
+      res.status(500).json({ success: false, message: 'Failed to claim report' });
+    }
+  }
+);
+
+// ✅ NEW: DELETE /api/reports/:id/claim - Release a claim (super admins may force-release)
+router.delete('/:id/claim',
+  requireAdmin,
+  requirePermission('moderate_content'),
+  adminRateLimit,
+  async (req, res) => {
+    try {
+      const user = req.userContext.user;
+      const force = req.query.force === 'true' && moderatorAssignmentService.isSuperAdmin(user);
+      const result = await moderatorAssignmentService.release(req.params.id, user, { force });
+      if (!result.success) return sendAssignmentError(res, result);
+
+      moderatorAssignmentService.notifyAdmins('report_claim_released', { reportId: req.params.id });
+
+      res.json({ success: true, message: 'Claim released' });
+    } catch (error) {
+      console.error('❌ Error releasing report claim:', error);
+      res.status(500).json({ success: false, message: 'Failed to release claim' });
+    }
+  }
+);
+
+// Actions that must be taken by a female moderator on female safety reports
+const FEMALE_MODERATOR_ACTIONS = ['approve', 'reject', 'verify', 'request_info'];
+
+/**
+ * Female moderator status comes from the admin's moderator profile, not the
+ * request body. A super admin may still override by sending femaleModerator: true.
+ */
+const resolveFemaleModerator = (req, requested) => {
+  const user = req.userContext?.user;
+  const fromProfile = moderatorAssignmentService.isFemaleModerator(user);
+  const femaleModerationOverride = requested === true && !fromProfile && moderatorAssignmentService.isSuperAdmin(user);
+  return { femaleModerator: fromProfile || femaleModerationOverride, femaleModerationOverride };
+};
+
 /**
- * FIXED: Shared moderation handler with full fallback support
+ * ENHANCED: Shared moderation handler - every status change goes through the
+ * lifecycle state machine and is written to the audit log
  */
 async function handleModeration(req, res, id, action, reason, mergeDuplicates, waitForProcessing, femaleModerator, culturalSensitivity) {
-  if (!['approve', 'reject'].includes(action)) {
+  // Same answer as the claim routes - a malformed ID is a bad request, not a server error
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid report ID',
+      code: 'INVALID_ID'
+    });
+  }
+
+  if (!reportLifecycleService.getTransition(action)) {
     return res.status(400).json({ 
       success: false, 
-      message: 'Invalid moderation action' 
+      message: `Invalid moderation action. Use one of: ${Object.keys(REPORT_TRANSITIONS).join(', ')}`
     });
   }
 
-  const report = await Report.findById(id);
-  if (!report) {
-    return res.status(404).json({ 
-      success: false, 
-      message: 'Report not found' 
+  const report = await Report.findById(id);
+  if (!report) {
+    return res.status(404).json({ 
+      success: false, 
+      message: 'Report not found' 
+    });
+  }
+
+  try {
+    reportLifecycleService.validate(report, action, reason);
+  } catch (error) {
+    if (error instanceof LifecycleError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        ...(error.details || {})
+      });
+    }
+    throw error;
+  }
+
+  const transition = reportLifecycleService.getTransition(action);
+  if (!(await reportLifecycleService.canPerform(req.userContext, action))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions',
+      required: transition.permission
     });
   }
 
-  if (!['pending', 'flagged'].includes(report.status)) {
-    return res.status(400).json({ 
-      success: false, 
-      message: 'Report already moderated' 
+  // Another moderator holds a live claim on this report
+  if (moderatorAssignmentService.isClaimedByOther(report, req.userContext?.user?._id)) {
+    return res.status(409).json({
+      success: false,
+      message: `Report is being reviewed by ${report.moderation.assignedToName || 'another moderator'}`,
+      code: 'ALREADY_CLAIMED',
+      claim: moderatorAssignmentService.describeClaim(report, req.userContext?.user?._id)
     });
   }
 
+  let femaleModerationOverride;
+  ({ femaleModerator, femaleModerationOverride } = resolveFemaleModerator(req, femaleModerator));
+
   // Enhanced processing check for female safety reports
   if (!report.processingStatus?.fastPhaseCompleted && action === 'approve') {
     if (waitForProcessing !== true) {
@@ -816,17 +1484,18 @@ async function handleModeration(req, res, id, action, reason, mergeDuplicates, w
   }
 
   // Validate female moderator requirement
-  if (report.genderSensitive && report.moderation?.femaleModeratorRequired && !femaleModerator) {
+  if (report.genderSensitive && report.moderation?.femaleModeratorRequired && !femaleModerator &&
+      FEMALE_MODERATOR_ACTIONS.includes(action)) {
     return res.status(400).json({
       success: false,
       message: 'This female safety report requires moderation by a female moderator.',
       requiresFemaleModerator: true,
-      canOverride: req.userContext?.user?.roleData?.admin?.permissions?.includes('override_female_moderation')
+      canOverride: moderatorAssignmentService.isSuperAdmin(req.userContext?.user)
     });
   }
 
   // Handle duplicate merging with enhanced logic
-  if (mergeDuplicates && report.moderation?.isDuplicateOf) {
+  if (mergeDuplicates && report.moderation?.isDuplicateOf && ['approve', 'reject'].includes(action)) {
     try {
       const originalReport = await Report.findById(report.moderation.isDuplicateOf);
       if (originalReport) {
@@ -850,11 +1519,17 @@ async function handleModeration(req, res, id, action, reason, mergeDuplicates, w
     }
   }
 
-  // Update report status with enhanced context
-  report.status = action === 'approve' ? 'approved' : 'rejected';
-  report.moderatedAt = new Date();
-  report.moderatedBy = req.userContext?.user?._id;
-  report.moderationReason = reason || null;
+  // Apply the transition (status, moderation fields and lifecycle history)
+  const username = req.userContext?.user?.roleData?.admin?.username || 'admin';
+  const { from, to } = reportLifecycleService.apply(report, action, {
+    reason,
+    actor: { userId: req.userContext?.user?._id, username }
+  });
+
+  // A decided report no longer needs its moderator claim
+  if (!OPEN_STATUSES.includes(to)) {
+    Object.keys(CLAIM_UNSET).forEach(path => report.set(path, undefined));
+  }
   
   // Enhanced moderation context
   if (report.genderSensitive) {
@@ -865,28 +1540,39 @@ async function handleModeration(req, res, id, action, reason, mergeDuplicates, w
 
   await report.save();
 
+  // Request-more-info sends the reason to the reporter's follow-up thread
+  let followUpMessage = null;
+  if (action === 'request_info') {
+    followUpMessage = await postModeratorMessage(req, report, reason);
+  }
+
   // Enhanced audit logging
   await logAdminAction(
     req,
-    'moderate_report',
-    { id: report._id, type: 'report' },
+    'report_status_change',
+    { id: report._id, type: 'Report', name: report.type },
     { 
-      action, 
-      reason: reason || 'No reason provided',
+      action,
+      from,
+      to,
+      reason: reason?.trim() || 'No reason provided',
+      followUpMessageId: followUpMessage?._id,
       wasDuplicate: report.deduplication?.duplicateCheck?.isDuplicate,
       duplicateType: report.deduplication?.duplicateCheck?.duplicateType,
       mergeDuplicates,
       processingComplete: report.processingStatus?.allPhasesCompleted,
       isFemaleSafety: report.genderSensitive,
       femaleModerator,
+      femaleModerationOverride,
       culturalSensitivity
     },
-    'medium'
+    ['unapprove', 'reopen'].includes(action) || femaleModerationOverride ? 'high' : 'medium'
   );
 
   // Invalidate enhanced caches
   try {
     await cacheLayer.bumpVersion('reports');
+    await invalidateReportTiles([report]);
     await Promise.all([
       cacheLayer.delete('admin:dashboard:stats'),
       cacheLayer.delete('admin:analytics:security'),
@@ -903,7 +1589,9 @@ async function handleModeration(req, res, id, action, reason, mergeDuplicates, w
     emitRealtimeUpdate('report_moderated', {
       reportId: report._id,
       action,
-      moderatedBy: req.userContext?.user?.roleData?.admin?.username || 'admin',
+      from,
+      to,
+      moderatedBy: username,
       wasDuplicate: report.deduplication?.duplicateCheck?.isDuplicate,
       processingComplete: report.processingStatus?.allPhasesCompleted,
       isFemaleSafety: report.genderSensitive,
@@ -924,9 +1612,12 @@ async function handleModeration(req, res, id, action, reason, mergeDuplicates, w
 
   res.json({
     success: true,
-    message: `${report.genderSensitive ? 'Female safety ' : ''}report ${action}d successfully`,
+    message: `${report.genderSensitive ? 'Female safety report' : 'Report'} ${transition.pastTense}`,
     reportId: report._id,
+    action,
+    from,
     status: report.status,
+    availableActions: reportLifecycleService.getAvailableActions(report.status),
     processing: {
       completed: report.processingStatus?.allPhasesCompleted,
       progress: report.processingStatus || {}
@@ -943,7 +1634,7 @@ async function handleModeration(req, res, id, action, reason, mergeDuplicates, w
     } : null
   });
 
-  console.log(`✅ ${report.genderSensitive ? 'Female safety ' : ''}report ${action}d: ${report._id} by ${femaleModerator ? 'female ' : ''}admin ${req.userContext?.user?.roleData?.admin?.username || 'admin'}`);
+  console.log(`✅ ${report.genderSensitive ? 'Female safety ' : ''}report ${report._id} ${from} → ${to} (${action}) by ${femaleModerator ? 'female ' : ''}admin ${username}`);
 }
 
 // ✅ BACKWARD COMPATIBILITY: POST /:id/validate - Community validation (maintained exactly)
@@ -1122,6 +1813,7 @@ router.post('/:id/validate',
       // Invalidate validation caches
       try {
         await cacheLayer.bumpVersion('reports');
+        await invalidateReportTiles([report]);
         await Promise.all([
           cacheLayer.delete('community:validation:queue'),
           cacheLayer.delete('female_safety:validation:stats'),
@@ -1173,21 +1865,48 @@ router.post('/:id/validate',
   }
 );
 
+// NEW: GET /api/reports/tiles/:z/:x/:y - Published reports clustered server-side for one map tile
+router.get('/tiles/:z/:x/:y',
+  tileRateLimit,
+  lightSanitization(),
+  async (req, res) => {
+    try {
+      const { tile, filters, filterKey, error } = reportTileService.parseRequest(req.params, req.query);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const { data, cached } = await reportTileService.getTile(tile, filters, filterKey);
+
+      res.setHeader('X-Cache', cached ? 'HIT' : 'MISS');
+      res.json({
+        success: true,
+        tile: { ...tile, bounds: reportTileService.tileBounds(tile.z, tile.x, tile.y) },
+        count: data.features.reduce((total, feature) => total + (feature.properties.point_count || 1), 0),
+        data
+      });
+    } catch (error) {
+      console.error('❌ Error building report tile:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build report tile'
+      });
+    }
+  }
+);
+
 // ✅ ENHANCED: GET /api/reports - Enhanced reports fetching with female safety filtering
 router.get('/',
   apiRateLimit,
   lightSanitization(),
+  // FIXED: Key on every parameter (dates, timeOfDay, area, cursor...) and keep admin results apart
   cacheMiddleware(300, (req) => {
-    const { lat, lng, radius, type, severity, genderSensitive, includeProcessing } = req.query;
-    return cacheLayer.generateKey('cache', 'reports', 'public', 
-      `${lat}_${lng}_${radius}_${type}_${severity}_${genderSensitive}_${includeProcessing}`);
+    const audience = req.userContext?.userType === 'admin' ? 'admin' : 'public';
+    return cacheLayer.generateKey('cache', 'reports', audience, listingCacheKey('list', req.query));
   }, 'reports'),
   async (req, res) => {
     try {
       const {
-        lat,
-        lng, 
-        radius = 10000,
         type,
         severity,
         genderSensitive,
@@ -1201,9 +1920,18 @@ router.get('/',
         // OLD API compatibility
         status,
         sortBy = 'createdAt',
-        sortOrder = 'desc'
+        sortOrder = 'desc',
+        cursor
       } = req.query;
 
+      // NEW: Viewport (bbox/polygon) or radius, and a keyset sort for cursors
+      const location = parseLocationFilter(req.query);
+      const sort = parseSort(sortBy, sortOrder);
+      const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+      if (location.error || sort.error) {
+        return res.status(400).json({ success: false, message: location.error || sort.error });
+      }
+
       // Build enhanced query
       let query = {};
 
@@ -1218,6 +1946,11 @@ router.get('/',
         }
       }
 
+      // NEW: Hide reports whose privacy cell has fewer than k reports
+      if (req.userContext?.userType !== 'admin') {
+        query['location.privacy.suppressed'] = { $ne: true };
+      }
+
       // Processing filter - exclude reports still being processed
       if (includeProcessing !== 'true') {
         query['processingStatus.fastPhaseCompleted'] = true;
@@ -1254,16 +1987,8 @@ router.get('/',
       }
 
       // Location-based filtering
-      if (lat && lng) {
-        query.location = {
-          $near: {
-            $geometry: {
-              type: 'Point',
-              coordinates: [parseFloat(lng), parseFloat(lat)]
-            },
-            $maxDistance: parseInt(radius)
-          }
-        };
+      if (location.filter) {
+        Object.assign(query, location.filter);
       }
 
       // Type filtering with female safety support
@@ -1288,26 +2013,41 @@ router.get('/',
       }
 
       // Execute query with enhanced selection
-      const selectFields = `
-        type location severity status createdAt anonymous genderSensitive
-        timeOfDayRisk culturalContext.conservativeArea
-        processingStatus.allPhasesCompleted communityValidation.communityTrustScore
-      `;
+      const selectFields = PUBLIC_REPORT_FIELDS;
 
       // Admin gets additional fields
       const adminFields = req.userContext?.userType === 'admin' ? ' +location.originalCoordinates securityScore' : '';
 
-      const reports = await Report.find(query)
-        .select(selectFields + adminFields)
-        .limit(parseInt(limit))
-        .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+      // NEW: Cursors are bound to this exact query and audience
+      const queryHash = hashQuery(req.query, req.userContext?.userType === 'admin' ? 'admin' : 'public');
+      if (cursor) {
+        const decoded = decodeCursor(cursor, sort, queryHash);
+        if (decoded.error) {
+          return res.status(400).json({ success: false, message: decoded.error });
+        }
+        applyCursorFilter(query, decoded.filter);
+      }
+
+      // One extra row tells us whether another page exists
+      const rows = await Report.find(query)
+        .select(selectFields + adminFields + ' updatedAt')
+        .sort(sort.spec)
+        .limit(pageSize + 1)
         .lean();
+      const hasMore = rows.length > pageSize;
+      const reports = hasMore ? rows.slice(0, pageSize) : rows;
 
       res.json({
         success: true,
         data: reports,
         count: reports.length,
-        radius: parseInt(radius),
+        radius: location.area?.radius,
+        area: location.area,
+        pagination: {
+          limit: pageSize,
+          hasMore,
+          nextCursor: hasMore ? encodeCursor(reports[reports.length - 1], sort, queryHash) : null
+        },
         filters: {
           excludeDuplicates: excludeDuplicates === 'true',
           includeProcessing: includeProcessing === 'true',
@@ -1323,6 +2063,10 @@ router.get('/',
       });
 
     } catch (error) {
+      // Self-intersecting or otherwise unusable polygons are rejected by MongoDB
+      if (error.code === 2 && req.query.polygon) {
+        return res.status(400).json({ success: false, message: 'Invalid polygon' });
+      }
       console.error('❌ Error fetching reports:', error);
       res.status(500).json({ 
         success: false, 
@@ -1342,7 +2086,7 @@ router.delete('/:id',
       const { id } = req.params;
       const { reason = 'Admin deletion', preserveForAudit = false } = req.body;
 
-      const report = await Report.findById(id);
+      const report = await Report.findById(id).select('+location.privacy.cellIds');
       if (!report) {
         return res.status(404).json({ 
           success: false, 
@@ -1376,6 +2120,18 @@ router.delete('/:id',
       } else {
         // Actual deletion
         await Report.findByIdAndDelete(id);
+
+        // NEW: Deletions leave no updatedAt for the rollup sweep to find
+        reportRollupService.markDirty(report);
+        // NEW: ...nor for delta sync clients holding a copy
+        await recordSyncRemoval('report', report._id);
+        // NEW: ...and its privacy cell may drop below k
+        await reevaluatePrivacyCells({ cellIds: report.location?.privacy?.cellIds || [] });
+
+        // NEW: Remove stored evidence files with the report
+        if (mediaProcessingService && report.media?.some(item => item.storageKey)) {
+          await mediaProcessingService.removeMedia(report.media);
+        }
         console.log(`🗑️ Report ${id} deleted (was ${report.genderSensitive ? 'female safety' : 'standard'}) by admin ${req.userContext?.user?.roleData?.admin?.username || 'admin'}`);
       }
 
@@ -1391,6 +2147,7 @@ router.delete('/:id',
       // Enhanced cache invalidation
       try {
         await cacheLayer.bumpVersion('reports');
+        await invalidateReportTiles([report]);
         await Promise.all([
           cacheLayer.delete(`reports:detail:${id}`),
           cacheLayer.delete('admin:dashboard:stats'),
@@ -1544,38 +2301,25 @@ router.get('/stats/summary',
   cacheMiddleware(300, () => cacheLayer.generateKey('cache', 'reports', 'summary')),
   async (req, res) => {
     try {
-      const summary = await Report.aggregate([
-        {
-          $group: {
-            _id: null,
-            totalReports: { $sum: 1 },
-            pendingReports: {
-              $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
-            },
-            approvedReports: {
-              $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] }
-            },
-            femaleSafetyReports: {
-              $sum: { $cond: ['$genderSensitive', 1, 0] }
-            },
-            processingReports: {
-              $sum: { $cond: ['$processingStatus.isProcessing', 1, 0] }
-            },
-            avgSeverity: { $avg: '$severity' },
-            recentReports: {
-              $sum: {
-                $cond: [
-                  { $gte: ['$createdAt', new Date(Date.now() - 24 * 60 * 60 * 1000)] },
-                  1,
-                  0
-                ]
-              }
-            }
-          }
-        }
+      // ENHANCED: Counts come from the report rollups instead of scanning every report
+      const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const [overall, byStatus, recent, processingReports] = await Promise.all([
+        reportRollupService.total({ basis: 'submitted', granularity: 'week' }),
+        reportRollupService.query({ basis: 'submitted', granularity: 'week', groupBy: ['status'] }),
+        reportRollupService.total({ basis: 'submitted', granularity: 'hour', from: getBucketStart(dayAgo, 'hour') }),
+        Report.countDocuments({ 'processingStatus.isProcessing': true })
       ]);
-
-      const stats = summary[0] || {};
+      const countByStatus = (status) => byStatus.find(row => row.status === status)?.count || 0;
+
+      const stats = {
+        totalReports: overall.count,
+        pendingReports: countByStatus('pending'),
+        approvedReports: countByStatus('approved'),
+        femaleSafetyReports: overall.genderSensitive,
+        processingReports,
+        avgSeverity: overall.averageSeverity,
+        recentReports: recent.count
+      };
 
       res.json({
         success: true,
@@ -1600,6 +2344,349 @@ router.get('/stats/summary',
   }
 );
 
+/**
+ * NEW: Map internal status to what a reporter sees via their receipt
+ */
+const getReceiptOutcome = (report) => {
+  const outcomes = {
+    pending: { stage: 'received', message: 'Your report has been received and is waiting for review.' },
+    under_review: { stage: 'in_review', message: 'A moderator is reviewing your report.' },
+    flagged: { stage: 'in_review', message: 'Your report needs additional review before a decision is made.' },
+    approved: { stage: 'published', message: 'Your report was approved and is now visible on the safety map.' },
+    verified: { stage: 'published', message: 'Your report was verified and is now visible on the safety map.' },
+    rejected: { stage: 'closed', message: 'Your report was reviewed and not published.' },
+    archived: { stage: 'closed', message: 'Your report has been archived.' }
+  };
+
+  return outcomes[report.status] || outcomes.pending;
+};
+
+// ✅ NEW: GET /api/reports/receipt/:code - Anonymous status check by receipt code
+router.get('/receipt/:code',
+  receiptRateLimit,
+  lightSanitization(),
+  async (req, res) => {
+    try {
+      const lookup = Report.findByReceiptCode(req.params.code);
+      const report = lookup ? await lookup
+        .select('type severity status createdAt moderatedAt moderationReason genderSensitive receipt followUp')
+        .lean() : null;
+
+      // Same response for malformed and unknown codes
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'No report found for this receipt code'
+        });
+      }
+
+      const outcome = getReceiptOutcome(report);
+
+      // Non-critical bookkeeping
+      Report.updateOne(
+        { _id: report._id },
+        { $set: { 'receipt.lastCheckedAt': new Date() }, $inc: { 'receipt.checkCount': 1 } }
+      ).catch(error => console.warn('Receipt check tracking failed (non-critical):', error.message));
+
+      res.json({
+        success: true,
+        data: {
+          type: report.type,
+          severity: report.severity,
+          status: report.status,
+          stage: outcome.stage,
+          message: outcome.message,
+          // Moderator note is only shared once a decision has been made
+          moderationReason: ['approved', 'verified', 'rejected'].includes(report.status) ?
+            report.moderationReason || null : null,
+          submittedAt: report.createdAt,
+          reviewedAt: report.moderatedAt || null,
+          genderSensitive: report.genderSensitive,
+          followUp: {
+            hasMessages: (report.followUp?.messageCount || 0) > 0,
+            awaitingReply: report.followUp?.awaitingReporterReply || false
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error checking report receipt:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check report status'
+      });
+    }
+  }
+);
+
+// ============================================================================
+// NEW: FOLLOW-UP THREAD (moderator <-> anonymous reporter)
+// ============================================================================
+
+const MAX_FOLLOW_UP_MESSAGE_LENGTH = 1000;
+const MAX_REPORTER_MESSAGES = 20;
+
+/**
+ * Validate a follow-up message body
+ */
+const validateFollowUpBody = (body) => {
+  if (typeof body !== 'string' || body.trim().length === 0) {
+    return 'Message cannot be empty';
+  }
+  if (body.trim().length > MAX_FOLLOW_UP_MESSAGE_LENGTH) {
+    return `Message must be ${MAX_FOLLOW_UP_MESSAGE_LENGTH} characters or less`;
+  }
+  return null;
+};
+
+/**
+ * Post a moderator message to a report's follow-up thread, update the thread
+ * summary, audit it and notify a reporter who is watching the thread
+ */
+const postModeratorMessage = async (req, report, body) => {
+  const message = await ReportMessage.create({
+    reportId: report._id,
+    senderType: 'moderator',
+    moderator: {
+      userId: req.userContext?.user?._id,
+      username: req.userContext?.user?.roleData?.admin?.username || 'admin'
+    },
+    body: body.trim()
+  });
+
+  await Report.updateOne({ _id: report._id }, {
+    $inc: { 'followUp.messageCount': 1 },
+    $set: { 'followUp.lastMessageAt': message.createdAt, 'followUp.awaitingReporterReply': true }
+  });
+
+  await logAdminAction(
+    req,
+    'report_follow_up_message',
+    { id: report._id, type: 'Report', name: report.type },
+    { messageId: message._id, length: message.body.length },
+    'low'
+  );
+
+  try {
+    if (global.socketHandler && typeof global.socketHandler.emitToReportThread === 'function') {
+      global.socketHandler.emitToReportThread(report._id.toString(), 'report_follow_up_message', {
+        message: message.toReporterView()
+      });
+    }
+  } catch (realtimeError) {
+    console.warn('Real-time notification failed (non-critical):', realtimeError.message);
+  }
+
+  return message;
+};
+
+// ✅ NEW: GET /api/reports/receipt/:code/messages - Reporter reads their thread
+router.get('/receipt/:code/messages',
+  receiptRateLimit,
+  lightSanitization(),
+  async (req, res) => {
+    try {
+      const lookup = Report.findByReceiptCode(req.params.code);
+      const report = lookup ? await lookup.select('_id followUp').lean() : null;
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'No report found for this receipt code'
+        });
+      }
+
+      const messages = await ReportMessage.find({ reportId: report._id }).sort({ createdAt: 1 });
+      await ReportMessage.markReadFrom(report._id, 'moderator');
+
+      res.json({
+        success: true,
+        data: {
+          messages: messages.map(message => message.toReporterView()),
+          canReply: (report.followUp?.messageCount || 0) > 0
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error loading follow-up messages for receipt:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load messages'
+      });
+    }
+  }
+);
+
+// ✅ NEW: POST /api/reports/receipt/:code/messages - Reporter answers a moderator
+router.post('/receipt/:code/messages',
+  receiptRateLimit,
+  reportSanitization(),
+  async (req, res) => {
+    try {
+      const validationError = validateFollowUpBody(req.body.body);
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      const lookup = Report.findByReceiptCode(req.params.code);
+      const report = lookup ? await lookup.select('_id status type followUp').lean() : null;
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'No report found for this receipt code'
+        });
+      }
+
+      // Reporters can only answer once a moderator has opened the thread
+      if (!report.followUp?.messageCount || report.status === 'archived') {
+        return res.status(403).json({
+          success: false,
+          message: 'There are no open questions on this report'
+        });
+      }
+
+      const reporterMessages = await ReportMessage.countDocuments({ reportId: report._id, senderType: 'reporter' });
+      if (reporterMessages >= MAX_REPORTER_MESSAGES) {
+        return res.status(429).json({
+          success: false,
+          message: 'Message limit reached for this report'
+        });
+      }
+
+      const message = await ReportMessage.create({
+        reportId: report._id,
+        senderType: 'reporter',
+        body: req.body.body.trim()
+      });
+
+      await Report.updateOne({ _id: report._id }, {
+        $inc: { 'followUp.messageCount': 1, 'followUp.unreadByModerators': 1 },
+        $set: { 'followUp.lastMessageAt': message.createdAt, 'followUp.awaitingReporterReply': false }
+      });
+
+      try {
+        if (global.socketHandler && typeof global.socketHandler.emitToAdmins === 'function') {
+          await global.socketHandler.emitToAdmins('report_follow_up_message', {
+            reportId: report._id,
+            reportType: report.type,
+            message: {
+              id: message._id,
+              from: 'reporter',
+              body: message.body,
+              createdAt: message.createdAt
+            }
+          });
+        }
+      } catch (realtimeError) {
+        console.warn('Real-time notification failed (non-critical):', realtimeError.message);
+      }
+
+      res.status(201).json({
+        success: true,
+        data: message.toReporterView()
+      });
+
+    } catch (error) {
+      console.error('❌ Error posting reporter follow-up message:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send message'
+      });
+    }
+  }
+);
+
+// ✅ NEW: GET /api/reports/:id/messages - Moderator view of the follow-up thread
+router.get('/:id/messages',
+  requireAdmin,
+  requirePermission('moderate_content'),
+  adminRateLimit,
+  lightSanitization(),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const report = await Report.findById(id).select('_id followUp').lean();
+      if (!report) {
+        return res.status(404).json({ success: false, message: 'Report not found' });
+      }
+
+      const messages = await ReportMessage.find({ reportId: id }).sort({ createdAt: 1 }).lean();
+      await ReportMessage.markReadFrom(id, 'reporter');
+      await Report.updateOne({ _id: id }, { $set: { 'followUp.unreadByModerators': 0 } });
+
+      res.json({
+        success: true,
+        data: {
+          messages: messages.map(message => ({
+            id: message._id,
+            from: message.senderType,
+            body: message.body,
+            moderator: message.moderator?.username || null,
+            createdAt: message.createdAt,
+            read: Boolean(message.readAt)
+          })),
+          followUp: report.followUp
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error loading follow-up messages:', error);
+      res.status(500).json({ success: false, message: 'Failed to load messages' });
+    }
+  }
+);
+
+// ✅ NEW: POST /api/reports/:id/messages - Moderator asks the reporter a question
+router.post('/:id/messages',
+  requireAdmin,
+  requirePermission('moderate_content'),
+  adminRateLimit,
+  reportSanitization(),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const validationError = validateFollowUpBody(req.body.body);
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      const report = await Report.findById(id).select('_id type status receipt.issuedAt').lean();
+      if (!report) {
+        return res.status(404).json({ success: false, message: 'Report not found' });
+      }
+
+      // Reports submitted before receipts existed have no way to be read by the reporter
+      if (!report.receipt?.issuedAt) {
+        return res.status(409).json({
+          success: false,
+          message: 'This report has no receipt, so the reporter cannot receive messages'
+        });
+      }
+
+      const message = await postModeratorMessage(req, report, req.body.body);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          id: message._id,
+          from: 'moderator',
+          body: message.body,
+          moderator: message.moderator.username,
+          createdAt: message.createdAt,
+          read: false
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error posting moderator follow-up message:', error);
+      res.status(500).json({ success: false, message: 'Failed to send message' });
+    }
+  }
+);
+
 // ✅ NEW: GET /api/reports/:id - Get single report details (with processing status)
 router.get('/:id',
   apiRateLimit,
@@ -1614,7 +2701,7 @@ router.get('/:id',
         .populate('moderatedBy', 'roleData.admin.username')
         .select(`
           type description location severity status createdAt moderatedAt moderationReason
-          genderSensitive timeOfDayRisk culturalContext anonymous
+          genderSensitive incidentOccurredAt incidentTime timeOfDayRisk culturalContext anonymous
           processingStatus communityValidation deduplication securityFlags
         `)
         .lean();
@@ -1635,6 +2722,11 @@ router.get('/:id',
       // Filter sensitive information for non-admin, non-owner users
       if (!isAdmin && !isOwner) {
         delete report.location?.originalCoordinates;
+
+        // NEW: Area only - no point location while the privacy cell is below k
+        if (report.location?.privacy?.suppressed) {
+          delete report.location.coordinates;
+        }
         delete report.submittedBy;
         delete report.deduplication;
         delete report.securityFlags;
@@ -1788,7 +2880,7 @@ router.get('/pending',
         .select(`
           type description location severity status createdAt submittedBy 
           moderation deduplication securityFlags processingStatus
-          genderSensitive timeOfDayRisk culturalContext communityValidation
+          genderSensitive incidentOccurredAt incidentTime timeOfDayRisk culturalContext communityValidation
         `)
         .sort({ 
           // Enhanced sorting: female safety reports first, then by priority, then by date
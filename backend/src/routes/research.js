@@ -0,0 +1,377 @@
+// === backend/src/routes/research.js ===
+// Anonymized research datasets for SafeStreets Bangladesh
+// Exports are built in the background; only the requester can see or download them.
+// Researchers call these with an API key (X-API-Key) or, for keys, their own
+// session (POST /api/auth/researcher/login); admins with their session.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ResearchExport = require('../models/ResearchExport');
+const ResearchApiKey = require('../models/ResearchApiKey');
+const User = require('../models/User');
+const { userTypeDetection } = require('../middleware/userTypeDetection');
+const { requirePermission, userHasPermission } = require('../middleware/roleBasedAccess');
+const { lightSanitization, adminSanitization } = require('../utils/sanitization');
+const { researchExportService } = require('../services/researchExportService');
+const { researchApiKeyService } = require('../services/researchApiKeyService');
+const { researchApiKeyAuth } = require('../middleware/researchApiKey');
+
+router.use(userTypeDetection);
+
+// Researcher sessions only manage keys - data goes through a metered API key
+router.use('/exports', (req, res, next) => {
+  if (req.userContext?.userType === 'researcher' && !req.headers['x-api-key']) {
+    return res.status(403).json({ success: false, message: 'Research exports need an API key (X-API-Key header)' });
+  }
+  next();
+});
+
+const FILE_KINDS = ['csv', 'geojson', 'ndjson', 'dictionary'];
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  geojson: 'application/geo+json',
+  ndjson: 'application/x-ndjson',
+  dictionary: 'application/json'
+};
+
+// Export summary without internal fields
+const toResponse = (exportJob) => ({
+  id: exportJob._id,
+  status: exportJob.status,
+  params: exportJob.params,
+  result: exportJob.result ? {
+    ...exportJob.result,
+    files: (exportJob.result.files || []).map(({ kind, filename, bytes, sha256 }) => ({ kind, filename, bytes, sha256 }))
+  } : undefined,
+  error: exportJob.error,
+  createdAt: exportJob.createdAt,
+  startedAt: exportJob.startedAt,
+  completedAt: exportJob.completedAt,
+  expiresAt: exportJob.expiresAt
+});
+
+// The requester's own export, or null
+const findOwnExport = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return ResearchExport.findOne({ _id: req.params.id, 'requestedBy.userId': req.userContext.user._id });
+};
+
+// POST /api/research/exports - Start an anonymized dataset export
+router.post('/exports',
+  adminSanitization(),
+  researchApiKeyAuth('exports'),
+  requirePermission('export_anonymized_data'),
+  async (req, res) => {
+    try {
+      const { user, userType } = req.userContext;
+      const bulkAccess = await userHasPermission(req.userContext, 'bulk_data_access');
+      const params = researchExportService.buildParams(req.body, { bulkAccess });
+      if (params.error) {
+        return res.status(400).json({ success: false, message: params.error });
+      }
+
+      const exportJob = await researchExportService.createExport(params, {
+        userId: user._id,
+        userType,
+        username: user.roleData?.[userType]?.username || user.roleData?.[userType]?.email
+      });
+
+      res.status(202).json({ success: true, data: toResponse(exportJob) });
+    } catch (error) {
+      console.error('❌ Error starting research export:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error starting research export',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/research/exports - The requester's exports, newest first
+router.get('/exports',
+  lightSanitization(),
+  researchApiKeyAuth('exports'),
+  requirePermission('export_anonymized_data'),
+  async (req, res) => {
+    try {
+      const exports = await ResearchExport.find({ 'requestedBy.userId': req.userContext.user._id })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .lean();
+
+      res.json({ success: true, count: exports.length, data: exports.map(toResponse) });
+    } catch (error) {
+      console.error('❌ Error fetching research exports:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching research exports',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/research/exports/:id - Status and files of one export
+router.get('/exports/:id',
+  lightSanitization(),
+  researchApiKeyAuth('exports'),
+  requirePermission('export_anonymized_data'),
+  async (req, res) => {
+    try {
+      const exportJob = await findOwnExport(req);
+      if (!exportJob) {
+        return res.status(404).json({ success: false, message: 'Export not found' });
+      }
+
+      res.json({ success: true, data: toResponse(exportJob) });
+    } catch (error) {
+      console.error('❌ Error fetching research export:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching research export',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/research/exports/:id/files/:kind - Download a dataset or its data dictionary
+router.get('/exports/:id/files/:kind',
+  lightSanitization(),
+  researchApiKeyAuth('exports'),
+  requirePermission('export_anonymized_data'),
+  async (req, res) => {
+    try {
+      if (!FILE_KINDS.includes(req.params.kind)) {
+        return res.status(400).json({ success: false, message: `File must be one of: ${FILE_KINDS.join(', ')}` });
+      }
+
+      const exportJob = await findOwnExport(req);
+      if (!exportJob) {
+        return res.status(404).json({ success: false, message: 'Export not found' });
+      }
+      if (exportJob.status !== 'completed') {
+        return res.status(409).json({ success: false, message: `Export is ${exportJob.status}` });
+      }
+
+      const filePath = researchExportService.getFilePath(exportJob, req.params.kind);
+      if (!filePath) {
+        return res.status(404).json({ success: false, message: 'This export has no such file' });
+      }
+
+      res.set('Content-Type', CONTENT_TYPES[req.params.kind]);
+      res.set('Cache-Control', 'no-store');
+      res.download(filePath, (error) => {
+        if (error && !res.headersSent) {
+          res.status(410).json({ success: false, message: 'Export file is no longer available' });
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error downloading research export:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error downloading research export',
+        error: error.message
+      });
+    }
+  }
+);
+
+// --- API keys ---
+// Researchers manage their keys through a key with the "keys" scope; admins with
+// user management issue a researcher's first key and can list and revoke any.
+
+const toKeyResponse = (key) => ({
+  id: key._id,
+  name: key.name,
+  prefix: key.prefix,
+  scopes: key.scopes,
+  rateLimit: key.rateLimit,
+  dailyQuota: key.dailyQuota,
+  usage: key.usage,
+  status: key.revokedAt ? 'revoked' : (key.isActive() ? 'active' : 'expired'),
+  createdBy: key.createdBy?.userType,
+  createdAt: key.createdAt,
+  expiresAt: key.expiresAt,
+  revokedAt: key.revokedAt,
+  revokedReason: key.revokedReason
+});
+
+// Researchers manage only their own keys, with a keys-scoped key or their session
+const isResearcherRequest = (req) => req.userContext.userType === 'researcher';
+
+// A key with the keys scope, a researcher session with API access, or an admin who manages users
+const requireKeyManager = async (req, res, next) => {
+  if (req.userContext.apiKey) return next();
+  if (isResearcherRequest(req)) {
+    // Sessions outlive the login checks - re-check approval, access level and period
+    const ineligible = await researchApiKeyService.checkResearcher(req.userContext.user);
+    if (ineligible) {
+      return res.status(403).json({ success: false, message: ineligible });
+    }
+    return next();
+  }
+  if (req.userContext.userType === 'admin' && await userHasPermission(req.userContext, 'manage_user_permissions')) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    message: 'Managing API keys requires a key with the keys scope, a researcher session or user management permission'
+  });
+};
+
+// Who is acting, for the key's createdBy and the audit log
+const keyActor = (req) => {
+  const { user, userType, apiKey } = req.userContext;
+  return {
+    userId: user._id,
+    userType,
+    username: user.roleData?.[userType]?.username || user.roleData?.[userType]?.email,
+    keyId: apiKey?.id
+  };
+};
+
+// Researchers see their own keys; admins any researcher's
+const findManagedKey = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  const filter = { _id: req.params.id };
+  if (isResearcherRequest(req)) filter.owner = req.userContext.user._id;
+  return ResearchApiKey.findOne(filter);
+};
+
+// POST /api/research/keys - Create a key for yourself (researchers, including a
+// first key from a session) or for researcherId (admins). The key is only shown once.
+router.post('/keys',
+  adminSanitization(),
+  researchApiKeyAuth('keys'),
+  requireKeyManager,
+  async (req, res) => {
+    try {
+      let researcher = req.userContext.user;
+      if (!isResearcherRequest(req)) {
+        if (!mongoose.Types.ObjectId.isValid(req.body.researcherId)) {
+          return res.status(400).json({ success: false, message: 'researcherId is required' });
+        }
+        researcher = await User.findById(req.body.researcherId);
+        if (!researcher) {
+          return res.status(404).json({ success: false, message: 'Researcher not found' });
+        }
+      }
+
+      const params = await researchApiKeyService.buildKeyParams(req.body, {
+        user: researcher,
+        parentKey: req.userContext.apiKey?.key
+      });
+      if (params.error) {
+        return res.status(400).json({ success: false, message: params.error });
+      }
+
+      const result = await researchApiKeyService.createKey(researcher, params, keyActor(req));
+      if (result.error) {
+        return res.status(409).json({ success: false, message: result.error });
+      }
+
+      res.set('Cache-Control', 'no-store');
+      res.status(201).json({
+        success: true,
+        data: { ...toKeyResponse(result.key), key: result.rawKey },
+        message: 'Store this key now - it cannot be shown again'
+      });
+    } catch (error) {
+      console.error('❌ Error creating research API key:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating API key',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/research/keys - A researcher's keys (admins pass ?researcherId)
+router.get('/keys',
+  lightSanitization(),
+  researchApiKeyAuth('keys'),
+  requireKeyManager,
+  async (req, res) => {
+    try {
+      const ownerId = isResearcherRequest(req) ? req.userContext.user._id : req.query.researcherId;
+      if (!mongoose.Types.ObjectId.isValid(ownerId)) {
+        return res.status(400).json({ success: false, message: 'researcherId is required' });
+      }
+
+      const keys = await researchApiKeyService.listKeys(ownerId);
+      res.json({ success: true, count: keys.length, data: keys.map(toKeyResponse) });
+    } catch (error) {
+      console.error('❌ Error fetching research API keys:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching API keys',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/research/keys/:id/usage?days=30 - Daily request counts per endpoint
+router.get('/keys/:id/usage',
+  lightSanitization(),
+  researchApiKeyAuth('keys'),
+  requireKeyManager,
+  async (req, res) => {
+    try {
+      const key = await findManagedKey(req);
+      if (!key) {
+        return res.status(404).json({ success: false, message: 'API key not found' });
+      }
+
+      const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 180);
+      const usage = await researchApiKeyService.getUsage(key, days);
+
+      res.json({
+        success: true,
+        data: {
+          key: toKeyResponse(key),
+          days: usage
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error fetching research API key usage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching API key usage',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/research/keys/:id - Revoke a key immediately
+router.delete('/keys/:id',
+  adminSanitization(),
+  researchApiKeyAuth('keys'),
+  requireKeyManager,
+  async (req, res) => {
+    try {
+      const key = await findManagedKey(req);
+      if (!key) {
+        return res.status(404).json({ success: false, message: 'API key not found' });
+      }
+
+      const reason = typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 500) : undefined;
+      await researchApiKeyService.revokeKey(key, reason, keyActor(req));
+
+      res.json({ success: true, data: toKeyResponse(key) });
+    } catch (error) {
+      console.error('❌ Error revoking research API key:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error revoking API key',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -7,7 +7,9 @@ const { requireAdmin, requirePermission } = require('../middleware/roleBasedAcce
 const { userTypeDetection } = require('../middleware/userTypeDetection'); // Import userTypeDetection
 const { cacheLayer, cacheMiddleware } = require('../middleware/cacheLayer'); // Import Redis caching
 const crypto = require('crypto'); // For hashing cache keys
+const { getBangladeshHour } = require('../utils/bangladeshTime'); // Zone time scores follow Dhaka wall-clock time
 const { lightSanitization, fullSanitization, validationRules, validationErrorHandler } = require('../utils/sanitization');
+const { recordSyncRemoval } = require('../services/syncService');
 
 // Apply user type detection to all routes in this router
 router.use(userTypeDetection);
@@ -161,7 +163,7 @@ router.get('/',
       }
 
       // Calculate current time-based safety score
-      const hour = new Date().getHours();
+      const hour = getBangladeshHour();
       let currentSafetyScore;
       if (hour >= 6 && hour < 12) {
         currentSafetyScore = zone.timeOfDaySafety?.morning || zone.safetyScore;
@@ -610,6 +612,9 @@ router.delete('/admin/:id',
         { id: safeZone._id, type: 'SafeZone', name: safeZone.name }
     );
 
+    // Tell delta sync clients to drop it
+    await recordSyncRemoval('safezone', safeZone._id);
+
     // Invalidate safe zones cache after deletion
     await cacheLayer.bumpVersion('safezones');
     console.log('🗑️ Invalidated safezones cache after deletion');
@@ -0,0 +1,231 @@
+// === backend/src/routes/stats.js ===
+// Report count time series for SafeStreets Bangladesh, read from the hour/day/week
+// report rollups rather than raw reports. Public series only count published reports,
+// nationally, with small counts withheld - per-area figures go through /areas.
+const express = require('express');
+const router = express.Router();
+const { userTypeDetection } = require('../middleware/userTypeDetection');
+const { requirePermission } = require('../middleware/roleBasedAccess');
+const { cacheMiddleware } = require('../middleware/cacheLayer');
+const { lightSanitization, adminSanitization } = require('../utils/sanitization');
+const {
+  reportRollupService,
+  getBucketStart,
+  ROLLUP_BASES,
+  ROLLUP_GRANULARITIES,
+  ROLLUP_GROUP_FIELDS
+} = require('../services/reportRollupService');
+const { areaStatsService, AREA_STATS_LEVELS } = require('../services/areaStatsService');
+
+const HOUR = 60 * 60 * 1000;
+const BUCKET_MS = { hour: HOUR, day: 24 * HOUR, week: 7 * 24 * HOUR };
+const DEFAULT_BUCKETS = { hour: 48, day: 30, week: 26 };
+const MAX_BUCKETS = 1000;
+
+router.use(userTypeDetection);
+
+const parseList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : null);
+
+/**
+ * Validate time series query parameters into rollup query options. Public
+ * series are one national count per bucket: no hourly buckets, no area, type
+ * or severity filters and no groupings. Each of those splits a bucket into
+ * parts, and subtracting the visible parts from the bucket total would give
+ * away a withheld one (per-area figures are suppressed as a whole on /areas).
+ */
+const parseTimeseriesQuery = (query, { isPublic = false } = {}) => {
+  const basis = query.basis || 'occurred';
+  const granularity = query.granularity || 'day';
+  if (!ROLLUP_BASES.includes(basis)) {
+    return { error: `Basis must be one of: ${ROLLUP_BASES.join(', ')}` };
+  }
+  if (!ROLLUP_GRANULARITIES.includes(granularity)) {
+    return { error: `Granularity must be one of: ${ROLLUP_GRANULARITIES.join(', ')}` };
+  }
+
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = getBucketStart(query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_BUCKETS[granularity] * BUCKET_MS[granularity]), granularity);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    return { error: 'from and to must be valid dates with from before to' };
+  }
+  if ((to - from) / BUCKET_MS[granularity] > MAX_BUCKETS) {
+    return { error: `At most ${MAX_BUCKETS} ${granularity} buckets per request - use a coarser granularity` };
+  }
+
+  const groupBy = parseList(query.groupBy) || ['bucket'];
+  const unknownGroup = groupBy.find(field => !ROLLUP_GROUP_FIELDS.includes(field));
+  if (unknownGroup) {
+    return { error: `groupBy must be drawn from: ${ROLLUP_GROUP_FIELDS.join(', ')}` };
+  }
+
+  if (isPublic) {
+    if (granularity === 'hour') {
+      return { error: 'Hourly series are not public - use day or week' };
+    }
+    if (AREA_STATS_LEVELS.some(level => query[level] || groupBy.includes(level))) {
+      return { error: 'Public series are national - per-area figures are at /api/stats/areas/:level/:code' };
+    }
+    if (query.type || query.severity || groupBy.some(field => field !== 'bucket') || !groupBy.includes('bucket')) {
+      return { error: 'Public series are one total per bucket - type and severity breakdowns are at /api/stats/areas/:level/:code' };
+    }
+  }
+
+  return {
+    options: {
+      basis,
+      granularity,
+      from,
+      to,
+      division: query.division || null,
+      district: query.district || null,
+      thana: query.thana || null,
+      types: parseList(query.type),
+      severities: parseList(query.severity),
+      groupBy
+    }
+  };
+};
+
+const sendSeries = (res, options, data, extra = {}) => {
+  res.json({
+    success: true,
+    basis: options.basis,
+    granularity: options.granularity,
+    from: options.from,
+    to: options.to,
+    groupBy: options.groupBy,
+    ...extra,
+    count: data.length,
+    data
+  });
+};
+
+const sendTimeseries = async (req, res, statuses, { isPublic = false } = {}) => {
+  const { options, error } = parseTimeseriesQuery(req.query, { isPublic });
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  if (!isPublic) {
+    return sendSeries(res, options, await reportRollupService.query({ ...options, statuses }));
+  }
+
+  // Public day series are suppressed a whole week at a time, then cut to the range
+  const wholeWeeks = options.granularity === 'day';
+  const rows = await reportRollupService.query({
+    ...options,
+    statuses,
+    from: wholeWeeks ? getBucketStart(options.from, 'week') : options.from,
+    to: wholeWeeks ? new Date(getBucketStart(options.to, 'week').getTime() + BUCKET_MS.week) : options.to
+  });
+  const data = areaStatsService.suppressSeries(rows, options.granularity)
+    .filter(row => row.bucketStart >= options.from && row.bucketStart < options.to);
+  sendSeries(res, options, data, { minCount: areaStatsService.config.minCount });
+};
+
+// GET /api/stats/timeseries - National published report counts per day/week, small counts withheld
+router.get('/timeseries',
+  lightSanitization(),
+  cacheMiddleware(300, (req) => `stats:timeseries:${new URLSearchParams(req.query).toString()}`, 'stats'),
+  async (req, res) => {
+    try {
+      await sendTimeseries(req, res, reportRollupService.config.publicStatuses, { isPublic: true });
+    } catch (error) {
+      console.error('❌ Error fetching report time series:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching report time series',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/stats/timeseries/all - Every report regardless of status, optionally filtered by status
+router.get('/timeseries/all',
+  lightSanitization(),
+  requirePermission('view_admin_analytics'),
+  async (req, res) => {
+    try {
+      await sendTimeseries(req, res, parseList(req.query.status));
+    } catch (error) {
+      console.error('❌ Error fetching admin report time series:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching report time series',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/stats/areas/:level/:code?period=YYYY-Qn|from=YYYY-Qn&to=YYYY-Qn&granularity=day|week|month
+// Suppressed per-area breakdowns and series over completed quarters
+router.get('/areas/:level/:code',
+  lightSanitization(),
+  cacheMiddleware(900, (req) => `stats:area:${req.params.level}:${req.params.code}:${new URLSearchParams(req.query).toString()}`, 'stats'),
+  async (req, res) => {
+    try {
+      const { level, code } = req.params;
+      if (!AREA_STATS_LEVELS.includes(level)) {
+        return res.status(400).json({ success: false, message: `Level must be one of: ${AREA_STATS_LEVELS.join(', ')}` });
+      }
+      if (!/^[\w. -]{1,100}$/.test(code)) {
+        return res.status(400).json({ success: false, message: 'Invalid area code' });
+      }
+
+      const range = areaStatsService.resolveRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ success: false, message: range.error });
+      }
+
+      const data = await areaStatsService.getAreaStats(level, code, range);
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('❌ Error fetching area statistics:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching area statistics',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/stats/rollups - Rollup sync health
+router.get('/rollups',
+  lightSanitization(),
+  requirePermission('system_configuration'),
+  (req, res) => {
+    res.json({ success: true, data: reportRollupService.getStats() });
+  }
+);
+
+// POST /api/stats/rollups/rebuild - Recompute every rollup from raw reports
+router.post('/rollups/rebuild',
+  adminSanitization(),
+  requirePermission('system_configuration'),
+  async (req, res) => {
+    try {
+      const result = await reportRollupService.rebuild();
+
+      if (result.skipped) {
+        return res.status(409).json({ success: false, message: 'A rollup rebuild is already running' });
+      }
+      if (result.error) {
+        return res.status(500).json({ success: false, message: 'Rollup rebuild failed', error: result.error });
+      }
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      console.error('❌ Error rebuilding report rollups:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error rebuilding report rollups',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// === backend/src/routes/sync.js ===
+// Delta sync for SafeStreets Bangladesh
+// Map clients keep published reports and active safe zones locally and ask only
+// for what changed since their last sync token - public projection only.
+// Researchers may use an API key with the sync scope for their own rate limit and quota.
+const express = require('express');
+const router = express.Router();
+const { cacheLayer } = require('../middleware/cacheLayer');
+const { createEnhancedHybridRateLimiter } = require('../middleware/hybridRateLimiter');
+const { researchApiKeyAuth } = require('../middleware/researchApiKey');
+const { lightSanitization } = require('../utils/sanitization');
+const { syncService } = require('../services/syncService');
+
+const syncRateLimit = createEnhancedHybridRateLimiter(cacheLayer).createEnhancedApiRateLimit({ limit: 120, window: 60 });
+
+// GET /api/sync/changes?since=<token>&limit - Created/updated/removed reports and safe zones
+// since the token. No or an expired token returns a full snapshot with reset: true;
+// keep requesting with the returned syncToken while hasMore is true.
+router.get('/changes',
+  lightSanitization(),
+  researchApiKeyAuth('sync'),
+  syncRateLimit,
+  async (req, res) => {
+    try {
+      const { since, limit } = req.query;
+      if (since && !/^[A-Za-z0-9_-]{1,1000}$/.test(since)) {
+        return res.status(400).json({ success: false, message: 'since must be a sync token from a previous response' });
+      }
+
+      const result = await syncService.getChanges(since, { limit });
+
+      // API keys only receive the datasets they are scoped to
+      const datasets = req.userContext?.apiKey?.scopes.datasets;
+      if (datasets) {
+        const empty = { created: [], updated: [], removed: [] };
+        if (!datasets.includes('reports')) result.data.reports = empty;
+        if (!datasets.includes('safe_zones')) result.data.safeZones = empty;
+      }
+
+      // Each response depends on the token, so nothing here is worth caching
+      res.set('Cache-Control', 'no-store');
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('❌ Error fetching sync changes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching changes',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,123 @@
+// === backend/src/routes/territories.js ===
+// Inferred gang territories for SafeStreets Bangladesh
+// Public map layer - polygons come from privacy-grid coordinates, never true locations
+const express = require('express');
+const router = express.Router();
+const GangTerritory = require('../models/GangTerritory');
+const { userTypeDetection } = require('../middleware/userTypeDetection');
+const { requirePermission } = require('../middleware/roleBasedAccess');
+const { cacheMiddleware } = require('../middleware/cacheLayer');
+const { lightSanitization, adminSanitization } = require('../utils/sanitization');
+const { gangTerritoryService } = require('../services/gangTerritoryService');
+
+router.use(userTypeDetection);
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+const TERRITORY_FIELDS = 'month window lineageId polygon centroid areaSqMeters reportCount typeBreakdown averageSeverity adminArea change';
+
+// GET /api/territories - Territories for one month (latest computed by default)
+router.get('/',
+  lightSanitization(),
+  cacheMiddleware(900, (req) =>
+    `territories:map:${req.query.month || 'latest'}:${req.query.type || 'all'}:${req.query.includeDissolved === 'true'}`,
+  'territories'),
+  async (req, res) => {
+    try {
+      const { type } = req.query;
+      if (req.query.month && !MONTH_PATTERN.test(req.query.month)) {
+        return res.status(400).json({ success: false, message: 'Month must be in YYYY-MM format' });
+      }
+      if (type && !gangTerritoryService.config.types.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Type must be one of: ${gangTerritoryService.config.types.join(', ')}`
+        });
+      }
+
+      const months = (await GangTerritory.distinct('month')).sort().reverse();
+      const month = req.query.month || months[0];
+      if (!month) {
+        return res.json({ success: true, month: null, months, count: 0, data: [] });
+      }
+
+      const query = { month };
+      if (req.query.includeDissolved !== 'true') query['change.status'] = { $ne: 'dissolved' };
+      if (type) query[`typeBreakdown.${type}`] = { $gt: 0 };
+
+      const territories = await GangTerritory.find(query)
+        .select(TERRITORY_FIELDS)
+        .sort({ reportCount: -1 })
+        .lean();
+
+      res.json({
+        success: true,
+        month,
+        months,
+        count: territories.length,
+        data: territories
+      });
+    } catch (error) {
+      console.error('❌ Error fetching gang territories:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching gang territories',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/territories/:lineageId/history - One territory month by month
+router.get('/:lineageId/history',
+  lightSanitization(),
+  cacheMiddleware(900, (req) => `territories:history:${req.params.lineageId}`, 'territories'),
+  async (req, res) => {
+    try {
+      const snapshots = await GangTerritory.find({ lineageId: req.params.lineageId })
+        .select(TERRITORY_FIELDS)
+        .sort({ month: 1 })
+        .lean();
+      if (snapshots.length === 0) {
+        return res.status(404).json({ success: false, message: 'Territory not found' });
+      }
+
+      res.json({ success: true, lineageId: req.params.lineageId, count: snapshots.length, data: snapshots });
+    } catch (error) {
+      console.error('❌ Error fetching territory history:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching territory history',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/territories/recompute - Rebuild snapshots now instead of waiting for the daily run
+router.post('/recompute',
+  adminSanitization(),
+  requirePermission('system_configuration'),
+  async (req, res) => {
+    try {
+      const result = await gangTerritoryService.run({ force: req.body?.force === true });
+
+      if (result.skipped) {
+        return res.status(409).json({ success: false, message: 'Territory inference is already running' });
+      }
+      if (result.error) {
+        return res.status(500).json({ success: false, message: 'Territory inference failed', error: result.error });
+      }
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      console.error('❌ Error recomputing gang territories:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error recomputing gang territories',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -76,7 +76,7 @@ router.get('/admin/users',
 
       // Execute query with pagination
       const users = await User.find(query)
-        .select('-roleData.admin.passwordHash -roleData.admin.twoFactorSecret') // Exclude sensitive fields
+        .select('-roleData.admin.passwordHash -roleData.admin.twoFactorSecret -roleData.police.passwordHash') // Exclude sensitive fields
         .sort(sort)
         .limit(limit * 1)
         .skip((page - 1) * limit)
@@ -120,7 +120,7 @@ router.get('/admin/user/:id',
   async (req, res) => {
     try {
       const user = await User.findById(req.params.id)
-        .select('-roleData.admin.passwordHash -roleData.admin.twoFactorSecret')
+        .select('-roleData.admin.passwordHash -roleData.admin.twoFactorSecret -roleData.police.passwordHash')
         .lean();
 
       if (!user) {
@@ -412,6 +412,108 @@ router.put('/admin/:id/permissions',
   }
 );
 
+// NEW: PUT /api/user-types/admin/police/:id/verification - Verify or reject a police officer
+// and set their portal access level and jurisdiction
+router.put('/admin/police/:id/verification',
+  requireAdmin,
+  requirePermission('manage_user_permissions'),
+  async (req, res) => {
+    try {
+      const { verificationStatus, accessLevel, division, district, thana } = req.body;
+      const accessLevels = ['read_only', 'standard', 'supervisor', 'chief'];
+
+      if (!['verified', 'rejected'].includes(verificationStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: 'verificationStatus must be verified or rejected'
+        });
+      }
+      if (accessLevel !== undefined && !accessLevels.includes(accessLevel)) {
+        return res.status(400).json({
+          success: false,
+          message: `accessLevel must be one of: ${accessLevels.join(', ')}`
+        });
+      }
+
+      const officer = await User.findOne({
+        _id: req.params.id,
+        userType: 'police'
+      });
+
+      if (!officer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Police officer not found'
+        });
+      }
+
+      const police = officer.roleData.police;
+      const changes = { oldVerificationStatus: police.verificationStatus, newVerificationStatus: verificationStatus };
+
+      for (const [field, value] of Object.entries({ accessLevel, division, district, thana })) {
+        if (typeof value === 'string' && value.trim()) {
+          changes[field] = { from: police[field], to: value.trim() };
+          police[field] = value.trim();
+        }
+      }
+
+      // Without a thana the portal can't scope anything
+      if (verificationStatus === 'verified' && !police.thana) {
+        return res.status(400).json({
+          success: false,
+          message: 'A thana is required before an officer can be verified'
+        });
+      }
+
+      police.verificationStatus = verificationStatus;
+      police.verifiedBy = req.userContext.user.roleData.admin.username;
+      police.verifiedAt = new Date();
+
+      officer.addSecurityEvent(
+        'police_verification_updated',
+        `Police verification set to ${verificationStatus} by ${req.userContext.user.roleData.admin.username}`,
+        'medium'
+      );
+
+      await officer.save();
+
+      // --- Audit Log ---
+      await logAdminAction(
+        req,
+        'police_verification',
+        changes,
+        'high',
+        { id: officer._id, type: 'User', name: police.badgeNumber }
+      );
+
+      console.log(`✅ Police officer ${police.badgeNumber} ${verificationStatus}`);
+
+      res.json({
+        success: true,
+        message: `Police officer ${verificationStatus}`,
+        officer: {
+          id: officer._id,
+          badgeNumber: police.badgeNumber,
+          rank: police.rank,
+          verificationStatus: police.verificationStatus,
+          accessLevel: police.accessLevel,
+          division: police.division,
+          district: police.district,
+          thana: police.thana
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Police verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update police verification',
+        error: error.message
+      });
+    }
+  }
+);
+
 // === USER STATISTICS & ANALYTICS ===
 
 // GET /api/user-types/admin/statistics - Get user statistics
@@ -0,0 +1,286 @@
+// === backend/src/services/adminBoundaryService.js ===
+// Offline Administrative Boundary Resolution for SafeStreets Bangladesh
+// Resolves coordinates to division/district/upazila/thana with point-in-polygon
+// lookups against bundled admin-boundary GeoJSON - no external geocoding calls
+
+const fs = require('fs');
+const path = require('path');
+
+// Bangladesh bounding box - anything outside skips polygon tests entirely
+const BANGLADESH_BOUNDS = { minLat: 20.5, maxLat: 26.7, minLng: 88.0, maxLng: 92.8 };
+
+// Admin levels from coarsest to finest. `adminLevel` matches the HDX/BBS (ADM1-3)
+// and GADM (NAME_1-3) property numbering used by the common Bangladesh datasets.
+const LEVELS = [
+  { key: 'division', file: 'bd-divisions.geojson', adminLevel: 1 },
+  { key: 'district', file: 'bd-districts.geojson', adminLevel: 2 },
+  { key: 'upazila', file: 'bd-upazilas.geojson', adminLevel: 3 },
+  { key: 'thana', file: 'bd-thanas.geojson', adminLevel: 3 }
+];
+
+// Levels the area features cannot work without: police jurisdiction, area
+// stats and anomaly detection all key on thana and district codes
+const REQUIRED_LEVELS = ['district', 'thana'];
+
+class AdminBoundaryService {
+  constructor() {
+    this.config = {
+      dataDir: process.env.ADMIN_BOUNDARY_DIR || path.join(__dirname, '../data/boundaries'),
+      cacheSize: 5000,
+      cachePrecision: 4 // ~11m - nearby points share a cache entry
+    };
+
+    this.levels = {};
+    this.loaded = false;
+    this.cache = new Map();
+
+    this.stats = {
+      resolutions: 0,
+      cacheHits: 0,
+      unresolved: 0,
+      featuresLoaded: 0
+    };
+  }
+
+  /**
+   * Load boundary files on first use. Missing levels are skipped so a
+   * district-only dataset still resolves divisions and districts.
+   */
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    for (const level of LEVELS) {
+      const filePath = path.join(this.config.dataDir, level.file);
+      if (!fs.existsSync(filePath)) continue;
+
+      try {
+        const geojson = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const features = (geojson.features || [])
+          .map(feature => this.prepareFeature(feature, level))
+          .filter(Boolean);
+
+        this.levels[level.key] = features;
+        this.stats.featuresLoaded += features.length;
+        console.log(`🗺️ Loaded ${features.length} ${level.key} boundaries`);
+      } catch (error) {
+        console.error(`❌ Failed to load ${level.key} boundaries:`, error.message);
+      }
+    }
+
+    // Outside the metro areas each upazila has one police thana of the same
+    // name, so upazila polygons stand in when no separate thana file exists
+    if (!this.levels.thana && this.levels.upazila) {
+      this.levels.thana = this.levels.upazila;
+      console.log('🗺️ No thana boundaries, using upazila boundaries for thana');
+    }
+
+    if (!this.isAvailable()) {
+      console.warn(`⚠️ No admin boundary data found in ${this.config.dataDir}, area resolution disabled`);
+    }
+  }
+
+  /**
+   * Required levels with no boundary data loaded
+   */
+  getMissingLevels(levels = REQUIRED_LEVELS) {
+    this.load();
+    return levels.filter(level => !this.levels[level]?.length);
+  }
+
+  /**
+   * Whether any boundary level is loaded
+   */
+  isAvailable() {
+    this.load();
+    return Object.keys(this.levels).length > 0;
+  }
+
+  /**
+   * Normalize a GeoJSON feature into { name, code, polygons, bbox }
+   */
+  prepareFeature(feature, level) {
+    const geometry = feature?.geometry;
+    if (!geometry) return null;
+
+    let polygons;
+    if (geometry.type === 'Polygon') polygons = [geometry.coordinates];
+    else if (geometry.type === 'MultiPolygon') polygons = geometry.coordinates;
+    else return null;
+
+    const props = feature.properties || {};
+    const n = level.adminLevel;
+    const name = props.name || props[`ADM${n}_EN`] || props[`NAME_${n}`] || props.shapeName;
+    const code = props.code || props[`ADM${n}_PCODE`] || props[`GID_${n}`] || props.shapeID || name;
+    if (!name) return null;
+
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const polygon of polygons) {
+      for (const [lng, lat] of polygon[0]) {
+        if (lng < bbox[0]) bbox[0] = lng;
+        if (lat < bbox[1]) bbox[1] = lat;
+        if (lng > bbox[2]) bbox[2] = lng;
+        if (lat > bbox[3]) bbox[3] = lat;
+      }
+    }
+
+    return {
+      name,
+      code: String(code),
+      nameBn: props.name_bn || props.ADM_BN || null,
+      polygons,
+      bbox,
+      geometry: { type: 'MultiPolygon', coordinates: polygons }
+    };
+  }
+
+  /**
+   * Ray-casting test for a single ring
+   */
+  pointInRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Point-in-polygon with holes (first ring is the outer boundary)
+   */
+  pointInFeature(lng, lat, feature) {
+    const [minLng, minLat, maxLng, maxLat] = feature.bbox;
+    if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) return false;
+
+    return feature.polygons.some(([outer, ...holes]) =>
+      this.pointInRing(lng, lat, outer) && !holes.some(hole => this.pointInRing(lng, lat, hole))
+    );
+  }
+
+  /**
+   * Resolve coordinates to admin areas. Each level is { name, code } or null.
+   */
+  resolve(lat, lng) {
+    this.stats.resolutions++;
+
+    const result = { division: null, district: null, upazila: null, thana: null, resolved: false };
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || !this.isAvailable()) {
+      this.stats.unresolved++;
+      return result;
+    }
+
+    if (lat < BANGLADESH_BOUNDS.minLat || lat > BANGLADESH_BOUNDS.maxLat ||
+        lng < BANGLADESH_BOUNDS.minLng || lng > BANGLADESH_BOUNDS.maxLng) {
+      this.stats.unresolved++;
+      return result;
+    }
+
+    const cacheKey = `${lat.toFixed(this.config.cachePrecision)},${lng.toFixed(this.config.cachePrecision)}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      this.stats.cacheHits++;
+      return { ...cached };
+    }
+
+    for (const level of LEVELS) {
+      const match = (this.levels[level.key] || []).find(feature => this.pointInFeature(lng, lat, feature));
+      if (match) {
+        result[level.key] = { name: match.name, code: match.code, ...(match.nameBn && { nameBn: match.nameBn }) };
+        result.resolved = true;
+      }
+    }
+
+    if (!result.resolved) this.stats.unresolved++;
+
+    if (this.cache.size >= this.config.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(cacheKey, result);
+
+    return { ...result };
+  }
+
+  /**
+   * Resolve a GeoJSON-style [lng, lat] pair
+   */
+  resolveCoordinates(coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) {
+      return this.resolve(NaN, NaN);
+    }
+    const [lng, lat] = coordinates;
+    return this.resolve(lat, lng);
+  }
+
+  /**
+   * Most specific area name available (thana > upazila > district > division)
+   */
+  getAreaLabel(resolution) {
+    const area = resolution?.thana || resolution?.upazila || resolution?.district || resolution?.division;
+    return area?.name || null;
+  }
+
+  /**
+   * List the loaded areas for a level (for dropdowns and analytics)
+   */
+  listAreas(levelKey) {
+    this.load();
+    return (this.levels[levelKey] || []).map(({ name, code, nameBn }) => ({ name, code, nameBn }));
+  }
+
+  /**
+   * The one area matching a code or name (ignoring case), or null when none
+   * or several match. A district narrows repeated names - it must contain
+   * the area's bounding box.
+   */
+  findArea(levelKey, value, district = null) {
+    this.load();
+    const wanted = String(value || '').trim().toLowerCase();
+    if (!wanted) return null;
+
+    let matches = (this.levels[levelKey] || [])
+      .filter(feature => feature.code.toLowerCase() === wanted || feature.name.toLowerCase() === wanted);
+
+    const parent = matches.length > 1 && district ? this.findArea('district', district) : null;
+    if (parent) {
+      const [minLng, minLat, maxLng, maxLat] = parent.bbox;
+      matches = matches.filter(({ bbox }) =>
+        bbox[0] >= minLng && bbox[1] >= minLat && bbox[2] <= maxLng && bbox[3] <= maxLat);
+    }
+
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * Get resolver statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      available: this.isAvailable(),
+      missingLevels: this.getMissingLevels(),
+      levels: Object.fromEntries(Object.entries(this.levels).map(([key, features]) => [key, features.length])),
+      cacheSize: this.cache.size
+    };
+  }
+}
+
+// Export singleton instance
+const adminBoundaryService = new AdminBoundaryService();
+
+module.exports = {
+  AdminBoundaryService,
+  adminBoundaryService,
+  ADMIN_LEVELS: LEVELS.map(level => level.key),
+  ADMIN_LEVEL_FILES: Object.fromEntries(LEVELS.map(level => [level.key, level.file])),
+  REQUIRED_ADMIN_LEVELS: REQUIRED_LEVELS,
+
+  // Convenience methods
+  resolveAdminArea: (lat, lng) => adminBoundaryService.resolve(lat, lng),
+  resolveAdminAreaFromCoordinates: (coordinates) => adminBoundaryService.resolveCoordinates(coordinates),
+  getAreaLabel: (resolution) => adminBoundaryService.getAreaLabel(resolution),
+  getBoundaryStats: () => adminBoundaryService.getStats()
+};
@@ -0,0 +1,315 @@
+// === backend/src/services/anomalyDetectionService.js ===
+// Incident Spike Detection for SafeStreets Bangladesh
+// Reads daily incident counts per thana/district and type from the report
+// rollups and compares each day with an EWMA baseline of the previous four
+// weeks. A day far above its baseline (e.g. an extortion wave starting in one
+// thana) becomes an anomaly with its evidence reports, and admins are alerted
+// over the websocket. Today's partial count is checked every run, so a wave is
+// flagged the day it starts rather than after the day closes.
+
+const { reportRollupService, getBucketStart } = require('./reportRollupService');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const LEVEL_RANK = { elevated: 1, critical: 2 };
+
+class AnomalyDetectionService {
+  constructor() {
+    this.config = {
+      // Unmoderated reports count too - a wave should alert before moderators catch up
+      statuses: ['pending', 'under_review', 'flagged', 'approved', 'verified'],
+      areaLevels: ['thana', 'district'],
+      baselineDays: 28,
+      warmupDays: 7, // Days that seed the EWMA; also the least history a series needs
+      smoothing: 0.2, // EWMA weight of the newest day
+      minBaselineRate: 0.5, // Expected daily count floor, so quiet areas aren't divided by ~0
+      minObserved: 3, // Never alert on fewer incidents than this in a day
+      thresholds: { elevated: 3, critical: 5 }, // z-scores
+      evaluateDays: 2, // Today so far, and yesterday again for late reports
+      maxEvidenceReports: 100,
+      runIntervalMs: parseInt(process.env.ANOMALY_DETECTION_INTERVAL_MS) || HOUR
+    };
+
+    this.interval = null;
+    this.running = false;
+
+    this.stats = {
+      runs: 0,
+      seriesEvaluated: 0,
+      anomalies: 0,
+      alerts: 0,
+      errors: 0,
+      lastRunAt: null,
+      lastRunMs: null
+    };
+  }
+
+  getReportModel() {
+    return require('../models/Report');
+  }
+
+  getAnomalyModel() {
+    return require('../models/IncidentAnomaly');
+  }
+
+  /**
+   * EWMA baseline of a daily count history (oldest first) and the z-score of
+   * the observed count against it. Pure - no database access.
+   */
+  score(history, observed) {
+    const { smoothing, warmupDays, minBaselineRate } = this.config;
+
+    const seed = history.slice(0, warmupDays);
+    let mean = seed.reduce((sum, count) => sum + count, 0) / seed.length;
+    let variance = seed.reduce((sum, count) => sum + (count - mean) ** 2, 0) / seed.length;
+
+    for (const count of history.slice(warmupDays)) {
+      const diff = count - mean;
+      mean += smoothing * diff;
+      variance = (1 - smoothing) * (variance + smoothing * diff * diff);
+    }
+
+    // Daily counts are roughly Poisson, so the spread is never below sqrt(expected)
+    const expected = Math.max(mean, minBaselineRate);
+    const stdDev = Math.max(Math.sqrt(variance), Math.sqrt(expected));
+
+    return {
+      mean: Math.round(mean * 100) / 100,
+      stdDev: Math.round(stdDev * 100) / 100,
+      zScore: Math.round(((observed - expected) / stdDev) * 100) / 100
+    };
+  }
+
+  classify(zScore, observed) {
+    if (observed < this.config.minObserved) return null;
+    if (zScore >= this.config.thresholds.critical) return 'critical';
+    if (zScore >= this.config.thresholds.elevated) return 'elevated';
+    return null;
+  }
+
+  /**
+   * Anomalous days for one area level, from the daily rollups
+   */
+  async findCandidates(areaLevel, today) {
+    const { baselineDays, evaluateDays, warmupDays, statuses } = this.config;
+    const from = new Date(today.getTime() - (baselineDays + evaluateDays - 1) * DAY);
+
+    const rows = await reportRollupService.query({
+      basis: 'occurred',
+      granularity: 'day',
+      from,
+      to: new Date(today.getTime() + DAY),
+      statuses,
+      groupBy: ['bucket', areaLevel, 'type']
+    });
+
+    // History before the first day with any data isn't zero incidents, it's no data
+    const firstDataDay = rows.reduce((first, row) => Math.min(first, row.bucketStart.getTime()), Infinity);
+
+    const series = new Map();
+    for (const row of rows) {
+      const area = row[areaLevel];
+      if (!area?.code || area.code === 'unknown') continue;
+
+      const key = `${area.code}|${row.type}`;
+      if (!series.has(key)) {
+        series.set(key, { area: { level: areaLevel, code: area.code, name: area.name }, type: row.type, counts: new Map() });
+      }
+      series.get(key).counts.set(row.bucketStart.getTime(), row.count);
+    }
+
+    const candidates = [];
+    for (const { area, type, counts } of series.values()) {
+      for (let offset = 0; offset < evaluateDays; offset++) {
+        const day = today.getTime() - offset * DAY;
+        const observed = counts.get(day) || 0;
+        if (observed < this.config.minObserved) continue;
+
+        const history = [];
+        for (let back = baselineDays; back >= 1; back--) {
+          const historyDay = day - back * DAY;
+          if (historyDay >= firstDataDay) history.push(counts.get(historyDay) || 0);
+        }
+        if (history.length < warmupDays) continue;
+
+        const baseline = this.score(history, observed);
+        const level = this.classify(baseline.zScore, observed);
+        if (!level) continue;
+
+        candidates.push({
+          day: new Date(day),
+          area,
+          type,
+          observed,
+          baseline: { method: 'ewma', mean: baseline.mean, stdDev: baseline.stdDev, days: history.length },
+          zScore: baseline.zScore,
+          level
+        });
+      }
+    }
+
+    this.stats.seriesEvaluated += series.size;
+    return candidates;
+  }
+
+  /**
+   * The reports behind an anomaly
+   */
+  async getEvidence({ day, area, type }) {
+    const range = { $gte: day, $lt: new Date(day.getTime() + DAY) };
+    const reports = await this.getReportModel().find({
+      type,
+      status: { $in: this.config.statuses },
+      [`location.adminArea.${area.level}.code`]: area.code,
+      $or: [
+        { incidentOccurredAt: range },
+        { incidentOccurredAt: null, createdAt: range }
+      ]
+    })
+      .select('_id')
+      .sort({ createdAt: 1 })
+      .limit(this.config.maxEvidenceReports)
+      .lean();
+
+    return reports.map(report => report._id);
+  }
+
+  /**
+   * Store an anomaly; returns it when admins haven't been alerted at this level yet
+   */
+  async record(candidate, now) {
+    const IncidentAnomaly = this.getAnomalyModel();
+    const reports = await this.getEvidence(candidate);
+
+    const anomaly = await IncidentAnomaly.findOneAndUpdate(
+      { day: candidate.day, 'area.level': candidate.area.level, 'area.code': candidate.area.code, type: candidate.type },
+      {
+        $set: {
+          'area.name': candidate.area.name,
+          observed: candidate.observed,
+          baseline: candidate.baseline,
+          zScore: candidate.zScore,
+          level: candidate.level,
+          reports,
+          lastEvaluatedAt: now
+        },
+        $max: { peakZScore: candidate.zScore },
+        $setOnInsert: { status: 'open', firstDetectedAt: now }
+      },
+      { upsert: true, new: true }
+    ).select('-reports');
+
+    const alerted = LEVEL_RANK[anomaly.alertedLevel] || 0;
+    if (anomaly.status !== 'open' || LEVEL_RANK[candidate.level] <= alerted) return null;
+
+    await IncidentAnomaly.updateOne({ _id: anomaly._id }, { $set: { alertedLevel: candidate.level } });
+    return anomaly;
+  }
+
+  /**
+   * Tell admins about new or escalated anomalies
+   */
+  async notify(anomalies) {
+    const payload = {
+      count: anomalies.length,
+      anomalies: anomalies.map(anomaly => ({
+        anomalyId: anomaly._id,
+        type: anomaly.type,
+        area: anomaly.area.name || anomaly.area.code,
+        areaLevel: anomaly.area.level,
+        level: anomaly.level,
+        observed: anomaly.observed,
+        expected: anomaly.baseline.mean,
+        zScore: anomaly.zScore,
+        day: anomaly.day
+      }))
+    };
+
+    try {
+      const socketHandler = global.socketHandler;
+      if (socketHandler && typeof socketHandler.emitToAdmins === 'function') {
+        await socketHandler.emitToAdmins('incident_anomaly_detected', payload);
+      }
+    } catch (error) {
+      console.warn('Incident anomaly alert failed (non-critical):', error.message);
+    }
+  }
+
+  /**
+   * Check today (and yesterday) for every area level
+   */
+  async detect({ now = new Date() } = {}) {
+    if (this.running) return { skipped: true };
+    this.running = true;
+    const startedAt = Date.now();
+
+    try {
+      const today = getBucketStart(now, 'day');
+      const alerts = [];
+      let anomalies = 0;
+
+      for (const areaLevel of this.config.areaLevels) {
+        for (const candidate of await this.findCandidates(areaLevel, today)) {
+          const alert = await this.record(candidate, now);
+          anomalies++;
+          if (alert) alerts.push(alert);
+        }
+      }
+
+      if (alerts.length > 0) await this.notify(alerts);
+
+      this.stats.runs++;
+      this.stats.anomalies += anomalies;
+      this.stats.alerts += alerts.length;
+      this.stats.lastRunAt = new Date(startedAt);
+      this.stats.lastRunMs = Date.now() - startedAt;
+
+      if (anomalies > 0) {
+        console.log(`📈 Anomaly detection: ${anomalies} unusual area/type days, ${alerts.length} new alerts`);
+      }
+      return { anomalies, alerts: alerts.length };
+    } catch (error) {
+      this.stats.errors++;
+      console.error('❌ Anomaly detection failed:', error);
+      return { error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start periodic detection
+   */
+  start() {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => this.detect(), this.config.runIntervalMs);
+    this.interval.unref?.();
+
+    console.log(`📈 Incident anomaly detection scheduled (every ${Math.round(this.config.runIntervalMs / 60000)} minutes)`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, running: Boolean(this.interval), config: { ...this.config, thresholds: { ...this.config.thresholds } } };
+  }
+}
+
+// Export singleton instance
+const anomalyDetectionService = new AnomalyDetectionService();
+
+module.exports = {
+  AnomalyDetectionService,
+  anomalyDetectionService,
+
+  // Convenience methods
+  detectIncidentAnomalies: (options) => anomalyDetectionService.detect(options),
+  getAnomalyDetectionStats: () => anomalyDetectionService.getStats()
+};
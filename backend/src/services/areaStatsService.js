@@ -0,0 +1,371 @@
+// === backend/src/services/areaStatsService.js ===
+// Public Area Statistics for SafeStreets Bangladesh
+// Per-division/district/thana breakdowns (type, severity, time of day) and
+// daily/weekly time series, read from the report rollups. Only published
+// reports are counted, and every figure goes through minimum-count
+// suppression: a non-zero count below the threshold is withheld, and when a
+// breakdown would withhold exactly one cell a second cell is withheld too so
+// the first can't be recovered by subtracting the rest from the total.
+// Ranges are runs of whole, completed calendar quarters, and every figure is
+// computed and suppressed per quarter before quarters are combined: a range
+// figure is only ever a sum of figures the single-quarter responses already
+// show, so subtracting one range from another recovers nothing withheld.
+
+const { reportRollupService, getBucketStart } = require('./reportRollupService');
+const {
+  TIME_OF_DAY_PERIODS,
+  getTimeOfDayRisk,
+  getBangladeshParts,
+  fromBangladeshTime
+} = require('../utils/bangladeshTime');
+
+const PERIOD_PATTERN = /^(\d{4})-Q([1-4])$/;
+const DAY = 24 * 60 * 60 * 1000;
+const GRANULARITIES = ['day', 'week', 'month'];
+
+const AREA_LEVELS = ['division', 'district', 'thana'];
+const SEVERITIES = [1, 2, 3, 4, 5];
+
+class AreaStatsService {
+  constructor() {
+    this.config = {
+      minCount: Math.max(2, parseInt(process.env.AREA_STATS_MIN_COUNT) || 10),
+      maxPeriodsBack: 20, // Five years of quarters
+      maxBuckets: 1000
+    };
+  }
+
+  /**
+   * Withhold small counts in a breakdown (primary suppression), plus the next
+   * smallest cell when only one would be withheld (complementary suppression).
+   * Pure - no database access.
+   */
+  suppress(cells) {
+    const { minCount } = this.config;
+    const hidden = new Set(cells.filter(cell => cell.count > 0 && cell.count < minCount));
+
+    if (hidden.size === 1) {
+      const complement = cells
+        .filter(cell => cell.count > 0 && !hidden.has(cell))
+        .sort((a, b) => a.count - b.count)[0];
+      if (complement) hidden.add(complement);
+    }
+
+    return cells.map(cell => (hidden.has(cell) ? { ...cell, count: null, suppressed: true } : cell));
+  }
+
+  /**
+   * Withhold small counts row by row, along with the female safety count and
+   * average severity they carry. For listings with no breakdown to complement.
+   */
+  suppressRows(rows) {
+    const { minCount } = this.config;
+    return rows.map(row => {
+      if (row.count > 0 && row.count < minCount) {
+        return { ...row, count: null, genderSensitive: null, averageSeverity: null, suppressed: true };
+      }
+      const femaleSafety = row.genderSensitive > 0 && row.genderSensitive < minCount ? null : row.genderSensitive;
+      return { ...row, genderSensitive: femaleSafety };
+    });
+  }
+
+  /**
+   * Suppress a national series. Week buckets go row by row. Day buckets are
+   * suppressed within their week, complementing a lone withheld day, since the
+   * week's own row would otherwise give it away by subtraction. Callers must
+   * pass whole weeks of day rows so the withheld days don't depend on the range.
+   */
+  suppressSeries(rows, granularity) {
+    if (granularity !== 'day') return this.suppressRows(rows);
+
+    const { minCount } = this.config;
+    const weeks = new Map();
+    for (const row of rows) {
+      const week = getBucketStart(row.bucketStart, 'week').getTime();
+      if (!weeks.has(week)) weeks.set(week, []);
+      weeks.get(week).push(row);
+    }
+
+    return [...weeks.values()].flatMap(days => {
+      const counted = this.suppress(days);
+
+      // Female safety counts get the same treatment, on top of withheld days
+      const hiddenFemale = new Set(counted.filter(row =>
+        row.suppressed || (row.genderSensitive > 0 && row.genderSensitive < minCount)));
+      if (hiddenFemale.size === 1) {
+        const complement = counted
+          .filter(row => row.genderSensitive > 0 && !hiddenFemale.has(row))
+          .sort((a, b) => a.genderSensitive - b.genderSensitive)[0];
+        if (complement) hiddenFemale.add(complement);
+      }
+
+      return counted.map(row => {
+        if (row.suppressed) return { ...row, genderSensitive: null, averageSeverity: null };
+        return hiddenFemale.has(row) ? { ...row, genderSensitive: null } : row;
+      });
+    });
+  }
+
+  /**
+   * Start of a calendar quarter (quarter 1-4, may overflow into later years), Bangladesh time
+   */
+  getQuarterStart(year, quarter) {
+    const index = year * 4 + quarter - 1;
+    return fromBangladeshTime(Math.floor(index / 4), (index % 4) * 3 + 1, 1);
+  }
+
+  /**
+   * Quarter index (year * 4 + quarter - 1) of a YYYY-Qn string, or null
+   */
+  parseQuarter(value) {
+    const match = PERIOD_PATTERN.exec(value);
+    return match ? parseInt(match[1], 10) * 4 + parseInt(match[2], 10) - 1 : null;
+  }
+
+  /**
+   * Resolve `from`/`to` (YYYY-Qn, inclusive) or `period` (one quarter, default
+   * the last completed) into a run of completed quarters, with day, week or
+   * month buckets inside each. Granularity defaults to day for one quarter,
+   * week for longer ranges.
+   */
+  resolveRange({ period, from, to, granularity } = {}, now = new Date()) {
+    const { year: nowYear, month: nowMonth } = getBangladeshParts(now);
+    const currentIndex = nowYear * 4 + Math.floor((nowMonth - 1) / 3);
+
+    if (period && (from || to)) {
+      return { error: 'Pass either period or from/to, not both' };
+    }
+
+    const fromValue = from || period || to;
+    const toValue = to || period || from;
+    let first = currentIndex - 1;
+    let last = currentIndex - 1;
+    if (fromValue) {
+      first = this.parseQuarter(fromValue);
+      last = this.parseQuarter(toValue);
+      if (first === null || last === null) {
+        return { error: 'period, from and to must be calendar quarters like 2025-Q3' };
+      }
+    }
+
+    if (first > last) {
+      return { error: 'from must not be after to' };
+    }
+    if (last >= currentIndex) {
+      return { error: 'Only completed quarters are available' };
+    }
+    if (currentIndex - first > this.config.maxPeriodsBack) {
+      return { error: `Only the last ${this.config.maxPeriodsBack} quarters are available` };
+    }
+
+    const resolvedGranularity = granularity || (first === last ? 'day' : 'week');
+    if (!GRANULARITIES.includes(resolvedGranularity)) {
+      return { error: `Granularity must be one of: ${GRANULARITIES.join(', ')}` };
+    }
+
+    const quarters = [];
+    for (let index = first; index <= last; index++) {
+      const year = Math.floor(index / 4);
+      const quarter = (index % 4) + 1;
+      const quarterRange = {
+        period: `${year}-Q${quarter}`,
+        from: this.getQuarterStart(year, quarter),
+        to: this.getQuarterStart(year, quarter + 1)
+      };
+      quarters.push({ ...quarterRange, buckets: this.getBuckets(quarterRange, resolvedGranularity) });
+    }
+
+    const bucketCount = quarters.reduce((sum, quarter) => sum + quarter.buckets.length, 0);
+    if (bucketCount > this.config.maxBuckets) {
+      return { error: `At most ${this.config.maxBuckets} ${resolvedGranularity} buckets per request` };
+    }
+
+    return {
+      period: quarters.length === 1 ? quarters[0].period : `${quarters[0].period}/${quarters[quarters.length - 1].period}`,
+      from: quarters[0].from,
+      to: quarters[quarters.length - 1].to,
+      granularity: resolvedGranularity,
+      quarters
+    };
+  }
+
+  /**
+   * Bucket starts inside one quarter. Weeks are cut at the quarter edges, so
+   * the first and last week of a quarter may be partial.
+   */
+  getBuckets({ from, to }, granularity) {
+    if (granularity === 'month') {
+      const { year, month } = getBangladeshParts(from);
+      return [0, 1, 2].map(offset => fromBangladeshTime(year, month + offset, 1));
+    }
+
+    const starts = [];
+    for (let time = from.getTime(); time < to.getTime(); time += DAY) {
+      const start = granularity === 'week'
+        ? new Date(Math.max(getBucketStart(new Date(time), 'week').getTime(), from.getTime()))
+        : new Date(time);
+      if (!starts.length || starts[starts.length - 1].getTime() !== start.getTime()) {
+        starts.push(start);
+      }
+    }
+    return starts;
+  }
+
+  /**
+   * Index of the bucket a daily rollup row falls in (buckets are sorted)
+   */
+  findBucket(buckets, time) {
+    let index = 0;
+    while (index + 1 < buckets.length && buckets[index + 1].bucketStart.getTime() <= time.getTime()) {
+      index++;
+    }
+    return index;
+  }
+
+  /**
+   * Suppressed statistics for one area over one quarter
+   */
+  async getQuarterStats(level, code, quarter) {
+    const base = {
+      basis: 'occurred',
+      from: quarter.from,
+      to: quarter.to,
+      [level]: code,
+      statuses: reportRollupService.config.publicStatuses
+    };
+
+    const [overall, byType, bySeverity, series, hours] = await Promise.all([
+      reportRollupService.query({ ...base, granularity: 'day', groupBy: [level] }),
+      reportRollupService.query({ ...base, granularity: 'day', groupBy: ['type'] }),
+      reportRollupService.query({ ...base, granularity: 'day', groupBy: ['severity'] }),
+      reportRollupService.query({ ...base, granularity: 'day', groupBy: ['bucket'] }),
+      reportRollupService.query({ ...base, granularity: 'hour', groupBy: ['bucket'] })
+    ]);
+
+    const areaRow = overall[0];
+    const total = areaRow?.count || 0;
+    const buckets = quarter.buckets.map(bucketStart => ({ bucketStart, count: 0 }));
+    const result = { period: quarter.period, name: areaRow?.[level]?.name || null };
+
+    // Too few reports to say anything about this area in this quarter
+    if (total < this.config.minCount) {
+      return {
+        ...result,
+        total: total === 0 ? 0 : null,
+        suppressed: total > 0,
+        timeSeries: total === 0 ? buckets : buckets.map(bucket => ({ ...bucket, count: null, suppressed: true }))
+      };
+    }
+
+    const timeOfDay = new Map(TIME_OF_DAY_PERIODS.map(period => [period, 0]));
+    for (const row of hours) {
+      const period = getTimeOfDayRisk(row.bucketStart);
+      timeOfDay.set(period, timeOfDay.get(period) + row.count);
+    }
+
+    // Daily rollups summed into the quarter's day/week/month buckets
+    for (const row of series) {
+      buckets[this.findBucket(buckets, row.bucketStart)].count += row.count;
+    }
+
+    const femaleSafety = areaRow.genderSensitive;
+
+    return {
+      ...result,
+      total,
+      suppressed: false,
+      averageSeverity: areaRow.averageSeverity,
+      femaleSafety: femaleSafety > 0 && femaleSafety < this.config.minCount ? null : femaleSafety,
+      byType: this.suppress(byType.map(row => ({ type: row.type, count: row.count }))),
+      severity: this.suppress(SEVERITIES.map(severity => ({
+        severity,
+        count: bySeverity.find(row => row.severity === severity)?.count || 0
+      }))),
+      timeOfDay: this.suppress([...timeOfDay].map(([period, count]) => ({ period, count }))),
+      timeSeries: this.suppress(buckets)
+    };
+  }
+
+  /**
+   * Sum a breakdown across quarters. A cell is withheld when any quarter withheld it.
+   */
+  combineBreakdowns(quarterStats, field, key, keys = null) {
+    const cells = new Map((keys || []).map(value => [value, { [key]: value, count: 0 }]));
+
+    for (const stats of quarterStats) {
+      for (const cell of stats[field] || []) {
+        if (!cells.has(cell[key])) cells.set(cell[key], { [key]: cell[key], count: 0 });
+        const combined = cells.get(cell[key]);
+        if (cell.count === null) {
+          cells.set(cell[key], { ...combined, count: null, suppressed: true });
+        } else if (combined.count !== null) {
+          combined.count += cell.count;
+        }
+      }
+    }
+
+    return [...cells.values()];
+  }
+
+  /**
+   * Suppressed statistics for one area over a range
+   */
+  async getAreaStats(level, code, range) {
+    const { period, from, to, granularity, quarters } = range;
+    const quarterStats = [];
+    for (const quarter of quarters) {
+      quarterStats.push(await this.getQuarterStats(level, code, quarter));
+    }
+
+    const result = {
+      area: { level, code, name: quarterStats.find(stats => stats.name)?.name || null },
+      range: { period, from, to, granularity, basis: 'occurred' },
+      minCount: this.config.minCount
+    };
+
+    const timeSeries = quarterStats.flatMap(stats => stats.timeSeries);
+    const perQuarter = quarterStats.map(({ period, total, suppressed }) => ({ period, total, suppressed }));
+
+    // A quarter with too few reports is withheld whole, so no range-wide figure
+    // can include it - only the other quarters' series are shown
+    if (quarterStats.some(stats => stats.suppressed)) {
+      return { ...result, total: null, suppressed: true, quarters: perQuarter, timeSeries };
+    }
+
+    const total = quarterStats.reduce((sum, stats) => sum + stats.total, 0);
+    if (total === 0) {
+      return { ...result, total, suppressed: false, quarters: perQuarter, timeSeries };
+    }
+
+    const severityTotal = quarterStats.reduce((sum, stats) => sum + (stats.averageSeverity || 0) * stats.total, 0);
+    const femaleSafety = quarterStats.some(stats => stats.total > 0 && stats.femaleSafety === null)
+      ? null
+      : quarterStats.reduce((sum, stats) => sum + (stats.femaleSafety || 0), 0);
+
+    return {
+      ...result,
+      total,
+      suppressed: false,
+      quarters: perQuarter,
+      averageSeverity: Math.round(severityTotal / total * 10) / 10,
+      femaleSafety,
+      byType: this.combineBreakdowns(quarterStats, 'byType', 'type'),
+      severity: this.combineBreakdowns(quarterStats, 'severity', 'severity', SEVERITIES),
+      timeOfDay: this.combineBreakdowns(quarterStats, 'timeOfDay', 'period', TIME_OF_DAY_PERIODS),
+      timeSeries
+    };
+  }
+}
+
+// Export singleton instance
+const areaStatsService = new AreaStatsService();
+
+module.exports = {
+  AreaStatsService,
+  areaStatsService,
+  AREA_STATS_LEVELS: AREA_LEVELS,
+
+  // Convenience methods
+  getAreaStats: (level, code, range) => areaStatsService.getAreaStats(level, code, range),
+  resolveAreaStatsRange: (options, now) => areaStatsService.resolveRange(options, now)
+};
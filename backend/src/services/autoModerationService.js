@@ -0,0 +1,752 @@
+// === backend/src/services/autoModerationService.js ===
+// Rule-Based Auto-Moderation for SafeStreets Bangladesh
+// Admin-defined rules (ModerationRule) are evaluated in order once a report has
+// finished the fast processing phase. The first matching live rule decides; a
+// delayed action is re-checked against the same rule before it executes.
+// dry_run rules only record what they would have done.
+
+const { reportLifecycleService, LifecycleError } = require('./reportLifecycleService');
+const { computeSlaDueAt } = require('./moderationSlaService');
+const { OPEN_STATUSES, CLAIM_UNSET, PRIORITY_ORDER } = require('./moderatorAssignmentService');
+
+const MINUTE = 60 * 1000;
+
+// Report attributes rules may test - anything else is rejected at save time
+const RULE_FIELDS = {
+  securityScore: { type: 'number', path: 'securityScore' },
+  autoModerationScore: { type: 'number', path: 'moderation.autoModerationScore' },
+  severity: { type: 'number', path: 'severity' },
+  type: { type: 'string', path: 'type' },
+  genderSensitive: { type: 'boolean', path: 'genderSensitive' },
+  riskLevel: { type: 'string', path: 'threatIntelligence.riskLevel' },
+  withinBangladesh: { type: 'boolean', path: 'location.withinBangladesh' },
+  potentialSpam: { type: 'boolean', path: 'securityFlags.potentialSpam' },
+  crossBorderReport: { type: 'boolean', path: 'securityFlags.crossBorderReport' },
+  suspiciousLocation: { type: 'boolean', path: 'securityFlags.suspiciousLocation' },
+  coordinatedAttack: { type: 'boolean', path: 'securityFlags.coordinatedAttack' },
+  rapidSubmission: { type: 'boolean', path: 'securityFlags.rapidSubmission' },
+  deviceSuspicious: { type: 'boolean', path: 'securityFlags.deviceSuspicious' },
+  isDuplicate: { type: 'boolean', path: 'deduplication.duplicateCheck.isDuplicate' },
+  mediaCount: { type: 'number', compute: report => (report.media || []).length },
+  relatedReportCount: { type: 'number', compute: report => (report.deduplication?.relatedReports || []).length },
+
+  // Looked up from the submitting device's fingerprint
+  deviceTrustScore: { type: 'number', device: 'securityProfile.trustScore' },
+  deviceRiskLevel: { type: 'string', device: 'securityProfile.riskLevel' },
+  deviceApprovedReports: { type: 'number', device: 'securityProfile.approvedReports' },
+  deviceSpamReports: { type: 'number', device: 'securityProfile.spamReports' }
+};
+
+const RULE_OPERATORS = ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in', 'nin', 'exists'];
+const RANGE_OPERATORS = ['lt', 'lte', 'gt', 'gte'];
+const RULE_ACTIONS = ['approve', 'reject', 'escalate', 'set_priority'];
+const MAX_CONDITIONS = 10;
+const MAX_DELAY_MINUTES = 7 * 24 * 60;
+
+// Only the report fields the engine needs
+const REPORT_FIELDS = '_id type severity status createdAt genderSensitive securityScore securityFlags ' +
+  'threatIntelligence.riskLevel location.withinBangladesh media.type deduplication.duplicateCheck.isDuplicate ' +
+  'deduplication.relatedReports.reportId submittedBy.deviceFingerprint moderation processingStatus.fastPhaseCompleted ' +
+  'autoModeration';
+
+const SYSTEM_ACTOR = { username: 'auto-moderation' };
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+class AutoModerationService {
+  constructor() {
+    this.config = {
+      sweepIntervalMs: MINUTE,
+      maxPerSweep: 200,
+      sweepWindowHours: 24, // Unevaluated reports older than this are left to humans
+      ruleCacheMs: MINUTE,
+      maxDryRunReports: 1000
+    };
+
+    this.interval = null;
+    this.running = false;
+    this.ruleCache = { rules: null, loadedAt: 0 };
+
+    this.stats = {
+      evaluated: 0,
+      applied: 0,
+      scheduled: 0,
+      cancelled: 0,
+      dryRunMatches: 0,
+      errors: 0,
+      lastSweepAt: null
+    };
+  }
+
+  getReportModel() {
+    return require('../models/Report');
+  }
+
+  getRuleModel() {
+    return require('../models/ModerationRule');
+  }
+
+  /**
+   * Enabled rules in order, cached briefly - call invalidateRules() after edits
+   */
+  async getRules() {
+    if (this.ruleCache.rules && Date.now() - this.ruleCache.loadedAt < this.config.ruleCacheMs) {
+      return this.ruleCache.rules;
+    }
+    const rules = await this.getRuleModel().getActiveRules();
+    this.ruleCache = { rules, loadedAt: Date.now() };
+    return rules;
+  }
+
+  invalidateRules() {
+    this.ruleCache = { rules: null, loadedAt: 0 };
+  }
+
+  /**
+   * Field and operator reference for the rule editor
+   */
+  getDefinition() {
+    return {
+      fields: Object.entries(RULE_FIELDS).map(([field, definition]) => ({
+        field,
+        type: definition.type,
+        source: definition.device ? 'device' : 'report'
+      })),
+      operators: RULE_OPERATORS,
+      actions: RULE_ACTIONS,
+      priorities: PRIORITY_ORDER,
+      maxConditions: MAX_CONDITIONS,
+      maxDelayMinutes: MAX_DELAY_MINUTES
+    };
+  }
+
+  /**
+   * Coerce a condition value to the field's type, or return undefined when it can't be
+   */
+  normalizeValue(type, value) {
+    if (type === 'number') {
+      const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    if (type === 'boolean') {
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      return undefined;
+    }
+    return value === undefined || value === null || typeof value === 'object' ? undefined : String(value).trim();
+  }
+
+  /**
+   * Validate and normalize a rule definition from an admin.
+   * Returns { errors, rule } - the rule is only safe to save when errors is empty.
+   */
+  validateRule(input = {}) {
+    const errors = [];
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) errors.push('name is required');
+    if (name.length > 100) errors.push('name must be 100 characters or less');
+
+    const mode = input.mode || 'dry_run';
+    if (!['live', 'dry_run'].includes(mode)) errors.push('mode must be live or dry_run');
+
+    const match = input.match || 'all';
+    if (!['all', 'any'].includes(match)) errors.push('match must be all or any');
+
+    const order = input.order === undefined ? 100 : Number(input.order);
+    if (!Number.isFinite(order)) errors.push('order must be a number');
+
+    const rawConditions = Array.isArray(input.conditions) ? input.conditions : [];
+    if (rawConditions.length === 0) errors.push('at least one condition is required');
+    if (rawConditions.length > MAX_CONDITIONS) errors.push(`a rule can have at most ${MAX_CONDITIONS} conditions`);
+
+    const conditions = rawConditions.slice(0, MAX_CONDITIONS).map((condition, index) => {
+      const label = `conditions[${index}]`;
+      const definition = RULE_FIELDS[condition?.field];
+      if (!definition) {
+        errors.push(`${label}: unknown field "${condition?.field}"`);
+        return null;
+      }
+      if (!RULE_OPERATORS.includes(condition.operator)) {
+        errors.push(`${label}: unknown operator "${condition.operator}"`);
+        return null;
+      }
+      if (RANGE_OPERATORS.includes(condition.operator) && definition.type !== 'number') {
+        errors.push(`${label}: ${condition.operator} only works on numeric fields`);
+        return null;
+      }
+
+      let value;
+      if (condition.operator === 'exists') {
+        value = this.normalizeValue('boolean', condition.value ?? true);
+      } else if (['in', 'nin'].includes(condition.operator)) {
+        const list = Array.isArray(condition.value) ? condition.value : String(condition.value ?? '').split(',');
+        value = list.map(item => this.normalizeValue(definition.type, item));
+        if (value.length === 0 || value.some(item => item === undefined || item === '')) value = undefined;
+      } else {
+        value = this.normalizeValue(definition.type, condition.value);
+      }
+
+      if (value === undefined) {
+        errors.push(`${label}: invalid value for ${condition.field} (${definition.type})`);
+        return null;
+      }
+      return { field: condition.field, operator: condition.operator, value };
+    });
+
+    const rawAction = input.action || {};
+    const action = { type: rawAction.type };
+    if (!RULE_ACTIONS.includes(rawAction.type)) {
+      errors.push(`action.type must be one of: ${RULE_ACTIONS.join(', ')}`);
+    }
+    if (rawAction.type === 'set_priority') {
+      if (!PRIORITY_ORDER.includes(rawAction.priority)) errors.push('action.priority is required for set_priority');
+      action.priority = rawAction.priority;
+    }
+
+    const delayMinutes = rawAction.delayMinutes === undefined ? 0 : Number(rawAction.delayMinutes);
+    if (!Number.isInteger(delayMinutes) || delayMinutes < 0 || delayMinutes > MAX_DELAY_MINUTES) {
+      errors.push(`action.delayMinutes must be a whole number between 0 and ${MAX_DELAY_MINUTES}`);
+    }
+    action.delayMinutes = delayMinutes;
+
+    const reason = typeof rawAction.reason === 'string' ? rawAction.reason.trim() : '';
+    if (reason.length > 500) errors.push('action.reason must be 500 characters or less');
+    if (reason) action.reason = reason;
+
+    return {
+      errors,
+      rule: {
+        name,
+        description: typeof input.description === 'string' ? input.description.trim().slice(0, 500) : undefined,
+        enabled: input.enabled === undefined ? true : input.enabled === true || input.enabled === 'true',
+        order,
+        mode,
+        match,
+        conditions: conditions.filter(Boolean),
+        action,
+        applyToGenderSensitive: input.applyToGenderSensitive === true || input.applyToGenderSensitive === 'true',
+        stopProcessing: input.stopProcessing === undefined ? true : input.stopProcessing === true || input.stopProcessing === 'true'
+      }
+    };
+  }
+
+  /**
+   * Whether any of the rules test device reputation
+   */
+  needsDevice(rules) {
+    return rules.some(rule => rule.conditions.some(condition => RULE_FIELDS[condition.field]?.device));
+  }
+
+  /**
+   * Device security profiles keyed by fingerprintId, for the reports that have one
+   */
+  async loadDevices(reports) {
+    const fingerprintIds = [...new Set(reports.map(report => report.submittedBy?.deviceFingerprint).filter(Boolean))];
+    if (fingerprintIds.length === 0) return new Map();
+
+    const DeviceFingerprint = require('../models/DeviceFingerprint');
+    const devices = await DeviceFingerprint.find({ fingerprintId: { $in: fingerprintIds } })
+      .select('fingerprintId securityProfile')
+      .lean();
+    return new Map(devices.map(device => [device.fingerprintId, device]));
+  }
+
+  /**
+   * Current value of a rule field for a report
+   */
+  getFieldValue(report, device, field) {
+    const definition = RULE_FIELDS[field];
+    if (definition.compute) return definition.compute(report);
+    if (definition.device) return device ? getPath(device, definition.device) : undefined;
+    return getPath(report, definition.path);
+  }
+
+  testCondition(actual, { operator, value }) {
+    const present = actual !== undefined && actual !== null;
+    switch (operator) {
+      case 'exists': return present === value;
+      case 'eq': return actual === value;
+      case 'ne': return actual !== value;
+      case 'lt': return present && actual < value;
+      case 'lte': return present && actual <= value;
+      case 'gt': return present && actual > value;
+      case 'gte': return present && actual >= value;
+      case 'in': return present && value.includes(actual);
+      case 'nin': return !present || !value.includes(actual);
+      default: return false;
+    }
+  }
+
+  /**
+   * Whether a rule's conditions hold for a report
+   */
+  matchesRule(rule, report, device) {
+    const results = rule.conditions.map(condition =>
+      this.testCondition(this.getFieldValue(report, device, condition.field), condition));
+    return rule.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+  }
+
+  /**
+   * Whether a rule may act on a report at all - open status, gender-sensitive
+   * handling, no live human claim and a transition valid from the current status
+   */
+  isApplicable(rule, report, now = new Date()) {
+    if (!OPEN_STATUSES.includes(report.status)) return false;
+    if ((report.genderSensitive || report.moderation?.femaleModeratorRequired) && !rule.applyToGenderSensitive) return false;
+
+    const claim = report.moderation;
+    if (claim?.assignmentMethod === 'claim' && claim.claimExpiresAt && new Date(claim.claimExpiresAt) > now) return false;
+
+    if (rule.action.type === 'set_priority') return report.moderation?.priority !== rule.action.priority;
+    return reportLifecycleService.getTransition(rule.action.type).from.includes(report.status);
+  }
+
+  /**
+   * Walk the rules in order. Dry-run matches are collected; the first live
+   * match decides unless it is a non-terminal set_priority with stopProcessing off.
+   */
+  decide(rules, report, device, { treatAllAsLive = false } = {}) {
+    const dryRunMatches = [];
+    const decisions = [];
+
+    for (const rule of rules) {
+      if (!this.isApplicable(rule, report) || !this.matchesRule(rule, report, device)) continue;
+
+      if (rule.mode !== 'live' && !treatAllAsLive) {
+        dryRunMatches.push(rule);
+        continue;
+      }
+
+      decisions.push(rule);
+      if (rule.stopProcessing || rule.action.type !== 'set_priority' || rule.action.delayMinutes > 0) break;
+    }
+
+    return { decisions, dryRunMatches };
+  }
+
+  /**
+   * Evaluate a report once its fast phase is complete. Safe to call repeatedly:
+   * only the first call for a report does anything.
+   */
+  async evaluateReport(reportId) {
+    try {
+      const Report = this.getReportModel();
+      const report = await Report.findById(reportId).select(REPORT_FIELDS).lean();
+      if (!report || report.autoModeration?.evaluatedAt) return null;
+      if (!report.processingStatus?.fastPhaseCompleted || !OPEN_STATUSES.includes(report.status)) return null;
+
+      // With no enabled rules nothing is evaluated - leave the report for when rules exist
+      const rules = await this.getRules();
+      if (rules.length === 0) return { decided: false };
+      const now = new Date();
+
+      // Claim the evaluation so concurrent callers (queue, sweep, submit route) don't double-apply
+      const claimed = await Report.updateOne(
+        { _id: report._id, 'autoModeration.evaluatedAt': { $exists: false } },
+        { $set: { 'autoModeration.evaluatedAt': now } }
+      );
+      if (claimed.modifiedCount === 0) return null;
+      this.stats.evaluated++;
+
+      const devices = this.needsDevice(rules) ? await this.loadDevices([report]) : new Map();
+      const device = devices.get(report.submittedBy?.deviceFingerprint);
+      const { decisions, dryRunMatches } = this.decide(rules, report, device);
+
+      if (dryRunMatches.length > 0) await this.recordDryRunMatches(report, dryRunMatches, now);
+
+      const results = [];
+      for (const rule of decisions) {
+        if (rule.action.delayMinutes > 0) {
+          results.push(await this.schedule(report, rule, now));
+          break;
+        }
+        const result = await this.execute(report, rule);
+        results.push(result);
+        if (!result.applied) break;
+        if (result.to) report.status = result.to;
+        if (rule.action.type === 'set_priority') report.moderation = { ...report.moderation, priority: rule.action.priority };
+      }
+
+      return { decided: results.length > 0, results, dryRunMatches: dryRunMatches.length };
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`❌ Auto-moderation failed for report ${reportId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Note what dry-run rules would have done, on the report and in the audit log
+   */
+  async recordDryRunMatches(report, rules, at) {
+    const Report = this.getReportModel();
+    const RuleModel = this.getRuleModel();
+
+    await Report.updateOne(
+      { _id: report._id },
+      {
+        $push: {
+          'autoModeration.dryRunMatches': {
+            $each: rules.map(rule => ({ ruleId: rule._id, ruleName: rule.name, action: rule.action.type, at }))
+          }
+        }
+      }
+    );
+    await RuleModel.updateMany(
+      { _id: { $in: rules.map(rule => rule._id) } },
+      { $inc: { 'stats.matched': 1 }, $set: { 'stats.lastMatchedAt': at } }
+    );
+
+    this.stats.dryRunMatches += rules.length;
+    for (const rule of rules) {
+      await this.audit(report, rule, { mode: 'dry_run', outcome: 'would_apply', from: report.status });
+    }
+  }
+
+  /**
+   * Record a delayed action - the sweep runs it once it is due
+   */
+  async schedule(report, rule, now) {
+    const scheduledFor = new Date(now.getTime() + rule.action.delayMinutes * MINUTE);
+
+    await this.getReportModel().updateOne(
+      { _id: report._id },
+      {
+        $set: {
+          'autoModeration.ruleId': rule._id,
+          'autoModeration.ruleName': rule.name,
+          'autoModeration.action': rule.action.type,
+          'autoModeration.scheduledFor': scheduledFor
+        }
+      }
+    );
+    await this.getRuleModel().updateOne(
+      { _id: rule._id },
+      { $inc: { 'stats.matched': 1 }, $set: { 'stats.lastMatchedAt': now } }
+    );
+
+    this.stats.scheduled++;
+    await this.audit(report, rule, { mode: 'live', outcome: 'scheduled', from: report.status, scheduledFor });
+    return { ruleId: rule._id, action: rule.action.type, scheduledFor, applied: false };
+  }
+
+  /**
+   * Apply a rule's action now. Transitions pin the current status, so a report a
+   * moderator has already handled is left alone.
+   */
+  async execute(report, rule, { delayed = false } = {}) {
+    const Report = this.getReportModel();
+    const now = new Date();
+    const reason = rule.action.reason || `Auto-moderation rule "${rule.name}"`;
+    const tracking = {
+      'autoModeration.ruleId': rule._id,
+      'autoModeration.ruleName': rule.name,
+      'autoModeration.action': rule.action.type,
+      'autoModeration.executedAt': now
+    };
+
+    let from = report.status;
+    let to = report.status;
+    let result;
+
+    if (rule.action.type === 'set_priority') {
+      result = await Report.updateOne(
+        { _id: report._id, status: { $in: OPEN_STATUSES } },
+        {
+          $set: {
+            ...tracking,
+            'moderation.priority': rule.action.priority,
+            'moderation.sla.dueAt': computeSlaDueAt(rule.action.priority, report.createdAt)
+          }
+        }
+      );
+    } else {
+      let update;
+      try {
+        update = reportLifecycleService.buildUpdate(report, rule.action.type, { reason, actor: SYSTEM_ACTOR });
+      } catch (error) {
+        if (error instanceof LifecycleError) return { ruleId: rule._id, action: rule.action.type, applied: false, code: error.code };
+        throw error;
+      }
+
+      ({ from, to } = update);
+      const { filter, update: changes } = update.operation.updateOne;
+      Object.assign(changes.$set, tracking);
+      if (!OPEN_STATUSES.includes(to)) changes.$unset = CLAIM_UNSET;
+
+      result = await Report.updateOne(filter, changes);
+    }
+
+    if (result.modifiedCount === 0) {
+      return { ruleId: rule._id, action: rule.action.type, applied: false, code: 'CONCURRENT_UPDATE' };
+    }
+
+    await this.getRuleModel().updateOne(
+      { _id: rule._id },
+      { $inc: { 'stats.applied': 1, ...(delayed ? {} : { 'stats.matched': 1 }) }, $set: { 'stats.lastMatchedAt': now } }
+    );
+    this.stats.applied++;
+
+    console.log(`🤖 Auto-moderation: rule "${rule.name}" ${rule.action.type} on report ${report._id}`);
+    await this.audit(report, rule, { mode: 'live', outcome: 'applied', from, to, delayed });
+    await this.afterChange(report, rule, { from, to });
+
+    return { ruleId: rule._id, action: rule.action.type, applied: true, from, to };
+  }
+
+  /**
+   * Run delayed actions that are due, re-checking the rule against the report first
+   */
+  async processScheduled(now = new Date()) {
+    const Report = this.getReportModel();
+    const RuleModel = this.getRuleModel();
+
+    const due = await Report.find({
+      'autoModeration.scheduledFor': { $lte: now },
+      'autoModeration.executedAt': { $exists: false },
+      'autoModeration.cancelledAt': { $exists: false }
+    })
+      .select(REPORT_FIELDS)
+      .sort({ 'autoModeration.scheduledFor': 1 })
+      .limit(this.config.maxPerSweep)
+      .lean();
+    if (due.length === 0) return 0;
+
+    const rules = await RuleModel.find({ _id: { $in: due.map(report => report.autoModeration.ruleId) } }).lean();
+    const ruleMap = new Map(rules.map(rule => [String(rule._id), rule]));
+    const devices = this.needsDevice(rules) ? await this.loadDevices(due) : new Map();
+    let executed = 0;
+
+    for (const report of due) {
+      const rule = ruleMap.get(String(report.autoModeration.ruleId));
+      let cancelReason = null;
+
+      if (!rule || !rule.enabled || rule.mode !== 'live') {
+        cancelReason = 'rule_disabled';
+      } else if (!this.isApplicable(rule, report, now)) {
+        cancelReason = 'report_changed';
+      } else if (!this.matchesRule(rule, report, devices.get(report.submittedBy?.deviceFingerprint))) {
+        cancelReason = 'no_longer_matches';
+      }
+
+      if (cancelReason) {
+        await Report.updateOne(
+          { _id: report._id },
+          { $set: { 'autoModeration.cancelledAt': now, 'autoModeration.cancelReason': cancelReason } }
+        );
+        this.stats.cancelled++;
+        if (rule) await this.audit(report, rule, { mode: 'live', outcome: 'cancelled', from: report.status, cancelReason });
+        continue;
+      }
+
+      const result = await this.execute(report, rule, { delayed: true });
+      if (result.applied) executed++;
+    }
+
+    return executed;
+  }
+
+  /**
+   * Evaluate recent reports whose fast phase finished on a path that didn't
+   * call evaluateReport (e.g. distributed workers)
+   */
+  async evaluatePending(now = new Date()) {
+    if ((await this.getRules()).length === 0) return 0;
+
+    const since = new Date(now.getTime() - this.config.sweepWindowHours * 60 * MINUTE);
+    const reports = await this.getReportModel().find({
+      status: { $in: OPEN_STATUSES },
+      'processingStatus.fastPhaseCompleted': true,
+      'autoModeration.evaluatedAt': { $exists: false },
+      createdAt: { $gte: since }
+    })
+      .select('_id')
+      .limit(this.config.maxPerSweep)
+      .lean();
+
+    for (const report of reports) {
+      await this.evaluateReport(report._id);
+    }
+    return reports.length;
+  }
+
+  async sweep() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const now = new Date();
+      this.stats.lastSweepAt = now;
+      await this.evaluatePending(now);
+      await this.processScheduled(now);
+    } catch (error) {
+      this.stats.errors++;
+      console.error('❌ Auto-moderation sweep failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * What the rules would do to recent open reports, without changing anything.
+   * Pass `rule` to test an unsaved definition; otherwise all enabled rules are
+   * evaluated as if they were live.
+   */
+  async dryRun({ rule = null, reportIds = null, days = 7, limit = 200 } = {}) {
+    const rules = rule ? [rule] : await this.getRules();
+    const filter = { status: { $in: OPEN_STATUSES }, 'processingStatus.fastPhaseCompleted': true };
+    if (Array.isArray(reportIds) && reportIds.length > 0) {
+      filter._id = { $in: reportIds };
+    } else {
+      filter.createdAt = { $gte: new Date(Date.now() - days * 24 * 60 * MINUTE) };
+    }
+
+    const reports = await this.getReportModel().find(filter)
+      .select(REPORT_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(limit, this.config.maxDryRunReports))
+      .lean();
+
+    const devices = this.needsDevice(rules) ? await this.loadDevices(reports) : new Map();
+    const byAction = {};
+    const byRule = {};
+    const matches = [];
+
+    for (const report of reports) {
+      const { decisions } = this.decide(rules, report, devices.get(report.submittedBy?.deviceFingerprint), { treatAllAsLive: true });
+      for (const decision of decisions) {
+        byAction[decision.action.type] = (byAction[decision.action.type] || 0) + 1;
+        byRule[decision.name] = (byRule[decision.name] || 0) + 1;
+        matches.push({
+          reportId: report._id,
+          type: report.type,
+          severity: report.severity,
+          status: report.status,
+          createdAt: report.createdAt,
+          ruleId: decision._id || null,
+          ruleName: decision.name,
+          action: decision.action.type,
+          priority: decision.action.priority,
+          delayMinutes: decision.action.delayMinutes || 0
+        });
+      }
+    }
+
+    return {
+      evaluated: reports.length,
+      matched: new Set(matches.map(match => String(match.reportId))).size,
+      byAction,
+      byRule,
+      matches
+    };
+  }
+
+  /**
+   * Audit trail of rule decisions, newest first
+   */
+  async getDecisions({ ruleId = null, reportId = null, limit = 100 } = {}) {
+    const AuditLog = require('../models/AuditLog');
+    const filter = { actionType: 'report_auto_moderation' };
+    if (ruleId) filter['details.ruleId'] = String(ruleId);
+    if (reportId) filter['target.id'] = String(reportId);
+
+    return AuditLog.find(filter).sort({ timestamp: -1 }).limit(Math.min(limit, 500)).lean();
+  }
+
+  async audit(report, rule, details) {
+    try {
+      const AuditLog = require('../models/AuditLog');
+      await AuditLog.create({
+        actor: { userType: 'system', username: SYSTEM_ACTOR.username },
+        actionType: 'report_auto_moderation',
+        target: { id: String(report._id), type: 'report', name: report.type },
+        details: {
+          ruleId: String(rule._id),
+          ruleName: rule.name,
+          action: rule.action.type,
+          priority: rule.action.priority,
+          conditions: rule.conditions,
+          match: rule.match,
+          ...details
+        },
+        severity: details.outcome === 'applied' && rule.action.type === 'reject' ? 'medium' : 'low'
+      });
+    } catch (error) {
+      console.error('❌ Auto-moderation audit log failed:', error.message);
+    }
+  }
+
+  /**
+   * Invalidate caches and tell the admin dashboard about an applied decision
+   */
+  async afterChange(report, rule, { from, to }) {
+    try {
+      const { cacheLayer } = require('../middleware/cacheLayer');
+      await cacheLayer.bumpVersion('reports');
+      await require('./reportTileService').invalidateReportTiles([report]);
+      await cacheLayer.delete('admin:dashboard:stats');
+    } catch (error) {
+      console.warn('Cache invalidation failed (non-critical):', error.message);
+    }
+
+    // updateOne skips save hooks - a published or withdrawn report changes its cell's k count
+    if (from !== to) {
+      await require('./locationPrivacyService').reevaluatePrivacyCells({ reportIds: [report._id] });
+    }
+
+    try {
+      if (global.socketHandler && typeof global.socketHandler.emitToAdmins === 'function') {
+        await global.socketHandler.emitToAdmins('report_auto_moderated', {
+          reportId: report._id,
+          ruleId: rule._id,
+          ruleName: rule.name,
+          action: rule.action.type,
+          from,
+          to
+        });
+      }
+    } catch (error) {
+      console.warn('Auto-moderation socket alert failed (non-critical):', error.message);
+    }
+  }
+
+  /**
+   * Start the sweep for delayed actions and missed evaluations
+   */
+  start() {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => this.sweep(), this.config.sweepIntervalMs);
+    this.interval.unref?.();
+
+    console.log('🤖 Auto-moderation engine started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, running: Boolean(this.interval) };
+  }
+}
+
+// Export singleton instance
+const autoModerationService = new AutoModerationService();
+
+module.exports = {
+  AutoModerationService,
+  autoModerationService,
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  RULE_ACTIONS,
+
+  // Convenience methods
+  evaluateAutoModeration: (reportId) => autoModerationService.evaluateReport(reportId),
+  validateModerationRule: (input) => autoModerationService.validateRule(input),
+  dryRunModerationRules: (options) => autoModerationService.dryRun(options),
+  getAutoModerationStats: () => autoModerationService.getStats()
+};
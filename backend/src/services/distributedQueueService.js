@@ -325,7 +325,8 @@ class DistributedQueueService {
 
     // Background task processor
     this.registerProcessor('backgroundTasks', async (job) => {
-      const { taskType, data } = job.data;
+      // FIXED: reportProcessor queues flat jobs ({ type, reportId, ... }) rather than { taskType, data }
+      const { taskType = job.data.type, data = job.data } = job.data;
 
       console.log(`⚙️ Processing background task: ${taskType} (Job: ${job.id})`);
 
@@ -336,6 +337,10 @@ class DistributedQueueService {
           return await this.processLocationEnrichment(data);
         case 'trend_analysis':
           return await this.processTrendAnalysis(data);
+        case 'research_export': {
+          const { researchExportService } = require('./researchExportService');
+          return await researchExportService.runExport(data.exportId);
+        }
         default:
           throw new Error(`Unknown background task type: ${taskType}`);
       }
@@ -343,7 +348,8 @@ class DistributedQueueService {
 
     // Analytics processor
     this.registerProcessor('analyticsQueue', async (job) => {
-      const { analyticsType, data } = job.data;
+      // FIXED: Reports routed to the analytics tier arrive as { reportData, ... }
+      const { analyticsType = job.data.reportData ? 'report_metrics' : undefined, data = job.data.reportData } = job.data;
 
       console.log(`📈 Processing analytics: ${analyticsType} (Job: ${job.id})`);
 
@@ -823,19 +829,82 @@ class DistributedQueueService {
     return { success: true, analysisType: 'security', data };
   }
 
+  /**
+   * ENHANCED: Fill in a report's district/thana if it was saved without one,
+   * then refresh the rollups it now belongs to
+   */
   async processLocationEnrichment(data) {
-    // Implement location enrichment logic
-    return { success: true, analysisType: 'location', data };
+    const Report = require('../models/Report');
+    const { resolveAdminAreaFromCoordinates } = require('./adminBoundaryService');
+    const { reportRollupService } = require('./reportRollupService');
+
+    const report = await Report.findById(data.reportId)
+      .select('+location.originalCoordinates location.coordinates location.adminArea createdAt incidentOccurredAt')
+      .lean();
+    if (!report) {
+      return { success: false, analysisType: 'location', reason: 'report_not_found' };
+    }
+    if (report.location?.adminArea?.district?.code) {
+      return { success: true, analysisType: 'location', enriched: false, adminArea: report.location.adminArea };
+    }
+
+    const coordinates = report.location?.originalCoordinates?.length === 2
+      ? report.location.originalCoordinates
+      : report.location?.coordinates || data.coordinates;
+    const resolved = resolveAdminAreaFromCoordinates(coordinates);
+    if (!resolved.resolved) {
+      return { success: true, analysisType: 'location', enriched: false, reason: 'outside_known_areas' };
+    }
+
+    const adminArea = {
+      division: resolved.division,
+      district: resolved.district,
+      upazila: resolved.upazila,
+      thana: resolved.thana,
+      resolvedAt: new Date()
+    };
+    await Report.updateOne({ _id: report._id }, { $set: { 'location.adminArea': adminArea } });
+    await reportRollupService.refreshForReport(report);
+
+    return { success: true, analysisType: 'location', enriched: true, adminArea };
   }
 
+  /**
+   * ENHANCED: Incident trend for the report's type and thana (or district) from the rollups
+   */
   async processTrendAnalysis(data) {
-    // Implement trend analysis logic
-    return { success: true, analysisType: 'trends', data };
+    const Report = require('../models/Report');
+    const { reportRollupService } = require('./reportRollupService');
+
+    const report = data.reportId
+      ? await Report.findById(data.reportId).select('type location.adminArea').lean()
+      : null;
+    const type = report?.type || data.type || null;
+    const thana = report?.location?.adminArea?.thana?.code || data.thana || null;
+    const district = thana ? null : (report?.location?.adminArea?.district?.code || data.district || null);
+
+    const trend = await reportRollupService.getTrend({ type, thana, district, days: data.days || 7 });
+    return { success: true, analysisType: 'trends', type, thana, district, trend };
   }
 
+  /**
+   * ENHANCED: Analytics jobs keep the report rollups current
+   */
   async processAnalytics(analyticsType, data) {
-    // Implement analytics processing logic
-    return { success: true, analyticsType, data };
+    const { reportRollupService } = require('./reportRollupService');
+
+    switch (analyticsType) {
+      case 'report_rollup':
+        return { success: true, analyticsType, ...(await reportRollupService.refreshForReport(data, { bases: data.bases })) };
+      case 'rollup_rebuild':
+        return { success: true, analyticsType, ...(await reportRollupService.rebuild()) };
+      case 'report_metrics': {
+        const { reportProcessor } = require('../middleware/reportProcessor');
+        return { analyticsType, ...(await reportProcessor.processAnalytics(data)) };
+      }
+      default:
+        throw new Error(`Unknown analytics type: ${analyticsType}`);
+    }
   }
 
   async handleInitializationFailure(error) {
@@ -243,6 +243,69 @@ const sendEmergencyAlertEmail = async (to, reportData) => {
   }
 };
 
+/**
+ * Send moderation SLA breach summary to administrators
+ */
+const sendSlaBreachEmail = async (to, { breaches, targets }) => {
+  const subject = `⏰ ${breaches.length} report${breaches.length === 1 ? '' : 's'} overdue for moderation - SafeStreets Bangladesh`;
+
+  const rows = breaches.map(breach => `
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #e5e5e5;">
+              <a href="${process.env.FRONTEND_URL}/admin/reports/${breach.reportId}" style="color: #dc2626;">${breach.reportId}</a>
+            </td>
+            <td style="padding: 8px; border-bottom: 1px solid #e5e5e5;">${breach.type}${breach.genderSensitive ? ' (female safety)' : ''}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #e5e5e5;">${breach.previousPriority} → <strong>${breach.priority}</strong></td>
+            <td style="padding: 8px; border-bottom: 1px solid #e5e5e5;">${Math.round(breach.waitingMinutes / 60)}h</td>
+            <td style="padding: 8px; border-bottom: 1px solid #e5e5e5;">${breach.assignedTo || 'Unassigned'}</td>
+          </tr>`).join('');
+
+  const html = `
+    <div style="font-family: 'Inter', sans-serif; line-height: 1.6; color: #333; max-width: 700px; margin: 20px auto; padding: 20px; border: 2px solid #f59e0b; border-radius: 8px; background-color: #fffbeb;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #b45309; font-size: 22px; margin: 0;">⏰ Moderation SLA Breach</h1>
+        <h2 style="color: #b45309; font-size: 16px; margin: 5px 0 0 0;">SafeStreets Bangladesh</h2>
+      </div>
+
+      <div style="background-color: white; padding: 20px; border-radius: 6px; margin-bottom: 20px;">
+        <p style="margin-top: 0;">These reports passed their moderation deadline and were escalated:</p>
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+          <tr>
+            <th style="padding: 8px; border-bottom: 2px solid #e5e5e5; text-align: left;">Report</th>
+            <th style="padding: 8px; border-bottom: 2px solid #e5e5e5; text-align: left;">Type</th>
+            <th style="padding: 8px; border-bottom: 2px solid #e5e5e5; text-align: left;">Priority</th>
+            <th style="padding: 8px; border-bottom: 2px solid #e5e5e5; text-align: left;">Waiting</th>
+            <th style="padding: 8px; border-bottom: 2px solid #e5e5e5; text-align: left;">Now with</th>
+          </tr>${rows}
+        </table>
+      </div>
+
+      <p style="font-size: 13px; color: #64748B;">
+        Targets: critical ${targets.critical}m, urgent ${targets.urgent}m, high ${targets.high}m, medium ${targets.medium}m, low ${targets.low}m
+      </p>
+
+      <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; text-align: center; font-size: 12px; color: #64748B;">
+        <p>This is an automated moderation SLA notification</p>
+      </div>
+    </div>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: `"SafeStreets Moderation" <${process.env.EMAIL_FROM}>`,
+      to: to,
+      subject: subject,
+      html: html,
+      priority: 'high'
+    });
+    console.log(`⏰ SLA breach email sent to ${to}`);
+    return { success: true, error: null };
+  } catch (error) {
+    console.error(`❌ Error sending SLA breach email to ${to}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Send fallback alert email (when main systems fail)
  */
@@ -383,6 +446,7 @@ module.exports = {
   sendPasswordResetEmail,
   sendVerificationEmail,
   sendEmergencyAlertEmail,
+  sendSlaBreachEmail,
   sendFallbackAlertEmail,
   sendSystemRecoveryEmail
 };
\ No newline at end of file
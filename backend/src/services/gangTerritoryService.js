@@ -0,0 +1,334 @@
+// === backend/src/services/gangTerritoryService.js ===
+// Gang Territory Inference for SafeStreets Bangladesh
+// Approved teen_gang and chintai reports are clustered (DBSCAN) into territory
+// polygons once per month over a trailing window. Each month's territories are
+// matched to the previous month's so a lineage shows a territory growing,
+// shrinking, moving or dissolving. Polygons are public, so they are built from
+// privacy-grid coordinates only and skip suppressed and gender-sensitive reports.
+
+const mongoose = require('mongoose');
+const { dbscan, centroid, haversineMeters, bufferedHullRing, ringAreaSqMeters } = require('../utils/spatialClustering');
+const { getBangladeshParts, fromBangladeshTime } = require('../utils/bangladeshTime');
+
+const HOUR = 60 * 60 * 1000;
+
+class GangTerritoryService {
+  constructor() {
+    this.config = {
+      types: ['teen_gang', 'chintai'],
+      statuses: ['approved', 'verified'],
+
+      // Privacy cells are 250m+ apart, so eps must bridge neighbouring cell centres
+      epsMeters: 400,
+      minPoints: 5,
+      bufferMeters: 150,
+
+      windowMonths: parseInt(process.env.GANG_TERRITORY_WINDOW_MONTHS) || 3,
+      historyMonths: 6, // Months kept up to date (older snapshots are left as they are)
+
+      // Month-over-month matching and change classification
+      matchDistanceMeters: 1000,
+      shiftThresholdMeters: 250,
+      areaChangeThreshold: 0.2,
+
+      runIntervalMs: 24 * HOUR
+    };
+
+    this.interval = null;
+    this.running = false;
+
+    this.stats = {
+      runs: 0,
+      monthsComputed: 0,
+      territories: 0,
+      errors: 0,
+      lastRunAt: null,
+      lastRunMs: null
+    };
+  }
+
+  getReportModel() {
+    return require('../models/Report');
+  }
+
+  getTerritoryModel() {
+    return require('../models/GangTerritory');
+  }
+
+  /**
+   * "YYYY-MM" key and trailing report window for a Bangladesh calendar month
+   */
+  getMonth(year, month) {
+    const normalized = new Date(Date.UTC(year, month - 1, 1));
+    const y = normalized.getUTCFullYear();
+    const m = normalized.getUTCMonth() + 1;
+    return {
+      key: `${y}-${String(m).padStart(2, '0')}`,
+      year: y,
+      month: m,
+      window: {
+        start: fromBangladeshTime(y, m - this.config.windowMonths + 1, 1),
+        end: fromBangladeshTime(y, m + 1, 1)
+      }
+    };
+  }
+
+  /**
+   * The months kept up to date, oldest first, ending with the current one
+   */
+  getRecentMonths(now = new Date()) {
+    const local = getBangladeshParts(now);
+    const months = [];
+    for (let offset = this.config.historyMonths - 1; offset >= 0; offset--) {
+      months.push(this.getMonth(local.year, local.month - offset));
+    }
+    return months;
+  }
+
+  /**
+   * Public reports that count towards a window
+   */
+  async getWindowReports({ start, end }) {
+    const range = { $gte: start, $lt: end };
+    return this.getReportModel().find({
+      type: { $in: this.config.types },
+      status: { $in: this.config.statuses },
+      genderSensitive: { $ne: true },
+      'location.privacy.suppressed': { $ne: true },
+      $or: [
+        { incidentOccurredAt: range },
+        { incidentOccurredAt: null, createdAt: range }
+      ]
+    })
+      .select('_id type severity location.coordinates location.adminArea')
+      .lean();
+  }
+
+  /**
+   * Most common district and thana among a territory's reports
+   */
+  getDominantArea(reports) {
+    const dominant = (level) => {
+      const counts = new Map();
+      for (const report of reports) {
+        const area = report.location?.adminArea?.[level];
+        if (!area?.code) continue;
+        const entry = counts.get(area.code) || { code: area.code, name: area.name, count: 0 };
+        entry.count++;
+        counts.set(area.code, entry);
+      }
+      const best = [...counts.values()].sort((a, b) => b.count - a.count)[0];
+      return best ? { code: best.code, name: best.name } : undefined;
+    };
+    return { district: dominant('district'), thana: dominant('thana') };
+  }
+
+  /**
+   * Polygon and summary for one cluster of reports
+   */
+  buildTerritory(cluster) {
+    const reports = cluster.map(item => item.report);
+    const coordinates = cluster.map(item => item.coordinates);
+    const ring = bufferedHullRing(coordinates, this.config.bufferMeters);
+    const centre = centroid(coordinates).map(value => Math.round(value * 1e6) / 1e6);
+
+    const typeBreakdown = Object.fromEntries(this.config.types.map(type => [type, 0]));
+    for (const report of reports) typeBreakdown[report.type]++;
+
+    return {
+      polygon: { type: 'Polygon', coordinates: [ring] },
+      centroid: { type: 'Point', coordinates: centre },
+      areaSqMeters: Math.round(ringAreaSqMeters(ring)),
+      reportCount: reports.length,
+      typeBreakdown,
+      averageSeverity: Math.round(reports.reduce((sum, report) => sum + (report.severity || 0), 0) / reports.length * 10) / 10,
+      reports: reports.map(report => report._id),
+      adminArea: this.getDominantArea(reports)
+    };
+  }
+
+  /**
+   * Pair this month's territories with last month's. Shared reports (the windows
+   * overlap) decide first, then centroid distance; each territory pairs once.
+   */
+  matchTerritories(current, previous) {
+    const pairs = [];
+    current.forEach((territory, currentIndex) => {
+      const ids = new Set(territory.reports.map(String));
+      previous.forEach((prior, previousIndex) => {
+        const shared = (prior.reports || []).filter(id => ids.has(String(id))).length;
+        const distance = haversineMeters(territory.centroid.coordinates, prior.centroid.coordinates);
+        if (shared > 0 || distance <= this.config.matchDistanceMeters) {
+          pairs.push({ currentIndex, previousIndex, shared, distance });
+        }
+      });
+    });
+    pairs.sort((a, b) => b.shared - a.shared || a.distance - b.distance);
+
+    const matches = new Map();
+    const usedPrevious = new Set();
+    for (const pair of pairs) {
+      if (matches.has(pair.currentIndex) || usedPrevious.has(pair.previousIndex)) continue;
+      matches.set(pair.currentIndex, pair);
+      usedPrevious.add(pair.previousIndex);
+    }
+    return { matches, usedPrevious };
+  }
+
+  /**
+   * How a territory changed since its previous snapshot
+   */
+  classifyChange(territory, prior, distance) {
+    const areaChangePct = prior.areaSqMeters > 0 ?
+      Math.round((territory.areaSqMeters - prior.areaSqMeters) / prior.areaSqMeters * 100) : 0;
+
+    let status = 'stable';
+    if (distance > this.config.shiftThresholdMeters) status = 'shifted';
+    else if (areaChangePct >= this.config.areaChangeThreshold * 100) status = 'expanded';
+    else if (areaChangePct <= -this.config.areaChangeThreshold * 100) status = 'contracted';
+
+    return {
+      status,
+      previousId: prior._id,
+      areaChangePct,
+      shiftMeters: Math.round(distance),
+      reportCountChange: territory.reportCount - prior.reportCount
+    };
+  }
+
+  /**
+   * Rebuild one month's snapshot from scratch
+   */
+  async computeMonth(month, now = new Date()) {
+    const GangTerritory = this.getTerritoryModel();
+    const reports = await this.getWindowReports(month.window);
+
+    const items = reports
+      .filter(report => Array.isArray(report.location?.coordinates) && report.location.coordinates.length === 2)
+      .map(report => ({ report, coordinates: report.location.coordinates }));
+    const territories = dbscan(items, { epsMeters: this.config.epsMeters, minPoints: this.config.minPoints })
+      .map(cluster => this.buildTerritory(cluster));
+
+    const previousMonth = this.getMonth(month.year, month.month - 1);
+    const previous = await GangTerritory.find({ month: previousMonth.key, 'change.status': { $ne: 'dissolved' } })
+      .select('+reports')
+      .lean();
+
+    const { matches, usedPrevious } = this.matchTerritories(territories, previous);
+    const base = { month: month.key, window: month.window, computedAt: now };
+
+    const docs = territories.map((territory, index) => {
+      const match = matches.get(index);
+      if (!match) {
+        return { ...base, ...territory, lineageId: new mongoose.Types.ObjectId().toString(), change: { status: 'new' } };
+      }
+      const prior = previous[match.previousIndex];
+      return { ...base, ...territory, lineageId: prior.lineageId, change: this.classifyChange(territory, prior, match.distance) };
+    });
+
+    // Keep last month's outline so the map can show where a territory disappeared
+    previous.forEach((prior, index) => {
+      if (usedPrevious.has(index)) return;
+      docs.push({
+        ...base,
+        lineageId: prior.lineageId,
+        polygon: prior.polygon,
+        centroid: prior.centroid,
+        areaSqMeters: prior.areaSqMeters,
+        reportCount: 0,
+        reports: [],
+        adminArea: prior.adminArea,
+        change: { status: 'dissolved', previousId: prior._id, reportCountChange: -prior.reportCount }
+      });
+    });
+
+    await GangTerritory.deleteMany({ month: month.key });
+    if (docs.length > 0) await GangTerritory.insertMany(docs);
+
+    return {
+      month: month.key,
+      reports: items.length,
+      territories: territories.length,
+      dissolved: docs.length - territories.length
+    };
+  }
+
+  /**
+   * Refresh the current and previous month (late approvals) and fill any gaps
+   */
+  async run({ now = new Date(), force = false } = {}) {
+    if (this.running) return { skipped: true };
+    this.running = true;
+    const startedAt = Date.now();
+
+    try {
+      const GangTerritory = this.getTerritoryModel();
+      const months = this.getRecentMonths(now);
+      const results = [];
+
+      // Oldest first - each month is matched against the one before it
+      for (const [index, month] of months.entries()) {
+        const isRecent = index >= months.length - 2;
+        if (!force && !isRecent && await GangTerritory.exists({ month: month.key })) continue;
+        results.push(await this.computeMonth(month, now));
+      }
+
+      this.stats.runs++;
+      this.stats.monthsComputed += results.length;
+      this.stats.territories = results[results.length - 1]?.territories || 0;
+      this.stats.lastRunAt = new Date(startedAt);
+      this.stats.lastRunMs = Date.now() - startedAt;
+
+      try {
+        const { cacheLayer } = require('../middleware/cacheLayer');
+        await cacheLayer.bumpVersion('territories');
+      } catch (error) {
+        console.warn('Cache invalidation failed (non-critical):', error.message);
+      }
+
+      console.log(`🗺️ Gang territories: ${results.map(result => `${result.month} → ${result.territories}`).join(', ')}`);
+      return { months: results };
+    } catch (error) {
+      this.stats.errors++;
+      console.error('❌ Gang territory inference failed:', error);
+      return { error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start daily inference
+   */
+  start() {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => this.run(), this.config.runIntervalMs);
+    this.interval.unref?.();
+
+    console.log(`🗺️ Gang territory inference scheduled (every ${this.config.runIntervalMs / HOUR} hours)`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, running: Boolean(this.interval), config: { ...this.config } };
+  }
+}
+
+// Export singleton instance
+const gangTerritoryService = new GangTerritoryService();
+
+module.exports = {
+  GangTerritoryService,
+  gangTerritoryService,
+
+  // Convenience methods
+  inferGangTerritories: (options) => gangTerritoryService.run(options),
+  getGangTerritoryStats: () => gangTerritoryService.getStats()
+};
@@ -0,0 +1,330 @@
+// === backend/src/services/hotspotAnalysisService.js ===
+// Statistical Hotspot Detection for SafeStreets Bangladesh
+// A heatmap shows where reports are; Getis-Ord Gi* shows where there are more
+// (or fewer) than chance would explain. Reports are counted on a fixed square
+// grid, each cell's neighbourhood (the cell and its 8 neighbours) is compared
+// with the study-area mean, and the z-scores are tested with a Benjamini-Hochberg
+// false discovery rate correction. Results are public, so only privacy-grid
+// coordinates are used.
+
+const { createSquareGrid } = require('../utils/spatialClustering');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const PERIOD_DAYS = { week: 7, month: 30, quarter: 90, year: 365 };
+
+// Two-tailed significance levels mapped to confidence bins
+const CONFIDENCE_LEVELS = [
+  { confidence: 99, alpha: 0.01 },
+  { confidence: 95, alpha: 0.05 },
+  { confidence: 90, alpha: 0.10 }
+];
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+ */
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+class HotspotAnalysisService {
+  constructor() {
+    this.config = {
+      // Cells no finer than the 250m privacy grid
+      cellSizeMeters: Math.max(250, parseInt(process.env.HOTSPOT_CELL_SIZE_METERS) || 500),
+      neighbourhoodRadiusCells: 1, // Queen contiguity - the cell and its 8 neighbours
+      periods: Object.keys(PERIOD_DAYS),
+      statuses: ['approved', 'verified'],
+      minReports: 30, // Below this the test has too little power to be worth publishing
+      // The normal approximation overstates significance for tiny counts - a hot
+      // cell needs at least this many reports in its neighbourhood
+      minHotNeighbourhoodReports: 10,
+      fdrCorrection: true,
+      runIntervalMs: 6 * HOUR
+    };
+
+    this.interval = null;
+    this.running = false;
+
+    this.stats = {
+      runs: 0,
+      analyses: 0,
+      skipped: 0,
+      errors: 0,
+      lastRunAt: null,
+      lastRunMs: null
+    };
+  }
+
+  getReportModel() {
+    return require('../models/Report');
+  }
+
+  getAnalysisModel() {
+    return require('../models/HotspotAnalysis');
+  }
+
+  /**
+   * Gi* for a set of [lng, lat] points. Pure - no database access.
+   */
+  analyze(coordinates) {
+    const { cellSizeMeters, neighbourhoodRadiusCells: radius, minReports } = this.config;
+    const grid = createSquareGrid(cellSizeMeters);
+    const method = {
+      statistic: 'getis_ord_gi_star',
+      grid: 'square',
+      cellSizeMeters,
+      weights: radius === 1 ? 'binary, queen contiguity (cell + 8 neighbours)' : `binary, ${2 * radius + 1}x${2 * radius + 1} cell window`,
+      neighbourhoodRadiusCells: radius,
+      multipleTesting: this.config.fdrCorrection ? 'benjamini_hochberg_fdr' : 'none',
+      minHotNeighbourhoodReports: this.config.minHotNeighbourhoodReports,
+      studyArea: 'bounding box of reported cells padded by the neighbourhood radius; cells with no reports in their neighbourhood are not tested'
+    };
+
+    if (coordinates.length < minReports) {
+      return { method, skipped: true, skippedReason: `Fewer than ${minReports} reports`, stats: { reports: coordinates.length }, cells: [] };
+    }
+
+    // Count reports per cell
+    const counts = new Map();
+    for (const point of coordinates) {
+      const { col, row } = grid.cellOf(point);
+      const key = `${col}:${row}`;
+      const cell = counts.get(key) || { col, row, count: 0 };
+      cell.count++;
+      counts.set(key, cell);
+    }
+    const countAt = (col, row) => counts.get(`${col}:${row}`)?.count || 0;
+
+    // Study area and global statistics (empty cells count as zeros)
+    const cells = [...counts.values()];
+    const minCol = Math.min(...cells.map(cell => cell.col)) - radius;
+    const maxCol = Math.max(...cells.map(cell => cell.col)) + radius;
+    const minRow = Math.min(...cells.map(cell => cell.row)) - radius;
+    const maxRow = Math.max(...cells.map(cell => cell.row)) + radius;
+    const n = (maxCol - minCol + 1) * (maxRow - minRow + 1);
+
+    const sum = coordinates.length;
+    const sumSquares = cells.reduce((total, cell) => total + cell.count * cell.count, 0);
+    const mean = sum / n;
+    const stdDev = Math.sqrt(sumSquares / n - mean * mean);
+
+    const stats = { reports: sum, studyAreaCells: n, mean: Math.round(mean * 1e4) / 1e4, stdDev: Math.round(stdDev * 1e4) / 1e4 };
+    if (!(stdDev > 0) || n < 2) {
+      return { method, skipped: true, skippedReason: 'No spatial variation to test', stats, cells: [] };
+    }
+
+    // Every cell with at least one report in its neighbourhood
+    const candidates = new Map();
+    for (const cell of cells) {
+      for (let dc = -radius; dc <= radius; dc++) {
+        for (let dr = -radius; dr <= radius; dr++) {
+          candidates.set(`${cell.col + dc}:${cell.row + dr}`, { col: cell.col + dc, row: cell.row + dr });
+        }
+      }
+    }
+
+    const results = [];
+    for (const { col, row } of candidates.values()) {
+      let weightSum = 0;
+      let localSum = 0;
+      for (let dc = -radius; dc <= radius; dc++) {
+        for (let dr = -radius; dr <= radius; dr++) {
+          const c = col + dc;
+          const r = row + dr;
+          if (c < minCol || c > maxCol || r < minRow || r > maxRow) continue;
+          weightSum++;
+          localSum += countAt(c, r);
+        }
+      }
+
+      // Binary weights: sum of w and sum of w^2 are both weightSum
+      const denominator = stdDev * Math.sqrt((n * weightSum - weightSum * weightSum) / (n - 1));
+      if (!(denominator > 0)) continue;
+      const zScore = (localSum - mean * weightSum) / denominator;
+      const pValue = 2 * (1 - normalCdf(Math.abs(zScore)));
+
+      results.push({ col, row, count: countAt(col, row), neighbourhoodCount: localSum, zScore, pValue });
+    }
+
+    // Benjamini-Hochberg over every cell in the study area (untested cells rank last)
+    if (this.config.fdrCorrection) {
+      results.sort((a, b) => a.pValue - b.pValue);
+      let running = 1;
+      for (let index = results.length - 1; index >= 0; index--) {
+        running = Math.min(running, results[index].pValue * n / (index + 1));
+        results[index].qValue = Math.min(1, running);
+      }
+    }
+
+    const significant = [];
+    for (const result of results) {
+      const tested = this.config.fdrCorrection ? result.qValue : result.pValue;
+      const level = CONFIDENCE_LEVELS.find(entry => tested <= entry.alpha);
+      if (!level) continue;
+      if (result.zScore > 0 && result.neighbourhoodCount < this.config.minHotNeighbourhoodReports) continue;
+
+      significant.push({
+        cellId: grid.cellId(result.col, result.row),
+        center: grid.center(result.col, result.row),
+        bounds: grid.bounds(result.col, result.row),
+        count: result.count,
+        neighbourhoodCount: result.neighbourhoodCount,
+        zScore: Math.round(result.zScore * 1000) / 1000,
+        pValue: Number(result.pValue.toPrecision(4)),
+        qValue: result.qValue !== undefined ? Number(result.qValue.toPrecision(4)) : undefined,
+        confidence: level.confidence,
+        kind: result.zScore > 0 ? 'hot' : 'cold'
+      });
+    }
+    significant.sort((a, b) => b.zScore - a.zScore);
+
+    return {
+      method,
+      skipped: false,
+      stats: {
+        ...stats,
+        evaluatedCells: results.length,
+        hotCells: significant.filter(cell => cell.kind === 'hot').length,
+        coldCells: significant.filter(cell => cell.kind === 'cold').length
+      },
+      cells: significant
+    };
+  }
+
+  /**
+   * Public reports in a period, with incident type and privacy-grid coordinates
+   */
+  async getPeriodReports(window) {
+    const range = { $gte: window.start, $lt: window.end };
+    return this.getReportModel().find({
+      status: { $in: this.config.statuses },
+      'location.privacy.suppressed': { $ne: true },
+      $or: [
+        { incidentOccurredAt: range },
+        { incidentOccurredAt: null, createdAt: range }
+      ]
+    })
+      .select('type location.coordinates')
+      .lean();
+  }
+
+  /**
+   * Recompute every type (plus 'all') for every period
+   */
+  async run({ now = new Date() } = {}) {
+    if (this.running) return { skipped: true };
+    this.running = true;
+    const startedAt = Date.now();
+
+    try {
+      const HotspotAnalysis = this.getAnalysisModel();
+      const summary = { analyses: 0, skipped: 0, hotCells: 0 };
+
+      for (const period of this.config.periods) {
+        const window = { start: new Date(now.getTime() - PERIOD_DAYS[period] * DAY), end: now };
+        const reports = (await this.getPeriodReports(window))
+          .filter(report => Array.isArray(report.location?.coordinates) && report.location.coordinates.length === 2);
+
+        const byType = new Map([['all', reports]]);
+        for (const report of reports) {
+          if (!byType.has(report.type)) byType.set(report.type, []);
+          byType.get(report.type).push(report);
+        }
+        // Refresh types analysed before too, so stale hotspots don't linger
+        for (const type of await HotspotAnalysis.distinct('type', { period })) {
+          if (!byType.has(type)) byType.set(type, []);
+        }
+
+        for (const [type, typeReports] of byType) {
+          const result = this.analyze(typeReports.map(report => report.location.coordinates));
+          await HotspotAnalysis.findOneAndUpdate(
+            { type, period },
+            { $set: { ...result, skippedReason: result.skippedReason || null, type, period, window, computedAt: new Date() } },
+            { upsert: true }
+          );
+
+          summary.analyses++;
+          if (result.skipped) summary.skipped++;
+          else summary.hotCells += result.stats.hotCells;
+        }
+      }
+
+      this.stats.runs++;
+      this.stats.analyses += summary.analyses;
+      this.stats.skipped += summary.skipped;
+      this.stats.lastRunAt = new Date(startedAt);
+      this.stats.lastRunMs = Date.now() - startedAt;
+
+      try {
+        const { cacheLayer } = require('../middleware/cacheLayer');
+        await cacheLayer.bumpVersion('hotspots');
+      } catch (error) {
+        console.warn('Cache invalidation failed (non-critical):', error.message);
+      }
+
+      console.log(`📊 Hotspot analysis: ${summary.analyses} analyses (${summary.skipped} too sparse), ${summary.hotCells} significant hot cells`);
+      return summary;
+    } catch (error) {
+      this.stats.errors++;
+      console.error('❌ Hotspot analysis failed:', error);
+      return { error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Stored analysis for a type and period
+   */
+  async getAnalysis(type = 'all', period = 'month', { minConfidence = 90, kind = null } = {}) {
+    const analysis = await this.getAnalysisModel().findOne({ type, period }).lean();
+    if (!analysis) return null;
+
+    analysis.cells = analysis.cells.filter(cell =>
+      cell.confidence >= minConfidence && (!kind || cell.kind === kind)
+    );
+    return analysis;
+  }
+
+  /**
+   * Start periodic analysis
+   */
+  start() {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => this.run(), this.config.runIntervalMs);
+    this.interval.unref?.();
+
+    console.log(`📊 Hotspot analysis scheduled (every ${this.config.runIntervalMs / HOUR} hours)`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, running: Boolean(this.interval), config: { ...this.config } };
+  }
+}
+
+// Export singleton instance
+const hotspotAnalysisService = new HotspotAnalysisService();
+
+module.exports = {
+  HotspotAnalysisService,
+  hotspotAnalysisService,
+  HOTSPOT_PERIODS: Object.keys(PERIOD_DAYS),
+
+  // Convenience methods
+  runHotspotAnalysis: (options) => hotspotAnalysisService.run(options),
+  getHotspotAnalysis: (type, period, options) => hotspotAnalysisService.getAnalysis(type, period, options),
+  getHotspotStats: () => hotspotAnalysisService.getStats()
+};
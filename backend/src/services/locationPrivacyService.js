@@ -0,0 +1,276 @@
+// === backend/src/services/locationPrivacyService.js ===
+// k-Anonymous Location Privacy for SafeStreets Bangladesh
+// Public coordinates are snapped to the centre of a deterministic grid cell whose
+// size grows until at least k reports share it. Random jitter leaks the true spot
+// when several jittered copies are averaged; a fixed cell centre never does.
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+// Explicit sub-paths - originalCoordinates and cellIds are select:false on the model
+const PRIVACY_FIELDS = '_id genderSensitive location.originalCoordinates ' +
+  'location.privacy.cellSize location.privacy.suppressed location.privacy.evaluatedAt';
+
+class LocationPrivacyService {
+  constructor() {
+    this.config = {
+      k: parseInt(process.env.LOCATION_PRIVACY_K) || 5,
+
+      // Candidate cell sizes (meters), finest first
+      cellSizes: [250, 500, 1000, 2000, 5000],
+      sensitiveMinCellSize: 500, // Gender-sensitive reports never use the finest cell
+
+      // Only published reports count towards a cell's density - pending and
+      // flagged ones are not public and may never be
+      densityWindowDays: 365,
+      publicStatuses: ['approved', 'verified'],
+      excludedStatuses: ['rejected', 'archived'], // Never re-evaluated
+
+      // Neighbours re-evaluated when a report enters or leaves their cell
+      maxNeighbourUpdates: 500
+    };
+
+    this.stats = {
+      evaluations: 0,
+      suppressed: 0,
+      neighboursUpdated: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Grid cell for a [lng, lat] pair. Rows are fixed-height latitude bands;
+   * column width is derived from the band centre so cells stay roughly square.
+   */
+  getCell(coordinates, cellSize) {
+    const [lng, lat] = coordinates;
+    const latStep = cellSize / METERS_PER_DEGREE_LAT;
+    const row = Math.floor(lat / latStep);
+    const rowCenterLat = (row + 0.5) * latStep;
+    const lngStep = cellSize / (METERS_PER_DEGREE_LAT * Math.cos(rowCenterLat * Math.PI / 180));
+    const col = Math.floor(lng / lngStep);
+
+    return {
+      id: `${cellSize}:${row}:${col}`,
+      cellSize,
+      center: [
+        Math.round((col + 0.5) * lngStep * 1e6) / 1e6,
+        Math.round(rowCenterLat * 1e6) / 1e6
+      ]
+    };
+  }
+
+  /**
+   * Cell sizes a report may be shown at
+   */
+  getAllowedSizes(sensitive = false) {
+    return sensitive ?
+      this.config.cellSizes.filter(size => size >= this.config.sensitiveMinCellSize) :
+      this.config.cellSizes;
+  }
+
+  /**
+   * Synchronous snap used at save time. The report starts suppressed from
+   * public display until the k-anonymity check has counted its neighbours.
+   */
+  snap(coordinates, { sensitive = false } = {}) {
+    const cells = this.config.cellSizes.map(size => this.getCell(coordinates, size));
+    const initialCell = this.getCell(coordinates, this.getAllowedSizes(sensitive)[0]);
+
+    return {
+      coordinates: initialCell.center,
+      privacy: {
+        cellIds: cells.map(cell => cell.id),
+        cellSize: initialCell.cellSize,
+        suppressed: true,
+        evaluatedAt: null
+      }
+    };
+  }
+
+  /**
+   * Number of reports sharing a cell (memoized per evaluation pass)
+   */
+  async countCell(Report, cellId, counts) {
+    if (counts.has(cellId)) return counts.get(cellId);
+
+    const since = new Date(Date.now() - this.config.densityWindowDays * 24 * 60 * 60 * 1000);
+    const count = await Report.countDocuments({
+      'location.privacy.cellIds': cellId,
+      status: { $in: this.config.publicStatuses },
+      createdAt: { $gte: since }
+    });
+
+    counts.set(cellId, count);
+    return count;
+  }
+
+  /**
+   * Pick the finest allowed cell shared by at least k reports.
+   * Falls back to the coarsest cell, suppressed, when none qualifies.
+   */
+  async chooseCell(Report, originalCoordinates, sensitive, counts) {
+    const sizes = this.getAllowedSizes(sensitive);
+
+    for (const size of sizes) {
+      const cell = this.getCell(originalCoordinates, size);
+      const count = await this.countCell(Report, cell.id, counts);
+      if (count >= this.config.k) {
+        return { ...cell, count, suppressed: false };
+      }
+    }
+
+    const coarsest = this.getCell(originalCoordinates, sizes[sizes.length - 1]);
+    return { ...coarsest, count: counts.get(coarsest.id) || 0, suppressed: true };
+  }
+
+  /**
+   * Build the update for one report, or null when nothing changed
+   */
+  async evaluate(Report, report, counts) {
+    const originalCoordinates = report.location?.originalCoordinates;
+    if (!Array.isArray(originalCoordinates) || originalCoordinates.length !== 2) return null;
+
+    const cell = await this.chooseCell(Report, originalCoordinates, report.genderSensitive, counts);
+    this.stats.evaluations++;
+    if (cell.suppressed) this.stats.suppressed++;
+
+    const privacy = report.location.privacy || {};
+    if (privacy.evaluatedAt && privacy.cellSize === cell.cellSize && privacy.suppressed === cell.suppressed) {
+      return null;
+    }
+
+    return {
+      updateOne: {
+        filter: { _id: report._id },
+        update: {
+          $set: {
+            'location.coordinates': cell.center,
+            'location.obfuscated': true,
+            'location.privacy.cellSize': cell.cellSize,
+            'location.privacy.suppressed': cell.suppressed,
+            'location.privacy.evaluatedAt': new Date()
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Updates for the reports sharing a coarsest cell. Counts only change when a
+   * report is published or withdrawn, which can move every report in the cell.
+   */
+  async evaluateCell(Report, cellId, counts, excludeId = null) {
+    const filter = {
+      'location.privacy.cellIds': cellId,
+      status: { $nin: this.config.excludedStatuses }
+    };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    const neighbours = await Report.find(filter)
+      .select(PRIVACY_FIELDS)
+      .limit(this.config.maxNeighbourUpdates)
+      .lean();
+
+    const operations = [];
+    for (const neighbour of neighbours) {
+      const update = await this.evaluate(Report, neighbour, counts);
+      if (update) {
+        operations.push(update);
+        this.stats.neighboursUpdated++;
+      }
+    }
+    return operations;
+  }
+
+  /**
+   * Evaluate a newly saved report and re-evaluate neighbours whose cells just
+   * gained a report (they may now qualify for a finer cell)
+   */
+  async applyKAnonymity(reportId) {
+    try {
+      const Report = require('../models/Report');
+      const counts = new Map();
+
+      const report = await Report.findById(reportId)
+        .select(`${PRIVACY_FIELDS} location.privacy.cellIds`)
+        .lean();
+      if (!report?.location?.privacy?.cellIds?.length) return null;
+
+      const operations = [];
+      const own = await this.evaluate(Report, report, counts);
+      if (own) operations.push(own);
+
+      const coarsestCellId = report.location.privacy.cellIds[report.location.privacy.cellIds.length - 1];
+      operations.push(...await this.evaluateCell(Report, coarsestCellId, counts, report._id));
+
+      if (operations.length > 0) {
+        await Report.bulkWrite(operations, { ordered: false });
+      }
+
+      return { updated: operations.length };
+    } catch (error) {
+      this.stats.errors++;
+      console.error('❌ k-anonymity evaluation failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Re-evaluate the cells of reports that were published, withdrawn (rejected,
+   * archived, sent back for review) or deleted. Pass cellIds for deleted reports.
+   */
+  async reevaluateCells({ reportIds = [], cellIds = [] } = {}) {
+    try {
+      const Report = require('../models/Report');
+      const coarsest = new Set(cellIds.length ? [cellIds[cellIds.length - 1]] : []);
+
+      if (reportIds.length > 0) {
+        const reports = await Report.find({ _id: { $in: reportIds } })
+          .select('location.privacy.cellIds')
+          .lean();
+        for (const report of reports) {
+          const ids = report.location?.privacy?.cellIds || [];
+          if (ids.length) coarsest.add(ids[ids.length - 1]);
+        }
+      }
+
+      const counts = new Map();
+      const operations = [];
+      for (const cellId of coarsest) {
+        operations.push(...await this.evaluateCell(Report, cellId, counts));
+      }
+
+      if (operations.length > 0) {
+        await Report.bulkWrite(operations, { ordered: false });
+      }
+
+      return { cells: coarsest.size, updated: operations.length };
+    } catch (error) {
+      this.stats.errors++;
+      console.error('❌ k-anonymity re-evaluation failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get privacy layer statistics
+   */
+  getStats() {
+    return { ...this.stats, k: this.config.k, cellSizes: this.config.cellSizes };
+  }
+}
+
+// Export singleton instance
+const locationPrivacyService = new LocationPrivacyService();
+
+module.exports = {
+  LocationPrivacyService,
+  locationPrivacyService,
+
+  // Convenience methods
+  snapToPrivacyGrid: (coordinates, options) => locationPrivacyService.snap(coordinates, options),
+  getPrivacyCell: (coordinates, cellSize) => locationPrivacyService.getCell(coordinates, cellSize),
+  applyKAnonymity: (reportId) => locationPrivacyService.applyKAnonymity(reportId),
+  reevaluatePrivacyCells: (options) => locationPrivacyService.reevaluateCells(options),
+  getLocationPrivacyStats: () => locationPrivacyService.getStats()
+};
@@ -0,0 +1,235 @@
+// === backend/src/services/mediaProcessingService.js ===
+// Evidence Media Processing for SafeStreets Bangladesh
+// Re-encodes uploaded images, strips EXIF/GPS metadata and generates thumbnails
+// so nothing a reporter's phone embedded in a photo ever reaches storage
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+let sharp;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  console.warn('⚠️ sharp not available, evidence image uploads disabled:', error.message);
+  sharp = null;
+}
+
+class MediaProcessingService {
+  constructor() {
+    this.config = {
+      // Storage location and public URL prefix
+      uploadDir: process.env.MEDIA_UPLOAD_DIR || path.join(__dirname, '../../uploads/reports'),
+      publicPath: process.env.MEDIA_PUBLIC_PATH || '/uploads/reports',
+
+      // Upload limits (per request)
+      maxFiles: parseInt(process.env.MEDIA_MAX_FILES) || 5,
+      maxFileSize: 5 * 1024 * 1024, // 5MB, matches sanitization image limit
+
+      // Output caps
+      maxDimension: 2048,
+      thumbnailSize: 320,
+      quality: 80,
+      thumbnailQuality: 70,
+
+      // Decompression bomb protection (~40MP)
+      maxInputPixels: 40 * 1000 * 1000,
+
+      // Formats sharp must detect from the bytes themselves (not the client mimetype)
+      acceptedFormats: ['jpeg', 'png', 'webp', 'gif']
+    };
+
+    this.stats = {
+      imagesProcessed: 0,
+      imagesRejected: 0,
+      metadataStripped: 0,
+      bytesIn: 0,
+      bytesOut: 0
+    };
+  }
+
+  /**
+   * Whether the image pipeline can run in this environment
+   */
+  isAvailable() {
+    return sharp !== null;
+  }
+
+  /**
+   * Map a mimetype to the report media type
+   */
+  getMediaType(mimetype = '') {
+    if (mimetype.startsWith('image/')) return 'image';
+    if (mimetype.startsWith('video/')) return 'video';
+    if (mimetype.startsWith('audio/')) return 'audio';
+    return null;
+  }
+
+  /**
+   * Process a batch of validated upload files into Report.media entries.
+   * All-or-nothing: if any file fails, files already written are removed.
+   */
+  async processUploads(files = []) {
+    if (!files.length) return [];
+
+    if (files.length > this.config.maxFiles) {
+      throw new MediaProcessingError(`A maximum of ${this.config.maxFiles} files can be attached`);
+    }
+
+    const processed = [];
+    try {
+      for (const file of files) {
+        const mediaType = this.getMediaType(file.mimetype);
+
+        // Video/audio containers carry GPS and device tags we cannot strip
+        // without a transcoder, so only images are accepted for now
+        if (mediaType !== 'image') {
+          throw new MediaProcessingError(`Unsupported evidence type: ${file.mimetype}. Only images are accepted.`);
+        }
+
+        processed.push(await this.processImage(file.buffer));
+      }
+      return processed;
+    } catch (error) {
+      await this.removeMedia(processed);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-encode a single image. sharp drops EXIF/XMP/IPTC (including GPS)
+   * unless withMetadata() is requested, so the output carries no metadata.
+   */
+  async processImage(buffer) {
+    if (!this.isAvailable()) {
+      throw new MediaProcessingError('Image processing is not available on this server', 503);
+    }
+
+    if (!buffer || buffer.length === 0) {
+      throw new MediaProcessingError('Empty file');
+    }
+
+    if (buffer.length > this.config.maxFileSize) {
+      this.stats.imagesRejected++;
+      throw new MediaProcessingError(`File exceeds maximum size of ${this.config.maxFileSize} bytes`);
+    }
+
+    const input = () => sharp(buffer, {
+      limitInputPixels: this.config.maxInputPixels,
+      failOn: 'error',
+      animated: false // first frame only for GIF/WebP animations
+    });
+
+    // Validate the actual image format from the bytes
+    let sourceMeta;
+    try {
+      sourceMeta = await input().metadata();
+    } catch (error) {
+      this.stats.imagesRejected++;
+      throw new MediaProcessingError('File is not a valid image');
+    }
+
+    if (!this.config.acceptedFormats.includes(sourceMeta.format)) {
+      this.stats.imagesRejected++;
+      throw new MediaProcessingError(`Image format ${sourceMeta.format} not allowed`);
+    }
+
+    const hadMetadata = Boolean(sourceMeta.exif || sourceMeta.xmp || sourceMeta.iptc);
+
+    // rotate() applies EXIF orientation before the tag is discarded
+    const { data: imageData, info: imageInfo } = await input()
+      .rotate()
+      .resize(this.config.maxDimension, this.config.maxDimension, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: this.config.quality, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    const { data: thumbData } = await input()
+      .rotate()
+      .resize(this.config.thumbnailSize, this.config.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: this.config.thumbnailQuality })
+      .toBuffer({ resolveWithObject: true });
+
+    // Random storage key - never derived from the original filename
+    const storageKey = crypto.randomBytes(16).toString('hex');
+    const imageFile = `${storageKey}.jpg`;
+    const thumbFile = `${storageKey}_thumb.jpg`;
+
+    await fs.mkdir(this.config.uploadDir, { recursive: true });
+    await fs.writeFile(path.join(this.config.uploadDir, imageFile), imageData);
+    await fs.writeFile(path.join(this.config.uploadDir, thumbFile), thumbData);
+
+    this.stats.imagesProcessed++;
+    this.stats.bytesIn += buffer.length;
+    this.stats.bytesOut += imageData.length;
+    if (hadMetadata) this.stats.metadataStripped++;
+
+    return {
+      type: 'image',
+      url: `${this.config.publicPath}/${imageFile}`,
+      thumbnail: `${this.config.publicPath}/${thumbFile}`,
+      storageKey,
+      metadata: {
+        size: imageData.length,
+        format: 'jpeg',
+        resolution: `${imageInfo.width}x${imageInfo.height}`,
+        metadataStripped: true
+      }
+    };
+  }
+
+  /**
+   * Remove stored files for media entries (rollback / report deletion)
+   */
+  async removeMedia(mediaEntries = []) {
+    for (const entry of mediaEntries) {
+      if (!entry?.storageKey) continue;
+
+      for (const file of [`${entry.storageKey}.jpg`, `${entry.storageKey}_thumb.jpg`]) {
+        try {
+          await fs.unlink(path.join(this.config.uploadDir, file));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.warn('Media cleanup failed (non-critical):', error.message);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Get processing statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      available: this.isAvailable(),
+      compressionRatio: this.stats.bytesIn > 0 ?
+        Math.round((this.stats.bytesOut / this.stats.bytesIn) * 100) / 100 : null
+    };
+  }
+}
+
+/**
+ * Error raised for rejected uploads - carries an HTTP status for the route
+ */
+class MediaProcessingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MediaProcessingError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Export singleton instance
+const mediaProcessingService = new MediaProcessingService();
+
+module.exports = {
+  MediaProcessingService,
+  MediaProcessingError,
+  mediaProcessingService,
+
+  // Convenience methods
+  processUploads: (files) => mediaProcessingService.processUploads(files),
+  removeMedia: (entries) => mediaProcessingService.removeMedia(entries),
+  getMediaStats: () => mediaProcessingService.getStats()
+};
@@ -0,0 +1,329 @@
+// === backend/src/services/moderationSlaService.js ===
+// Moderation SLAs for SafeStreets Bangladesh
+// Every open report carries a due time derived from its priority. Overdue
+// reports are escalated: priority goes up one level, the report moves to a
+// different moderator and admins are alerted over the socket and by email.
+
+const {
+  moderatorAssignmentService,
+  OPEN_STATUSES,
+  PRIORITY_ORDER
+} = require('./moderatorAssignmentService');
+
+const MINUTE = 60 * 1000;
+
+// Default targets (minutes) - override with MODERATION_SLA_<PRIORITY>_MINUTES
+const DEFAULT_SLA_MINUTES = {
+  critical: 60,
+  urgent: 4 * 60,
+  high: 12 * 60,
+  medium: 48 * 60,
+  low: 7 * 24 * 60
+};
+
+class ModerationSlaService {
+  constructor() {
+    this.config = {
+      targets: Object.fromEntries(Object.entries(DEFAULT_SLA_MINUTES).map(([priority, minutes]) => [
+        priority,
+        parseInt(process.env[`MODERATION_SLA_${priority.toUpperCase()}_MINUTES`]) || minutes
+      ])),
+      checkIntervalMs: 5 * MINUTE,
+      maxEscalationsPerRun: 200,
+      metricsWindowDays: 30,
+
+      // Email only for breaches at or above this priority (after escalation)
+      emailMinPriority: 'urgent'
+    };
+
+    this.interval = null;
+    this.running = false;
+
+    this.stats = {
+      runs: 0,
+      escalated: 0,
+      reassigned: 0,
+      emailsSent: 0,
+      backfilled: 0,
+      errors: 0,
+      lastRunAt: null
+    };
+  }
+
+  getReportModel() {
+    return require('../models/Report');
+  }
+
+  /**
+   * Target in milliseconds for a priority (unknown priorities use medium)
+   */
+  getTargetMs(priority) {
+    return (this.config.targets[priority] || this.config.targets.medium) * MINUTE;
+  }
+
+  /**
+   * Due time for a report of the given priority waiting since `from`
+   */
+  computeDueAt(priority, from = new Date()) {
+    return new Date(new Date(from).getTime() + this.getTargetMs(priority));
+  }
+
+  /**
+   * One priority level up, capped at the highest
+   */
+  raisePriority(priority) {
+    const index = PRIORITY_ORDER.indexOf(priority);
+    if (index === -1) return 'high';
+    return PRIORITY_ORDER[Math.max(0, index - 1)];
+  }
+
+  /**
+   * Give open reports saved before SLAs existed a due time from their creation date
+   */
+  async backfillDueDates() {
+    const Report = this.getReportModel();
+    let updated = 0;
+
+    for (const priority of PRIORITY_ORDER) {
+      const result = await Report.updateMany(
+        {
+          status: { $in: OPEN_STATUSES },
+          'moderation.priority': priority,
+          'moderation.sla.dueAt': { $exists: false }
+        },
+        [{ $set: { 'moderation.sla.dueAt': { $add: ['$createdAt', this.getTargetMs(priority)] } } }]
+      );
+      updated += result.modifiedCount;
+    }
+
+    this.stats.backfilled += updated;
+    return updated;
+  }
+
+  /**
+   * Escalate every open report past its due time
+   */
+  async escalateOverdue() {
+    if (this.running) return { escalated: 0, skipped: true };
+    this.running = true;
+
+    try {
+      const Report = this.getReportModel();
+      const now = new Date();
+      this.stats.runs++;
+      this.stats.lastRunAt = now;
+
+      await moderatorAssignmentService.releaseStaleClaims();
+      await this.backfillDueDates();
+
+      const overdue = await Report.find({
+        status: { $in: OPEN_STATUSES },
+        'moderation.sla.dueAt': { $lte: now }
+      })
+        .select('_id type severity status createdAt genderSensitive moderation.priority moderation.femaleModeratorRequired ' +
+          'moderation.assignedTo moderation.assignedToName moderation.sla')
+        .sort({ 'moderation.sla.dueAt': 1 })
+        .limit(this.config.maxEscalationsPerRun)
+        .lean();
+
+      if (overdue.length === 0) return { escalated: 0 };
+
+      const workload = (await moderatorAssignmentService.getModeratorWorkload())
+        .filter(moderator => moderator.acceptingAssignments);
+      const breaches = [];
+
+      for (const report of overdue) {
+        const previousPriority = report.moderation?.priority || 'medium';
+        const priority = this.raisePriority(previousPriority);
+        const escalationLevel = (report.moderation?.sla?.escalationLevel || 0) + 1;
+
+        const result = await Report.updateOne(
+          { _id: report._id, 'moderation.sla.dueAt': report.moderation.sla.dueAt },
+          {
+            $set: {
+              'moderation.priority': priority,
+              'moderation.sla.dueAt': this.computeDueAt(priority, now),
+              'moderation.sla.breachedAt': report.moderation.sla.breachedAt || now,
+              'moderation.sla.escalationLevel': escalationLevel,
+              'moderation.sla.lastEscalatedAt': now
+            }
+          }
+        );
+        if (result.modifiedCount === 0) continue; // Handled concurrently
+
+        const moderator = await moderatorAssignmentService.reassign(
+          { ...report, moderation: { ...report.moderation, priority } },
+          { excludeUserId: report.moderation?.assignedTo, workload }
+        );
+        if (moderator) this.stats.reassigned++;
+
+        breaches.push({
+          reportId: report._id,
+          type: report.type,
+          severity: report.severity,
+          status: report.status,
+          genderSensitive: report.genderSensitive,
+          previousPriority,
+          priority,
+          escalationLevel,
+          waitingMinutes: Math.round((now - new Date(report.createdAt)) / MINUTE),
+          previousModerator: report.moderation?.assignedToName || null,
+          assignedTo: moderator?.username || null
+        });
+      }
+
+      this.stats.escalated += breaches.length;
+      if (breaches.length > 0) {
+        console.log(`⏰ Escalated ${breaches.length} overdue reports`);
+        await this.notify(breaches);
+      }
+
+      return { escalated: breaches.length, breaches };
+    } catch (error) {
+      this.stats.errors++;
+      console.error('❌ SLA escalation run failed:', error);
+      return { escalated: 0, error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Alert admins in real time, and by email for urgent/critical breaches
+   */
+  async notify(breaches) {
+    try {
+      if (global.socketHandler && typeof global.socketHandler.emitToAdmins === 'function') {
+        await global.socketHandler.emitToAdmins('moderation_sla_breach', {
+          count: breaches.length,
+          breaches
+        });
+      }
+    } catch (error) {
+      console.warn('SLA socket alert failed (non-critical):', error.message);
+    }
+
+    const emailCutoff = PRIORITY_ORDER.indexOf(this.config.emailMinPriority);
+    const emailBreaches = breaches.filter(breach => PRIORITY_ORDER.indexOf(breach.priority) <= emailCutoff);
+    const recipients = (process.env.ADMIN_EMAIL || '').split(',').map(email => email.trim()).filter(Boolean);
+    if (emailBreaches.length === 0 || recipients.length === 0) return;
+
+    try {
+      const EmailService = require('./emailService');
+      for (const to of recipients) {
+        const result = await EmailService.sendSlaBreachEmail(to, { breaches: emailBreaches, targets: this.config.targets });
+        if (result.success) this.stats.emailsSent++;
+      }
+    } catch (error) {
+      console.warn('SLA email alert failed (non-critical):', error.message);
+    }
+  }
+
+  /**
+   * SLA metrics for the admin dashboard
+   */
+  async getMetrics() {
+    const Report = this.getReportModel();
+    const now = new Date();
+    const since = new Date(now.getTime() - this.config.metricsWindowDays * 24 * 60 * MINUTE);
+
+    const [openByPriority, decidedByPriority] = await Promise.all([
+      Report.aggregate([
+        { $match: { status: { $in: OPEN_STATUSES } } },
+        {
+          $group: {
+            _id: '$moderation.priority',
+            open: { $sum: 1 },
+            overdue: { $sum: { $cond: [{ $lte: ['$moderation.sla.dueAt', now] }, 1, 0] } },
+            breached: { $sum: { $cond: [{ $ifNull: ['$moderation.sla.breachedAt', false] }, 1, 0] } },
+            oldestCreatedAt: { $min: '$createdAt' }
+          }
+        }
+      ]),
+      Report.aggregate([
+        { $match: { status: { $nin: OPEN_STATUSES }, moderatedAt: { $gte: since } } },
+        {
+          $group: {
+            _id: '$moderation.priority',
+            decided: { $sum: 1 },
+            breached: { $sum: { $cond: [{ $ifNull: ['$moderation.sla.breachedAt', false] }, 1, 0] } },
+            avgMinutesToDecision: { $avg: { $divide: [{ $subtract: ['$moderatedAt', '$createdAt'] }, MINUTE] } }
+          }
+        }
+      ])
+    ]);
+
+    const open = new Map(openByPriority.map(row => [row._id, row]));
+    const decided = new Map(decidedByPriority.map(row => [row._id, row]));
+
+    const byPriority = PRIORITY_ORDER.map(priority => {
+      const openRow = open.get(priority) || {};
+      const decidedRow = decided.get(priority) || {};
+      return {
+        priority,
+        targetMinutes: this.config.targets[priority],
+        open: openRow.open || 0,
+        overdue: openRow.overdue || 0,
+        openBreached: openRow.breached || 0,
+        oldestWaitingMinutes: openRow.oldestCreatedAt ? Math.round((now - openRow.oldestCreatedAt) / MINUTE) : 0,
+        decided: decidedRow.decided || 0,
+        decidedBreached: decidedRow.breached || 0,
+        breachRate: decidedRow.decided ? Math.round((decidedRow.breached / decidedRow.decided) * 1000) / 10 : 0,
+        avgMinutesToDecision: decidedRow.avgMinutesToDecision ? Math.round(decidedRow.avgMinutesToDecision) : null
+      };
+    });
+
+    const totals = byPriority.reduce((sum, row) => ({
+      open: sum.open + row.open,
+      overdue: sum.overdue + row.overdue,
+      decided: sum.decided + row.decided,
+      decidedBreached: sum.decidedBreached + row.decidedBreached
+    }), { open: 0, overdue: 0, decided: 0, decidedBreached: 0 });
+
+    return {
+      windowDays: this.config.metricsWindowDays,
+      overdueNow: totals.overdue,
+      openReports: totals.open,
+      breachRate: totals.decided ? Math.round((totals.decidedBreached / totals.decided) * 1000) / 10 : 0,
+      byPriority,
+      escalation: { ...this.stats }
+    };
+  }
+
+  /**
+   * Start the periodic escalation check
+   */
+  start() {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => this.escalateOverdue(), this.config.checkIntervalMs);
+    this.interval.unref?.();
+
+    console.log(`⏰ Moderation SLA monitor started (every ${this.config.checkIntervalMs / MINUTE} minutes)`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, targets: this.config.targets, running: Boolean(this.interval) };
+  }
+}
+
+// Export singleton instance
+const moderationSlaService = new ModerationSlaService();
+
+module.exports = {
+  ModerationSlaService,
+  moderationSlaService,
+
+  // Convenience methods
+  computeSlaDueAt: (priority, from) => moderationSlaService.computeDueAt(priority, from),
+  escalateOverdueReports: () => moderationSlaService.escalateOverdue(),
+  getSlaMetrics: () => moderationSlaService.getMetrics(),
+  getSlaStats: () => moderationSlaService.getStats()
+};
@@ -0,0 +1,528 @@
+// === backend/src/services/moderatorAssignmentService.js ===
+// Moderator Assignment & Workload Balancing for SafeStreets Bangladesh
+// Moderators claim reports with a time-limited lock so two admins never review
+// the same report at once. Unclaimed reports are distributed by priority,
+// required moderator attributes (female safety) and current load.
+
+const mongoose = require('mongoose');
+
+// Statuses that still need a moderator decision
+const OPEN_STATUSES = ['pending', 'flagged', 'under_review'];
+
+// Highest priority first
+const PRIORITY_ORDER = ['critical', 'urgent', 'high', 'medium', 'low'];
+
+// Fields cleared when a claim ends
+const CLAIM_UNSET = {
+  'moderation.assignedTo': '',
+  'moderation.assignedToName': '',
+  'moderation.assignedAt': '',
+  'moderation.claimExpiresAt': '',
+  'moderation.assignmentMethod': ''
+};
+
+class ModeratorAssignmentService {
+  constructor() {
+    this.config = {
+      claimTtlMinutes: parseInt(process.env.MODERATION_CLAIM_TTL_MINUTES) || 30,
+      defaultMaxActiveClaims: parseInt(process.env.MODERATION_MAX_ACTIVE_CLAIMS) || 25,
+      autoAssign: process.env.MODERATION_AUTO_ASSIGN === 'true',
+      distributionIntervalMs: 60 * 1000,
+      maxAssignmentsPerRun: 200
+    };
+
+    this.interval = null;
+
+    this.stats = {
+      claims: 0,
+      claimConflicts: 0,
+      releases: 0,
+      staleReleased: 0,
+      autoAssigned: 0,
+      distributionRuns: 0,
+      errors: 0
+    };
+  }
+
+  getReportModel() {
+    return require('../models/Report');
+  }
+
+  getUserModel() {
+    return require('../models/User');
+  }
+
+  /**
+   * Female moderator attribute from the admin's moderator profile
+   */
+  isFemaleModerator(user) {
+    return user?.roleData?.admin?.moderatorProfile?.femaleModerator === true;
+  }
+
+  isSuperAdmin(user) {
+    return Boolean(user?.roleData?.admin?.permissions?.includes('super_admin'));
+  }
+
+  getMaxActiveClaims(user) {
+    return user?.roleData?.admin?.moderatorProfile?.maxActiveClaims || this.config.defaultMaxActiveClaims;
+  }
+
+  getUsername(user) {
+    return user?.roleData?.admin?.username || 'admin';
+  }
+
+  /**
+   * Whether a report is locked by a live claim held by someone other than userId
+   */
+  isClaimedByOther(report, userId) {
+    const assignedTo = report?.moderation?.assignedTo;
+    if (!assignedTo) return false;
+    if (userId && assignedTo.toString() === userId.toString()) return false;
+    const expiresAt = report.moderation.claimExpiresAt;
+    return !expiresAt || new Date(expiresAt) > new Date();
+  }
+
+  /**
+   * Query clause matching reports userId may act on (unclaimed, theirs, or expired)
+   */
+  getClaimableFilter(userId, now = new Date()) {
+    return {
+      $or: [
+        { 'moderation.assignedTo': { $exists: false } },
+        { 'moderation.assignedTo': null },
+        ...(userId ? [{ 'moderation.assignedTo': userId }] : []),
+        { 'moderation.claimExpiresAt': { $lte: now } }
+      ]
+    };
+  }
+
+  /**
+   * Public description of who holds a claim
+   */
+  describeClaim(report, userId) {
+    const moderation = report?.moderation || {};
+    if (!moderation.assignedTo) return null;
+    return {
+      assignedTo: moderation.assignedTo,
+      assignedToName: moderation.assignedToName || null,
+      assignedAt: moderation.assignedAt || null,
+      claimExpiresAt: moderation.claimExpiresAt || null,
+      assignmentMethod: moderation.assignmentMethod || null,
+      claimedByMe: Boolean(userId) && moderation.assignedTo.toString() === userId.toString()
+    };
+  }
+
+  /**
+   * Number of live claims a moderator currently holds
+   */
+  async countActiveClaims(userId) {
+    const Report = this.getReportModel();
+    return Report.countDocuments({
+      'moderation.assignedTo': userId,
+      'moderation.claimExpiresAt': { $gt: new Date() },
+      status: { $in: OPEN_STATUSES }
+    });
+  }
+
+  /**
+   * Claim (or renew a claim on) a report. Atomic: only succeeds when the
+   * report is unclaimed, already ours, or the previous claim has expired.
+   */
+  async claim(reportId, user, { method = 'claim' } = {}) {
+    const Report = this.getReportModel();
+    const now = new Date();
+
+    if (!mongoose.Types.ObjectId.isValid(reportId)) {
+      return { success: false, statusCode: 400, code: 'INVALID_ID', message: 'Invalid report ID' };
+    }
+
+    const report = await Report.findById(reportId)
+      .select('_id status genderSensitive moderation.femaleModeratorRequired moderation.assignedTo ' +
+        'moderation.assignedToName moderation.assignedAt moderation.claimExpiresAt')
+      .lean();
+    if (!report) {
+      return { success: false, statusCode: 404, code: 'NOT_FOUND', message: 'Report not found' };
+    }
+
+    if (!OPEN_STATUSES.includes(report.status)) {
+      return { success: false, statusCode: 409, code: 'NOT_OPEN', message: `Report is already ${report.status.replace('_', ' ')}` };
+    }
+
+    if (report.genderSensitive && report.moderation?.femaleModeratorRequired && !this.isFemaleModerator(user)) {
+      return {
+        success: false,
+        statusCode: 403,
+        code: 'FEMALE_MODERATOR_REQUIRED',
+        message: 'This female safety report can only be claimed by a female moderator'
+      };
+    }
+
+    const alreadyMine = report.moderation?.assignedTo?.toString() === user._id.toString();
+    if (!alreadyMine && (await this.countActiveClaims(user._id)) >= this.getMaxActiveClaims(user)) {
+      return {
+        success: false,
+        statusCode: 429,
+        code: 'CLAIM_LIMIT_REACHED',
+        message: `You already hold ${this.getMaxActiveClaims(user)} claims. Finish or release some first.`
+      };
+    }
+
+    const claimExpiresAt = new Date(now.getTime() + this.config.claimTtlMinutes * 60 * 1000);
+    const updated = await Report.findOneAndUpdate(
+      {
+        _id: reportId,
+        status: { $in: OPEN_STATUSES },
+        ...this.getClaimableFilter(user._id, now)
+      },
+      {
+        $set: {
+          'moderation.assignedTo': user._id,
+          'moderation.assignedToName': this.getUsername(user),
+          'moderation.assignedAt': alreadyMine && report.moderation?.assignedAt ? report.moderation.assignedAt : now,
+          'moderation.claimExpiresAt': claimExpiresAt,
+          'moderation.assignmentMethod': method
+        }
+      },
+      { new: true, projection: { _id: 1, status: 1, moderation: 1 } }
+    ).lean();
+
+    if (!updated) {
+      this.stats.claimConflicts++;
+      const current = await Report.findById(reportId).select('_id moderation').lean();
+      return {
+        success: false,
+        statusCode: 409,
+        code: 'ALREADY_CLAIMED',
+        message: `Report is being reviewed by ${current?.moderation?.assignedToName || 'another moderator'}`,
+        claim: this.describeClaim(current, user._id)
+      };
+    }
+
+    this.stats.claims++;
+    return { success: true, renewed: alreadyMine, claim: this.describeClaim(updated, user._id) };
+  }
+
+  /**
+   * Release a claim. Only the holder may release unless force is set (super admins).
+   */
+  async release(reportId, user, { force = false } = {}) {
+    const Report = this.getReportModel();
+
+    if (!mongoose.Types.ObjectId.isValid(reportId)) {
+      return { success: false, statusCode: 400, code: 'INVALID_ID', message: 'Invalid report ID' };
+    }
+
+    const filter = { _id: reportId, 'moderation.assignedTo': { $exists: true, $ne: null } };
+    if (!force) filter['moderation.assignedTo'] = user._id;
+
+    const result = await Report.updateOne(filter, { $unset: CLAIM_UNSET });
+    if (result.modifiedCount === 0) {
+      return { success: false, statusCode: 409, code: 'NOT_CLAIMED', message: 'You do not hold a claim on this report' };
+    }
+
+    this.stats.releases++;
+    return { success: true };
+  }
+
+  /**
+   * Release claims whose lock has expired
+   */
+  async releaseStaleClaims() {
+    const Report = this.getReportModel();
+    const result = await Report.updateMany(
+      { 'moderation.assignedTo': { $ne: null }, 'moderation.claimExpiresAt': { $lte: new Date() } },
+      { $unset: CLAIM_UNSET }
+    );
+
+    this.stats.staleReleased += result.modifiedCount;
+    if (result.modifiedCount > 0) {
+      console.log(`🔓 Released ${result.modifiedCount} stale moderation claims`);
+    }
+    return result.modifiedCount;
+  }
+
+  /**
+   * Moderators who can receive assignments, with their current load
+   */
+  async getModeratorWorkload() {
+    const Report = this.getReportModel();
+    const User = this.getUserModel();
+
+    const moderators = await User.find({
+      userType: 'admin',
+      'roleData.admin.permissions': { $in: ['moderation', 'super_admin'] },
+      'roleData.admin.accountLocked': { $ne: true }
+    })
+      .select('_id roleData.admin.username roleData.admin.permissions roleData.admin.moderatorProfile')
+      .lean();
+
+    const loads = await Report.aggregate([
+      {
+        $match: {
+          'moderation.assignedTo': { $in: moderators.map(moderator => moderator._id) },
+          'moderation.claimExpiresAt': { $gt: new Date() },
+          status: { $in: OPEN_STATUSES }
+        }
+      },
+      { $group: { _id: '$moderation.assignedTo', activeClaims: { $sum: 1 } } }
+    ]);
+    const loadByModerator = new Map(loads.map(load => [load._id.toString(), load.activeClaims]));
+
+    return moderators.map(moderator => ({
+      userId: moderator._id,
+      username: this.getUsername(moderator),
+      femaleModerator: this.isFemaleModerator(moderator),
+      acceptingAssignments: moderator.roleData?.admin?.moderatorProfile?.acceptingAssignments !== false,
+      activeClaims: loadByModerator.get(moderator._id.toString()) || 0,
+      maxActiveClaims: this.getMaxActiveClaims(moderator)
+    }));
+  }
+
+  /**
+   * Pick the least-loaded eligible moderator for a report
+   */
+  pickModerator(report, workload) {
+    const needsFemale = report.genderSensitive && report.moderation?.femaleModeratorRequired;
+
+    return workload
+      .filter(moderator => moderator.acceptingAssignments &&
+        moderator.activeClaims < moderator.maxActiveClaims &&
+        (!needsFemale || moderator.femaleModerator))
+      .sort((a, b) => (a.activeClaims / a.maxActiveClaims) - (b.activeClaims / b.maxActiveClaims) ||
+        a.activeClaims - b.activeClaims)[0] || null;
+  }
+
+  /**
+   * $set fields for an automatic assignment
+   */
+  buildAutoAssignment(moderator, now = new Date()) {
+    return {
+      'moderation.assignedTo': moderator.userId,
+      'moderation.assignedToName': moderator.username,
+      'moderation.assignedAt': now,
+      'moderation.claimExpiresAt': new Date(now.getTime() + this.config.claimTtlMinutes * 60 * 1000),
+      'moderation.assignmentMethod': 'auto'
+    };
+  }
+
+  /**
+   * Hand a report to a different moderator, overriding any current claim.
+   * Used when a report breaches its SLA. Returns the new moderator or null.
+   */
+  async reassign(report, { excludeUserId = null, workload = null } = {}) {
+    const Report = this.getReportModel();
+    const candidates = (workload || await this.getModeratorWorkload())
+      .filter(moderator => !excludeUserId || moderator.userId.toString() !== excludeUserId.toString());
+
+    const moderator = this.pickModerator(report, candidates);
+    if (!moderator) return null;
+
+    const result = await Report.updateOne(
+      { _id: report._id, status: { $in: OPEN_STATUSES } },
+      { $set: this.buildAutoAssignment(moderator) }
+    );
+    if (result.modifiedCount === 0) return null;
+
+    moderator.activeClaims++;
+    return moderator;
+  }
+
+  /**
+   * Assign unclaimed open reports, highest priority and oldest first
+   */
+  async autoDistribute({ limit = this.config.maxAssignmentsPerRun } = {}) {
+    const Report = this.getReportModel();
+    this.stats.distributionRuns++;
+
+    await this.releaseStaleClaims();
+    const workload = (await this.getModeratorWorkload()).filter(moderator => moderator.acceptingAssignments);
+    if (workload.length === 0) {
+      return { assigned: 0, unassignable: 0, moderators: 0 };
+    }
+
+    let assigned = 0;
+    let unassignable = 0;
+
+    for (const priority of PRIORITY_ORDER) {
+      if (assigned >= limit) break;
+
+      const reports = await Report.find({
+        status: { $in: OPEN_STATUSES },
+        'moderation.priority': priority,
+        $or: [{ 'moderation.assignedTo': { $exists: false } }, { 'moderation.assignedTo': null }]
+      })
+        .select('_id genderSensitive moderation.femaleModeratorRequired')
+        .sort({ createdAt: 1 })
+        .limit(limit - assigned)
+        .lean();
+
+      for (const report of reports) {
+        const moderator = this.pickModerator(report, workload);
+        if (!moderator) {
+          unassignable++;
+          continue;
+        }
+
+        const result = await Report.updateOne(
+          {
+            _id: report._id,
+            status: { $in: OPEN_STATUSES },
+            $or: [{ 'moderation.assignedTo': { $exists: false } }, { 'moderation.assignedTo': null }]
+          },
+          { $set: this.buildAutoAssignment(moderator) }
+        );
+
+        if (result.modifiedCount > 0) {
+          moderator.activeClaims++;
+          assigned++;
+        }
+      }
+    }
+
+    this.stats.autoAssigned += assigned;
+    if (assigned > 0) {
+      console.log(`📋 Auto-assigned ${assigned} reports across ${workload.length} moderators`);
+      this.notifyAdmins('moderation_assignments_updated', { assigned });
+    }
+
+    return { assigned, unassignable, moderators: workload.length };
+  }
+
+  /**
+   * Queue view for a moderator: their own claims or unclaimed reports they may take
+   */
+  async getQueue(view, user, { limit = 50 } = {}) {
+    const Report = this.getReportModel();
+    const now = new Date();
+    const filter = { status: { $in: OPEN_STATUSES } };
+
+    if (view === 'mine') {
+      // Aggregation does not cast, so the id must already be an ObjectId
+      filter['moderation.assignedTo'] = new mongoose.Types.ObjectId(String(user._id));
+      filter['moderation.claimExpiresAt'] = { $gt: now };
+    } else {
+      filter.$or = [
+        { 'moderation.assignedTo': { $exists: false } },
+        { 'moderation.assignedTo': null },
+        { 'moderation.claimExpiresAt': { $lte: now } }
+      ];
+      if (!this.isFemaleModerator(user)) {
+        filter['moderation.femaleModeratorRequired'] = { $ne: true };
+      }
+    }
+
+    // Highest priority first, then oldest - ranked in the query so the limit keeps the most urgent
+    return Report.aggregate([
+      { $match: filter },
+      { $addFields: { priorityRank: this.getPriorityRankExpression() } },
+      { $sort: { priorityRank: 1, createdAt: 1 } },
+      { $limit: Math.min(limit, 200) },
+      { $project: { priorityRank: 0, ...this.getHiddenFieldsProjection(Report) } }
+    ]);
+  }
+
+  /**
+   * Aggregation ignores select: false, so exclude those paths explicitly
+   */
+  getHiddenFieldsProjection(Report) {
+    return Object.fromEntries(
+      Object.entries(Report.schema.paths)
+        .filter(([, schemaType]) => schemaType.options?.select === false)
+        .map(([path]) => [path, 0])
+    );
+  }
+
+  /**
+   * Position of moderation.priority in PRIORITY_ORDER; unknown or missing priorities rank last
+   */
+  getPriorityRankExpression() {
+    return {
+      $let: {
+        vars: { rank: { $indexOfArray: [PRIORITY_ORDER, '$moderation.priority'] } },
+        in: { $cond: [{ $lt: ['$$rank', 0] }, PRIORITY_ORDER.length, '$$rank'] }
+      }
+    };
+  }
+
+  /**
+   * Female safety reports stall unless some admin's profile marks them as a female moderator
+   */
+  async warnIfNoFemaleModerators() {
+    const User = this.getUserModel();
+    const count = await User.countDocuments({
+      userType: 'admin',
+      'roleData.admin.moderatorProfile.femaleModerator': true
+    });
+    if (count === 0) {
+      console.warn('⚠️ No admin is marked as a female moderator - female safety reports need a super admin override. ' +
+        'Run: node runModeratorProfileMigration.js --female <username>');
+    }
+    return count;
+  }
+
+  notifyAdmins(eventType, eventData) {
+    try {
+      if (global.socketHandler && typeof global.socketHandler.emitToAdmins === 'function') {
+        global.socketHandler.emitToAdmins(eventType, eventData);
+      }
+    } catch (error) {
+      console.warn('Admin notification failed (non-critical):', error.message);
+    }
+  }
+
+  /**
+   * Start the periodic stale-claim release (and auto-distribution when enabled)
+   */
+  start() {
+    if (this.interval) return;
+
+    this.interval = setInterval(async () => {
+      try {
+        if (this.config.autoAssign) {
+          await this.autoDistribute();
+        } else {
+          await this.releaseStaleClaims();
+        }
+      } catch (error) {
+        this.stats.errors++;
+        console.error('❌ Moderation assignment run failed:', error.message);
+      }
+    }, this.config.distributionIntervalMs);
+    this.interval.unref?.();
+
+    this.warnIfNoFemaleModerators().catch(error =>
+      console.warn('⚠️ Female moderator check failed:', error.message));
+
+    console.log(`📋 Moderator assignment started (claim TTL ${this.config.claimTtlMinutes}m, auto-assign ${this.config.autoAssign ? 'on' : 'off'})`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, config: this.config, running: Boolean(this.interval) };
+  }
+}
+
+// Export singleton instance
+const moderatorAssignmentService = new ModeratorAssignmentService();
+
+module.exports = {
+  ModeratorAssignmentService,
+  moderatorAssignmentService,
+  OPEN_STATUSES,
+  PRIORITY_ORDER,
+  CLAIM_UNSET,
+
+  // Convenience methods
+  claimReport: (reportId, user, options) => moderatorAssignmentService.claim(reportId, user, options),
+  releaseReport: (reportId, user, options) => moderatorAssignmentService.release(reportId, user, options),
+  releaseStaleClaims: () => moderatorAssignmentService.releaseStaleClaims(),
+  autoDistributeReports: (options) => moderatorAssignmentService.autoDistribute(options),
+  getModeratorWorkload: () => moderatorAssignmentService.getModeratorWorkload(),
+  getModerationAssignmentStats: () => moderatorAssignmentService.getStats()
+};
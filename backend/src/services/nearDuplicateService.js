@@ -0,0 +1,295 @@
+// === backend/src/services/nearDuplicateService.js ===
+// Near-Duplicate Detection for SafeStreets Bangladesh
+// Links reports that likely describe the same incident (e.g. two witnesses of one
+// chadabaji) using MinHash description similarity plus distance and time windows
+
+const Report = require('../models/Report');
+const { normalizeForMatching } = require('../utils/bengaliText');
+
+const EARTH_RADIUS_METERS = 6378100;
+
+class NearDuplicateService {
+  constructor() {
+    this.config = {
+      // MinHash
+      shingleSize: 4, // Character shingles survive Bengali inflection better than words
+      numHashes: 64,
+
+      // Candidate windows
+      maxDistanceMeters: 500,
+      timeWindowHours: 48,
+      maxCandidates: 200,
+
+      // Scoring weights (sum to 1)
+      weights: { text: 0.6, distance: 0.25, time: 0.15 },
+
+      // Relation thresholds
+      duplicateTextSimilarity: 0.7,
+      similarTextSimilarity: 0.35,
+      temporalClusterHours: 6,
+      minSimilarity: 40,
+      maxRelatedReports: 10
+    };
+
+    // Fixed seeds so stored signatures stay comparable across restarts
+    this.seeds = this.generateSeeds(this.config.numHashes);
+
+    this.stats = {
+      reportsChecked: 0,
+      linksCreated: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Deterministic 32-bit seeds (LCG) for the MinHash permutations
+   */
+  generateSeeds(count) {
+    const seeds = [];
+    let state = 0x5AFE5EED;
+    for (let i = 0; i < count; i++) {
+      state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+      seeds.push(state);
+    }
+    return seeds;
+  }
+
+  /**
+   * FNV-1a hash of a shingle
+   */
+  hashShingle(shingle) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < shingle.length; i++) {
+      hash ^= shingle.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Re-mix a base hash with a seed (murmur3 finalizer) to simulate a permutation
+   */
+  permute(hash, seed) {
+    let h = (hash ^ seed) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  /**
+   * Character shingles of the Bengali/Banglish-normalized description
+   */
+  getShingles(description) {
+    const text = normalizeForMatching(description);
+    const shingles = new Set();
+    if (!text) return shingles;
+
+    if (text.length <= this.config.shingleSize) {
+      shingles.add(text);
+      return shingles;
+    }
+
+    for (let i = 0; i <= text.length - this.config.shingleSize; i++) {
+      shingles.add(text.slice(i, i + this.config.shingleSize));
+    }
+    return shingles;
+  }
+
+  /**
+   * MinHash signature of a description (empty array for empty text)
+   */
+  computeSignature(description) {
+    const shingles = this.getShingles(description);
+    if (shingles.size === 0) return [];
+
+    const signature = new Array(this.config.numHashes).fill(0xFFFFFFFF);
+    for (const shingle of shingles) {
+      const base = this.hashShingle(shingle);
+      for (let i = 0; i < this.config.numHashes; i++) {
+        const value = this.permute(base, this.seeds[i]);
+        if (value < signature[i]) signature[i] = value;
+      }
+    }
+    return signature;
+  }
+
+  /**
+   * Estimated Jaccard similarity (0-1) between two signatures
+   */
+  estimateSimilarity(signatureA, signatureB) {
+    if (!signatureA?.length || signatureA.length !== signatureB?.length) return 0;
+
+    let matches = 0;
+    for (let i = 0; i < signatureA.length; i++) {
+      if (signatureA[i] === signatureB[i]) matches++;
+    }
+    return matches / signatureA.length;
+  }
+
+  /**
+   * Haversine distance in meters between two [lng, lat] pairs
+   */
+  getDistanceMeters([lng1, lat1], [lng2, lat2]) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * True location - public coordinates are snapped to the privacy grid, which
+   * is as coarse as the distance threshold itself
+   */
+  getTrueCoordinates(report) {
+    const original = report.location?.originalCoordinates;
+    return original?.length === 2 ? original : report.location.coordinates;
+  }
+
+  /**
+   * Score one candidate against the new report. Returns null when unrelated.
+   */
+  scoreCandidate(report, signature, candidate) {
+    const candidateSignature = candidate.deduplication?.minHashSignature?.length === this.config.numHashes ?
+      candidate.deduplication.minHashSignature :
+      this.computeSignature(candidate.description);
+
+    const textSimilarity = this.estimateSimilarity(signature, candidateSignature);
+    const distance = this.getDistanceMeters(this.getTrueCoordinates(report), this.getTrueCoordinates(candidate));
+    const hoursApart = Math.abs(new Date(report.createdAt) - new Date(candidate.createdAt)) / (1000 * 60 * 60);
+
+    const distanceScore = Math.max(0, 1 - distance / this.config.maxDistanceMeters);
+    const timeScore = Math.max(0, 1 - hoursApart / this.config.timeWindowHours);
+    const { weights } = this.config;
+    const similarity = Math.round(100 *
+      (weights.text * textSimilarity + weights.distance * distanceScore + weights.time * timeScore));
+
+    const sameType = candidate.type === report.type;
+    let relationType;
+    if (textSimilarity >= this.config.duplicateTextSimilarity) {
+      relationType = 'duplicate';
+    } else if (textSimilarity >= this.config.similarTextSimilarity) {
+      relationType = 'similar_content';
+    } else if (sameType && hoursApart <= this.config.temporalClusterHours) {
+      relationType = 'temporal_cluster';
+    } else if (sameType) {
+      relationType = 'similar_location';
+    } else {
+      return null; // Different incident type with unrelated text
+    }
+
+    if (similarity < this.config.minSimilarity) return null;
+
+    return {
+      reportId: candidate._id,
+      similarity,
+      relationType,
+      detectedAt: new Date()
+    };
+  }
+
+  /**
+   * Find likely-same incidents near the report in space and time
+   */
+  async findNearDuplicates(report, signature = this.computeSignature(report.description)) {
+    const near = {
+      $geoWithin: {
+        $centerSphere: [this.getTrueCoordinates(report), this.config.maxDistanceMeters / EARTH_RADIUS_METERS]
+      }
+    };
+    const createdAt = new Date(report.createdAt || Date.now());
+    const windowMs = this.config.timeWindowHours * 60 * 60 * 1000;
+
+    const candidates = await Report.find({
+      _id: { $ne: report._id },
+      status: { $ne: 'rejected' },
+      createdAt: {
+        $gte: new Date(createdAt.getTime() - windowMs),
+        $lte: new Date(createdAt.getTime() + windowMs)
+      },
+      // Reports saved without a stored original fall back to public coordinates
+      $or: [
+        { 'location.originalCoordinates': near },
+        { 'location.originalCoordinates.1': { $exists: false }, 'location.coordinates': near }
+      ]
+    })
+      .select('_id type description location.coordinates +location.originalCoordinates createdAt +deduplication.minHashSignature')
+      .limit(this.config.maxCandidates)
+      .lean();
+
+    return candidates
+      .map(candidate => this.scoreCandidate(report, signature, candidate))
+      .filter(Boolean)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, this.config.maxRelatedReports);
+  }
+
+  /**
+   * Store the report's signature and link it with related reports in both directions
+   */
+  async linkNearDuplicates(report) {
+    try {
+      const signature = this.computeSignature(report.description);
+      const related = await this.findNearDuplicates(report, signature);
+      this.stats.reportsChecked++;
+
+      await Report.updateOne(
+        { _id: report._id },
+        {
+          $set: {
+            'deduplication.minHashSignature': signature,
+            'deduplication.relatedReports': related
+          }
+        }
+      );
+
+      if (related.length > 0) {
+        // Back-link so the earlier report shows the new witness too
+        await Report.bulkWrite(related.map(link => ({
+          updateOne: {
+            filter: { _id: link.reportId, 'deduplication.relatedReports.reportId': { $ne: report._id } },
+            update: {
+              $push: {
+                'deduplication.relatedReports': {
+                  $each: [{ ...link, reportId: report._id }],
+                  $sort: { similarity: -1 },
+                  $slice: this.config.maxRelatedReports
+                }
+              }
+            }
+          }
+        })));
+
+        this.stats.linksCreated += related.length;
+        console.log(`🔗 Linked report ${report._id} with ${related.length} related report(s)`);
+      }
+
+      return related;
+    } catch (error) {
+      this.stats.errors++;
+      console.error('❌ Near-duplicate linking failed:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get detection statistics
+   */
+  getStats() {
+    return { ...this.stats, config: { ...this.config } };
+  }
+}
+
+// Export singleton instance
+const nearDuplicateService = new NearDuplicateService();
+
+module.exports = {
+  NearDuplicateService,
+  nearDuplicateService,
+
+  // Convenience methods
+  linkNearDuplicates: (report) => nearDuplicateService.linkNearDuplicates(report),
+  findNearDuplicates: (report) => nearDuplicateService.findNearDuplicates(report),
+  getNearDuplicateStats: () => nearDuplicateService.getStats()
+};
@@ -0,0 +1,295 @@
+// === backend/src/services/policePortalService.js ===
+// Police Portal for SafeStreets Bangladesh
+// Verified officers see reports inside their thana only - approved and verified
+// reports, plus pending ones from supervisor level up. Reporter identity,
+// device data and moderator notes are never included. Officers add their own
+// notes and record actions taken in PoliceNote, and every read and write is audited.
+
+const mongoose = require('mongoose');
+const PoliceNote = require('../models/PoliceNote');
+const AuditLog = require('../models/AuditLog');
+const { adminBoundaryService } = require('./adminBoundaryService');
+const {
+  parseSort,
+  hashQuery,
+  encodeCursor,
+  decodeCursor,
+  applyCursorFilter
+} = require('../utils/reportQuery');
+
+// Lazy load Report model to avoid circular dependencies
+let Report;
+const getReportModel = () => {
+  if (!Report) {
+    Report = require('../models/Report');
+  }
+  return Report;
+};
+
+// Public coordinates only - exact locations stay with moderators
+const POLICE_REPORT_FIELDS = `
+  type description severity status createdAt updatedAt genderSensitive
+  location.type location.coordinates location.address location.adminArea location.locationContext
+  incidentOccurredAt incidentTime timeOfDayRisk culturalContext
+  media.type media.url media.thumbnail moderation.priority
+`;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Admin area level matched by code or by name, ignoring case
+const areaMatch = (prefix, level, value) => ({
+  $or: [
+    { [`${prefix}.${level}.code`]: value },
+    { [`${prefix}.${level}.name`]: new RegExp(`^${escapeRegex(value)}$`, 'i') }
+  ]
+});
+
+class PolicePortalService {
+  constructor() {
+    this.config = {
+      publishedStatuses: ['approved', 'verified'],
+      pendingStatuses: ['pending', 'under_review'],
+      pendingAccessLevels: ['supervisor', 'chief'],
+      defaultLimit: 50,
+      maxLimit: 200
+    };
+  }
+
+  /**
+   * Officer's jurisdiction, or null when no thana is on record
+   */
+  getJurisdiction(officer) {
+    const police = officer?.roleData?.police;
+    const thana = police?.thana?.trim();
+    if (!thana) return null;
+
+    return {
+      thana,
+      district: police.district?.trim() || null,
+      division: police.division?.trim() || null
+    };
+  }
+
+  /**
+   * Report statuses the officer may see
+   */
+  getVisibleStatuses(officer) {
+    const accessLevel = officer?.roleData?.police?.accessLevel;
+    return this.config.pendingAccessLevels.includes(accessLevel)
+      ? [...this.config.publishedStatuses, ...this.config.pendingStatuses]
+      : [...this.config.publishedStatuses];
+  }
+
+  /**
+   * Records inside the officer's jurisdiction, for any collection storing a
+   * resolved admin area under `prefix` and a point under `coordinatesPath`.
+   * District is matched too where known, since thana names repeat across
+   * districts. Records saved before boundary data was installed have no
+   * resolved thana; those are matched against the thana polygon until
+   * runAdminAreaBackfill.js fills them in.
+   */
+  getAreaFilter(officer, { prefix = 'location.adminArea', coordinatesPath = 'location.coordinates' } = {}) {
+    const jurisdiction = this.getJurisdiction(officer);
+    if (!jurisdiction) return null;
+
+    const conditions = [areaMatch(prefix, 'thana', jurisdiction.thana)];
+    if (jurisdiction.district) {
+      conditions.push(areaMatch(prefix, 'district', jurisdiction.district));
+    }
+
+    const thanaArea = adminBoundaryService.findArea('thana', jurisdiction.thana, jurisdiction.district);
+    if (!thanaArea) return { $and: conditions };
+
+    return {
+      $or: [
+        { $and: conditions },
+        {
+          [`${prefix}.thana.code`]: { $exists: false },
+          [coordinatesPath]: { $geoWithin: { $geometry: thanaArea.geometry } }
+        }
+      ]
+    };
+  }
+
+  /**
+   * Every report the officer may see
+   */
+  getReportFilter(officer) {
+    const areaFilter = this.getAreaFilter(officer);
+    if (!areaFilter) return null;
+
+    return {
+      $and: [areaFilter],
+      status: { $in: this.getVisibleStatuses(officer) },
+      'deduplication.duplicateCheck.isDuplicate': { $ne: true }
+    };
+  }
+
+  toProfile(officer, permissions = []) {
+    const police = officer.roleData.police;
+    return {
+      id: officer._id,
+      badgeNumber: police.badgeNumber,
+      rank: police.rank,
+      department: police.department,
+      email: police.email,
+      accessLevel: police.accessLevel,
+      jurisdiction: this.getJurisdiction(officer),
+      visibleStatuses: this.getVisibleStatuses(officer),
+      permissions
+    };
+  }
+
+  /**
+   * Keyset-paged reports in the officer's jurisdiction
+   */
+  async listReports(officer, query = {}) {
+    const baseFilter = this.getReportFilter(officer);
+    if (!baseFilter) {
+      return { error: 'No jurisdiction on record - ask an administrator to set your thana', status: 403 };
+    }
+
+    const visibleStatuses = this.getVisibleStatuses(officer);
+    const filter = { ...baseFilter };
+    if (query.status) {
+      if (!visibleStatuses.includes(query.status)) {
+        return { error: `status must be one of: ${visibleStatuses.join(', ')}`, status: 400 };
+      }
+      filter.status = query.status;
+    }
+    if (typeof query.type === 'string' && query.type) filter.type = query.type;
+    if (query.genderSensitive === 'true') filter.genderSensitive = true;
+
+    const sort = parseSort(query.sortBy, query.sortOrder);
+    if (sort.error) {
+      return { error: sort.error, status: 400 };
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit) || this.config.defaultLimit, 1), this.config.maxLimit);
+    const queryHash = hashQuery(query, String(officer._id));
+
+    if (query.cursor) {
+      const cursor = decodeCursor(query.cursor, sort, queryHash);
+      if (cursor.error) {
+        return { error: cursor.error, status: 400 };
+      }
+      applyCursorFilter(filter, cursor.filter);
+    }
+
+    const rows = await getReportModel().find(filter)
+      .select(POLICE_REPORT_FIELDS)
+      .sort(sort.spec)
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = rows.length > limit;
+    const reports = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+      reports,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(reports[reports.length - 1], sort, queryHash) : null
+      }
+    };
+  }
+
+  /**
+   * One report with its police notes, or null when outside the jurisdiction
+   */
+  async getReport(officer, reportId) {
+    const filter = this.getReportFilter(officer);
+    if (!filter || !mongoose.Types.ObjectId.isValid(reportId)) return null;
+
+    const report = await getReportModel().findOne({ ...filter, _id: reportId })
+      .select(POLICE_REPORT_FIELDS)
+      .lean();
+    if (!report) return null;
+
+    const notes = await PoliceNote.find({ reportId: report._id })
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    return { report, notes };
+  }
+
+  /**
+   * Add a note or a recorded action to a report the officer can see
+   */
+  async addEntry(officer, reportId, input = {}) {
+    const kind = input.action ? 'action' : 'note';
+    const text = typeof input.text === 'string' ? input.text.trim() : '';
+
+    if (kind === 'action' && !PoliceNote.schema.path('action').enumValues.includes(input.action)) {
+      return { error: `action must be one of: ${PoliceNote.schema.path('action').enumValues.join(', ')}`, status: 400 };
+    }
+    if (kind === 'note' && !text) {
+      return { error: 'text is required', status: 400 };
+    }
+    if (text.length > 2000) {
+      return { error: 'text must be 2000 characters or fewer', status: 400 };
+    }
+
+    const filter = this.getReportFilter(officer);
+    const report = filter && mongoose.Types.ObjectId.isValid(reportId)
+      ? await getReportModel().findOne({ ...filter, _id: reportId }).select('_id').lean()
+      : null;
+    if (!report) {
+      return { error: 'Report not found in your jurisdiction', status: 404 };
+    }
+
+    const police = officer.roleData.police;
+    const entry = await PoliceNote.create({
+      reportId: report._id,
+      kind,
+      action: kind === 'action' ? input.action : undefined,
+      reference: typeof input.reference === 'string' ? input.reference.trim().slice(0, 100) : undefined,
+      text: text || undefined,
+      officer: {
+        userId: officer._id,
+        badgeNumber: police.badgeNumber,
+        rank: police.rank,
+        thana: police.thana
+      }
+    });
+
+    return { entry };
+  }
+
+  /**
+   * Audit a portal read or write. Never throws - but callers await it so the
+   * record exists before the data leaves.
+   */
+  async logAccess(req, actionType, details = {}, target = null, outcome = 'success') {
+    const officer = req.userContext.user;
+    try {
+      await AuditLog.create({
+        actor: {
+          userId: officer._id,
+          userType: 'police',
+          username: officer.roleData.police.badgeNumber,
+          deviceFingerprint: req.userContext.deviceFingerprint?.fingerprintId,
+          ipAddress: req.ip
+        },
+        actionType,
+        details: { ...details, jurisdiction: this.getJurisdiction(officer) },
+        outcome,
+        target: target || undefined,
+        severity: actionType === 'police_report_access' ? 'medium' : 'high'
+      });
+    } catch (error) {
+      console.error(`❌ Audit log failed for ${actionType}:`, error);
+    }
+  }
+}
+
+// Export singleton instance
+const policePortalService = new PolicePortalService();
+
+module.exports = {
+  PolicePortalService,
+  policePortalService,
+  POLICE_REPORT_FIELDS
+};
@@ -415,6 +415,9 @@ class QueueService {
         report.processingStatus.lastUpdated = new Date();
         await report.save();
 
+        // Fast phase is done - let the auto-moderation rules decide
+        await require('./autoModerationService').evaluateAutoModeration(report._id);
+
         // Try to invalidate caches, but don't fail if Redis is down
         try {
           await cacheLayer.deletePattern('reports:*');
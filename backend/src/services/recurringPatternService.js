@@ -0,0 +1,440 @@
+// === backend/src/services/recurringPatternService.js ===
+// Recurring Incident Pattern Detection for SafeStreets Bangladesh
+// Chadabaji is usually collected on a schedule - same market, same weekday,
+// same group. Reports are clustered in space (DBSCAN), then each cluster is
+// checked for a weekly or monthly rhythm in Bangladesh time. Patterns that
+// hold up are stored with a confidence score and the next predicted occurrence.
+
+const { dbscan, centroid, haversineMeters, EARTH_RADIUS_METERS } = require('../utils/spatialClustering');
+const { getBangladeshParts, fromBangladeshTime } = require('../utils/bangladeshTime');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+class RecurringPatternService {
+  constructor() {
+    this.config = {
+      lookbackDays: parseInt(process.env.RECURRING_PATTERN_LOOKBACK_DAYS) || 180,
+      radiusMeters: 300,
+      minOccurrences: 3,
+      minDistinctPeriods: 3,
+      hourWindow: 3, // +/- hours around the typical hour
+      dayOfMonthWindow: 2, // +/- days for monthly patterns
+      minConfidence: 40,
+      excludedStatuses: ['rejected', 'archived'],
+      runIntervalMs: 6 * HOUR,
+
+      // Confidence weights - regularity matters most for scheduled collection
+      weights: { regularity: 0.5, concentration: 0.2, volume: 0.3 },
+      volumeSaturationPeriods: 8
+    };
+
+    this.interval = null;
+    this.running = false;
+
+    this.stats = {
+      runs: 0,
+      detected: 0,
+      updated: 0,
+      dormant: 0,
+      errors: 0,
+      lastRunAt: null,
+      lastRunMs: null
+    };
+  }
+
+  getReportModel() {
+    return require('../models/Report');
+  }
+
+  getPatternModel() {
+    return require('../models/RecurringPattern');
+  }
+
+  /**
+   * Report as a clustering item - true coordinates and Bangladesh-time calendar fields
+   */
+  toItem(report) {
+    const original = report.location?.originalCoordinates;
+    const coordinates = Array.isArray(original) && original.length === 2 ? original : report.location?.coordinates;
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+
+    const at = new Date(report.incidentOccurredAt || report.createdAt);
+    return { report, coordinates, at, local: getBangladeshParts(at) };
+  }
+
+  /**
+   * Week index (Bangladesh weeks, Sunday start) and month index for distinct-period counts
+   */
+  getWeekIndex(item) {
+    const localDay = Date.UTC(item.local.year, item.local.month - 1, item.local.day) / DAY;
+    return Math.floor((localDay + 4) / 7); // 1970-01-01 was a Thursday
+  }
+
+  getMonthIndex(item) {
+    return item.local.year * 12 + item.local.month - 1;
+  }
+
+  /**
+   * Hour (0-23) that captures the most items within +/- hourWindow, on a 24h circle.
+   * Ties go to the hour closest to the captured items.
+   */
+  findTypicalHour(items) {
+    const window = this.config.hourWindow;
+    let best = { hour: 0, count: 0, spread: Infinity };
+
+    for (let hour = 0; hour < 24; hour++) {
+      const captured = items.filter(item => this.hourDistance(item.local.hour, hour) <= window);
+      const spread = captured.reduce((sum, item) => sum + this.hourDistance(item.local.hour, hour), 0);
+      if (captured.length > best.count || (captured.length === best.count && spread < best.spread)) {
+        best = { hour, count: captured.length, spread };
+      }
+    }
+    return best.hour;
+  }
+
+  hourDistance(a, b) {
+    const diff = Math.abs(a - b);
+    return Math.min(diff, 24 - diff);
+  }
+
+  /**
+   * Keep only the items within the pattern radius of their own centre
+   */
+  tighten(items) {
+    const centre = centroid(items.map(item => item.coordinates));
+    return items.filter(item => haversineMeters(centre, item.coordinates) <= this.config.radiusMeters);
+  }
+
+  /**
+   * Score a candidate schedule and build the pattern, or null if it doesn't hold up
+   */
+  buildCandidate(type, period, slot, matching, clusterSize, now) {
+    const items = this.tighten(matching);
+    if (items.length < this.config.minOccurrences) return null;
+
+    const periodIndex = period === 'weekly' ? item => this.getWeekIndex(item) : item => this.getMonthIndex(item);
+    const periods = new Set(items.map(periodIndex));
+    if (periods.size < this.config.minDistinctPeriods) return null;
+
+    const sorted = [...items].sort((a, b) => a.at - b.at);
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    const nowItem = { local: getBangladeshParts(now) };
+    const periodsSpanned = periodIndex(nowItem) - periodIndex(first) + 1;
+
+    const factors = {
+      regularity: Math.min(1, periods.size / Math.max(1, periodsSpanned)),
+      concentration: items.length / clusterSize,
+      volume: Math.min(1, periods.size / this.config.volumeSaturationPeriods)
+    };
+    const { weights } = this.config;
+    const confidence = Math.round(100 * (
+      weights.regularity * factors.regularity +
+      weights.concentration * factors.concentration +
+      weights.volume * factors.volume
+    ));
+    if (confidence < this.config.minConfidence) return null;
+
+    const centre = centroid(items.map(item => item.coordinates));
+    const radiusMeters = Math.max(
+      50,
+      Math.round(Math.max(...items.map(item => haversineMeters(centre, item.coordinates))))
+    );
+    const hour = this.findTypicalHour(items);
+    const schedule = { ...slot, hour, hourWindow: this.config.hourWindow };
+    const predictedNextAt = this.predictNext(period, schedule, now);
+
+    return {
+      type,
+      period,
+      schedule,
+      location: { type: 'Point', coordinates: centre.map(value => Math.round(value * 1e6) / 1e6) },
+      radiusMeters,
+      adminArea: this.getDominantArea(items),
+      reports: sorted.map(item => item.report._id),
+      occurrences: items.length,
+      distinctPeriods: periods.size,
+      firstOccurrenceAt: first.at,
+      lastOccurrenceAt: last.at,
+      confidence,
+      confidenceFactors: Object.fromEntries(Object.entries(factors).map(([key, value]) => [key, Math.round(value * 100) / 100])),
+      predictedNextAt,
+      predictedWindow: {
+        start: new Date(predictedNextAt.getTime() - this.config.hourWindow * HOUR),
+        end: new Date(predictedNextAt.getTime() + this.config.hourWindow * HOUR)
+      }
+    };
+  }
+
+  /**
+   * Most common district and thana among the pattern's reports
+   */
+  getDominantArea(items) {
+    const dominant = (level) => {
+      const counts = new Map();
+      for (const item of items) {
+        const area = item.report.location?.adminArea?.[level];
+        if (!area?.code) continue;
+        const entry = counts.get(area.code) || { code: area.code, name: area.name, count: 0 };
+        entry.count++;
+        counts.set(area.code, entry);
+      }
+      const best = [...counts.values()].sort((a, b) => b.count - a.count)[0];
+      return best ? { code: best.code, name: best.name } : undefined;
+    };
+    return { district: dominant('district'), thana: dominant('thana') };
+  }
+
+  /**
+   * Next occurrence of the schedule whose window has not yet closed
+   */
+  predictNext(period, schedule, now = new Date()) {
+    const local = getBangladeshParts(now);
+    const windowMs = schedule.hourWindow * HOUR;
+
+    if (period === 'weekly') {
+      const daysAhead = (schedule.weekday - local.weekday + 7) % 7;
+      let next = fromBangladeshTime(local.year, local.month, local.day + daysAhead, schedule.hour);
+      if (next.getTime() + windowMs < now.getTime()) next = new Date(next.getTime() + WEEK);
+      return next;
+    }
+
+    const monthlyAt = (year, month) => {
+      const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      return fromBangladeshTime(year, month, Math.min(schedule.dayOfMonth, daysInMonth), schedule.hour);
+    };
+    let next = monthlyAt(local.year, local.month);
+    if (next.getTime() + windowMs < now.getTime()) {
+      next = local.month === 12 ? monthlyAt(local.year + 1, 1) : monthlyAt(local.year, local.month + 1);
+    }
+    return next;
+  }
+
+  /**
+   * Weekly and monthly candidates for one spatial cluster
+   */
+  findCandidates(type, cluster, now) {
+    const candidates = [];
+
+    for (let weekday = 0; weekday < 7; weekday++) {
+      const onDay = cluster.filter(item => item.local.weekday === weekday);
+      if (onDay.length < this.config.minOccurrences) continue;
+
+      const hour = this.findTypicalHour(onDay);
+      const matching = onDay.filter(item => this.hourDistance(item.local.hour, hour) <= this.config.hourWindow);
+      const candidate = this.buildCandidate(type, 'weekly', { weekday }, matching, cluster.length, now);
+      if (candidate) candidates.push(candidate);
+    }
+
+    // A weekly rhythm explains the cluster better - only look for monthly ones without it
+    if (candidates.length > 0) return candidates;
+
+    let best = null;
+    for (let dayOfMonth = 1; dayOfMonth <= 31; dayOfMonth++) {
+      const matching = cluster.filter(item => Math.abs(item.local.day - dayOfMonth) <= this.config.dayOfMonthWindow);
+      if (matching.length < this.config.minOccurrences) continue;
+
+      const candidate = this.buildCandidate(type, 'monthly', { dayOfMonth }, matching, cluster.length, now);
+      if (candidate && (!best || candidate.confidence > best.confidence)) best = candidate;
+    }
+    if (best) candidates.push(best);
+
+    return candidates;
+  }
+
+  /**
+   * Scan every incident type for recurring patterns
+   */
+  async detect({ types = null } = {}) {
+    if (this.running) return { skipped: true };
+    this.running = true;
+    const startedAt = new Date();
+
+    try {
+      const Report = this.getReportModel();
+      const since = new Date(startedAt.getTime() - this.config.lookbackDays * DAY);
+      const baseFilter = { status: { $nin: this.config.excludedStatuses }, createdAt: { $gte: since } };
+      const scanTypes = types || await Report.distinct('type', baseFilter);
+
+      const summary = { types: scanTypes.length, detected: 0, updated: 0, dormant: 0, newPatterns: [] };
+
+      for (const type of scanTypes) {
+        const reports = await Report.find({ ...baseFilter, type })
+          .select('_id type incidentOccurredAt createdAt location.coordinates location.originalCoordinates location.adminArea')
+          .lean();
+        if (reports.length < this.config.minOccurrences) continue;
+
+        const items = reports.map(report => this.toItem(report)).filter(Boolean);
+        const clusters = dbscan(items, { epsMeters: this.config.radiusMeters, minPoints: this.config.minOccurrences });
+
+        for (const cluster of clusters) {
+          for (const candidate of this.findCandidates(type, cluster, startedAt)) {
+            const { pattern, created } = await this.upsert(candidate, startedAt);
+            if (created) {
+              summary.detected++;
+              summary.newPatterns.push(pattern);
+            } else {
+              summary.updated++;
+            }
+          }
+        }
+      }
+
+      // Patterns not seen in this run have stopped repeating (reviewed ones keep their status)
+      const dormant = await this.getPatternModel().updateMany(
+        { status: 'active', lastEvaluatedAt: { $lt: startedAt } },
+        { $set: { status: 'dormant' } }
+      );
+      summary.dormant = dormant.modifiedCount;
+
+      this.stats.runs++;
+      this.stats.detected += summary.detected;
+      this.stats.updated += summary.updated;
+      this.stats.dormant += summary.dormant;
+      this.stats.lastRunAt = startedAt;
+      this.stats.lastRunMs = Date.now() - startedAt.getTime();
+
+      console.log(`🔁 Recurring patterns: ${summary.detected} new, ${summary.updated} updated, ${summary.dormant} dormant`);
+      if (summary.newPatterns.length > 0) await this.notify(summary.newPatterns);
+
+      return { ...summary, newPatterns: summary.newPatterns.map(pattern => pattern._id) };
+    } catch (error) {
+      this.stats.errors++;
+      console.error('❌ Recurring pattern detection failed:', error);
+      return { error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Update the existing pattern for the same type and slot nearby, or create one
+   */
+  async upsert(candidate, now) {
+    const RecurringPattern = this.getPatternModel();
+    const slotField = candidate.period === 'weekly' ? 'schedule.weekday' : 'schedule.dayOfMonth';
+    const slotValue = candidate.period === 'weekly' ? candidate.schedule.weekday : candidate.schedule.dayOfMonth;
+
+    const existing = await RecurringPattern.findOne({
+      type: candidate.type,
+      period: candidate.period,
+      [slotField]: slotValue,
+      location: {
+        $geoWithin: { $centerSphere: [candidate.location.coordinates, this.config.radiusMeters / EARTH_RADIUS_METERS] }
+      }
+    });
+
+    if (existing) {
+      existing.set({ ...candidate, lastEvaluatedAt: now });
+      if (existing.status === 'dormant') existing.status = 'active';
+      await existing.save();
+      return { pattern: existing, created: false };
+    }
+
+    const [lng, lat] = candidate.location.coordinates;
+    const pattern = await RecurringPattern.create({
+      ...candidate,
+      signature: `${candidate.type}:${candidate.period}:${slotValue}:${lng.toFixed(3)},${lat.toFixed(3)}`,
+      detectedAt: now,
+      lastEvaluatedAt: now
+    });
+    return { pattern, created: true };
+  }
+
+  /**
+   * Human-readable schedule, e.g. "Weekly on Tuesday around 10:00"
+   */
+  describe(pattern) {
+    const hour = `${String(pattern.schedule.hour).padStart(2, '0')}:00`;
+    return pattern.period === 'weekly' ?
+      `Weekly on ${WEEKDAY_NAMES[pattern.schedule.weekday]} around ${hour}` :
+      `Monthly around day ${pattern.schedule.dayOfMonth}, ${hour}`;
+  }
+
+  /**
+   * Tell admins and police about newly detected patterns
+   */
+  async notify(patterns) {
+    const payload = {
+      count: patterns.length,
+      patterns: patterns.map(pattern => ({
+        patternId: pattern._id,
+        type: pattern.type,
+        schedule: this.describe(pattern),
+        confidence: pattern.confidence,
+        occurrences: pattern.occurrences,
+        area: pattern.adminArea?.thana?.name || pattern.adminArea?.district?.name || null,
+        predictedNextAt: pattern.predictedNextAt
+      }))
+    };
+
+    try {
+      const socketHandler = global.socketHandler;
+      if (socketHandler && typeof socketHandler.emitToAdmins === 'function') {
+        await socketHandler.emitToAdmins('recurring_pattern_detected', payload);
+      }
+      if (socketHandler && typeof socketHandler.emitToPolice === 'function') {
+        socketHandler.emitToPolice('recurring_pattern_detected', payload);
+      }
+    } catch (error) {
+      console.warn('Recurring pattern alert failed (non-critical):', error.message);
+    }
+  }
+
+  /**
+   * Active patterns of a type near a point - used to annotate new reports
+   */
+  async findNearby(type, coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) return [];
+    return this.getPatternModel().find({
+      type,
+      status: { $in: ['active', 'confirmed'] },
+      location: {
+        $geoWithin: { $centerSphere: [coordinates, this.config.radiusMeters / EARTH_RADIUS_METERS] }
+      }
+    })
+      .select('_id period schedule confidence predictedNextAt')
+      .lean();
+  }
+
+  /**
+   * Start periodic detection
+   */
+  start() {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => this.detect(), this.config.runIntervalMs);
+    this.interval.unref?.();
+
+    console.log(`🔁 Recurring pattern detection scheduled (every ${this.config.runIntervalMs / HOUR} hours)`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, running: Boolean(this.interval), config: { ...this.config, weights: { ...this.config.weights } } };
+  }
+}
+
+// Export singleton instance
+const recurringPatternService = new RecurringPatternService();
+
+module.exports = {
+  RecurringPatternService,
+  recurringPatternService,
+
+  // Convenience methods
+  detectRecurringPatterns: (options) => recurringPatternService.detect(options),
+  findNearbyRecurringPatterns: (type, coordinates) => recurringPatternService.findNearby(type, coordinates),
+  describeRecurringPattern: (pattern) => recurringPatternService.describe(pattern),
+  getRecurringPatternStats: () => recurringPatternService.getStats()
+};
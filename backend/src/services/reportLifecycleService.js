@@ -0,0 +1,282 @@
+// === backend/src/services/reportLifecycleService.js ===
+// Report Lifecycle State Machine for SafeStreets Bangladesh
+// Single source of truth for which moderation actions are allowed from which
+// status, who may perform them and when a reason is mandatory
+
+const { userHasPermission } = require('../middleware/roleBasedAccess');
+const { computeSlaDueAt } = require('./moderationSlaService');
+
+const REPORT_STATES = ['pending', 'flagged', 'under_review', 'approved', 'verified', 'rejected', 'archived'];
+
+// action -> allowed source states, target state, required permission, reason rule
+const TRANSITIONS = {
+  approve: {
+    label: 'Approve',
+    pastTense: 'approved',
+    from: ['pending', 'flagged', 'under_review'],
+    to: 'approved',
+    permission: 'approve_reports',
+    requiresReason: false
+  },
+  reject: {
+    label: 'Reject',
+    pastTense: 'rejected',
+    from: ['pending', 'flagged', 'under_review'],
+    to: 'rejected',
+    permission: 'reject_reports',
+    requiresReason: true
+  },
+  escalate: {
+    label: 'Escalate',
+    pastTense: 'escalated for senior review',
+    from: ['pending', 'flagged'],
+    to: 'under_review',
+    permission: 'moderate_content',
+    requiresReason: true
+  },
+  request_info: {
+    label: 'Request More Info',
+    pastTense: 'sent back to the reporter for more information',
+    from: ['pending', 'flagged', 'under_review'],
+    to: 'under_review',
+    permission: 'moderate_content',
+    requiresReason: true, // The reason is sent to the reporter as the question
+    requiresReceipt: true
+  },
+  verify: {
+    label: 'Verify',
+    pastTense: 'verified',
+    from: ['approved'],
+    to: 'verified',
+    permission: 'approve_reports',
+    requiresReason: true
+  },
+  unapprove: {
+    label: 'Un-approve',
+    pastTense: 'returned to review',
+    from: ['approved', 'verified'],
+    to: 'under_review',
+    permission: 'approve_reports',
+    requiresReason: true
+  },
+  archive: {
+    label: 'Archive',
+    pastTense: 'archived',
+    from: ['approved', 'verified', 'rejected'],
+    to: 'archived',
+    permission: 'moderate_content',
+    requiresReason: true
+  },
+  reopen: {
+    label: 'Reopen',
+    pastTense: 'reopened for review',
+    from: ['rejected', 'archived'],
+    to: 'under_review',
+    permission: 'moderate_content',
+    requiresReason: true
+  }
+};
+
+const MAX_REASON_LENGTH = 1000;
+
+// Statuses awaiting a moderator decision - re-entering them restarts the SLA clock
+const OPEN_STATES = ['pending', 'flagged', 'under_review'];
+
+class ReportLifecycleService {
+  /**
+   * Transition definition for an action, or null
+   */
+  getTransition(action) {
+    return Object.prototype.hasOwnProperty.call(TRANSITIONS, action) ? TRANSITIONS[action] : null;
+  }
+
+  /**
+   * Actions allowed from a status
+   */
+  getAvailableActions(status) {
+    return Object.keys(TRANSITIONS).filter(action => TRANSITIONS[action].from.includes(status));
+  }
+
+  /**
+   * Serializable state machine for clients that drive the moderation UI
+   */
+  getDefinition() {
+    return {
+      states: REPORT_STATES,
+      transitions: Object.entries(TRANSITIONS).map(([action, transition]) => ({ action, ...transition })),
+      maxReasonLength: MAX_REASON_LENGTH
+    };
+  }
+
+  /**
+   * Validate an action against the report's current status and the reason rules.
+   * Throws LifecycleError with the HTTP status the route should return.
+   */
+  validate(report, action, reason) {
+    const transition = this.getTransition(action);
+    if (!transition) {
+      throw new LifecycleError(
+        `Invalid moderation action. Use one of: ${Object.keys(TRANSITIONS).join(', ')}`,
+        400,
+        'INVALID_ACTION'
+      );
+    }
+
+    if (!transition.from.includes(report.status)) {
+      throw new LifecycleError(
+        `Cannot ${action.replace('_', ' ')} a report that is ${report.status.replace('_', ' ')}`,
+        409,
+        'INVALID_TRANSITION',
+        { currentStatus: report.status, availableActions: this.getAvailableActions(report.status) }
+      );
+    }
+
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+    if (transition.requiresReason && !trimmedReason) {
+      throw new LifecycleError(`A reason is required to ${transition.label.toLowerCase()} a report`, 400, 'REASON_REQUIRED');
+    }
+    if (trimmedReason.length > MAX_REASON_LENGTH) {
+      throw new LifecycleError(`Reason must be ${MAX_REASON_LENGTH} characters or less`, 400, 'REASON_TOO_LONG');
+    }
+
+    if (transition.requiresReceipt && !report.receipt?.issuedAt) {
+      throw new LifecycleError(
+        'This report has no receipt, so the reporter cannot be asked for more information',
+        409,
+        'NO_RECEIPT'
+      );
+    }
+
+    return transition;
+  }
+
+  /**
+   * Whether the acting user holds the permission the transition needs
+   */
+  async canPerform(userContext, action) {
+    const transition = this.getTransition(action);
+    if (!transition || !userContext) return false;
+    return userHasPermission(userContext, transition.permission);
+  }
+
+  /**
+   * Lifecycle timestamp set by an action, if any
+   */
+  getTimestampField(action) {
+    return {
+      approve: 'publishedAt',
+      escalate: 'escalatedAt',
+      verify: 'verifiedAt',
+      archive: 'archivedAt'
+    }[action] || null;
+  }
+
+  /**
+   * New SLA due time when a decided report is sent back for review, otherwise null
+   */
+  getReopenedDueAt(from, to, priority, now) {
+    return !OPEN_STATES.includes(from) && OPEN_STATES.includes(to) ? computeSlaDueAt(priority, now) : null;
+  }
+
+  /**
+   * History entry recorded for a transition
+   */
+  buildHistoryEntry(action, from, to, { reason, actor, batchId, at = new Date() } = {}) {
+    return {
+      action,
+      from,
+      to,
+      reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+      actor: { userId: actor?.userId, username: actor?.username },
+      batchId: batchId || undefined,
+      at
+    };
+  }
+
+  /**
+   * Apply a validated transition to a report document (caller saves it)
+   */
+  apply(report, action, { reason, actor } = {}) {
+    const transition = this.validate(report, action, reason);
+    const from = report.status;
+    const entry = this.buildHistoryEntry(action, from, transition.to, { reason, actor });
+
+    report.status = transition.to;
+    report.moderatedAt = entry.at;
+    report.moderatedBy = actor?.userId;
+    report.moderationReason = entry.reason;
+
+    report.lifecycle = report.lifecycle || {};
+    const timestampField = this.getTimestampField(action);
+    if (timestampField) report.lifecycle[timestampField] = entry.at;
+
+    const dueAt = this.getReopenedDueAt(from, transition.to, report.moderation?.priority, entry.at);
+    if (dueAt) report.set('moderation.sla.dueAt', dueAt);
+
+    report.lifecycle.history = report.lifecycle.history || [];
+    report.lifecycle.history.push(entry);
+
+    return { from, to: transition.to, transition };
+  }
+
+  /**
+   * Validate a transition on a lean report and build a bulkWrite operation for it.
+   * The filter pins the current status so a report changed by someone else in the
+   * meantime is left alone rather than overwritten.
+   */
+  buildUpdate(report, action, { reason, actor, batchId } = {}) {
+    const transition = this.validate(report, action, reason);
+    const entry = this.buildHistoryEntry(action, report.status, transition.to, { reason, actor, batchId });
+
+    const $set = {
+      status: transition.to,
+      moderatedAt: entry.at,
+      moderatedBy: actor?.userId,
+      moderationReason: entry.reason
+    };
+    const timestampField = this.getTimestampField(action);
+    if (timestampField) $set[`lifecycle.${timestampField}`] = entry.at;
+
+    const dueAt = this.getReopenedDueAt(report.status, transition.to, report.moderation?.priority, entry.at);
+    if (dueAt) $set['moderation.sla.dueAt'] = dueAt;
+
+    return {
+      from: report.status,
+      to: transition.to,
+      operation: {
+        updateOne: {
+          filter: { _id: report._id, status: report.status },
+          update: { $set, $push: { 'lifecycle.history': entry } }
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Error raised for disallowed transitions - carries an HTTP status and code
+ */
+class LifecycleError extends Error {
+  constructor(message, statusCode = 400, code = 'LIFECYCLE_ERROR', details = null) {
+    super(message);
+    this.name = 'LifecycleError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Export singleton instance
+const reportLifecycleService = new ReportLifecycleService();
+
+module.exports = {
+  ReportLifecycleService,
+  LifecycleError,
+  reportLifecycleService,
+  REPORT_STATES,
+  REPORT_TRANSITIONS: TRANSITIONS,
+
+  // Convenience methods
+  getAvailableActions: (status) => reportLifecycleService.getAvailableActions(status),
+  getLifecycleDefinition: () => reportLifecycleService.getDefinition()
+};
@@ -0,0 +1,514 @@
+// === backend/src/services/reportRollupService.js ===
+// Time-Series Report Rollups for SafeStreets Bangladesh
+// Keeps report counts per hour/day/week × division/district/thana × incident type ×
+// severity × status in the report_rollups collection. A refresh recomputes one
+// Bangladesh week (Sunday to Saturday) of one time basis from raw reports and
+// replaces its rows, so refreshes are idempotent: a status change, a late
+// incident time or a retried job can never double count. Weeks are marked dirty
+// by the analytics queue and by a sweep of recently updated reports, and a full
+// rebuild is just every week refreshed in turn.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// Bangladesh is a fixed UTC+6, so local hours line up with UTC hours
+const BANGLADESH_UTC_OFFSET_MS = 6 * HOUR;
+const EPOCH_WEEKDAY = 4; // 1970-01-01 was a Thursday (Sunday = 0)
+
+const BASES = ['occurred', 'submitted'];
+const GRANULARITIES = ['hour', 'day', 'week'];
+
+// Dimensions a query can group by, and the rollup field behind each
+const GROUP_FIELDS = {
+  bucket: '$bucketStart',
+  division: '$division.code',
+  district: '$district.code',
+  thana: '$thana.code',
+  type: '$type',
+  severity: '$severity',
+  status: '$status'
+};
+
+const WRITE_BATCH_SIZE = 1000;
+
+/**
+ * Start of the Bangladesh-local hour, day or week (Sunday) containing a time
+ */
+const getBucketStart = (date, granularity) => {
+  const time = new Date(date).getTime();
+  if (granularity === 'hour') return new Date(time - (((time % HOUR) + HOUR) % HOUR));
+
+  const dayIndex = Math.floor((time + BANGLADESH_UTC_OFFSET_MS) / DAY);
+  const startDay = granularity === 'week' ? dayIndex - ((dayIndex + EPOCH_WEEKDAY) % 7) : dayIndex;
+  return new Date(startDay * DAY - BANGLADESH_UTC_OFFSET_MS);
+};
+
+class ReportRollupService {
+  constructor() {
+    this.config = {
+      publicStatuses: ['approved', 'verified'],
+      // How often dirty weeks are flushed and recently updated reports swept
+      syncIntervalMs: parseInt(process.env.REPORT_ROLLUP_SYNC_INTERVAL_MS) || 5 * 60 * 1000,
+      syncOverlapMs: 60 * 1000 // Re-read a little before the last sweep so nothing slips between sweeps
+    };
+
+    this.dirty = new Set(); // 'basis:weekStartMs'
+    this.chain = Promise.resolve(); // Refreshes run one at a time
+    this.interval = null;
+    this.lastSyncAt = null;
+    this.rebuilding = false;
+
+    this.stats = {
+      weeksRefreshed: 0,
+      rowsWritten: 0,
+      syncs: 0,
+      rebuilds: 0,
+      errors: 0,
+      lastSyncAt: null,
+      lastRebuildAt: null,
+      lastRebuildMs: null
+    };
+  }
+
+  getReportModel() {
+    return require('../models/Report');
+  }
+
+  getRollupModel() {
+    return require('../models/ReportRollup');
+  }
+
+  /**
+   * Time a report is bucketed by for a basis
+   */
+  getReportTime(report, basis) {
+    const time = basis === 'occurred' ? (report.incidentOccurredAt || report.createdAt) : report.createdAt;
+    return time ? new Date(time) : null;
+  }
+
+  /**
+   * Mark the weeks a report falls in as needing a refresh
+   */
+  markDirty(report, bases = BASES) {
+    for (const basis of bases) {
+      const time = this.getReportTime(report, basis);
+      if (!time || isNaN(time.getTime())) continue;
+      this.dirty.add(`${basis}:${getBucketStart(time, 'week').getTime()}`);
+    }
+  }
+
+  /**
+   * Refresh the rollups a report contributes to now (used by the analytics queue)
+   */
+  async refreshForReport(report, { bases = BASES } = {}) {
+    const reportId = report?._id || report?.reportId;
+    if (!report?.createdAt && reportId) {
+      report = await this.getReportModel().findById(reportId)
+        .select('createdAt incidentOccurredAt')
+        .lean();
+    }
+    if (!report) return { success: false, reason: 'report_not_found' };
+
+    this.markDirty(report, bases);
+    return this.flush();
+  }
+
+  /**
+   * Raw report counts for one week, grouped by hour and every rollup dimension
+   */
+  async aggregateWeek(basis, weekStart) {
+    const range = { $gte: weekStart, $lt: new Date(weekStart.getTime() + WEEK) };
+    const match = basis === 'occurred'
+      ? { $or: [{ incidentOccurredAt: range }, { incidentOccurredAt: null, createdAt: range }] }
+      : { createdAt: range };
+    const time = basis === 'occurred' ? { $ifNull: ['$incidentOccurredAt', '$createdAt'] } : '$createdAt';
+
+    return this.getReportModel().aggregate([
+      { $match: match },
+      {
+        $project: {
+          hour: { $subtract: [time, { $mod: [{ $toLong: time }, HOUR] }] },
+          divisionCode: { $ifNull: ['$location.adminArea.division.code', 'unknown'] },
+          divisionName: '$location.adminArea.division.name',
+          districtCode: { $ifNull: ['$location.adminArea.district.code', 'unknown'] },
+          districtName: '$location.adminArea.district.name',
+          thanaCode: { $ifNull: ['$location.adminArea.thana.code', 'unknown'] },
+          thanaName: '$location.adminArea.thana.name',
+          type: 1,
+          severity: 1,
+          status: 1,
+          genderSensitive: 1
+        }
+      },
+      {
+        $group: {
+          _id: {
+            hour: '$hour',
+            division: '$divisionCode',
+            district: '$districtCode',
+            thana: '$thanaCode',
+            type: '$type',
+            severity: '$severity',
+            status: '$status'
+          },
+          count: { $sum: 1 },
+          genderSensitive: { $sum: { $cond: ['$genderSensitive', 1, 0] } },
+          divisionName: { $first: '$divisionName' },
+          districtName: { $first: '$districtName' },
+          thanaName: { $first: '$thanaName' }
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Recompute and replace every hour, day and week row of one week
+   */
+  async refreshWeek(basis, weekStart) {
+    const ReportRollup = this.getRollupModel();
+    const refreshedAt = new Date();
+    const weekEnd = new Date(weekStart.getTime() + WEEK);
+
+    // Hour groups roll up into their day and week
+    const rows = new Map();
+    for (const group of await this.aggregateWeek(basis, weekStart)) {
+      const { hour, division, district, thana, type, severity, status } = group._id;
+      for (const granularity of GRANULARITIES) {
+        const bucketStart = getBucketStart(hour, granularity);
+        const key = [granularity, bucketStart.getTime(), division, district, thana, type, severity, status].join('|');
+        const row = rows.get(key) || {
+          filter: {
+            basis, granularity, bucketStart, 'division.code': division, 'district.code': district, 'thana.code': thana, type, severity, status
+          },
+          count: 0,
+          genderSensitive: 0,
+          divisionName: group.divisionName,
+          districtName: group.districtName,
+          thanaName: group.thanaName
+        };
+        row.count += group.count;
+        row.genderSensitive += group.genderSensitive;
+        rows.set(key, row);
+      }
+    }
+
+    const operations = [...rows.values()].map(row => ({
+      updateOne: {
+        filter: row.filter,
+        update: {
+          $set: {
+            count: row.count,
+            genderSensitive: row.genderSensitive,
+            'division.name': row.divisionName,
+            'district.name': row.districtName,
+            'thana.name': row.thanaName,
+            refreshedAt
+          }
+        },
+        upsert: true
+      }
+    }));
+    for (let i = 0; i < operations.length; i += WRITE_BATCH_SIZE) {
+      await ReportRollup.bulkWrite(operations.slice(i, i + WRITE_BATCH_SIZE), { ordered: false });
+    }
+
+    // Rows this refresh didn't write no longer have any reports behind them
+    await ReportRollup.deleteMany({
+      basis,
+      refreshedAt: { $ne: refreshedAt },
+      $or: [
+        { granularity: { $in: ['hour', 'day'] }, bucketStart: { $gte: weekStart, $lt: weekEnd } },
+        { granularity: 'week', bucketStart: weekStart }
+      ]
+    });
+
+    this.stats.weeksRefreshed++;
+    this.stats.rowsWritten += operations.length;
+    return operations.length;
+  }
+
+  /**
+   * Refresh every dirty week. Calls are serialised so two refreshes of the
+   * same week never interleave.
+   */
+  flush() {
+    const run = this.chain.then(() => this.drain());
+    this.chain = run.catch(() => {});
+    return run;
+  }
+
+  async drain() {
+    const keys = [...this.dirty];
+    this.dirty.clear();
+    if (keys.length === 0) return { success: true, weeks: 0, rows: 0 };
+
+    let weeks = 0;
+    let rows = 0;
+    for (const key of keys) {
+      const [basis, weekStartMs] = key.split(':');
+      try {
+        rows += await this.refreshWeek(basis, new Date(Number(weekStartMs)));
+        weeks++;
+      } catch (error) {
+        // Try again on the next flush
+        this.dirty.add(key);
+        this.stats.errors++;
+        console.error(`❌ Rollup refresh failed for ${basis} week ${new Date(Number(weekStartMs)).toISOString()}:`, error.message);
+      }
+    }
+
+    if (weeks > 0) await this.invalidateCache();
+    return { success: weeks === keys.length, weeks, rows };
+  }
+
+  /**
+   * Mark the weeks of every report updated since the last sweep - catches status
+   * changes, edits and bulk moderation without hooks at every write site
+   */
+  async sync({ now = new Date() } = {}) {
+    const since = this.lastSyncAt
+      ? new Date(this.lastSyncAt.getTime() - this.config.syncOverlapMs)
+      : new Date(now.getTime() - this.config.syncIntervalMs);
+
+    try {
+      const cursor = this.getReportModel().find({ updatedAt: { $gte: since } })
+        .select('createdAt incidentOccurredAt')
+        .lean()
+        .cursor();
+      for await (const report of cursor) {
+        this.markDirty(report);
+      }
+
+      this.lastSyncAt = now;
+      this.stats.syncs++;
+      this.stats.lastSyncAt = now;
+    } catch (error) {
+      this.stats.errors++;
+      console.error('❌ Rollup sync failed:', error.message);
+    }
+
+    return this.flush();
+  }
+
+  /**
+   * Recompute every rollup from raw reports
+   */
+  async rebuild() {
+    if (this.rebuilding) return { skipped: true };
+    this.rebuilding = true;
+
+    const run = this.chain.then(async () => {
+      const startedAt = new Date();
+      const Report = this.getReportModel();
+      const ReportRollup = this.getRollupModel();
+
+      const [firstSubmitted, firstOccurred] = await Promise.all([
+        Report.findOne().sort({ createdAt: 1 }).select('createdAt').lean(),
+        Report.findOne({ incidentOccurredAt: { $ne: null } }).sort({ incidentOccurredAt: 1 }).select('incidentOccurredAt').lean()
+      ]);
+
+      let weeks = 0;
+      let rows = 0;
+      if (firstSubmitted) {
+        const lastWeek = getBucketStart(startedAt, 'week').getTime();
+        const starts = {
+          submitted: firstSubmitted.createdAt,
+          occurred: firstOccurred && firstOccurred.incidentOccurredAt < firstSubmitted.createdAt
+            ? firstOccurred.incidentOccurredAt
+            : firstSubmitted.createdAt
+        };
+
+        for (const basis of BASES) {
+          for (let week = getBucketStart(starts[basis], 'week').getTime(); week <= lastWeek; week += WEEK) {
+            rows += await this.refreshWeek(basis, new Date(week));
+            weeks++;
+          }
+        }
+      }
+
+      // Anything older than this rebuild belongs to a week with no reports left
+      const { deletedCount } = await ReportRollup.deleteMany({ refreshedAt: { $lt: startedAt } });
+
+      this.stats.rebuilds++;
+      this.stats.lastRebuildAt = startedAt;
+      this.stats.lastRebuildMs = Date.now() - startedAt.getTime();
+      await this.invalidateCache();
+
+      console.log(`📈 Report rollups rebuilt: ${weeks} weeks, ${rows} rows, ${deletedCount} stale rows removed (${this.stats.lastRebuildMs}ms)`);
+      return { success: true, weeks, rows, removed: deletedCount, durationMs: this.stats.lastRebuildMs };
+    });
+
+    this.chain = run.catch(() => {});
+    try {
+      return await run;
+    } catch (error) {
+      this.stats.errors++;
+      console.error('❌ Report rollup rebuild failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.rebuilding = false;
+    }
+  }
+
+  /**
+   * Sum rollup rows over a time range, grouped by any of bucket, division,
+   * district, thana, type, severity and status. Buckets are included when they start
+   * within [from, to).
+   */
+  async query({
+    basis = 'occurred',
+    granularity = 'day',
+    from = null,
+    to = null,
+    division = null,
+    district = null,
+    thana = null,
+    types = null,
+    severities = null,
+    statuses = null,
+    groupBy = ['bucket']
+  } = {}) {
+    const match = { basis, granularity };
+    if (from || to) {
+      match.bucketStart = {};
+      if (from) match.bucketStart.$gte = new Date(from);
+      if (to) match.bucketStart.$lt = new Date(to);
+    }
+    if (division) match['division.code'] = division;
+    if (district) match['district.code'] = district;
+    if (thana) match['thana.code'] = thana;
+    if (types?.length) match.type = { $in: types };
+    if (severities?.length) match.severity = { $in: severities.map(Number) };
+    if (statuses?.length) match.status = { $in: statuses };
+
+    const _id = {};
+    groupBy.filter(field => GROUP_FIELDS[field]).forEach(field => { _id[field] = GROUP_FIELDS[field]; });
+
+    const groups = await this.getRollupModel().aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id,
+          count: { $sum: '$count' },
+          genderSensitive: { $sum: '$genderSensitive' },
+          severitySum: { $sum: { $multiply: ['$count', '$severity'] } },
+          divisionName: { $first: '$division.name' },
+          districtName: { $first: '$district.name' },
+          thanaName: { $first: '$thana.name' }
+        }
+      },
+      { $sort: _id.bucket ? { '_id.bucket': 1, count: -1 } : { count: -1 } }
+    ]);
+
+    return groups.map(group => {
+      const row = {};
+      if (_id.bucket) row.bucketStart = group._id.bucket;
+      if (_id.division) row.division = { code: group._id.division, name: group.divisionName || null };
+      if (_id.district) row.district = { code: group._id.district, name: group.districtName || null };
+      if (_id.thana) row.thana = { code: group._id.thana, name: group.thanaName || null };
+      if (_id.type) row.type = group._id.type;
+      if (_id.severity) row.severity = group._id.severity;
+      if (_id.status) row.status = group._id.status;
+
+      row.count = group.count;
+      row.genderSensitive = group.genderSensitive;
+      row.averageSeverity = group.count > 0 ? Math.round((group.severitySum / group.count) * 10) / 10 : 0;
+      return row;
+    });
+  }
+
+  /**
+   * Single total across every matching row
+   */
+  async total(filters = {}) {
+    const [row] = await this.query({ ...filters, groupBy: [] });
+    return row || { count: 0, genderSensitive: 0, averageSeverity: 0 };
+  }
+
+  /**
+   * Incidents in the last `days` against the `days` before, by incident time
+   */
+  async getTrend({ type = null, district = null, thana = null, days = 7, statuses = null, now = new Date() } = {}) {
+    const end = getBucketStart(now, 'hour').getTime() + HOUR;
+    const windowMs = days * DAY;
+    const filters = { basis: 'occurred', granularity: 'hour', district, thana, types: type ? [type] : null, statuses };
+
+    const [current, previous] = await Promise.all([
+      this.total({ ...filters, from: new Date(end - windowMs), to: new Date(end) }),
+      this.total({ ...filters, from: new Date(end - 2 * windowMs), to: new Date(end - windowMs) })
+    ]);
+
+    return {
+      days,
+      current: current.count,
+      previous: previous.count,
+      changePct: previous.count > 0 ? Math.round(((current.count - previous.count) / previous.count) * 100) : null,
+      direction: current.count > previous.count ? 'rising' : current.count < previous.count ? 'falling' : 'flat'
+    };
+  }
+
+  async invalidateCache() {
+    try {
+      const { cacheLayer } = require('../middleware/cacheLayer');
+      await cacheLayer.bumpVersion('stats');
+    } catch (error) {
+      console.warn('Cache invalidation failed (non-critical):', error.message);
+    }
+  }
+
+  /**
+   * Start the periodic sweep; builds the rollups first if there are none yet
+   */
+  start() {
+    if (this.interval) return;
+
+    this.lastSyncAt = new Date();
+    this.interval = setInterval(() => this.sync(), this.config.syncIntervalMs);
+    this.interval.unref?.();
+
+    this.getRollupModel().exists({})
+      .then(exists => (exists ? null : this.rebuild()))
+      .catch(error => console.error('❌ Initial rollup check failed:', error.message));
+
+    console.log(`📈 Report rollups syncing every ${Math.round(this.config.syncIntervalMs / 1000)} seconds`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      running: Boolean(this.interval),
+      rebuilding: this.rebuilding,
+      pendingWeeks: this.dirty.size,
+      config: { ...this.config }
+    };
+  }
+}
+
+// Export singleton instance
+const reportRollupService = new ReportRollupService();
+
+module.exports = {
+  ReportRollupService,
+  reportRollupService,
+  ROLLUP_BASES: BASES,
+  ROLLUP_GRANULARITIES: GRANULARITIES,
+  ROLLUP_GROUP_FIELDS: Object.keys(GROUP_FIELDS),
+  getBucketStart,
+
+  // Convenience methods
+  markReportForRollup: (report, bases) => reportRollupService.markDirty(report, bases),
+  refreshRollupsForReport: (report, options) => reportRollupService.refreshForReport(report, options),
+  rebuildReportRollups: () => reportRollupService.rebuild(),
+  queryReportRollups: (options) => reportRollupService.query(options),
+  getReportRollupTotal: (filters) => reportRollupService.total(filters),
+  getReportTrend: (options) => reportRollupService.getTrend(options),
+  getReportRollupStats: () => reportRollupService.getStats()
+};
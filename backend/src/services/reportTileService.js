@@ -0,0 +1,419 @@
+// === backend/src/services/reportTileService.js ===
+// Server-side Clustered Map Tiles for SafeStreets Bangladesh
+// Each Web Mercator tile (z/x/y) is split into a fixed grid; published reports
+// are grouped per grid cell in MongoDB and returned as GeoJSON, so every zoom
+// shows every report instead of the first 100 the browser happened to fetch.
+//
+// Tiles are cached in Redis under a per-tile version stamp. A change to a report
+// restamps only the tiles containing it: tiles up to versionZoom carry their own
+// stamp, deeper tiles share the stamp of their versionZoom ancestor. That keeps
+// invalidation to a handful of keys per report while untouched areas stay cached.
+
+const { cacheLayer } = require('../middleware/cacheLayer');
+const { TIME_OF_DAY_PERIODS, fromBangladeshTime } = require('../utils/bangladeshTime');
+const { boxFilter } = require('../utils/reportQuery');
+
+const MAX_LATITUDE = 85.0511287798; // Web Mercator limit
+const METERS_PER_DEGREE_LAT = 111320;
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Lazy load Report model
+let Report;
+const getReportModel = () => {
+  if (!Report) {
+    Report = require('../models/Report');
+  }
+  return Report;
+};
+
+class ReportTileService {
+  constructor() {
+    this.config = {
+      maxZoom: 20,
+      gridSize: 8, // Cells per tile edge - 32px cells on a 256px tile
+      versionZoom: 12, // Deepest zoom with its own version stamp (~9km tiles over Bangladesh)
+      cacheTTL: parseInt(process.env.REPORT_TILE_CACHE_TTL) || 3600, // Seconds; also bounds staleness for unhooked writes
+      publicStatuses: ['approved', 'verified'],
+      maxTypes: 20
+    };
+
+    this.stats = {
+      tilesServed: 0,
+      cacheHits: 0,
+      tilesInvalidated: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Tile containing a [lng, lat] pair at a zoom
+   */
+  tileForPoint([lng, lat], z) {
+    const n = 2 ** z;
+    const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+    const latRad = clampedLat * Math.PI / 180;
+    const x = Math.floor((lng + 180) / 360 * n);
+    const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+    return { x: Math.min(Math.max(x, 0), n - 1), y: Math.min(Math.max(y, 0), n - 1) };
+  }
+
+  /**
+   * Geographic bounds of a tile
+   */
+  tileBounds(z, x, y) {
+    const n = 2 ** z;
+    const toLat = (tileY) => Math.atan(Math.sinh(Math.PI * (1 - 2 * tileY / n))) * 180 / Math.PI;
+    return {
+      west: x / n * 360 - 180,
+      east: (x + 1) / n * 360 - 180,
+      north: toLat(y),
+      south: toLat(y + 1)
+    };
+  }
+
+  /**
+   * Validate tile coordinates and filter parameters.
+   * Returns { error } or { tile, filters, filterKey } where filterKey is canonical.
+   */
+  parseRequest(params, query = {}) {
+    const [z, x, y] = [params.z, params.x, params.y].map(value => (/^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN));
+    if ([z, x, y].some(Number.isNaN) || z > this.config.maxZoom || x >= 2 ** z || y >= 2 ** z) {
+      return { error: `Invalid tile - z must be 0-${this.config.maxZoom} and x, y within 0-2^z` };
+    }
+
+    const parseList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+    const types = [...new Set(parseList(query.types || query.type))].filter(type => type !== 'all').sort();
+    if (types.length > this.config.maxTypes) {
+      return { error: `At most ${this.config.maxTypes} types per request` };
+    }
+
+    const minSeverity = query.minSeverity ? parseInt(query.minSeverity, 10) : 1;
+    const maxSeverity = query.maxSeverity ? parseInt(query.maxSeverity, 10) : 5;
+    if (!(minSeverity >= 1 && maxSeverity <= 5 && minSeverity <= maxSeverity)) {
+      return { error: 'minSeverity and maxSeverity must be 1-5 with min no greater than max' };
+    }
+
+    const timeOfDay = [...new Set(parseList(query.timeOfDay))].sort();
+    if (timeOfDay.some(period => !TIME_OF_DAY_PERIODS.includes(period))) {
+      return { error: `timeOfDay must be drawn from: ${TIME_OF_DAY_PERIODS.join(', ')}` };
+    }
+
+    // Date-only values are whole Bangladesh days, so endDate includes its day
+    const parseDate = (value, endOfDay) => {
+      if (!value) return null;
+      const match = DATE_ONLY.exec(value);
+      if (match) {
+        const [, year, month, day] = match.map(Number);
+        return fromBangladeshTime(year, month, day + (endOfDay ? 1 : 0));
+      }
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    };
+    const startDate = parseDate(query.startDate, false);
+    const endDate = parseDate(query.endDate, true);
+    if (startDate === undefined || endDate === undefined) {
+      return { error: 'startDate and endDate must be valid dates' };
+    }
+
+    const genderSensitive = ['true', 'false'].includes(query.genderSensitive) ? query.genderSensitive === 'true' : null;
+
+    const filters = { types, minSeverity, maxSeverity, timeOfDay, startDate, endDate, genderSensitive };
+    const filterKey = [
+      types.join(',') || '*',
+      `${minSeverity}-${maxSeverity}`,
+      timeOfDay.join(',') || '*',
+      startDate ? startDate.getTime() : '*',
+      endDate ? endDate.getTime() : '*',
+      genderSensitive === null ? '*' : genderSensitive
+    ].join('|');
+
+    return { tile: { z, x, y }, filters, filterKey };
+  }
+
+  /**
+   * Same visibility rules as the public GET /api/reports, plus the tile box
+   */
+  buildMatch({ z, x, y }, filters) {
+    // Half-open so a report on a tile edge belongs to exactly one tile
+    const match = {
+      status: { $in: this.config.publicStatuses },
+      'location.privacy.suppressed': { $ne: true },
+      'processingStatus.fastPhaseCompleted': true,
+      'deduplication.duplicateCheck.isDuplicate': { $ne: true },
+      ...boxFilter(this.tileBounds(z, x, y), { halfOpen: true })
+    };
+
+    if (filters.types.length > 0) {
+      const types = filters.types.filter(type => type !== 'female_safety');
+      if (filters.types.includes('female_safety')) {
+        match.$or = [{ genderSensitive: true }, ...(types.length ? [{ type: { $in: types } }] : [])];
+      } else {
+        match.type = { $in: types };
+      }
+    }
+    if (filters.minSeverity > 1 || filters.maxSeverity < 5) {
+      match.severity = { $gte: filters.minSeverity, $lte: filters.maxSeverity };
+    }
+    if (filters.timeOfDay.length > 0) match.timeOfDayRisk = { $in: filters.timeOfDay };
+    if (filters.genderSensitive !== null) match.genderSensitive = filters.genderSensitive;
+    if (filters.startDate || filters.endDate) {
+      match.createdAt = {};
+      if (filters.startDate) match.createdAt.$gte = filters.startDate;
+      if (filters.endDate) match.createdAt.$lt = filters.endDate;
+    }
+
+    return match;
+  }
+
+  /**
+   * Group a tile's reports into grid cells and shape them as GeoJSON features
+   */
+  async computeTile(tile, filters) {
+    const Report = getReportModel();
+    const worldCells = 2 ** tile.z * this.config.gridSize;
+    const lng = { $arrayElemAt: ['$location.coordinates', 0] };
+    const latRad = { $degreesToRadians: { $arrayElemAt: ['$location.coordinates', 1] } };
+
+    const cells = await Report.aggregate([
+      { $match: this.buildMatch(tile, filters) },
+      {
+        $project: {
+          type: 1,
+          severity: 1,
+          status: 1,
+          genderSensitive: 1,
+          createdAt: 1,
+          incidentOccurredAt: 1,
+          lng,
+          lat: { $arrayElemAt: ['$location.coordinates', 1] },
+          cellX: { $floor: { $multiply: [{ $divide: [{ $add: [lng, 180] }, 360] }, worldCells] } },
+          cellY: {
+            $floor: {
+              $multiply: [
+                {
+                  $divide: [
+                    {
+                      $subtract: [1, {
+                        $divide: [{ $ln: { $add: [{ $tan: latRad }, { $divide: [1, { $cos: latRad }] }] } }, Math.PI]
+                      }]
+                    },
+                    2
+                  ]
+                },
+                worldCells
+              ]
+            }
+          }
+        }
+      },
+      {
+        $group: {
+          _id: { cellX: '$cellX', cellY: '$cellY', type: '$type' },
+          count: { $sum: 1 },
+          sumLng: { $sum: '$lng' },
+          sumLat: { $sum: '$lat' },
+          sumSeverity: { $sum: '$severity' },
+          maxSeverity: { $max: '$severity' },
+          genderSensitive: { $sum: { $cond: ['$genderSensitive', 1, 0] } },
+          report: { $first: '$$ROOT' }
+        }
+      },
+      {
+        $group: {
+          _id: { cellX: '$_id.cellX', cellY: '$_id.cellY' },
+          count: { $sum: '$count' },
+          sumLng: { $sum: '$sumLng' },
+          sumLat: { $sum: '$sumLat' },
+          sumSeverity: { $sum: '$sumSeverity' },
+          maxSeverity: { $max: '$maxSeverity' },
+          genderSensitive: { $sum: '$genderSensitive' },
+          types: { $push: { k: '$_id.type', v: '$count' } },
+          report: { $first: '$report' }
+        }
+      }
+    ]);
+
+    const features = cells.map(cell => {
+      if (cell.count === 1) {
+        const { report } = cell;
+        return {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [report.lng, report.lat] },
+          properties: {
+            cluster: false,
+            id: String(report._id),
+            type: report.type,
+            severity: report.severity,
+            status: report.status,
+            genderSensitive: Boolean(report.genderSensitive),
+            createdAt: report.createdAt,
+            incidentOccurredAt: report.incidentOccurredAt || null
+          }
+        };
+      }
+
+      return {
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates: [
+            Math.round(cell.sumLng / cell.count * 1e6) / 1e6,
+            Math.round(cell.sumLat / cell.count * 1e6) / 1e6
+          ]
+        },
+        properties: {
+          cluster: true,
+          point_count: cell.count,
+          point_count_abbreviated: cell.count >= 1000 ? `${Math.round(cell.count / 100) / 10}k` : String(cell.count),
+          types: Object.fromEntries(cell.types.sort((a, b) => b.v - a.v).map(({ k, v }) => [k, v])),
+          averageSeverity: Math.round(cell.sumSeverity / cell.count * 10) / 10,
+          maxSeverity: cell.maxSeverity,
+          genderSensitiveCount: cell.genderSensitive
+        }
+      };
+    });
+
+    return { type: 'FeatureCollection', features };
+  }
+
+  /**
+   * Version namespace for a tile - its own up to versionZoom, its ancestor's below
+   */
+  versionNamespace({ z, x, y }) {
+    const depth = Math.max(0, z - this.config.versionZoom);
+    return `tiles:reports:${z - depth}/${x >> depth}/${y >> depth}`;
+  }
+
+  /**
+   * Cached tile, computing and caching it on a miss
+   */
+  async getTile(tile, filters, filterKey) {
+    this.stats.tilesServed++;
+
+    let cacheKey = null;
+    if (cacheLayer.isConnected) {
+      try {
+        const stamp = await cacheLayer.client.get(cacheLayer.generateKey('version', this.versionNamespace(tile)));
+        cacheKey = cacheLayer.generateKey('tiles', `reports:${tile.z}/${tile.x}/${tile.y}`, `${stamp || 0}:${filterKey}`);
+
+        const cached = await cacheLayer.get(cacheKey);
+        if (cached) {
+          this.stats.cacheHits++;
+          return { data: cached, cached: true };
+        }
+      } catch (error) {
+        console.warn('⚠️ Tile cache read failed (non-critical):', error.message);
+      }
+    }
+
+    try {
+      const data = await this.computeTile(tile, filters);
+      if (cacheKey) await cacheLayer.set(cacheKey, data, this.config.cacheTTL);
+      return { data, cached: false };
+    } catch (error) {
+      this.stats.errors++;
+      throw error;
+    }
+  }
+
+  /**
+   * Restamp every tile version covering the given points, or boxes of
+   * radiusMeters around them (for changes that move nearby reports too)
+   */
+  async invalidatePoints(points, radiusMeters = 0) {
+    if (!cacheLayer.isConnected) return 0;
+
+    const namespaces = new Set();
+    for (const [lng, lat] of points) {
+      const latDelta = radiusMeters / METERS_PER_DEGREE_LAT;
+      const lngDelta = radiusMeters / (METERS_PER_DEGREE_LAT * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+
+      for (let z = 0; z <= this.config.versionZoom; z++) {
+        const min = this.tileForPoint([lng - lngDelta, lat + latDelta], z);
+        const max = this.tileForPoint([lng + lngDelta, lat - latDelta], z);
+        for (let x = min.x; x <= max.x; x++) {
+          for (let y = min.y; y <= max.y; y++) {
+            namespaces.add(this.versionNamespace({ z, x, y }));
+          }
+        }
+      }
+    }
+    if (namespaces.size === 0) return 0;
+
+    try {
+      // A fresh timestamp rather than a counter: when a stamp expires and is set
+      // again it can never collide with a stamp an old cached tile was keyed under
+      const stamp = String(Date.now());
+      const multi = cacheLayer.client.multi();
+      for (const namespace of namespaces) {
+        multi.setEx(cacheLayer.generateKey('version', namespace), this.config.cacheTTL * 2, stamp);
+      }
+      await multi.exec();
+
+      this.stats.tilesInvalidated += namespaces.size;
+      return namespaces.size;
+    } catch (error) {
+      console.error('❌ Tile invalidation failed:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Invalidate the tiles showing these reports (documents with public
+   * coordinates, or IDs to look up). With privacyNeighbours the whole coarsest
+   * privacy cell around each report is covered - a new report's k-anonymity
+   * pass can move any neighbour inside it.
+   */
+  async invalidateReports(reports, { privacyNeighbours = false } = {}) {
+    if (!cacheLayer.isConnected || !reports?.length) return 0;
+
+    try {
+      const points = [];
+      const ids = [];
+      for (const report of reports) {
+        const coordinates = report?.location?.coordinates;
+        if (Array.isArray(coordinates) && coordinates.length === 2) points.push(coordinates);
+        else if (report) ids.push(report._id || report);
+      }
+
+      if (ids.length > 0) {
+        const Report = getReportModel();
+        const found = await Report.find({ _id: { $in: ids } }).select('location.coordinates').lean();
+        found.forEach(report => {
+          if (Array.isArray(report.location?.coordinates)) points.push(report.location.coordinates);
+        });
+      }
+
+      let radiusMeters = 0;
+      if (privacyNeighbours) {
+        const { locationPrivacyService } = require('./locationPrivacyService');
+        radiusMeters = Math.max(...locationPrivacyService.config.cellSizes);
+      }
+
+      return await this.invalidatePoints(points, radiusMeters);
+    } catch (error) {
+      console.error('❌ Tile invalidation failed:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Get tile service statistics
+   */
+  getStats() {
+    return { ...this.stats, config: { ...this.config } };
+  }
+}
+
+// Export singleton instance
+const reportTileService = new ReportTileService();
+
+module.exports = {
+  ReportTileService,
+  reportTileService,
+
+  // Convenience methods
+  getReportTile: (tile, filters, filterKey) => reportTileService.getTile(tile, filters, filterKey),
+  invalidateReportTiles: (reports, options) => reportTileService.invalidateReports(reports, options)
+};
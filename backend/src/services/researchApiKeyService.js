@@ -0,0 +1,324 @@
+// === backend/src/services/researchApiKeyService.js ===
+// Research API Keys for SafeStreets Bangladesh
+// Approved researchers reach the research endpoints with API keys instead of a
+// session. Each key is scoped to endpoints and datasets, carries its own rate
+// limit (enforced by hybridRateLimiter) and daily quota, and is metered per day.
+//
+// Approved researchers sign in (POST /api/auth/researcher/login) to create their
+// first key; admins can also issue one. A key with the "keys" scope can create
+// narrower keys and revoke the researcher's keys.
+// No key outlives the researcher's access period - registration plus their
+// expectedDuration in months - which is checked again on every request.
+
+const crypto = require('crypto');
+const ResearchApiKey = require('../models/ResearchApiKey');
+const ResearchApiUsage = require('../models/ResearchApiUsage');
+const AuditLog = require('../models/AuditLog');
+const { userHasPermission } = require('../middleware/roleBasedAccess');
+
+const DAY = 24 * 60 * 60 * 1000;
+const KEY_PREFIX = 'ssr_';
+const KEY_PATTERN = /^ssr_[A-Za-z0-9_-]{32}$/;
+
+const DATASETS = ['reports', 'safe_zones'];
+
+// Researcher permission each endpoint scope needs, and the datasets it can serve
+const ENDPOINTS = {
+  exports: { permission: 'export_anonymized_data', datasets: ['reports'] },
+  sync: { permission: 'real_time_data_access', datasets: ['reports', 'safe_zones'] },
+  keys: { permission: 'access_research_api', datasets: [] }
+};
+
+const hashKey = (rawKey) => crypto.createHash('sha256').update(rawKey).digest('hex');
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+class ResearchApiKeyService {
+  constructor() {
+    this.config = {
+      defaultRatePerMinute: 60,
+      maxRatePerMinute: 300,
+      defaultDailyQuota: 5000,
+      maxDailyQuota: 50000,
+      maxActiveKeys: 10, // Per researcher
+      usageRetentionDays: 180
+    };
+  }
+
+  /**
+   * End of a researcher's access period, or null if it can't be determined
+   */
+  getAccessEnd(user) {
+    const months = Number(user?.roleData?.researcher?.expectedDuration);
+    if (user?.userType !== 'researcher' || !Number.isFinite(months) || months <= 0 || !user.createdAt) {
+      return null;
+    }
+
+    const end = new Date(user.createdAt);
+    end.setUTCMonth(end.getUTCMonth() + Math.ceil(months));
+    return end;
+  }
+
+  /**
+   * Why this user can't hold API keys right now, or null
+   */
+  async checkResearcher(user, now = new Date()) {
+    if (!user || user.userType !== 'researcher') {
+      return 'API keys can only be issued to researchers';
+    }
+    if (user.roleData?.researcher?.verificationStatus !== 'approved') {
+      return 'Researcher account is not approved';
+    }
+    if (!await userHasPermission({ user, userType: 'researcher' }, 'access_research_api')) {
+      return 'Researcher access level does not include API access';
+    }
+
+    const accessEnd = this.getAccessEnd(user);
+    if (!accessEnd) {
+      return 'Researcher has no expected research duration';
+    }
+    if (accessEnd <= now) {
+      return 'Researcher access period has ended';
+    }
+    return null;
+  }
+
+  /**
+   * Validate a key request. parentKey is the key making the request, if any -
+   * a key can only create keys with narrower scopes, limits and lifetime.
+   */
+  async buildKeyParams(input = {}, { user, parentKey = null } = {}) {
+    const reason = await this.checkResearcher(user);
+    if (reason) {
+      return { error: reason };
+    }
+
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > 100) {
+      return { error: 'name is required (up to 100 characters)' };
+    }
+
+    const endpoints = [...new Set(input.endpoints || [])];
+    if (endpoints.length === 0 || !endpoints.every(endpoint => ENDPOINTS[endpoint])) {
+      return { error: `endpoints must be one or more of: ${Object.keys(ENDPOINTS).join(', ')}` };
+    }
+
+    const datasets = [...new Set(input.datasets || [])];
+    if (!datasets.every(dataset => DATASETS.includes(dataset))) {
+      return { error: `datasets must be from: ${DATASETS.join(', ')}` };
+    }
+    for (const endpoint of endpoints) {
+      const served = ENDPOINTS[endpoint].datasets;
+      if (served.length > 0 && !datasets.some(dataset => served.includes(dataset))) {
+        return { error: `The ${endpoint} endpoint needs one of these datasets: ${served.join(', ')}` };
+      }
+    }
+
+    for (const endpoint of endpoints) {
+      if (!await userHasPermission({ user, userType: 'researcher' }, ENDPOINTS[endpoint].permission)) {
+        return { error: `Researcher access level does not allow the ${endpoint} endpoint` };
+      }
+    }
+
+    const ratePerMinute = input.ratePerMinute === undefined
+      ? this.config.defaultRatePerMinute
+      : parseInt(input.ratePerMinute);
+    if (!Number.isInteger(ratePerMinute) || ratePerMinute < 1 || ratePerMinute > this.config.maxRatePerMinute) {
+      return { error: `ratePerMinute must be between 1 and ${this.config.maxRatePerMinute}` };
+    }
+
+    const dailyQuota = input.dailyQuota === undefined
+      ? this.config.defaultDailyQuota
+      : parseInt(input.dailyQuota);
+    if (!Number.isInteger(dailyQuota) || dailyQuota < 1 || dailyQuota > this.config.maxDailyQuota) {
+      return { error: `dailyQuota must be between 1 and ${this.config.maxDailyQuota}` };
+    }
+
+    let expiresAt = this.getAccessEnd(user);
+    if (input.expiresInDays !== undefined) {
+      const days = parseInt(input.expiresInDays);
+      if (!Number.isInteger(days) || days < 1) {
+        return { error: 'expiresInDays must be a positive whole number' };
+      }
+      expiresAt = new Date(Math.min(expiresAt.getTime(), Date.now() + days * DAY));
+    }
+
+    if (parentKey) {
+      if (!endpoints.every(endpoint => parentKey.scopes.endpoints.includes(endpoint)) ||
+        !datasets.every(dataset => parentKey.scopes.datasets.includes(dataset))) {
+        return { error: 'A key can only create keys within its own scopes' };
+      }
+      if (ratePerMinute > parentKey.rateLimit.limit || dailyQuota > parentKey.dailyQuota) {
+        return { error: 'A key can only create keys with lower limits than its own' };
+      }
+      expiresAt = new Date(Math.min(expiresAt.getTime(), parentKey.expiresAt.getTime()));
+    }
+
+    return {
+      name,
+      scopes: { endpoints, datasets },
+      rateLimit: { limit: ratePerMinute, window: 60 },
+      dailyQuota,
+      expiresAt
+    };
+  }
+
+  /**
+   * Create a key for a researcher. The raw key is only ever returned here.
+   */
+  async createKey(user, params, createdBy) {
+    const reason = await this.checkResearcher(user);
+    if (reason) {
+      return { error: reason };
+    }
+
+    const activeKeys = await ResearchApiKey.countDocuments({
+      owner: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (activeKeys >= this.config.maxActiveKeys) {
+      return { error: `Researchers can hold at most ${this.config.maxActiveKeys} active keys` };
+    }
+
+    const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const key = await ResearchApiKey.create({
+      ...params,
+      owner: user._id,
+      prefix: rawKey.slice(0, 10),
+      keyHash: hashKey(rawKey),
+      createdBy
+    });
+
+    await this.logKeyAction('api_key_create', key, createdBy, {
+      scopes: key.scopes,
+      rateLimit: key.rateLimit,
+      dailyQuota: key.dailyQuota,
+      expiresAt: key.expiresAt
+    });
+
+    console.log(`🔑 Research API key ${key.prefix}… created for researcher ${user._id}`);
+    return { key, rawKey };
+  }
+
+  /**
+   * Resolve a raw key to an active key and its researcher
+   */
+  async authenticate(rawKey) {
+    if (typeof rawKey !== 'string' || !KEY_PATTERN.test(rawKey)) {
+      return { error: 'Invalid API key', status: 401 };
+    }
+
+    const key = await ResearchApiKey.findOne({ keyHash: hashKey(rawKey) })
+      .populate('owner');
+    if (!key || !key.owner) {
+      return { error: 'Invalid API key', status: 401 };
+    }
+    if (key.revokedAt) {
+      return { error: 'API key has been revoked', status: 401 };
+    }
+    if (!key.isActive()) {
+      return { error: 'API key has expired', status: 401 };
+    }
+
+    // The researcher may have been suspended or had their duration shortened since
+    const reason = await this.checkResearcher(key.owner);
+    if (reason) {
+      return { error: reason, status: 403 };
+    }
+
+    return { key, user: key.owner };
+  }
+
+  /**
+   * Whether a key may call an endpoint for at least one of the given datasets
+   */
+  hasScope(key, endpoint, datasets = []) {
+    if (!key.scopes.endpoints.includes(endpoint)) return false;
+    return datasets.length === 0 || datasets.some(dataset => key.scopes.datasets.includes(dataset));
+  }
+
+  /**
+   * Count a request against the key's day. Returns the day's total so far.
+   */
+  async recordUsage(key, endpoint, now = new Date()) {
+    const day = startOfUtcDay(now);
+    const update = {
+      $inc: { requests: 1, [`endpoints.${endpoint}`]: 1 },
+      $setOnInsert: { expiresAt: new Date(day.getTime() + this.config.usageRetentionDays * DAY) }
+    };
+
+    let usage;
+    try {
+      usage = await ResearchApiUsage.findOneAndUpdate({ keyId: key._id, day }, update, { upsert: true, new: true });
+    } catch (error) {
+      // Two first requests of the day raced on the upsert
+      if (error.code !== 11000) throw error;
+      usage = await ResearchApiUsage.findOneAndUpdate({ keyId: key._id, day }, update, { new: true });
+    }
+
+    ResearchApiKey.updateOne(
+      { _id: key._id },
+      { $inc: { 'usage.totalRequests': 1 }, $set: { 'usage.lastUsedAt': now, 'usage.lastEndpoint': endpoint } }
+    ).catch(error => console.error('❌ Failed to update API key usage:', error.message));
+
+    return usage.requests;
+  }
+
+  async getUsage(key, days = 30) {
+    const since = startOfUtcDay(new Date(Date.now() - (days - 1) * DAY));
+    const rows = await ResearchApiUsage.find({ keyId: key._id, day: { $gte: since } })
+      .sort({ day: -1 })
+      .lean();
+
+    return rows.map(row => ({
+      day: row.day.toISOString().slice(0, 10),
+      requests: row.requests,
+      endpoints: row.endpoints || {}
+    }));
+  }
+
+  async listKeys(ownerId) {
+    return ResearchApiKey.find({ owner: ownerId }).sort({ createdAt: -1 }).limit(100);
+  }
+
+  async revokeKey(key, reason, revokedBy) {
+    if (key.revokedAt) return key;
+
+    key.revokedAt = new Date();
+    key.revokedReason = reason;
+    await key.save();
+
+    await this.logKeyAction('api_key_revoke', key, revokedBy, { reason });
+    console.log(`🔑 Research API key ${key.prefix}… revoked`);
+    return key;
+  }
+
+  async logKeyAction(actionType, key, actor, details) {
+    try {
+      await AuditLog.create({
+        actor: {
+          userId: actor.userId,
+          userType: actor.userType,
+          username: actor.username
+        },
+        actionType,
+        details: { ...details, viaKey: actor.keyId ? String(actor.keyId) : undefined },
+        target: { id: String(key._id), type: 'ResearchApiKey', name: `${key.prefix}… (${key.name})` },
+        severity: 'high'
+      });
+    } catch (error) {
+      console.error(`❌ Audit log failed for ${actionType}:`, error);
+    }
+  }
+}
+
+// Export singleton instance
+const researchApiKeyService = new ResearchApiKeyService();
+
+module.exports = {
+  ResearchApiKeyService,
+  researchApiKeyService,
+  RESEARCH_API_ENDPOINTS: ENDPOINTS,
+  RESEARCH_API_DATASETS: DATASETS
+};
@@ -0,0 +1,517 @@
+// === backend/src/services/researchExportService.js ===
+// Anonymized Research Exports for SafeStreets Bangladesh
+// Builds CSV, GeoJSON and NDJSON datasets of approved reports for researchers.
+// Every export applies the same protections, recorded in its data dictionary:
+// - coordinates coarsened to a grid cell centre (public coordinates as input)
+// - no free text at all - descriptions, titles and addresses are never read
+// - incident times bucketed to a Bangladesh day/week/month plus a time-of-day period
+// - record IDs replaced by keyed hashes that differ per export, so rows can't be
+//   joined back to the public API or across exports
+// - k-anonymity over the quasi-identifiers: rows in a class smaller than k lose
+//   their time-of-day period, and rows still in a small class are dropped
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const ResearchExport = require('../models/ResearchExport');
+const AuditLog = require('../models/AuditLog');
+const { getPrivacyCell } = require('./locationPrivacyService');
+const { getBucketStart } = require('./reportRollupService');
+const { getBangladeshParts, fromBangladeshTime, getTimeOfDayRisk } = require('../utils/bangladeshTime');
+
+// Lazy load Report model to avoid circular dependencies
+let Report;
+const getReportModel = () => {
+  if (!Report) {
+    Report = require('../models/Report');
+  }
+  return Report;
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const FORMATS = ['csv', 'geojson', 'ndjson'];
+const TIME_BUCKETS = ['day', 'week', 'month'];
+const GRID_SIZES = [500, 1000, 2000, 5000, 10000];
+const QUASI_IDENTIFIERS = ['cell_id', 'division', 'district', 'period_start', 'time_of_day'];
+
+// Column order for every format
+const FIELDS = [
+  { name: 'record_id', type: 'string', description: 'Keyed hash of the report ID, unique to this export. Not joinable with other exports or the public API.' },
+  { name: 'period_start', type: 'date', description: 'First day (Bangladesh time, YYYY-MM-DD) of the day/week/month the incident occurred in. Reporting time is used when no incident time was given.' },
+  { name: 'time_of_day', type: 'string', nullable: true, description: 'Bangladesh time-of-day period: early_morning (04-08), morning (08-12), afternoon (12-17), evening (17-20), night (20-24), late_night (00-04). Null where withheld for k-anonymity.' },
+  { name: 'cell_id', type: 'string', description: 'Grid cell "size:row:col". Rows are fixed latitude bands; columns are sized so cells are roughly square.' },
+  { name: 'cell_lat', type: 'number', description: 'Latitude of the cell centre (WGS84). Not the incident location.' },
+  { name: 'cell_lng', type: 'number', description: 'Longitude of the cell centre (WGS84). Not the incident location.' },
+  { name: 'division', type: 'string', nullable: true, description: 'Administrative division.' },
+  { name: 'district', type: 'string', nullable: true, description: 'Administrative district.' },
+  { name: 'type', type: 'string', description: 'Incident type, e.g. chadabaji, teen_gang, chintai, eve_teasing, political_harassment, other.' },
+  { name: 'severity', type: 'integer', description: 'Reporter-assessed severity, 1 (low) to 5 (high).' },
+  { name: 'female_safety', type: 'boolean', description: 'Report flagged as a female safety incident.' },
+  { name: 'verified', type: 'boolean', description: 'Approved and additionally verified by moderators.' }
+];
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatDay = (date) => {
+  const { year, month, day } = getBangladeshParts(date);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+class ResearchExportService {
+  constructor() {
+    this.config = {
+      outputDir: process.env.RESEARCH_EXPORT_DIR || path.join(__dirname, '../../exports/research'),
+      minGridMeters: parseInt(process.env.RESEARCH_EXPORT_GRID_METERS) || 1000, // Requests may only go coarser
+      defaultTimeBucket: 'week',
+      minK: Math.max(2, parseInt(process.env.RESEARCH_EXPORT_K) || 5), // Requests may only go higher
+      maxRows: 10000,
+      bulkMaxRows: 250000, // With bulk_data_access
+      retentionDays: 7,
+      staleAfterMs: 60 * 60 * 1000, // A running job this old was interrupted
+      cleanupIntervalMs: 15 * 60 * 1000,
+      approvedStatuses: ['approved', 'verified']
+    };
+
+    this.interval = null;
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      rowsExported: 0,
+      rowsSuppressed: 0
+    };
+  }
+
+  /**
+   * Validate a request into export params, or { error }
+   */
+  buildParams(body = {}, { bulkAccess = false } = {}) {
+    const formats = body.formats === undefined ? FORMATS :
+      [...new Set((Array.isArray(body.formats) ? body.formats : String(body.formats).split(',')).map(format => String(format).trim()))];
+    if (formats.length === 0 || formats.some(format => !FORMATS.includes(format))) {
+      return { error: `formats must be one or more of: ${FORMATS.join(', ')}` };
+    }
+
+    const from = body.from ? new Date(body.from) : null;
+    const to = body.to ? new Date(body.to) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime())) || (from && to && from >= to)) {
+      return { error: 'from and to must be valid dates with from before to' };
+    }
+
+    const gridSizes = GRID_SIZES.filter(size => size >= this.config.minGridMeters);
+    const gridMeters = body.gridMeters === undefined ? gridSizes[0] : parseInt(body.gridMeters);
+    if (!gridSizes.includes(gridMeters)) {
+      return { error: `gridMeters must be one of: ${gridSizes.join(', ')}` };
+    }
+
+    const timeBucket = body.timeBucket || this.config.defaultTimeBucket;
+    if (!TIME_BUCKETS.includes(timeBucket)) {
+      return { error: `timeBucket must be one of: ${TIME_BUCKETS.join(', ')}` };
+    }
+
+    const k = body.k === undefined ? this.config.minK : parseInt(body.k);
+    if (!Number.isInteger(k) || k < this.config.minK || k > 100) {
+      return { error: `k must be between ${this.config.minK} and 100` };
+    }
+
+    const types = body.types ? (Array.isArray(body.types) ? body.types : String(body.types).split(','))
+      .map(type => String(type).trim()).filter(Boolean).slice(0, 20) : [];
+
+    return {
+      formats,
+      from,
+      to,
+      types,
+      gridMeters,
+      timeBucket,
+      k,
+      maxRows: bulkAccess ? this.config.bulkMaxRows : this.config.maxRows
+    };
+  }
+
+  /**
+   * Record an export and hand it to the background queue (or run it here)
+   */
+  async createExport(params, requestedBy) {
+    const exportJob = await ResearchExport.create({
+      requestedBy,
+      params,
+      expiresAt: new Date(Date.now() + this.config.retentionDays * DAY)
+    });
+
+    let queued = false;
+    try {
+      const { distributedQueueService } = require('./distributedQueueService');
+      if (distributedQueueService.isInitialized) {
+        await distributedQueueService.addJob('backgroundTasks', {
+          taskType: 'research_export',
+          data: { exportId: String(exportJob._id) }
+        });
+        queued = true;
+      }
+    } catch (error) {
+      console.warn('⚠️ Research export could not be queued, running in process:', error.message);
+    }
+
+    if (!queued) {
+      setImmediate(() => this.runExport(exportJob._id).catch(error => {
+        console.error('❌ Research export failed:', error);
+      }));
+    }
+
+    return exportJob;
+  }
+
+  bucketStart(date, timeBucket) {
+    if (timeBucket !== 'month') return getBucketStart(date, timeBucket);
+    const { year, month } = getBangladeshParts(date);
+    return fromBangladeshTime(year, month, 1);
+  }
+
+  /**
+   * One anonymized row per approved report
+   */
+  async readRows(params, salt) {
+    const filter = {
+      status: { $in: this.config.approvedStatuses },
+      'location.privacy.suppressed': { $ne: true },
+      'processingStatus.fastPhaseCompleted': true,
+      'deduplication.duplicateCheck.isDuplicate': { $ne: true }
+    };
+    if (params.types?.length > 0) filter.type = { $in: params.types };
+    if (params.from || params.to) {
+      filter.createdAt = {};
+      if (params.from) filter.createdAt.$gte = params.from;
+      if (params.to) filter.createdAt.$lt = params.to;
+    }
+
+    // Explicit field list - no free text is ever loaded
+    const cursor = getReportModel().find(filter)
+      .select('type severity status genderSensitive incidentOccurredAt createdAt location.coordinates ' +
+        'location.adminArea.division.name location.adminArea.district.name')
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(params.maxRows + 1)
+      .lean()
+      .cursor();
+
+    const rows = [];
+    let truncated = false;
+    for await (const report of cursor) {
+      if (rows.length === params.maxRows) {
+        truncated = true;
+        break;
+      }
+      if (report.location?.coordinates?.length !== 2) continue;
+
+      const occurredAt = report.incidentOccurredAt || report.createdAt;
+      const cell = getPrivacyCell(report.location.coordinates, params.gridMeters);
+      rows.push({
+        record_id: crypto.createHmac('sha256', salt).update(String(report._id)).digest('hex').slice(0, 16),
+        period_start: formatDay(this.bucketStart(occurredAt, params.timeBucket)),
+        time_of_day: getTimeOfDayRisk(occurredAt),
+        cell_id: cell.id,
+        cell_lat: cell.center[1],
+        cell_lng: cell.center[0],
+        division: report.location.adminArea?.division?.name || null,
+        district: report.location.adminArea?.district?.name || null,
+        type: report.type,
+        severity: report.severity,
+        female_safety: Boolean(report.genderSensitive),
+        verified: report.status === 'verified'
+      });
+    }
+
+    await cursor.close();
+    return { rows, truncated };
+  }
+
+  /**
+   * Enforce k rows per quasi-identifier combination: withhold time_of_day for
+   * rows in small classes, then drop rows whose class is still too small.
+   * Pure - no database access.
+   */
+  applyKAnonymity(rows, k) {
+    const classKey = row => QUASI_IDENTIFIERS.map(field => row[field] ?? '*').join('|');
+    const countClasses = list => list.reduce((counts, row) => {
+      const key = classKey(row);
+      counts.set(key, (counts.get(key) || 0) + 1);
+      return counts;
+    }, new Map());
+
+    const initial = countClasses(rows);
+    let generalizedRows = 0;
+    const generalized = rows.map(row => {
+      if (initial.get(classKey(row)) >= k) return row;
+      generalizedRows++;
+      return { ...row, time_of_day: null };
+    });
+
+    const final = countClasses(generalized);
+    const kept = generalized.filter(row => final.get(classKey(row)) >= k);
+
+    // Row order would otherwise follow report submission order
+    kept.sort((a, b) => a.period_start.localeCompare(b.period_start) || a.record_id.localeCompare(b.record_id));
+
+    return {
+      rows: kept,
+      generalizedRows,
+      suppressedRows: rows.length - kept.length
+    };
+  }
+
+  /**
+   * Write chunks to a file, returning its size and SHA-256
+   */
+  async writeFile(filePath, chunks) {
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createWriteStream(filePath, { mode: 0o600 });
+    let bytes = 0;
+
+    for (const chunk of chunks) {
+      hash.update(chunk);
+      bytes += Buffer.byteLength(chunk);
+      if (!stream.write(chunk)) await once(stream, 'drain');
+    }
+    stream.end();
+    await once(stream, 'finish');
+
+    return { bytes, sha256: hash.digest('hex') };
+  }
+
+  * csvChunks(rows) {
+    yield `${FIELDS.map(field => field.name).join(',')}\n`;
+    for (const row of rows) {
+      yield `${FIELDS.map(field => csvValue(row[field.name])).join(',')}\n`;
+    }
+  }
+
+  * ndjsonChunks(rows) {
+    for (const row of rows) yield `${JSON.stringify(row)}\n`;
+  }
+
+  * geojsonChunks(rows) {
+    yield '{"type":"FeatureCollection","features":[\n';
+    for (let i = 0; i < rows.length; i++) {
+      const { cell_lat: lat, cell_lng: lng, ...properties } = rows[i];
+      const feature = { type: 'Feature', geometry: { type: 'Point', coordinates: [lng, lat] }, properties };
+      yield `${JSON.stringify(feature)}${i < rows.length - 1 ? ',' : ''}\n`;
+    }
+    yield ']}\n';
+  }
+
+  buildDictionary(exportJob, summary) {
+    const { params } = exportJob;
+    return {
+      dataset: 'SafeStreets Bangladesh - anonymized approved incident reports',
+      exportId: String(exportJob._id),
+      generatedAt: new Date().toISOString(),
+      coverage: {
+        reportedFrom: params.from || null,
+        reportedTo: params.to || null,
+        types: params.types?.length ? params.types : 'all',
+        statuses: this.config.approvedStatuses
+      },
+      rows: {
+        exported: summary.rowCount,
+        generalized: summary.generalizedRows,
+        suppressed: summary.suppressedRows,
+        truncated: summary.truncated
+      },
+      protections: {
+        coordinates: `Public (already privacy-snapped) coordinates coarsened to the centre of a ${params.gridMeters} m grid cell`,
+        freeText: 'Removed - descriptions, titles, addresses and media are not included',
+        timestamps: `Bucketed to the Bangladesh ${params.timeBucket} the incident occurred in, plus a time-of-day period`,
+        identifiers: 'Report IDs replaced by keyed hashes with a secret that is discarded after the export',
+        kAnonymity: {
+          k: params.k,
+          quasiIdentifiers: QUASI_IDENTIFIERS,
+          method: 'Rows in a class with fewer than k rows have time_of_day withheld; rows whose class is still smaller than k are dropped'
+        }
+      },
+      formats: {
+        csv: 'UTF-8, comma separated, header row, empty cell for null',
+        geojson: 'FeatureCollection of Points at cell centres; cell_lat/cell_lng are the geometry',
+        ndjson: 'One JSON object per line'
+      },
+      fields: FIELDS
+    };
+  }
+
+  /**
+   * Build the files for a queued export
+   */
+  async runExport(exportId) {
+    const exportJob = await ResearchExport.findOneAndUpdate(
+      { _id: exportId, status: 'queued' },
+      { $set: { status: 'running', startedAt: new Date() } },
+      { new: true }
+    );
+    if (!exportJob) return { skipped: true };
+
+    const directory = path.join(this.config.outputDir, String(exportJob._id));
+    const startTime = Date.now();
+
+    try {
+      const { params } = exportJob;
+      const salt = crypto.randomBytes(32);
+      const { rows, truncated } = await this.readRows(params, salt);
+      const anonymized = this.applyKAnonymity(rows, params.k);
+      const summary = {
+        sourceRows: rows.length,
+        rowCount: anonymized.rows.length,
+        generalizedRows: anonymized.generalizedRows,
+        suppressedRows: anonymized.suppressedRows,
+        truncated
+      };
+
+      await fs.promises.mkdir(directory, { recursive: true });
+      const baseName = `safestreets-reports-${exportJob._id}`;
+      const writers = {
+        csv: () => this.csvChunks(anonymized.rows),
+        geojson: () => this.geojsonChunks(anonymized.rows),
+        ndjson: () => this.ndjsonChunks(anonymized.rows)
+      };
+
+      const files = [];
+      for (const format of params.formats) {
+        const filename = `${baseName}.${format === 'ndjson' ? 'ndjson' : format}`;
+        files.push({ kind: format, filename, ...(await this.writeFile(path.join(directory, filename), writers[format]())) });
+      }
+
+      const dictionaryName = `${baseName}.dictionary.json`;
+      const dictionary = JSON.stringify(this.buildDictionary(exportJob, summary), null, 2);
+      files.push({ kind: 'dictionary', filename: dictionaryName, ...(await this.writeFile(path.join(directory, dictionaryName), [dictionary])) });
+
+      exportJob.status = 'completed';
+      exportJob.completedAt = new Date();
+      exportJob.result = { ...summary, files };
+      await exportJob.save();
+
+      this.stats.completed++;
+      this.stats.rowsExported += summary.rowCount;
+      this.stats.rowsSuppressed += summary.suppressedRows;
+      await this.logExport(exportJob, 'success');
+
+      console.log(`📦 Research export ${exportJob._id}: ${summary.rowCount} rows (${summary.suppressedRows} suppressed) in ${Date.now() - startTime}ms`);
+      return { success: true, exportId: String(exportJob._id), ...summary };
+    } catch (error) {
+      console.error(`❌ Research export ${exportJob._id} failed:`, error);
+      this.stats.failed++;
+
+      await fs.promises.rm(directory, { recursive: true, force: true }).catch(() => {});
+      exportJob.status = 'failed';
+      exportJob.error = error.message;
+      exportJob.completedAt = new Date();
+      await exportJob.save().catch(() => {});
+      await this.logExport(exportJob, 'failure', error.message);
+
+      return { success: false, exportId: String(exportJob._id), error: error.message };
+    }
+  }
+
+  async logExport(exportJob, outcome, failureReason) {
+    try {
+      await AuditLog.create({
+        actor: {
+          userId: exportJob.requestedBy.userId,
+          userType: exportJob.requestedBy.userType,
+          username: exportJob.requestedBy.username
+        },
+        actionType: 'data_export',
+        details: {
+          dataset: 'research_reports',
+          params: exportJob.params,
+          rowCount: exportJob.result?.rowCount,
+          suppressedRows: exportJob.result?.suppressedRows,
+          files: exportJob.result?.files?.map(file => ({ kind: file.kind, sha256: file.sha256 }))
+        },
+        outcome,
+        failureReason,
+        target: { id: String(exportJob._id), type: 'ResearchExport', name: 'anonymized_reports' },
+        severity: 'high'
+      });
+    } catch (error) {
+      console.error('❌ Audit log failed for research export:', error);
+    }
+  }
+
+  /**
+   * Absolute path of one of an export's files, or null
+   */
+  getFilePath(exportJob, kind) {
+    const file = exportJob.result?.files?.find(item => item.kind === kind);
+    if (!file) return null;
+    return path.join(this.config.outputDir, String(exportJob._id), path.basename(file.filename));
+  }
+
+  /**
+   * Remove expired exports, fail interrupted ones and pick up orphaned queued ones
+   */
+  async cleanup() {
+    try {
+      const now = Date.now();
+      const expired = await ResearchExport.find({ expiresAt: { $lte: new Date(now) } }).select('_id').lean();
+      for (const { _id } of expired) {
+        await fs.promises.rm(path.join(this.config.outputDir, String(_id)), { recursive: true, force: true });
+        await ResearchExport.deleteOne({ _id });
+      }
+
+      await ResearchExport.updateMany(
+        { status: 'running', startedAt: { $lt: new Date(now - this.config.staleAfterMs) } },
+        { $set: { status: 'failed', error: 'Export was interrupted', completedAt: new Date(now) } }
+      );
+
+      const orphaned = await ResearchExport.find({
+        status: 'queued',
+        createdAt: { $lt: new Date(now - this.config.cleanupIntervalMs) }
+      }).select('_id').limit(5).lean();
+      for (const { _id } of orphaned) {
+        await this.runExport(_id);
+      }
+
+      if (expired.length > 0) {
+        console.log(`🧹 Removed ${expired.length} expired research exports`);
+      }
+    } catch (error) {
+      console.error('❌ Research export cleanup failed:', error);
+    }
+  }
+
+  start() {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => this.cleanup(), this.config.cleanupIntervalMs);
+    this.interval.unref?.();
+
+    console.log(`📦 Research export cleanup scheduled (every ${Math.round(this.config.cleanupIntervalMs / 60000)} minutes)`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, running: Boolean(this.interval), config: { ...this.config } };
+  }
+}
+
+// Export singleton instance
+const researchExportService = new ResearchExportService();
+
+module.exports = {
+  ResearchExportService,
+  researchExportService,
+  RESEARCH_EXPORT_FORMATS: FORMATS,
+
+  // Convenience methods
+  runResearchExport: (exportId) => researchExportService.runExport(exportId),
+  getResearchExportStats: () => researchExportService.getStats()
+};
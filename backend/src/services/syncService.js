@@ -0,0 +1,289 @@
+// === backend/src/services/syncService.js ===
+// Delta Sync for SafeStreets Bangladesh
+// Lets map clients keep a local copy of published reports and active safe
+// zones and fetch only what changed since their last sync token, instead of
+// refetching full lists on every filter or viewport change.
+//
+// Each entity is read as a stream ordered by (updatedAt, _id). The token holds
+// the last position in every stream, so a page boundary is exact and pages can
+// be resumed. Anything changed after the last sync that is no longer public
+// (rejected, archived, k-anonymity suppressed, deactivated zones) is sent as
+// removed - reports only once they have been published, so ids never shown
+// publicly stay private; hard deletes come from SyncTombstone. A full snapshot
+// starts at the newest snapshotLimit published reports. Positions never move past
+// now - overlap, so a write still in flight when a page is read is picked up
+// next time - clients apply changes idempotently.
+
+const mongoose = require('mongoose');
+const SafeZone = require('../models/SafeZone');
+const SyncTombstone = require('../models/SyncTombstone');
+const { PUBLIC_REPORT_FIELDS } = require('../utils/reportQuery');
+
+// Lazy load Report model to avoid circular dependencies
+let Report;
+const getReportModel = () => {
+  if (!Report) {
+    Report = require('../models/Report');
+  }
+  return Report;
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const TOKEN_VERSION = 1;
+
+// Needed to decide visibility, stripped before sending
+const REPORT_VISIBILITY_FIELDS = 'processingStatus.fastPhaseCompleted deduplication.duplicateCheck.isDuplicate lifecycle.publishedAt';
+
+const PUBLIC_SAFE_ZONE_FIELDS = `
+  name description location radius safetyScore zoneType category features address
+  verificationStatus communityRating timeOfDaySafety status createdAt
+`;
+
+class SyncService {
+  constructor() {
+    this.config = {
+      defaultLimit: 500,
+      maxLimit: 2000,
+      snapshotLimit: Math.max(1, parseInt(process.env.SYNC_SNAPSHOT_LIMIT) || 2000),
+      overlapMs: 30 * 1000, // Longest a write may take between stamping updatedAt and committing
+      tombstoneRetentionDays: Math.max(1, parseInt(process.env.SYNC_TOMBSTONE_RETENTION_DAYS) || 90),
+      publicReportStatuses: ['approved', 'verified']
+    };
+  }
+
+  /**
+   * Filter for reports anyone may see - same rules as the public map
+   */
+  publicReportFilter() {
+    return {
+      status: { $in: this.config.publicReportStatuses },
+      'location.privacy.suppressed': { $ne: true },
+      'processingStatus.fastPhaseCompleted': true,
+      'deduplication.duplicateCheck.isDuplicate': { $ne: true }
+    };
+  }
+
+  isPublicReport(report) {
+    return this.config.publicReportStatuses.includes(report.status) &&
+      report.location?.privacy?.suppressed !== true &&
+      report.processingStatus?.fastPhaseCompleted === true &&
+      report.deduplication?.duplicateCheck?.isDuplicate !== true;
+  }
+
+  toPublicReport(report) {
+    const { deduplication, processingStatus, lifecycle, ...publicReport } = report;
+    return {
+      ...publicReport,
+      processingStatus: { allPhasesCompleted: processingStatus?.allPhasesCompleted }
+    };
+  }
+
+  /**
+   * Whether a report has ever been approved - only those may be announced as removed
+   */
+  wasPublished(report) {
+    return Boolean(report.lifecycle?.publishedAt);
+  }
+
+  /**
+   * Where a full snapshot's report stream starts: the updatedAt of the
+   * snapshotLimit-th most recently updated public report, so a new client
+   * downloads at most that many reports instead of the whole history
+   */
+  async getSnapshotStart() {
+    const [boundary] = await getReportModel().find(this.publicReportFilter())
+      .sort({ updatedAt: -1, _id: -1 })
+      .skip(this.config.snapshotLimit - 1)
+      .limit(1)
+      .select('updatedAt')
+      .lean();
+
+    return boundary ? boundary.updatedAt.getTime() : 0;
+  }
+
+  encodeToken(position) {
+    return Buffer.from(JSON.stringify({ v: TOKEN_VERSION, ...position })).toString('base64url');
+  }
+
+  /**
+   * Token -> stream positions, or null when it can't be used
+   */
+  decodeToken(token) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+
+    const isPosition = (position) => position && Number.isFinite(position.t) &&
+      (position.id === null || mongoose.Types.ObjectId.isValid(position.id));
+
+    if (!payload || payload.v !== TOKEN_VERSION || !Number.isFinite(payload.f) ||
+      !['r', 's', 'd'].every(stream => isPosition(payload[stream]))) {
+      return null;
+    }
+    return { f: payload.f, r: payload.r, s: payload.s, d: payload.d };
+  }
+
+  /**
+   * Rows strictly after a stream position (id null means from t inclusive)
+   */
+  afterPosition(field, { t, id }) {
+    if (id === null) {
+      return { [field]: { $gte: new Date(t) } };
+    }
+    return {
+      $or: [
+        { [field]: { $gt: new Date(t) } },
+        { [field]: new Date(t), _id: { $gt: new mongoose.Types.ObjectId(id) } }
+      ]
+    };
+  }
+
+  /**
+   * Where the stream resumes next time: after the last row while pages remain,
+   * otherwise now - overlap (never backwards)
+   */
+  nextPosition(previous, rows, field, hasMore, safeUntil) {
+    if (hasMore) {
+      const last = rows[rows.length - 1];
+      return { t: last[field].getTime(), id: String(last._id) };
+    }
+    return previous.t > safeUntil ? previous : { t: safeUntil, id: null };
+  }
+
+  async readStream(Model, field, position, filter, select, limit) {
+    const query = Model.find({ $and: [filter, this.afterPosition(field, position)] });
+    if (select) query.select(select);
+
+    const rows = await query
+      .sort({ [field]: 1, _id: 1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = rows.length > limit;
+    return { rows: hasMore ? rows.slice(0, limit) : rows, hasMore };
+  }
+
+  /**
+   * Changes since a sync token. Without a usable token the first page of a full
+   * snapshot is returned with reset: true, and the client discards its copy.
+   */
+  async getChanges(token, { limit } = {}) {
+    const now = Date.now();
+    const pageSize = Math.min(Math.max(parseInt(limit) || this.config.defaultLimit, 1), this.config.maxLimit);
+    const safeUntil = now - this.config.overlapMs;
+    const retentionStart = now - this.config.tombstoneRetentionDays * DAY;
+
+    let position = token ? this.decodeToken(token) : null;
+    const reset = !position || position.d.t < retentionStart;
+
+    if (reset) {
+      // Full snapshot: published rows so far, plus every change from here on
+      position = {
+        f: safeUntil,
+        r: { t: await this.getSnapshotStart(), id: null },
+        s: { t: 0, id: null },
+        d: { t: safeUntil, id: null }
+      };
+    }
+
+    const changedSinceSnapshot = { updatedAt: { $gte: new Date(position.f) } };
+
+    const [reports, safeZones, tombstones] = await Promise.all([
+      this.readStream(
+        getReportModel(),
+        'updatedAt',
+        position.r,
+        { $or: [this.publicReportFilter(), changedSinceSnapshot] },
+        `${PUBLIC_REPORT_FIELDS} updatedAt ${REPORT_VISIBILITY_FIELDS}`,
+        pageSize
+      ),
+      this.readStream(
+        SafeZone,
+        'updatedAt',
+        position.s,
+        { $or: [{ status: 'active' }, changedSinceSnapshot] },
+        `${PUBLIC_SAFE_ZONE_FIELDS} updatedAt`,
+        pageSize
+      ),
+      this.readStream(SyncTombstone, 'removedAt', position.d, {}, null, pageSize)
+    ]);
+
+    // Created vs updated is relative to the previous token
+    const split = (rows, since, isPublic, toPublic, wasPublic = () => true) => {
+      const changes = { created: [], updated: [], removed: [] };
+      for (const row of rows) {
+        if (!isPublic(row)) {
+          // Don't announce reports that were never published
+          if (wasPublic(row)) changes.removed.push(String(row._id));
+        } else if (row.createdAt && row.createdAt.getTime() >= since) {
+          changes.created.push(toPublic(row));
+        } else {
+          changes.updated.push(toPublic(row));
+        }
+      }
+      return changes;
+    };
+
+    const data = {
+      reports: split(
+        reports.rows,
+        position.r.t,
+        row => this.isPublicReport(row),
+        row => this.toPublicReport(row),
+        row => this.wasPublished(row)
+      ),
+      safeZones: split(safeZones.rows, position.s.t, row => row.status === 'active', row => row)
+    };
+
+    for (const tombstone of tombstones.rows) {
+      const changes = tombstone.entity === 'report' ? data.reports : data.safeZones;
+      changes.removed.push(String(tombstone.entityId));
+    }
+
+    const next = {
+      f: position.f,
+      r: this.nextPosition(position.r, reports.rows, 'updatedAt', reports.hasMore, safeUntil),
+      s: this.nextPosition(position.s, safeZones.rows, 'updatedAt', safeZones.hasMore, safeUntil),
+      d: this.nextPosition(position.d, tombstones.rows, 'removedAt', tombstones.hasMore, safeUntil)
+    };
+
+    return {
+      reset,
+      data,
+      hasMore: reports.hasMore || safeZones.hasMore || tombstones.hasMore,
+      syncToken: this.encodeToken(next),
+      serverTime: new Date(now).toISOString()
+    };
+  }
+
+  /**
+   * Remember hard-deleted records so clients can drop them. Never throws -
+   * a missing tombstone only leaves a stale copy until the client's next reset.
+   */
+  async recordRemoval(entity, ids) {
+    const entityIds = (Array.isArray(ids) ? ids : [ids]).filter(Boolean);
+    if (entityIds.length === 0) return;
+
+    try {
+      const expiresAt = new Date(Date.now() + this.config.tombstoneRetentionDays * DAY);
+      await SyncTombstone.insertMany(entityIds.map(entityId => ({ entity, entityId, expiresAt })));
+    } catch (error) {
+      console.error(`❌ Failed to record sync tombstones for ${entity}:`, error.message);
+    }
+  }
+}
+
+// Export singleton instance
+const syncService = new SyncService();
+
+module.exports = {
+  SyncService,
+  syncService,
+
+  // Convenience methods
+  getSyncChanges: (token, options) => syncService.getChanges(token, options),
+  recordSyncRemoval: (entity, ids) => syncService.recordRemoval(entity, ids)
+};
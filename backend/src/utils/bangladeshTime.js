@@ -0,0 +1,144 @@
+// === backend/src/utils/bangladeshTime.js ===
+// Bangladesh Local Time Helpers for SafeStreets Bangladesh
+// The server may run in UTC, but "night" and "evening" mean Dhaka wall-clock
+// time. Every time-of-day classification goes through here.
+
+const BANGLADESH_TIMEZONE = 'Asia/Dhaka';
+
+// Bangladesh has not observed DST since 2009, so local time is a fixed UTC+6
+const BANGLADESH_UTC_OFFSET_MS = 6 * 60 * 60 * 1000;
+
+const hourFormatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: BANGLADESH_TIMEZONE,
+  hour: 'numeric',
+  hourCycle: 'h23'
+});
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: BANGLADESH_TIMEZONE,
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  weekday: 'short',
+  hour: 'numeric',
+  minute: 'numeric',
+  hourCycle: 'h23'
+});
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Report time-of-day buckets (local hour ranges, end exclusive)
+const TIME_OF_DAY_PERIODS = ['early_morning', 'morning', 'afternoon', 'evening', 'night', 'late_night'];
+
+// How far an incident may predate its report, and how wide a reported range may be
+const MAX_INCIDENT_AGE_DAYS = 365;
+const MAX_INCIDENT_RANGE_HOURS = 7 * 24;
+const CLOCK_SKEW_MS = 5 * 60 * 1000; // Tolerate device clocks running slightly ahead
+
+/**
+ * Hour of day (0-23) in Bangladesh for a date
+ */
+const getBangladeshHour = (date = new Date()) => parseInt(hourFormatter.format(new Date(date)), 10);
+
+/**
+ * Bangladesh calendar fields for a date: year, month (1-12), day, weekday (0 = Sunday), hour, minute
+ */
+const getBangladeshParts = (date = new Date()) => {
+  const parts = Object.fromEntries(partsFormatter.formatToParts(new Date(date)).map(part => [part.type, part.value]));
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10)
+  };
+};
+
+/**
+ * The instant a Bangladesh wall-clock time refers to (month 1-12; overflowing days roll over)
+ */
+const fromBangladeshTime = (year, month, day, hour = 0, minute = 0) =>
+  new Date(Date.UTC(year, month - 1, day, hour, minute) - BANGLADESH_UTC_OFFSET_MS);
+
+/**
+ * Time-of-day risk bucket for a moment, in Bangladesh local time
+ */
+const getTimeOfDayRisk = (date = new Date()) => {
+  const hour = getBangladeshHour(date);
+  if (hour >= 4 && hour < 8) return 'early_morning';
+  if (hour >= 8 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 20) return 'evening';
+  if (hour >= 20 && hour < 24) return 'night';
+  return 'late_night';
+};
+
+/**
+ * Validate the incident time a reporter gave and reduce it to the stored shape.
+ * Accepts { occurredAt, precision } or { rangeStart, rangeEnd, precision: 'range' }.
+ * Returns { error } or { incidentOccurredAt, incidentTime }; with no input the
+ * submission time is used and marked as unknown precision.
+ */
+const parseIncidentTime = (input, submittedAt = new Date()) => {
+  const now = new Date(submittedAt);
+  if (!input || (typeof input === 'object' && !input.occurredAt && !input.rangeStart)) {
+    return { incidentOccurredAt: now, incidentTime: { precision: 'unknown' } };
+  }
+
+  const toDate = (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  };
+  const checkBounds = (date, label) => {
+    if (date.getTime() > now.getTime() + CLOCK_SKEW_MS) return `${label} cannot be in the future`;
+    if (now - date > MAX_INCIDENT_AGE_DAYS * 24 * 60 * 60 * 1000) {
+      return `${label} must be within the last ${MAX_INCIDENT_AGE_DAYS} days`;
+    }
+    return null;
+  };
+
+  const precision = input.precision || (input.rangeStart ? 'range' : 'exact');
+
+  if (precision === 'range') {
+    const start = toDate(input.rangeStart);
+    const end = toDate(input.rangeEnd);
+    if (!start || !end) return { error: 'Incident time range needs a valid start and end' };
+    if (start > end) return { error: 'Incident time range must start before it ends' };
+    if (end - start > MAX_INCIDENT_RANGE_HOURS * 60 * 60 * 1000) {
+      return { error: `Incident time range cannot be wider than ${MAX_INCIDENT_RANGE_HOURS / 24} days` };
+    }
+    const boundsError = checkBounds(start, 'Incident time') || checkBounds(end, 'Incident time');
+    if (boundsError) return { error: boundsError };
+
+    return {
+      incidentOccurredAt: new Date(Math.min((start.getTime() + end.getTime()) / 2, now.getTime())),
+      incidentTime: { precision, rangeStart: start, rangeEnd: end }
+    };
+  }
+
+  if (!['exact', 'approximate'].includes(precision)) {
+    return { error: 'Incident time precision must be exact, approximate or range' };
+  }
+
+  const occurredAt = toDate(input.occurredAt);
+  if (!occurredAt) return { error: 'Incident time is not a valid date' };
+  const boundsError = checkBounds(occurredAt, 'Incident time');
+  if (boundsError) return { error: boundsError };
+
+  return {
+    incidentOccurredAt: new Date(Math.min(occurredAt.getTime(), now.getTime())),
+    incidentTime: { precision }
+  };
+};
+
+module.exports = {
+  BANGLADESH_TIMEZONE,
+  TIME_OF_DAY_PERIODS,
+  MAX_INCIDENT_AGE_DAYS,
+  getBangladeshHour,
+  getBangladeshParts,
+  fromBangladeshTime,
+  getTimeOfDayRisk,
+  parseIncidentTime
+};
@@ -0,0 +1,261 @@
+// === backend/src/utils/bengaliText.js ===
+// Bengali-aware Text Normalization for SafeStreets Bangladesh
+// Most reports are written in Bangla script or romanized "Banglish" - this folds
+// both into one comparable form for deduplication and content analysis
+
+// Zero-width characters that change rendering but not meaning:
+// ZWSP, ZWNJ, ZWJ, word joiner, BOM and soft hyphen
+const ZERO_WIDTH_CHARS = /[\u200B-\u200D\u2060\uFEFF\u00AD]/g;
+
+// Legacy khanda-ta encoding (ত + hasanta + ZWJ) used by older keyboards
+const LEGACY_KHANDA_TA = /\u09A4\u09CD\u200D/g;
+
+const BENGALI_DIGITS = /[\u09E6-\u09EF]/g;
+const BENGALI_DANDA = /[\u0964\u0965]/g;
+const BENGALI_SCRIPT = /[\u0980-\u09FF]/;
+const LATIN_SCRIPT = /[a-z]/i;
+
+// Banglish spellings folded to their Bengali word.
+// Spellings are canonicalized first (doubled letters, v/bh, z/j), so only
+// genuinely different romanizations need listing here. A token only folds as
+// written if it is listed - "rat" is the canonical form of "raat" but is not
+// itself a spelling of রাত, so the English word stays as it is.
+const BANGLISH_WORDS = {
+  'চাঁদাবাজি': ['chadabaji', 'chandabaji', 'chadabaj'],
+  'চাঁদা': ['chada', 'chanda'],
+  'ছিনতাই': ['chintai', 'chhintai', 'sintai', 'chintay'],
+  'হুমকি': ['humki', 'humuki', 'homki'],
+  'ধমক': ['dhomok', 'dhamak', 'domok'],
+  'ভয়': ['bhoy', 'bhoi'], // Not "bhay" - it canonicalizes to "bhai" (brother)
+  'ভীত': ['bhito', 'bhita'],
+  'আতঙ্ক': ['atonko', 'atanko', 'atongko', 'atanka'],
+  'বিপদ': ['bipod', 'bipad'],
+  'অনিরাপদ': ['onirapod', 'oniropod', 'anirapad'],
+  'নিরাপদ': ['nirapod', 'nirapad'],
+  'হয়রানি': ['hoyrani', 'hoirani', 'hayrani', 'hairani'],
+  'মারধর': ['mardhor', 'mardhar', 'maardhor'],
+  'মাস্তান': ['mastan'],
+  'গ্যাং': ['gang', 'geng'],
+  'মাদক': ['madok', 'madak'],
+  'ইয়াবা': ['yaba', 'iyaba'],
+  'টাকা': ['taka', 'tk'],
+  'রাস্তা': ['rasta'],
+  'মোড়': ['mor', 'mour'],
+  'গলি': ['goli', 'gali'],
+  'বাজার': ['bajar'],
+  'দোকান': ['dokan'],
+  'রিকশা': ['riksha', 'rikshaw', 'rickshaw', 'riksa'],
+  'সকাল': ['sokal', 'shokal', 'sakal'],
+  'দুপুর': ['dupur'],
+  'বিকাল': ['bikal', 'bikel'],
+  'সন্ধ্যা': ['sondha', 'shondha', 'sondhya', 'sandhya'],
+  'রাত': ['raat'],
+  'মেয়ে': ['meye', 'maye'],
+  'কান্না': ['kanna'],
+  'চিন্তা': ['chinta', 'cinta'],
+  'লজ্জা': ['lojja', 'lajja'],
+  'অসহায়': ['osohay', 'asahay', 'oshohay']
+};
+
+// Banglish case endings mapped to their Bengali form (e.g. "bhoye" -> ভয়ে,
+// "rastay" -> রাস্তায়). Some only follow a consonant or a vowel, as in Bengali.
+const LATIN_SUFFIXES = [
+  ['der', 'দের'],
+  ['er', 'ের', 'consonant'],
+  ['te', 'তে'],
+  ['ke', 'কে'],
+  ['r', 'র', 'vowel'],
+  ['y', 'য়', 'vowel'],
+  ['e', 'ে', 'consonant']
+];
+
+// Shortest romanized stem folded with a suffix - shorter stems plus an ending
+// are mostly English words ("mor" + "e" = "more", "rat" + "e" = "rate")
+const MIN_SUFFIXED_STEM_LENGTH = 4;
+
+// Bengali case/classifier endings stripped when matching lexicon stems
+// (য় is the locative after a vowel: রাস্তায়, টাকায়)
+const BENGALI_SUFFIXES = ['গুলো', 'গুলি', 'দের', 'েরা', 'কে', 'তে', 'ের', 'রা', 'টা', 'টি', 'য়', 'ে', 'র'];
+
+// Fear/distress vocabulary - the Bengali counterpart of the English emotional words
+const EMOTIONAL_LEXICON = [
+  'ভয়', 'ভীত', 'আতঙ্ক', 'আতঙ্কিত', 'হুমকি', 'ধমক', 'বিপদ', 'বিপজ্জনক',
+  'অনিরাপদ', 'দুশ্চিন্তা', 'চিন্তিত', 'চিন্তা', 'কান্না', 'লজ্জা', 'অসহায়'
+];
+
+// Concrete time/place/incident details that make a report verifiable
+const DETAIL_LEXICON = [
+  // Time of day
+  'সকাল', 'দুপুর', 'বিকাল', 'বিকেল', 'সন্ধ্যা', 'রাত',
+  'morning', 'afternoon', 'evening', 'night',
+  // Places and transport
+  'রাস্তা', 'মোড়', 'গলি', 'বাজার', 'দোকান', 'বাস', 'রিকশা', 'সিএনজি', 'স্টেশন', 'টার্মিনাল',
+  'road', 'street', 'market', 'shop', 'bus', 'cng', 'station', 'terminal',
+  // Incident specifics
+  'টাকা', 'চাঁদা', 'চাঁদাবাজি', 'ছিনতাই', 'হয়রানি', 'মারধর', 'মাস্তান', 'গ্যাং', 'মাদক', 'ইয়াবা',
+  'taka', 'gang'
+];
+
+class BengaliTextNormalizer {
+  constructor() {
+    this.banglishMap = new Map();
+    this.banglishSpellings = new Set();
+    for (const [bengali, spellings] of Object.entries(BANGLISH_WORDS)) {
+      const target = this.normalize(bengali);
+      for (const spelling of spellings) {
+        this.banglishMap.set(this.canonicalizeLatin(spelling), target);
+        this.banglishSpellings.add(spelling);
+      }
+    }
+
+    this.latinSuffixes = LATIN_SUFFIXES.map(([latin, bengali, after]) => [latin, this.normalize(bengali), after]);
+    this.bengaliSuffixes = BENGALI_SUFFIXES.map(suffix => suffix.normalize('NFC'));
+    this.emotionalLexicon = new Set(EMOTIONAL_LEXICON.map(word => this.normalize(word)));
+    this.detailLexicon = new Set(DETAIL_LEXICON.map(word => this.normalize(word)));
+  }
+
+  /**
+   * Unicode normalization for Bengali and Latin text.
+   * NFC also decomposes the nukta letters (ড়, ঢ়, য়) consistently, so text
+   * typed on different keyboards produces identical code points.
+   */
+  normalize(text) {
+    if (typeof text !== 'string') return '';
+
+    return text
+      .normalize('NFC')
+      .replace(LEGACY_KHANDA_TA, '\u09CE')
+      .replace(ZERO_WIDTH_CHARS, '')
+      .replace(BENGALI_DIGITS, digit => String(digit.charCodeAt(0) - 0x09E6))
+      .toLowerCase()
+      .replace(BENGALI_DANDA, ' ')
+      .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Reduce spelling noise in a romanized token before dictionary lookup
+   */
+  canonicalizeLatin(token) {
+    return token
+      .replace(/ee/g, 'i')
+      .replace(/oo/g, 'u')
+      .replace(/v/g, 'bh')
+      .replace(/z/g, 'j')
+      .replace(/y$/, 'i')
+      .replace(/(.)\1+/g, '$1');
+  }
+
+  /**
+   * Bengali word for a romanized word: a listed spelling, or a variant that
+   * canonicalizes to one. A word canonicalization leaves unchanged must be
+   * listed itself - otherwise it is a different word (English "rat", or
+   * "kana" - blind - next to "kanna").
+   */
+  lookupBanglish(latin) {
+    const canonical = this.canonicalizeLatin(latin);
+    if (canonical === latin && !this.banglishSpellings.has(latin)) return null;
+    return this.banglishMap.get(canonical) || null;
+  }
+
+  /**
+   * Fold a single Banglish token to Bengali script when it is a known word
+   */
+  foldToken(token) {
+    if (!/^[a-z]+$/.test(token)) return token;
+
+    const direct = this.lookupBanglish(token);
+    if (direct) return direct;
+
+    for (const [latinSuffix, bengaliSuffix, after] of this.latinSuffixes) {
+      const latinStem = token.slice(0, -latinSuffix.length);
+      if (latinStem.length < MIN_SUFFIXED_STEM_LENGTH || !token.endsWith(latinSuffix)) continue;
+
+      const endsInVowel = /[aeiou]$/.test(latinStem);
+      if ((after === 'vowel' && !endsInVowel) || (after === 'consonant' && endsInVowel)) continue;
+
+      const stem = this.lookupBanglish(latinStem);
+      if (stem) return stem + bengaliSuffix;
+    }
+
+    return token;
+  }
+
+  /**
+   * Fold Banglish words in already-normalized text to Bengali script
+   */
+  foldBanglish(normalizedText) {
+    if (!normalizedText) return '';
+    return normalizedText.split(' ').map(token => this.foldToken(token)).join(' ');
+  }
+
+  /**
+   * Full normalization used for content hashing and matching
+   */
+  normalizeForMatching(text) {
+    return this.foldBanglish(this.normalize(text));
+  }
+
+  /**
+   * Dominant script of the text: 'bengali', 'latin', 'mixed' or 'unknown'
+   */
+  detectScript(text) {
+    if (typeof text !== 'string') return 'unknown';
+
+    const hasBengali = BENGALI_SCRIPT.test(text);
+    const hasLatin = LATIN_SCRIPT.test(text);
+
+    if (hasBengali && hasLatin) return 'mixed';
+    if (hasBengali) return 'bengali';
+    if (hasLatin) return 'latin';
+    return 'unknown';
+  }
+
+  /**
+   * Check a token against a lexicon, allowing Bengali case endings
+   */
+  matchesLexicon(token, lexicon) {
+    if (lexicon.has(token)) return true;
+
+    return this.bengaliSuffixes.some(suffix =>
+      token.length > suffix.length &&
+      token.endsWith(suffix) &&
+      lexicon.has(token.slice(0, -suffix.length))
+    );
+  }
+
+  /**
+   * Count emotional and concrete-detail terms in Bengali, Banglish or English text
+   */
+  analyzeLexicons(text) {
+    const tokens = this.normalizeForMatching(text).split(' ').filter(Boolean);
+    const emotional = new Set();
+    const detail = new Set();
+
+    for (const token of tokens) {
+      if (this.matchesLexicon(token, this.emotionalLexicon)) emotional.add(token);
+      if (this.matchesLexicon(token, this.detailLexicon)) detail.add(token);
+    }
+
+    return {
+      script: this.detectScript(text),
+      emotionalTerms: emotional.size,
+      detailTerms: detail.size
+    };
+  }
+}
+
+// Export singleton instance
+const bengaliTextNormalizer = new BengaliTextNormalizer();
+
+module.exports = {
+  BengaliTextNormalizer,
+  bengaliTextNormalizer,
+
+  // Convenience methods
+  normalizeBengaliText: (text) => bengaliTextNormalizer.normalize(text),
+  normalizeForMatching: (text) => bengaliTextNormalizer.normalizeForMatching(text),
+  foldBanglish: (text) => bengaliTextNormalizer.foldBanglish(bengaliTextNormalizer.normalize(text)),
+  analyzeLexicons: (text) => bengaliTextNormalizer.analyzeLexicons(text)
+};
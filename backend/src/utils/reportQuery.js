@@ -0,0 +1,219 @@
+// === backend/src/utils/reportQuery.js ===
+// Report listing helpers for SafeStreets Bangladesh
+// Viewport filters (bbox, polygon, lat/lng radius), opaque keyset cursors and
+// canonical cache keys shared by the public and admin report listings.
+//
+// Cursors encode the last row's sort value and _id rather than an offset, so a
+// report submitted while someone is paging never shifts or repeats a page.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const EARTH_RADIUS_METERS = 6378100;
+const MAX_RADIUS_METERS = 200000;
+const MAX_POLYGON_VERTICES = 200;
+
+// Boxes up to this size also get a 2dsphere pre-filter; its edges are geodesic,
+// so they are densified to 1° steps and padded, then the exact box is applied
+const MAX_INDEXED_BOX_DEGREES = 22.5;
+
+// Sortable fields - each is set on every report, so keyset comparisons never meet a null
+const CURSOR_SORT_FIELDS = ['createdAt', 'updatedAt', 'severity'];
+const SORT_ALIASES = { timestamp: 'createdAt' };
+const DATE_SORT_FIELDS = ['createdAt', 'updatedAt'];
+
+// Fields anyone may see on a published report
+const PUBLIC_REPORT_FIELDS = `
+  type location severity status createdAt anonymous genderSensitive
+  incidentOccurredAt incidentTime.precision timeOfDayRisk culturalContext.conservativeArea
+  processingStatus.allPhasesCompleted communityValidation.communityTrustScore
+`;
+
+// Parameters that page through a result set rather than change it
+const PAGING_PARAMS = ['cursor', 'limit', 'page'];
+
+/**
+ * Filter for reports whose public coordinates fall inside a lng/lat box.
+ * halfOpen excludes the east and north edges so adjacent boxes never share a report.
+ */
+const boxFilter = ({ west, south, east, north }, { halfOpen = false } = {}) => {
+  const upper = halfOpen ? '$lt' : '$lte';
+  const filter = {
+    'location.coordinates.0': { $gte: west, [upper]: east },
+    'location.coordinates.1': { $gte: south, [upper]: north }
+  };
+
+  if (east - west <= MAX_INDEXED_BOX_DEGREES && north - south <= MAX_INDEXED_BOX_DEGREES) {
+    const margin = Math.max((north - south) * 0.01, 1e-6);
+    const steps = Math.max(1, Math.ceil(east - west));
+    const ring = [];
+    for (let i = 0; i <= steps; i++) ring.push([west + (east - west) * i / steps, south - margin]);
+    for (let i = steps; i >= 0; i--) ring.push([west + (east - west) * i / steps, north + margin]);
+    ring.push(ring[0]);
+    filter['location.coordinates'] = { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [ring] } } };
+  }
+
+  return filter;
+};
+
+const isLng = value => Number.isFinite(value) && value >= -180 && value <= 180;
+const isLat = value => Number.isFinite(value) && value >= -90 && value <= 90;
+
+/**
+ * Location filter from bbox=minLng,minLat,maxLng,maxLat, polygon=lng,lat;lng,lat;...
+ * or lat/lng/radius (meters). Returns { filter, area } or { error }; filter is
+ * null when no location was requested.
+ */
+const parseLocationFilter = (query = {}) => {
+  const { bbox, polygon, lat, lng } = query;
+  const requested = [bbox, polygon, lat || lng].filter(Boolean).length;
+  if (requested > 1) {
+    return { error: 'Use only one of bbox, polygon or lat/lng' };
+  }
+
+  if (bbox) {
+    const [west, south, east, north] = String(bbox).split(',').map(Number);
+    if (![west, east].every(isLng) || ![south, north].every(isLat) || west >= east || south >= north) {
+      return { error: 'bbox must be minLng,minLat,maxLng,maxLat' };
+    }
+    return { filter: boxFilter({ west, south, east, north }), area: { bbox: [west, south, east, north] } };
+  }
+
+  if (polygon) {
+    const ring = String(polygon).split(';').map(pair => pair.split(',').map(Number));
+    if (ring.some(point => point.length !== 2 || !isLng(point[0]) || !isLat(point[1]))) {
+      return { error: 'polygon must be lng,lat pairs separated by semicolons' };
+    }
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+    if (ring.length < 4 || ring.length > MAX_POLYGON_VERTICES + 1) {
+      return { error: `polygon needs 3-${MAX_POLYGON_VERTICES} vertices` };
+    }
+    return {
+      filter: { 'location.coordinates': { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [ring] } } } },
+      area: { polygon: ring }
+    };
+  }
+
+  if (lat || lng) {
+    const center = [parseFloat(lng), parseFloat(lat)];
+    const radius = query.radius === undefined ? 10000 : parseFloat(query.radius);
+    if (!isLng(center[0]) || !isLat(center[1]) || !(radius > 0 && radius <= MAX_RADIUS_METERS)) {
+      return { error: `lat/lng must be valid coordinates and radius 1-${MAX_RADIUS_METERS} meters` };
+    }
+    return {
+      filter: { 'location.coordinates': { $geoWithin: { $centerSphere: [center, radius / EARTH_RADIUS_METERS] } } },
+      area: { center, radius }
+    };
+  }
+
+  return { filter: null, area: null };
+};
+
+/**
+ * Validate sortBy/sortOrder into a keyset-friendly sort
+ */
+const parseSort = (sortBy = 'createdAt', sortOrder = 'desc') => {
+  const field = SORT_ALIASES[sortBy] || sortBy;
+  if (!CURSOR_SORT_FIELDS.includes(field)) {
+    return { error: `sortBy must be one of: ${CURSOR_SORT_FIELDS.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    return { error: 'sortOrder must be asc or desc' };
+  }
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  return { field, direction, spec: { [field]: direction, _id: direction } };
+};
+
+/**
+ * Stable hash of every parameter that shapes a result set (paging excluded)
+ */
+const hashQuery = (query = {}, extra = '') => {
+  const canonical = Object.keys(query)
+    .filter(key => !PAGING_PARAMS.includes(key) && query[key] !== undefined && query[key] !== '')
+    .sort()
+    .map(key => `${key}=${Array.isArray(query[key]) ? query[key].join(',') : query[key]}`)
+    .join('&');
+  return crypto.createHash('sha256').update(`${extra}|${canonical}`).digest('hex').slice(0, 32);
+};
+
+/**
+ * Cache key covering every query parameter, paging included
+ */
+const listingCacheKey = (prefix, query = {}, extra = '') => {
+  const pageKey = PAGING_PARAMS.map(key => `${key}=${query[key] || ''}`).join('&');
+  return `${prefix}:${hashQuery(query, extra)}:${crypto.createHash('sha256').update(pageKey).digest('hex').slice(0, 16)}`;
+};
+
+/**
+ * Opaque cursor pointing just past a row
+ */
+const encodeCursor = (row, sort, queryHash) => {
+  const value = row[sort.field];
+  const payload = {
+    f: sort.field,
+    d: sort.direction,
+    v: value instanceof Date ? value.getTime() : value,
+    id: String(row._id),
+    q: queryHash
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Filter selecting rows after a cursor. The cursor must come from the same
+ * query and sort, otherwise the page boundary means nothing.
+ */
+const decodeCursor = (cursor, sort, queryHash) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    return { error: 'Invalid cursor' };
+  }
+
+  if (!payload || typeof payload !== 'object' || !mongoose.Types.ObjectId.isValid(payload.id)) {
+    return { error: 'Invalid cursor' };
+  }
+  if (payload.f !== sort.field || payload.d !== sort.direction || payload.q !== queryHash) {
+    return { error: 'Cursor does not match this query - start again without a cursor' };
+  }
+
+  const value = DATE_SORT_FIELDS.includes(sort.field) ? new Date(payload.v) : payload.v;
+  if (value === null || value === undefined || (value instanceof Date && Number.isNaN(value.getTime()))) {
+    return { error: 'Invalid cursor' };
+  }
+
+  const beyond = sort.direction === -1 ? '$lt' : '$gt';
+  const id = new mongoose.Types.ObjectId(payload.id);
+  return {
+    filter: {
+      $or: [
+        { [sort.field]: { [beyond]: value } },
+        { [sort.field]: value, _id: { [beyond]: id } }
+      ]
+    }
+  };
+};
+
+/**
+ * Add a cursor condition without clobbering an existing $or
+ */
+const applyCursorFilter = (query, cursorFilter) => {
+  query.$and = [...(query.$and || []), cursorFilter];
+  return query;
+};
+
+module.exports = {
+  CURSOR_SORT_FIELDS,
+  PUBLIC_REPORT_FIELDS,
+  MAX_POLYGON_VERTICES,
+  boxFilter,
+  parseLocationFilter,
+  parseSort,
+  hashQuery,
+  listingCacheKey,
+  encodeCursor,
+  decodeCursor,
+  applyCursorFilter
+};
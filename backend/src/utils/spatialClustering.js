@@ -0,0 +1,200 @@
+// === backend/src/utils/spatialClustering.js ===
+// Density-based clustering of report locations for SafeStreets Bangladesh
+// DBSCAN over [lng, lat] points with a grid index, so neighbour lookups only
+// scan adjacent cells instead of every point. Also hull/area helpers for
+// turning clusters into polygons and a fixed square grid for cell statistics.
+
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_DEGREE_LAT = 111320;
+
+/**
+ * Great-circle distance in meters between two [lng, lat] pairs
+ */
+const haversineMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Mean of [lng, lat] points (fine at city scale, no antimeridian in Bangladesh)
+ */
+const centroid = (coordinates) => {
+  const sum = coordinates.reduce((total, [lng, lat]) => [total[0] + lng, total[1] + lat], [0, 0]);
+  return [sum[0] / coordinates.length, sum[1] / coordinates.length];
+};
+
+/**
+ * DBSCAN clustering.
+ * `items` are objects with a `coordinates` [lng, lat] array. Returns clusters as
+ * arrays of items; points that belong to no cluster (noise) are left out.
+ */
+const dbscan = (items, { epsMeters, minPoints }) => {
+  if (items.length === 0) return [];
+
+  // Grid cells of eps size - every neighbour is in the same or an adjacent cell
+  const latStep = epsMeters / METERS_PER_DEGREE_LAT;
+  const meanLat = items.reduce((sum, item) => sum + item.coordinates[1], 0) / items.length;
+  const lngStep = epsMeters / (METERS_PER_DEGREE_LAT * Math.cos(meanLat * Math.PI / 180));
+  const cellKey = (col, row) => `${col}:${row}`;
+
+  const grid = new Map();
+  const cells = items.map((item, index) => {
+    const col = Math.floor(item.coordinates[0] / lngStep);
+    const row = Math.floor(item.coordinates[1] / latStep);
+    const key = cellKey(col, row);
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(index);
+    return { col, row };
+  });
+
+  const neighbours = (index) => {
+    const { col, row } = cells[index];
+    const found = [];
+    for (let dc = -1; dc <= 1; dc++) {
+      for (let dr = -1; dr <= 1; dr++) {
+        for (const other of grid.get(cellKey(col + dc, row + dr)) || []) {
+          if (haversineMeters(items[index].coordinates, items[other].coordinates) <= epsMeters) {
+            found.push(other);
+          }
+        }
+      }
+    }
+    return found;
+  };
+
+  const UNVISITED = 0;
+  const NOISE = -1;
+  const labels = new Array(items.length).fill(UNVISITED);
+  const clusters = [];
+
+  for (let index = 0; index < items.length; index++) {
+    if (labels[index] !== UNVISITED) continue;
+
+    const seeds = neighbours(index);
+    if (seeds.length < minPoints) {
+      labels[index] = NOISE;
+      continue;
+    }
+
+    const clusterId = clusters.length + 1;
+    const members = [];
+    labels[index] = clusterId;
+    members.push(index);
+
+    const queue = seeds.filter(other => other !== index);
+    while (queue.length > 0) {
+      const current = queue.pop();
+      if (labels[current] === NOISE) {
+        labels[current] = clusterId; // Border point
+        members.push(current);
+      }
+      if (labels[current] !== UNVISITED) continue;
+
+      labels[current] = clusterId;
+      members.push(current);
+
+      const expansion = neighbours(current);
+      if (expansion.length >= minPoints) queue.push(...expansion);
+    }
+
+    clusters.push(members.map(member => items[member]));
+  }
+
+  return clusters;
+};
+
+/**
+ * Convex hull (monotone chain) of [lng, lat] points, counter-clockwise, not closed
+ */
+const convexHull = (coordinates) => {
+  const points = [...new Map(coordinates.map(point => [point.join(','), point])).values()]
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (points.length < 3) return points;
+
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  for (const point of points) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+    lower.push(point);
+  }
+  const upper = [];
+  for (const point of [...points].reverse()) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+    upper.push(point);
+  }
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+};
+
+/**
+ * Closed GeoJSON ring around points, padded by bufferMeters. Each point is
+ * expanded to a small circle before the hull is taken, so one or two distinct
+ * points still give a real area.
+ */
+const bufferedHullRing = (coordinates, bufferMeters, segments = 12) => {
+  const expanded = [];
+  for (const [lng, lat] of coordinates) {
+    const latStep = bufferMeters / METERS_PER_DEGREE_LAT;
+    const lngStep = bufferMeters / (METERS_PER_DEGREE_LAT * Math.cos(lat * Math.PI / 180));
+    for (let i = 0; i < segments; i++) {
+      const angle = 2 * Math.PI * i / segments;
+      expanded.push([lng + lngStep * Math.cos(angle), lat + latStep * Math.sin(angle)]);
+    }
+  }
+
+  const ring = convexHull(expanded).map(([lng, lat]) => [Math.round(lng * 1e6) / 1e6, Math.round(lat * 1e6) / 1e6]);
+  return [...ring, ring[0]];
+};
+
+/**
+ * Area of a closed [lng, lat] ring in square meters (local equirectangular projection)
+ */
+const ringAreaSqMeters = (ring) => {
+  if (ring.length < 4) return 0;
+  const meanLat = ring.reduce((sum, point) => sum + point[1], 0) / ring.length;
+  const xScale = METERS_PER_DEGREE_LAT * Math.cos(meanLat * Math.PI / 180);
+
+  let twiceArea = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x1, y1] = [ring[i][0] * xScale, ring[i][1] * METERS_PER_DEGREE_LAT];
+    const [x2, y2] = [ring[i + 1][0] * xScale, ring[i + 1][1] * METERS_PER_DEGREE_LAT];
+    twiceArea += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(twiceArea) / 2;
+};
+
+/**
+ * Fixed square grid of cellSizeMeters. Column width uses one reference latitude
+ * (central Bangladesh) so columns line up across rows and neighbours are simply
+ * col/row offsets - needed for lattice statistics like Gi*.
+ */
+const createSquareGrid = (cellSizeMeters, referenceLat = 23.7) => {
+  const latStep = cellSizeMeters / METERS_PER_DEGREE_LAT;
+  const lngStep = cellSizeMeters / (METERS_PER_DEGREE_LAT * Math.cos(referenceLat * Math.PI / 180));
+  const round = value => Math.round(value * 1e6) / 1e6;
+
+  return {
+    cellSizeMeters,
+    cellOf: ([lng, lat]) => ({ col: Math.floor(lng / lngStep), row: Math.floor(lat / latStep) }),
+    cellId: (col, row) => `${cellSizeMeters}:${col}:${row}`,
+    center: (col, row) => [round((col + 0.5) * lngStep), round((row + 0.5) * latStep)],
+    bounds: (col, row) => [
+      [round(col * lngStep), round(row * latStep)],
+      [round((col + 1) * lngStep), round((row + 1) * latStep)]
+    ]
+  };
+};
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  haversineMeters,
+  centroid,
+  dbscan,
+  convexHull,
+  bufferedHullRing,
+  ringAreaSqMeters,
+  createSquareGrid
+};
@@ -283,6 +283,15 @@ class ScaledSocketHandler {
       await this.handleUnsubscription(socket, clientInfo, data);
     });
 
+    // NEW: Anonymous reporters follow their report thread via receipt code
+    socket.on('subscribe_receipt', async (data) => {
+      await this.handleReceiptSubscription(socket, clientInfo, data);
+    });
+
+    socket.on('unsubscribe_receipt', async (data) => {
+      await this.handleReceiptUnsubscription(socket, clientInfo, data);
+    });
+
     // Heartbeat for connection health
     socket.on('ping', () => {
       clientInfo.lastActivity = new Date();
@@ -485,6 +494,101 @@ class ScaledSocketHandler {
     }
   }
 
+  /**
+   * NEW: Join the follow-up thread room for a report identified by its receipt code.
+   * No authentication - the receipt code itself is the credential.
+   */
+  async handleReceiptSubscription(socket, clientInfo, data = {}) {
+    try {
+      const lookup = Report.findByReceiptCode(data.code);
+      const report = lookup ? await lookup.select('_id').lean() : null;
+
+      if (!report) {
+        socket.emit('receipt_subscription_error', { message: 'Invalid receipt code' });
+        return;
+      }
+
+      const room = this.getReportThreadRoom(report._id);
+      socket.join(room);
+      clientInfo.rooms.push(room);
+
+      // Room name is not sent back - reporters never learn the internal report ID
+      socket.emit('receipt_subscription_confirmed', { success: true });
+
+    } catch (error) {
+      console.error(`❌ Receipt subscription error for ${socket.id}:`, error);
+      socket.emit('receipt_subscription_error', { message: 'Subscription failed' });
+    }
+  }
+
+  /**
+   * NEW: Leave the follow-up thread room joined with a receipt code
+   */
+  async handleReceiptUnsubscription(socket, clientInfo, data = {}) {
+    try {
+      const lookup = Report.findByReceiptCode(data.code);
+      const report = lookup ? await lookup.select('_id').lean() : null;
+
+      if (report) {
+        const room = this.getReportThreadRoom(report._id);
+        socket.leave(room);
+        clientInfo.rooms = clientInfo.rooms.filter(joined => joined !== room);
+      }
+
+      // Same reply for unknown codes, so this cannot be used to test receipt codes
+      socket.emit('receipt_unsubscribed', { success: true });
+
+    } catch (error) {
+      console.error(`❌ Receipt unsubscription error for ${socket.id}:`, error);
+      socket.emit('receipt_subscription_error', { message: 'Unsubscription failed' });
+    }
+  }
+
+  /**
+   * NEW: Push an event to connected police users
+   */
+  emitToPolice(eventType, eventData) {
+    try {
+      if (!this.isInitialized) return;
+
+      this.io.to('police_updates').emit(eventType, {
+        ...eventData,
+        timestamp: new Date().toISOString()
+      });
+
+      this.metrics.broadcastsSent++;
+    } catch (error) {
+      console.error('❌ Error emitting to police:', error);
+      this.metrics.errors++;
+    }
+  }
+
+  /**
+   * NEW: Room for a single report's follow-up thread
+   */
+  getReportThreadRoom(reportId) {
+    return `report_thread_${reportId}`;
+  }
+
+  /**
+   * NEW: Push an event to a reporter following their report thread
+   */
+  emitToReportThread(reportId, eventType, eventData) {
+    try {
+      if (!this.isInitialized) return;
+
+      this.io.to(this.getReportThreadRoom(reportId)).emit(eventType, {
+        ...eventData,
+        timestamp: new Date().toISOString()
+      });
+
+      this.metrics.broadcastsSent++;
+    } catch (error) {
+      console.error('❌ Error emitting to report thread:', error);
+      this.metrics.errors++;
+    }
+  }
+
   /**
    * Security events subscription with filtering (from original)
    */
@@ -9,12 +9,15 @@ import { AuthProvider } from './contexts/AuthContext'
 import Home from './pages/Home'
 import MapPage from './pages/MapPage'
 import ReportPage from './pages/ReportPage'
+import CheckReportPage from './pages/CheckReportPage'
 import AdminPage from './pages/AdminPage'
 import LoginPage from './pages/LoginPage'
 import InviteRegisterPage from './pages/InviteRegisterPage'
+import PoliceLoginPage from './pages/PoliceLoginPage'
+import PolicePage from './pages/PolicePage'
 import Header from './components/Common/Header'
 import Footer from './components/Common/Footer'
-import ProtectedRoute, { AdminProtectedRoute } from './components/Layout/ProtectedRoute'
+import ProtectedRoute, { AdminProtectedRoute, PoliceProtectedRoute } from './components/Layout/ProtectedRoute'
 import { DeviceProvider } from './contexts/DeviceContext'
 
 function App() {
@@ -33,6 +36,7 @@ function App() {
                   <Route path="/" element={<Home />} />
                   <Route path="/map" element={<MapPage />} />
                   <Route path="/report" element={<ReportPage />} />
+                  <Route path="/report/status" element={<CheckReportPage />} />
                   {/* Invite-based Registration Route (Publicly accessible with token) */}
                   <Route path="/register" element={<InviteRegisterPage />} />
 
@@ -49,6 +53,17 @@ function App() {
                     }
                   />
 
+                  {/* NEW: Police Portal - jurisdiction-scoped report access */}
+                  <Route path="/police/login" element={<PoliceLoginPage />} />
+                  <Route
+                    path="/police"
+                    element={
+                      <PoliceProtectedRoute>
+                        <PolicePage />
+                      </PoliceProtectedRoute>
+                    }
+                  />
+
                   {/* Future Protected Routes - Ready for expansion */}
                   {/* <Route 
                   path="/admin/security" 
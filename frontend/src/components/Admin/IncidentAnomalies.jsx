@@ -0,0 +1,211 @@
+// === src/components/Admin/IncidentAnomalies.jsx ===
+// Unusual incident spikes per area and type (e.g. an extortion wave starting
+// in one thana) - review the evidence, then acknowledge or dismiss
+import { useState, useEffect, useCallback } from 'react'
+import { Zap, RefreshCw, MapPin, Calendar, CheckCircle, XCircle, ChevronDown, ChevronUp } from 'lucide-react'
+import apiService from '../../services/api'
+import websocketService from '../../services/websocketService'
+import { handleApiError } from '../../services/utils/errorHandler'
+
+const STATUS_FILTERS = [
+  { value: 'open', label: 'Open' },
+  { value: 'open,acknowledged', label: 'Open & acknowledged' },
+  { value: 'acknowledged', label: 'Acknowledged' },
+  { value: 'dismissed', label: 'Dismissed' }
+]
+
+const STATUS_BADGES = {
+  open: 'badge-danger',
+  acknowledged: 'badge-info',
+  dismissed: 'badge-pending'
+}
+
+const LEVEL_STYLES = {
+  critical: 'bg-red-600',
+  elevated: 'bg-orange-500'
+}
+
+const formatDay = (value) => new Date(value).toLocaleDateString('en-GB', { timeZone: 'Asia/Dhaka', dateStyle: 'medium' })
+
+const formatDateTime = (value) => value
+  ? new Date(value).toLocaleString('en-GB', { timeZone: 'Asia/Dhaka', dateStyle: 'medium', timeStyle: 'short' })
+  : '—'
+
+const IncidentAnomalies = () => {
+  const [anomalies, setAnomalies] = useState([])
+  const [statusFilter, setStatusFilter] = useState('open')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [expanded, setExpanded] = useState(null)
+  const [details, setDetails] = useState({})
+  const [reviewing, setReviewing] = useState(null)
+
+  const fetchAnomalies = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await apiService.getIncidentAnomalies({ status: statusFilter, days: 30, limit: 100 })
+      setAnomalies(response.data || [])
+    } catch (err) {
+      const errorResponse = handleApiError(err, 'IncidentAnomalies')
+      setError(errorResponse.userMessage || 'Failed to load incident anomalies')
+    } finally {
+      setLoading(false)
+    }
+  }, [statusFilter])
+
+  useEffect(() => {
+    fetchAnomalies()
+  }, [fetchAnomalies])
+
+  // New and escalated spikes are pushed by the detector - refresh the list
+  useEffect(() => {
+    return websocketService.on('incident_anomaly_detected', () => fetchAnomalies())
+  }, [fetchAnomalies])
+
+  const toggleExpanded = async (anomalyId) => {
+    if (expanded === anomalyId) {
+      setExpanded(null)
+      return
+    }
+    setExpanded(anomalyId)
+    if (!details[anomalyId]) {
+      try {
+        const response = await apiService.getIncidentAnomaly(anomalyId)
+        setDetails(prev => ({ ...prev, [anomalyId]: response.data }))
+      } catch (err) {
+        handleApiError(err, 'IncidentAnomalies')
+      }
+    }
+  }
+
+  const reviewAnomaly = async (anomaly, status) => {
+    const note = window.prompt(
+      status === 'dismissed' ? 'Why is this not a real spike? (optional)' : 'What is being done about it? (optional)'
+    )
+    if (note === null) return
+
+    try {
+      setReviewing(anomaly._id)
+      const response = await apiService.reviewIncidentAnomaly(anomaly._id, status, note)
+      setAnomalies(prev => prev.map(item => item._id === anomaly._id ? { ...item, ...response.data } : item))
+    } catch (err) {
+      const errorResponse = handleApiError(err, 'IncidentAnomalies')
+      setError(errorResponse.userMessage || 'Failed to review anomaly')
+    } finally {
+      setReviewing(null)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Zap className="w-5 h-5 text-safe-primary" />
+          <h3 className="text-lg font-semibold text-neutral-800">Incident Spikes</h3>
+          <span className="text-sm text-neutral-500">({anomalies.length})</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            className="form-select"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+          >
+            {STATUS_FILTERS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button onClick={fetchAnomalies} className="btn-secondary btn-sm" disabled={loading}>
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      <div className="card-body">
+        {error && <div className="alert-danger mb-4">{error}</div>}
+
+        {!loading && anomalies.length === 0 && (
+          <p className="text-center text-neutral-500 py-10">No unusual spikes in the last 30 days.</p>
+        )}
+
+        <div className="space-y-3">
+          {anomalies.map(anomaly => (
+            <div key={anomaly._id} className="border border-neutral-200 rounded-lg p-4">
+              <div className="flex items-start justify-between">
+                <div>
+                  <div className="flex items-center space-x-2 mb-1">
+                    <span className="font-medium text-neutral-800 capitalize">{anomaly.type.replace(/_/g, ' ')}</span>
+                    <span className={`badge ${STATUS_BADGES[anomaly.status] || 'badge-info'}`}>{anomaly.status}</span>
+                    <span className={`text-white text-xs rounded-full px-2 py-0.5 ${LEVEL_STYLES[anomaly.level] || 'bg-yellow-500'}`}>
+                      {anomaly.level}
+                    </span>
+                  </div>
+                  <div className="text-sm text-neutral-600 flex flex-wrap gap-x-4 gap-y-1">
+                    <span className="flex items-center"><Calendar className="w-4 h-4 mr-1" />{formatDay(anomaly.day)}</span>
+                    <span className="flex items-center">
+                      <MapPin className="w-4 h-4 mr-1" />
+                      {anomaly.area?.name || anomaly.area?.code} <span className="text-neutral-400 ml-1">({anomaly.area?.level})</span>
+                    </span>
+                  </div>
+                  <div className="text-sm text-neutral-700 mt-1">
+                    <strong>{anomaly.observed}</strong> incidents vs about {anomaly.baseline?.mean} expected
+                    <span className="text-neutral-500"> · z = {anomaly.zScore}</span>
+                  </div>
+                  {anomaly.review?.note && (
+                    <p className="text-xs text-neutral-500 mt-1">Review note: {anomaly.review.note}</p>
+                  )}
+                </div>
+
+                <div className="flex items-center space-x-2">
+                  {anomaly.status !== 'acknowledged' && (
+                    <button
+                      onClick={() => reviewAnomaly(anomaly, 'acknowledged')}
+                      className="btn-primary btn-sm flex items-center"
+                      disabled={reviewing === anomaly._id}
+                    >
+                      <CheckCircle className="w-4 h-4 mr-1" /> Acknowledge
+                    </button>
+                  )}
+                  {anomaly.status !== 'dismissed' && (
+                    <button
+                      onClick={() => reviewAnomaly(anomaly, 'dismissed')}
+                      className="btn-secondary btn-sm flex items-center"
+                      disabled={reviewing === anomaly._id}
+                    >
+                      <XCircle className="w-4 h-4 mr-1" /> Dismiss
+                    </button>
+                  )}
+                  <button onClick={() => toggleExpanded(anomaly._id)} className="btn-outline btn-sm">
+                    {expanded === anomaly._id ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                  </button>
+                </div>
+              </div>
+
+              {expanded === anomaly._id && (
+                <div className="mt-3 border-t border-neutral-100 pt-3">
+                  {!details[anomaly._id] ? (
+                    <p className="text-sm text-neutral-500">Loading evidence reports…</p>
+                  ) : (
+                    <ul className="text-sm text-neutral-700 space-y-1">
+                      {details[anomaly._id].reports.map(report => (
+                        <li key={report._id} className="flex justify-between">
+                          <span>
+                            {formatDateTime(report.incidentOccurredAt || report.createdAt)} · severity {report.severity}
+                            {report.location?.address ? ` · ${report.location.address}` : ''}
+                          </span>
+                          <span className="text-neutral-500">{report.status}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default IncidentAnomalies
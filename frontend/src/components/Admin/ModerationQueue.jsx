@@ -3,11 +3,32 @@ import { useState, useEffect } from 'react'
 import { 
   Clock, CheckCircle, X, Eye, MapPin, AlertTriangle, Flag,
   Calendar, Globe, Navigation, ExternalLink, ChevronDown,
-  Filter, Search, RefreshCw, MoreHorizontal, Shield
+  Filter, Search, RefreshCw, MoreHorizontal, Shield, MessageSquare, Link2, Lock
 } from 'lucide-react'
 import apiService from '../../services/api'
+import websocketService from '../../services/websocketService'
+import ReportFollowUpThread from './ReportFollowUpThread'
 import { handleApiError } from '../../services/utils/errorHandler'
 
+// Near-duplicate relation types from backend deduplication.relatedReports
+const RELATION_LABELS = {
+  duplicate: 'Likely duplicate',
+  similar_content: 'Similar description',
+  temporal_cluster: 'Same area, same hours',
+  similar_location: 'Same area',
+  same_user: 'Same reporter'
+}
+
+// Assignment-backed views served by /reports/assignments/queue
+const QUEUE_VIEWS = ['mine', 'unassigned']
+
+// Statuses that still need a moderator decision (claims only apply to these)
+const OPEN_STATUSES = ['pending', 'flagged', 'under_review']
+
+// A claim that has not yet expired
+const hasActiveClaim = (report) =>
+  Boolean(report.moderation?.assignedTo) && new Date(report.moderation.claimExpiresAt) > new Date()
+
 const ModerationQueue = () => {
   const [reports, setReports] = useState([])
   const [loading, setLoading] = useState(true)
@@ -18,6 +39,11 @@ const ModerationQueue = () => {
   const [sortBy, setSortBy] = useState('newest')
   const [moderating, setModerating] = useState({})
   const [expandedReport, setExpandedReport] = useState(null)
+  const [followUpMessage, setFollowUpMessage] = useState(null)
+  const [unreadFollowUps, setUnreadFollowUps] = useState({})
+  const [lifecycle, setLifecycle] = useState(null)
+  const [bulkResult, setBulkResult] = useState(null)
+  const [myClaims, setMyClaims] = useState({})
 
   // Fetch reports based on filter
   const fetchReports = async () => {
@@ -27,7 +53,9 @@ const ModerationQueue = () => {
       
       // Always fetch all admin reports first, then filter client-side
       // This is more efficient than multiple API calls
-      if (filterStatus === 'pending') {
+      if (QUEUE_VIEWS.includes(filterStatus)) {
+        response = await apiService.getModerationQueue(filterStatus)
+      } else if (filterStatus === 'pending') {
         response = await apiService.getAdminReports() // This gets pending only
       } else {
         // For all other filters, we need all reports
@@ -51,8 +79,14 @@ const ModerationQueue = () => {
         
         let filteredReports = reportsData;
 
+        // Queue views know which claims are ours
+        const ownClaims = reportsData.filter(report => report.claim?.claimedByMe).map(report => report._id)
+        if (ownClaims.length > 0) {
+          setMyClaims(prev => ({ ...prev, ...Object.fromEntries(ownClaims.map(id => [id, true])) }))
+        }
+
         // Apply status filter
-        if (filterStatus !== 'all') {
+        if (filterStatus !== 'all' && !QUEUE_VIEWS.includes(filterStatus)) {
           filteredReports = filteredReports.filter(report => {
             if (filterStatus === 'pending') {
               return report.status === 'pending' || !report.status; // Include reports without status (default pending)
@@ -108,33 +142,163 @@ const ModerationQueue = () => {
     fetchReports()
   }, [filterStatus, searchTerm, sortBy])
 
-  // Moderate individual report
-  const moderateReport = async (reportId, action) => {
+  // Opening the thread marks replies read server-side; mirror that locally
+  const markFollowUpsRead = (reportId) => {
+    setUnreadFollowUps(prev => ({ ...prev, [reportId]: 0 }))
+    setReports(prev => prev.map(report => report._id === reportId ?
+      { ...report, followUp: { ...report.followUp, unreadByModerators: 0 } } : report
+    ))
+  }
+
+  // Reporter replies pushed over the admin socket
+  useEffect(() => {
+    return websocketService.on('report_follow_up_message', (data) => {
+      setFollowUpMessage(data)
+      setUnreadFollowUps(prev => ({ ...prev, [data.reportId]: (prev[data.reportId] || 0) + 1 }))
+    })
+  }, [])
+
+  // Keep claim badges current when other moderators claim or release reports
+  useEffect(() => {
+    const offClaimed = websocketService.on('report_claimed', (data) => {
+      setReports(prev => prev.map(r => r._id === data.reportId ? {
+        ...r,
+        moderation: { ...r.moderation, assignedTo: data.assignedTo, assignedToName: data.claimedBy, claimExpiresAt: data.claimExpiresAt }
+      } : r))
+    })
+    const offReleased = websocketService.on('report_claim_released', (data) => {
+      setReports(prev => prev.map(r => r._id === data.reportId ? {
+        ...r,
+        moderation: { ...r.moderation, assignedTo: null, assignedToName: null, claimExpiresAt: null }
+      } : r))
+    })
+    return () => {
+      offClaimed?.()
+      offReleased?.()
+    }
+  }, [])
+
+  const applyClaim = (reportId, claim) => {
+    setMyClaims(prev => ({ ...prev, [reportId]: Boolean(claim) }))
+    setReports(prev => prev.map(r => r._id === reportId ? {
+      ...r,
+      moderation: {
+        ...r.moderation,
+        assignedTo: claim?.assignedTo || null,
+        assignedToName: claim?.assignedToName || null,
+        claimExpiresAt: claim?.claimExpiresAt || null
+      }
+    } : r))
+  }
+
+  // Claim a report so no other moderator reviews it at the same time
+  const claimReport = async (report, { silent = false } = {}) => {
+    try {
+      const response = await apiService.claimReport(report._id)
+      if (response.success) {
+        applyClaim(report._id, response.data)
+      } else if (!silent) {
+        setError(response.message || 'Could not claim report')
+      }
+    } catch (err) {
+      if (!silent) {
+        const errorResponse = handleApiError(err, 'ModerationQueue')
+        setError(errorResponse.userMessage || 'Could not claim report')
+      }
+    }
+  }
+
+  const releaseClaim = async (report) => {
+    try {
+      const response = await apiService.releaseReportClaim(report._id)
+      if (response.success) {
+        applyClaim(report._id, null)
+        if (filterStatus === 'mine') {
+          setReports(prev => prev.filter(r => r._id !== report._id))
+        }
+      }
+    } catch (err) {
+      const errorResponse = handleApiError(err, 'ModerationQueue')
+      setError(errorResponse.userMessage || 'Could not release claim')
+    }
+  }
+
+  // Lifecycle state machine (allowed transitions and reason rules) from the backend
+  useEffect(() => {
+    apiService.getReportLifecycle()
+      .then(response => response.success && setLifecycle(response.data))
+      .catch(err => console.warn('Report lifecycle not available:', err.message))
+  }, [])
+
+  const getTransition = (action) => lifecycle?.transitions.find(t => t.action === action)
+
+  const getAvailableTransitions = (status) =>
+    (lifecycle?.transitions || []).filter(t => t.from.includes(status || 'pending'))
+
+  // Ask for a reason when the transition requires one; null means cancelled
+  const promptForReason = (action, count = 1) => {
+    const transition = getTransition(action)
+    const required = transition ? transition.requiresReason : action !== 'approve'
+    if (!required) return ''
+
+    const label = transition?.label || action
+    const question = action === 'request_info' ?
+      'What would you like to ask the reporter?' :
+      `Reason to ${label.toLowerCase()} ${count > 1 ? `${count} reports` : 'this report'}:`
+    const reason = prompt(question)
+    if (reason === null) return null
+    if (!reason.trim()) {
+      setError(`A reason is required to ${label.toLowerCase()} a report`)
+      return null
+    }
+    return reason.trim()
+  }
+
+  // Apply a lifecycle action to an individual report
+  const moderateReport = async (report, action) => {
+    const reportId = report._id
+    const reason = promptForReason(action)
+    if (reason === null) return
+
+    // The server checks the moderator profile; the flag only counts as a super admin override
+    const options = {}
+    if (report.genderSensitive && report.moderation?.femaleModeratorRequired && action !== 'escalate') {
+      if (!confirm('This female safety report must be handled by a female moderator. Continue as a female moderator?')) {
+        return
+      }
+      options.femaleModerator = true
+    }
+
     try {
       setModerating(prev => ({ ...prev, [reportId]: true }))
       
-      const response = await apiService.updateReportStatus(reportId, action)
+      const response = await apiService.transitionReport(reportId, action, reason, options)
       
       if (response.success) {
-        // Remove from list if we're filtering by pending
-        if (filterStatus === 'pending') {
+        // Remove from list if it no longer matches the status filter
+        if (!['all', 'flagged', ...QUEUE_VIEWS].includes(filterStatus) && response.status !== filterStatus) {
           setReports(prev => prev.filter(r => r._id !== reportId))
         } else {
           // Update status in place
           setReports(prev => prev.map(r => 
-            r._id === reportId ? { ...r, status: action, moderatedAt: new Date() } : r
+            r._id === reportId ? { ...r, status: response.status, moderatedAt: new Date(), moderationReason: reason } : r
           ))
         }
         
+        // Decided reports drop their claim server-side
+        if (!OPEN_STATUSES.includes(response.status)) {
+          setMyClaims(prev => ({ ...prev, [reportId]: false }))
+        }
+
         // Remove from selected if it was selected
         setSelectedReports(prev => prev.filter(id => id !== reportId))
       } else {
         const errorResponse = handleApiError(new Error(response.message), 'ModerationQueue')
-        setError(errorResponse.userMessage || `Error ${action === 'approved' ? 'approving' : 'rejecting'} report`)
+        setError(errorResponse.userMessage || response.message || 'Error updating report')
       }
     } catch (err) {
       const errorResponse = handleApiError(err, 'ModerationQueue')
-      setError(errorResponse.userMessage || `Error ${action === 'approved' ? 'approving' : 'rejecting'} report`)
+      setError(errorResponse.userMessage || 'Error updating report')
     } finally {
       setModerating(prev => ({ ...prev, [reportId]: false }))
     }
@@ -144,24 +308,41 @@ const ModerationQueue = () => {
   const bulkModerate = async (action) => {
     if (selectedReports.length === 0) return
     
-    if (!confirm(`${action === 'approved' ? 'Approve' : 'Reject'} ${selectedReports.length} selected reports?`)) {
+    if (!confirm(`${action === 'approve' ? 'Approve' : 'Reject'} ${selectedReports.length} selected reports?`)) {
       return
     }
 
+    const reason = promptForReason(action, selectedReports.length)
+    if (reason === null) return
+
+    const options = {}
+    const needsFemaleModerator = reports.some(r =>
+      selectedReports.includes(r._id) && r.genderSensitive && r.moderation?.femaleModeratorRequired
+    )
+    if (needsFemaleModerator && confirm('Some selected reports must be handled by a female moderator. Continue as a female moderator?')) {
+      options.femaleModerator = true
+    }
+
     try {
       setLoading(true)
+      setBulkResult(null)
       
-      // Process each report individually (could be optimized with bulk API)
-      for (const reportId of selectedReports) {
-        await apiService.updateReportStatus(reportId, action)
-      }
+      const response = await apiService.bulkModerateReports(selectedReports, action, reason, options)
       
+      if (response.success) {
+        setBulkResult({ action, ...response })
+        // Keep failed reports selected so they can be reviewed or retried
+        setSelectedReports(response.results.filter(item => !item.success).map(item => item.reportId))
+      } else {
+        setError(response.message || 'Error processing bulk action')
+      }
+
       // Refresh the list
       await fetchReports()
-      setSelectedReports([])
     } catch (err) {
       const errorResponse = handleApiError(err, 'ModerationQueue')
       setError(errorResponse.userMessage || 'Error processing bulk action')
+      setLoading(false)
     }
   }
 
@@ -257,10 +438,15 @@ const ModerationQueue = () => {
                 onChange={(e) => setFilterStatus(e.target.value)}
                 className="form-select"
               >
+                <option value="mine">My Queue</option>
+                <option value="unassigned">Unassigned</option>
                 <option value="pending">Pending Only</option>
                 <option value="flagged">Flagged Reports</option>
+                <option value="under_review">Under Review</option>
                 <option value="approved">Approved</option>
+                <option value="verified">Verified</option>
                 <option value="rejected">Rejected</option>
+                <option value="archived">Archived</option>
                 <option value="all">All Reports</option>
               </select>
 
@@ -296,14 +482,14 @@ const ModerationQueue = () => {
                 </span>
                 <div className="flex space-x-2">
                   <button
-                    onClick={() => bulkModerate('approved')}
+                    onClick={() => bulkModerate('approve')}
                     className="btn-primary btn-sm"
                   >
                     <CheckCircle className="w-4 h-4 mr-1" />
                     Approve All
                   </button>
                   <button
-                    onClick={() => bulkModerate('rejected')}
+                    onClick={() => bulkModerate('reject')}
                     className="btn-secondary btn-sm"
                   >
                     <X className="w-4 h-4 mr-1" />
@@ -323,6 +509,32 @@ const ModerationQueue = () => {
       </div>
 
       {/* Reports List */}
+      {/* Bulk moderation outcome with per-report failures */}
+      {bulkResult && (
+        <div className={bulkResult.summary.failed > 0 ? 'alert-info' : 'alert-success'}>
+          <div className="flex items-center justify-between">
+            <h4 className="font-medium">
+              Bulk {bulkResult.action}: {bulkResult.summary.succeeded} of {bulkResult.summary.requested} reports updated
+            </h4>
+            <button onClick={() => setBulkResult(null)} className="btn-ghost btn-sm">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          {bulkResult.summary.failed > 0 && (
+            <ul className="mt-2 space-y-1 text-sm">
+              {bulkResult.results.filter(item => !item.success).slice(0, 10).map(item => (
+                <li key={item.reportId}>
+                  <span className="font-mono text-xs">{item.reportId}</span> — {item.message}
+                </li>
+              ))}
+              {bulkResult.summary.failed > 10 && (
+                <li>…and {bulkResult.summary.failed - 10} more (still selected)</li>
+              )}
+            </ul>
+          )}
+        </div>
+      )}
+
       {error && (
         <div className="alert-danger">
           <h4 className="font-medium mb-2">Error Loading Reports</h4>
@@ -370,6 +582,10 @@ const ModerationQueue = () => {
             const isExpanded = expandedReport === report._id
             const isSelected = selectedReports.includes(report._id)
             const isProcessing = moderating[report._id]
+            const claimedByMe = Boolean(myClaims[report._id]) && hasActiveClaim(report)
+            const claimedByOther = !claimedByMe && hasActiveClaim(report)
+            const unreadCount = isExpanded ? 0 :
+              (report.followUp?.unreadByModerators || 0) + (unreadFollowUps[report._id] || 0)
 
             return (
               <div
@@ -409,10 +625,27 @@ const ModerationQueue = () => {
                           <span className={`px-2 py-1 rounded-full text-xs font-medium ${
                             report.status === 'pending' ? 'bg-orange-100 text-orange-800' :
                             report.status === 'approved' ? 'bg-green-100 text-green-800' :
+                            report.status === 'verified' ? 'bg-emerald-100 text-emerald-800' :
+                            report.status === 'under_review' ? 'bg-blue-100 text-blue-800' :
+                            report.status === 'archived' ? 'bg-neutral-100 text-neutral-700' :
                             'bg-red-100 text-red-800'
                           }`}>
-                            {report.status.charAt(0).toUpperCase() + report.status.slice(1)}
+                            {(report.status.charAt(0).toUpperCase() + report.status.slice(1)).replace('_', ' ')}
                           </span>
+
+                          {/* Moderation SLA */}
+                          {OPEN_STATUSES.includes(report.status) && report.moderation?.sla?.dueAt &&
+                            new Date(report.moderation.sla.dueAt) <= new Date() && (
+                            <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-600 text-white">
+                              <Clock className="w-3 h-3 mr-1" />
+                              Overdue
+                            </span>
+                          )}
+                          {report.moderation?.sla?.escalationLevel > 0 && (
+                            <span className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                              Escalated ×{report.moderation.sla.escalationLevel}
+                            </span>
+                          )}
                         </div>
 
                         {/* Security Flags */}
@@ -455,19 +688,59 @@ const ModerationQueue = () => {
 
                     {/* Action Buttons */}
                     <div className="flex items-center space-x-2 flex-shrink-0">
-                      {/* Expand/Collapse */}
+                      {/* Unread reporter replies */}
+                      {unreadCount > 0 && (
+                        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                          <MessageSquare className="w-3 h-3 mr-1" />
+                          {unreadCount}
+                        </span>
+                      )}
+
+                      {/* Claim lock */}
+                      {OPEN_STATUSES.includes(report.status || 'pending') && (
+                        claimedByMe ? (
+                          <button
+                            onClick={() => releaseClaim(report)}
+                            className="btn-ghost btn-sm text-blue-700"
+                            title="You are reviewing this report. Click to release it."
+                          >
+                            <Lock className="w-4 h-4 mr-1" />
+                            Release
+                          </button>
+                        ) : claimedByOther ? (
+                          <span
+                            className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-neutral-100 text-neutral-700"
+                            title={`Claimed until ${new Date(report.moderation.claimExpiresAt).toLocaleTimeString()}`}
+                          >
+                            <Lock className="w-3 h-3 mr-1" />
+                            {report.moderation.assignedToName || 'Claimed'}
+                          </span>
+                        ) : (
+                          <button onClick={() => claimReport(report)} className="btn-outline btn-sm">
+                            Claim
+                          </button>
+                        )
+                      )}
+
+                      {/* Expand/Collapse (opening an unclaimed report claims it) */}
                       <button
-                        onClick={() => setExpandedReport(isExpanded ? null : report._id)}
+                        onClick={() => {
+                          setExpandedReport(isExpanded ? null : report._id)
+                          markFollowUpsRead(report._id)
+                          if (!isExpanded && OPEN_STATUSES.includes(report.status || 'pending') && !claimedByMe && !claimedByOther) {
+                            claimReport(report, { silent: true })
+                          }
+                        }}
                         className="btn-ghost btn-sm"
                       >
                         <Eye className="w-4 h-4" />
                       </button>
 
                       {/* Approve/Reject */}
-                      {report.status === 'pending' && (
+                      {OPEN_STATUSES.includes(report.status) && !claimedByOther && (
                         <>
                           <button
-                            onClick={() => moderateReport(report._id, 'approved')}
+                            onClick={() => moderateReport(report, 'approve')}
                             disabled={isProcessing}
                             className="btn-primary btn-sm"
                           >
@@ -479,7 +752,7 @@ const ModerationQueue = () => {
                           </button>
                           
                           <button
-                            onClick={() => moderateReport(report._id, 'rejected')}
+                            onClick={() => moderateReport(report, 'reject')}
                             disabled={isProcessing}
                             className="btn-secondary btn-sm"
                           >
@@ -556,6 +829,69 @@ const ModerationQueue = () => {
                           </div>
                         </div>
                       )}
+
+                      {/* Likely-same incidents from other reporters */}
+                      {report.deduplication?.relatedReports?.length > 0 && (
+                        <div>
+                          <h4 className="font-medium text-neutral-800 mb-2 flex items-center">
+                            <Link2 className="w-4 h-4 mr-2 text-blue-600" />
+                            Possibly the Same Incident
+                          </h4>
+                          <div className="bg-blue-50 p-3 rounded border border-blue-200">
+                            <ul className="space-y-1 text-sm">
+                              {report.deduplication.relatedReports.map((related) => (
+                                <li key={related.reportId} className="flex items-center justify-between">
+                                  <button
+                                    onClick={() => setExpandedReport(related.reportId)}
+                                    className="font-mono text-xs text-blue-700 hover:underline"
+                                  >
+                                    {related.reportId}
+                                  </button>
+                                  <span className="text-neutral-700">
+                                    {RELATION_LABELS[related.relationType] || related.relationType} • {related.similarity}% match
+                                  </span>
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        </div>
+                      )}
+
+                      {/* Lifecycle actions allowed from the current status */}
+                      {getAvailableTransitions(report.status).length > 0 && (
+                        <div>
+                          <h4 className="font-medium text-neutral-800 mb-2">Lifecycle Actions</h4>
+                          <div className="flex flex-wrap gap-2">
+                            {getAvailableTransitions(report.status).map((transition) => (
+                              <button
+                                key={transition.action}
+                                onClick={() => moderateReport(report, transition.action)}
+                                disabled={isProcessing}
+                                className="btn-outline btn-sm"
+                                title={`Moves the report to ${transition.to.replace('_', ' ')}`}
+                              >
+                                {transition.label}
+                              </button>
+                            ))}
+                          </div>
+                          {report.lifecycle?.history?.length > 0 && (
+                            <ul className="mt-3 space-y-1 text-xs text-neutral-600">
+                              {report.lifecycle.history.slice(-5).reverse().map((entry, index) => (
+                                <li key={`${entry.at}-${index}`}>
+                                  {new Date(entry.at).toLocaleString()} • {entry.actor?.username || 'admin'}: {entry.from} → {entry.to}
+                                  {entry.reason && <span className="italic"> — {entry.reason}</span>}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </div>
+                      )}
+
+                      {/* Follow-up with anonymous reporter */}
+                      <ReportFollowUpThread
+                        reportId={report._id}
+                        incomingMessage={followUpMessage?.reportId === report._id ? followUpMessage.message : null}
+                      />
                     </div>
                   )}
                 </div>
@@ -0,0 +1,209 @@
+// === src/components/Admin/RecurringPatterns.jsx ===
+// Recurring incident patterns (e.g. weekly chadabaji collection at a market)
+// detected in the background - review, confirm or dismiss them
+import { useState, useEffect, useCallback } from 'react'
+import { Repeat, RefreshCw, MapPin, Clock, CheckCircle, XCircle, ChevronDown, ChevronUp } from 'lucide-react'
+import apiService from '../../services/api'
+import websocketService from '../../services/websocketService'
+import { handleApiError } from '../../services/utils/errorHandler'
+
+const STATUS_FILTERS = [
+  { value: 'active,confirmed', label: 'Active & confirmed' },
+  { value: 'active', label: 'Active' },
+  { value: 'confirmed', label: 'Confirmed' },
+  { value: 'dormant', label: 'Dormant' },
+  { value: 'dismissed', label: 'Dismissed' }
+]
+
+const STATUS_BADGES = {
+  active: 'badge-warning',
+  confirmed: 'badge-danger',
+  dormant: 'badge-info',
+  dismissed: 'badge-pending'
+}
+
+const confidenceColor = (confidence) => {
+  if (confidence >= 75) return 'bg-red-500'
+  if (confidence >= 55) return 'bg-orange-500'
+  return 'bg-yellow-500'
+}
+
+const formatDateTime = (value) => value
+  ? new Date(value).toLocaleString('en-GB', { timeZone: 'Asia/Dhaka', dateStyle: 'medium', timeStyle: 'short' })
+  : '—'
+
+const RecurringPatterns = () => {
+  const [patterns, setPatterns] = useState([])
+  const [statusFilter, setStatusFilter] = useState('active,confirmed')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [expanded, setExpanded] = useState(null)
+  const [details, setDetails] = useState({})
+  const [reviewing, setReviewing] = useState(null)
+
+  const fetchPatterns = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await apiService.getRecurringPatterns({ status: statusFilter, limit: 100 })
+      setPatterns(response.data || [])
+    } catch (err) {
+      const errorResponse = handleApiError(err, 'RecurringPatterns')
+      setError(errorResponse.userMessage || 'Failed to load recurring patterns')
+    } finally {
+      setLoading(false)
+    }
+  }, [statusFilter])
+
+  useEffect(() => {
+    fetchPatterns()
+  }, [fetchPatterns])
+
+  // New patterns are pushed by the detector - refresh the list
+  useEffect(() => {
+    return websocketService.on('recurring_pattern_detected', () => fetchPatterns())
+  }, [fetchPatterns])
+
+  const toggleExpanded = async (patternId) => {
+    if (expanded === patternId) {
+      setExpanded(null)
+      return
+    }
+    setExpanded(patternId)
+    if (!details[patternId]) {
+      try {
+        const response = await apiService.getRecurringPattern(patternId)
+        setDetails(prev => ({ ...prev, [patternId]: response.data }))
+      } catch (err) {
+        handleApiError(err, 'RecurringPatterns')
+      }
+    }
+  }
+
+  const reviewPattern = async (pattern, status) => {
+    const note = window.prompt(
+      status === 'dismissed' ? 'Why is this not a real pattern? (optional)' : 'Add a note for police follow-up (optional)'
+    )
+    if (note === null) return
+
+    try {
+      setReviewing(pattern._id)
+      const response = await apiService.reviewRecurringPattern(pattern._id, status, note)
+      setPatterns(prev => prev.map(item => item._id === pattern._id ? { ...item, ...response.data } : item))
+    } catch (err) {
+      const errorResponse = handleApiError(err, 'RecurringPatterns')
+      setError(errorResponse.userMessage || 'Failed to review pattern')
+    } finally {
+      setReviewing(null)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Repeat className="w-5 h-5 text-safe-primary" />
+          <h3 className="text-lg font-semibold text-neutral-800">Recurring Patterns</h3>
+          <span className="text-sm text-neutral-500">({patterns.length})</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            className="form-select"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+          >
+            {STATUS_FILTERS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button onClick={fetchPatterns} className="btn-secondary btn-sm" disabled={loading}>
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      <div className="card-body">
+        {error && <div className="alert-danger mb-4">{error}</div>}
+
+        {!loading && patterns.length === 0 && (
+          <p className="text-center text-neutral-500 py-10">No recurring patterns found.</p>
+        )}
+
+        <div className="space-y-3">
+          {patterns.map(pattern => (
+            <div key={pattern._id} className="border border-neutral-200 rounded-lg p-4">
+              <div className="flex items-start justify-between">
+                <div>
+                  <div className="flex items-center space-x-2 mb-1">
+                    <span className="font-medium text-neutral-800 capitalize">{pattern.type.replace(/_/g, ' ')}</span>
+                    <span className={`badge ${STATUS_BADGES[pattern.status] || 'badge-info'}`}>{pattern.status}</span>
+                    <span className={`text-white text-xs rounded-full px-2 py-0.5 ${confidenceColor(pattern.confidence)}`}>
+                      {pattern.confidence}% confidence
+                    </span>
+                  </div>
+                  <div className="text-sm text-neutral-600 flex flex-wrap gap-x-4 gap-y-1">
+                    <span className="flex items-center"><Clock className="w-4 h-4 mr-1" />{pattern.scheduleLabel}</span>
+                    <span className="flex items-center">
+                      <MapPin className="w-4 h-4 mr-1" />
+                      {pattern.adminArea?.thana?.name || pattern.adminArea?.district?.name || 'Unknown area'} · {pattern.radiusMeters}m
+                    </span>
+                    <span>{pattern.occurrences} reports over {pattern.distinctPeriods} {pattern.period === 'weekly' ? 'weeks' : 'months'}</span>
+                  </div>
+                  <div className="text-sm text-neutral-700 mt-1">
+                    Next expected: <strong>{formatDateTime(pattern.predictedNextAt)}</strong>
+                  </div>
+                  {pattern.review?.note && (
+                    <p className="text-xs text-neutral-500 mt-1">Review note: {pattern.review.note}</p>
+                  )}
+                </div>
+
+                <div className="flex items-center space-x-2">
+                  {pattern.status !== 'confirmed' && (
+                    <button
+                      onClick={() => reviewPattern(pattern, 'confirmed')}
+                      className="btn-primary btn-sm flex items-center"
+                      disabled={reviewing === pattern._id}
+                    >
+                      <CheckCircle className="w-4 h-4 mr-1" /> Confirm
+                    </button>
+                  )}
+                  {pattern.status !== 'dismissed' && (
+                    <button
+                      onClick={() => reviewPattern(pattern, 'dismissed')}
+                      className="btn-secondary btn-sm flex items-center"
+                      disabled={reviewing === pattern._id}
+                    >
+                      <XCircle className="w-4 h-4 mr-1" /> Dismiss
+                    </button>
+                  )}
+                  <button onClick={() => toggleExpanded(pattern._id)} className="btn-outline btn-sm">
+                    {expanded === pattern._id ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                  </button>
+                </div>
+              </div>
+
+              {expanded === pattern._id && (
+                <div className="mt-3 border-t border-neutral-100 pt-3">
+                  {!details[pattern._id] ? (
+                    <p className="text-sm text-neutral-500">Loading linked reports…</p>
+                  ) : (
+                    <ul className="text-sm text-neutral-700 space-y-1">
+                      {details[pattern._id].reports.map(report => (
+                        <li key={report._id} className="flex justify-between">
+                          <span>{formatDateTime(report.incidentOccurredAt || report.createdAt)} · severity {report.severity}</span>
+                          <span className="text-neutral-500">{report.status}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RecurringPatterns
@@ -0,0 +1,108 @@
+// === src/components/Admin/ReportFollowUpThread.jsx ===
+// Moderator side of the anonymous follow-up thread for a single report
+import { useState, useEffect, useCallback } from 'react'
+import { MessageSquare, Send, RefreshCw } from 'lucide-react'
+import apiService from '../../services/api'
+
+const MAX_MESSAGE_LENGTH = 1000
+
+const ReportFollowUpThread = ({ reportId, incomingMessage }) => {
+  const [messages, setMessages] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [draft, setDraft] = useState('')
+  const [sending, setSending] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchMessages = useCallback(async () => {
+    setLoading(true)
+    const response = await apiService.getReportMessages(reportId)
+    if (response.success) {
+      setMessages(response.data.messages)
+      setError(null)
+    } else {
+      setError(response.message || 'Failed to load messages')
+    }
+    setLoading(false)
+  }, [reportId])
+
+  useEffect(() => {
+    fetchMessages()
+  }, [fetchMessages])
+
+  // Append reporter replies pushed over the socket
+  useEffect(() => {
+    if (!incomingMessage) return
+    setMessages(prev => prev.some(message => message.id === incomingMessage.id) ? prev : [...prev, incomingMessage])
+  }, [incomingMessage])
+
+  const sendMessage = async (e) => {
+    e.preventDefault()
+    if (!draft.trim()) return
+
+    setSending(true)
+    const response = await apiService.sendReportMessage(reportId, draft.trim())
+    if (response.success) {
+      setMessages(prev => [...prev, response.data])
+      setDraft('')
+      setError(null)
+    } else {
+      setError(response.message || 'Failed to send message')
+    }
+    setSending(false)
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-medium text-neutral-800 flex items-center">
+          <MessageSquare className="w-4 h-4 mr-2" />
+          Follow-up with Reporter
+        </h4>
+        <button onClick={fetchMessages} className="btn-ghost btn-sm" disabled={loading}>
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      <div className="bg-neutral-50 p-3 rounded space-y-2 max-h-64 overflow-y-auto">
+        {messages.length === 0 && !loading && (
+          <p className="text-sm text-neutral-500">
+            No messages yet. The reporter stays anonymous and reads replies through their receipt code.
+          </p>
+        )}
+        {messages.map((message) => (
+          <div
+            key={message.id}
+            className={`p-2 rounded text-sm ${
+              message.from === 'moderator' ? 'bg-blue-100 text-blue-900 ml-8' : 'bg-white border border-neutral-200 mr-8'
+            }`}
+          >
+            <div className="text-xs text-neutral-500 mb-1">
+              {message.from === 'moderator' ? (message.moderator || 'Moderator') : 'Reporter'} •{' '}
+              {new Date(message.createdAt).toLocaleString()}
+              {message.from === 'moderator' && message.read && ' • Read'}
+            </div>
+            <p className="whitespace-pre-wrap">{message.body}</p>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={sendMessage} className="mt-2 flex space-x-2">
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          maxLength={MAX_MESSAGE_LENGTH}
+          placeholder="Ask the reporter for clarification (e.g. which bus route?)"
+          className="form-input flex-1"
+        />
+        <button type="submit" disabled={sending || !draft.trim()} className="btn-primary btn-sm">
+          <Send className="w-4 h-4" />
+        </button>
+      </form>
+
+      {error && <p className="text-red-600 text-sm mt-1">{error}</p>}
+    </div>
+  )
+}
+
+export default ReportFollowUpThread
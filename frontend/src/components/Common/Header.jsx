@@ -61,6 +61,16 @@ function Header() {
             >
               Report
             </Link>
+            <Link 
+              to="/report/status" 
+              className={`px-4 py-2 rounded-lg font-medium transition-all duration-200 ${
+                isActive('/report/status') 
+                  ? 'bg-safe-primary text-white shadow-sm' 
+                  : 'text-neutral-600 hover:text-safe-primary hover:bg-neutral-100'
+              }`}
+            >
+              Check Report
+            </Link>
             {isAdminAuthenticated && (
               <Link 
                 to="/admin" 
@@ -125,6 +135,17 @@ function Header() {
               >
                 Report
               </Link>
+              <Link 
+                to="/report/status" 
+                className={`px-4 py-3 rounded-lg font-medium transition-all duration-200 ${
+                  isActive('/report/status') 
+                    ? 'bg-safe-primary text-white' 
+                    : 'text-neutral-600 hover:bg-neutral-100'
+                }`}
+                onClick={() => setIsMenuOpen(false)}
+              >
+                Check Report
+              </Link>
               {isAdminAuthenticated && (
                 <Link 
                   to="/admin" 
@@ -101,11 +101,11 @@ const ProtectedRoute = ({
   if (isAuthenticated && requiredRole && userType !== requiredRole) {
     console.log(`🔒 Access denied - Role mismatch. Required: ${requiredRole}, Current: ${userType}`);
     
-    // For admin routes, redirect to admin login if not admin
-    if (requiredRole === 'admin' && userType !== 'admin') {
+    // For admin and police routes, redirect to that role's login
+    if (requiredRole === 'admin' || requiredRole === 'police') {
       return (
         <Navigate 
-          to="/admin/login" 
+          to={redirectTo} 
           state={{ 
             from: location,
             reason: 'insufficient_role',
@@ -215,6 +215,22 @@ export const AdminProtectedRoute = ({
   );
 };
 
+/**
+ * PoliceProtectedRoute - Specialized component for the police portal
+ * Verified officers only; everyone else is sent to the police login
+ */
+export const PoliceProtectedRoute = ({ children, ...props }) => {
+  return (
+    <ProtectedRoute 
+      requiredRole="police" 
+      redirectTo="/police/login"
+      {...props}
+    >
+      {children}
+    </ProtectedRoute>
+  );
+};
+
 /**
  * AuthenticatedRoute - For any authenticated user
  * Convenience wrapper for general authentication protection
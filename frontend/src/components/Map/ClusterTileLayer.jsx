@@ -0,0 +1,257 @@
+// === frontend/src/components/Map/ClusterTileLayer.jsx ===
+/**
+ * ClusterTileLayer - server-side clustered report tiles
+ * Fetches /api/reports/tiles/:z/:x/:y for the visible tiles on every pan/zoom,
+ * so clusters count every published report rather than the reports loaded in
+ * the browser. Advanced filters are sent with each tile request.
+ */
+import { useEffect, useRef, useState, useMemo } from 'react'
+import L from 'leaflet'
+import apiService from '../../services/api'
+import { getClusterColorScheme, getClusterSizeConfig, formatClusterCount } from './ClusterIcon'
+
+const MAX_TILE_ZOOM = 20
+const MAX_TILES_PER_VIEW = 64
+const TILE_REUSE_MS = 60 * 1000 // Server invalidates changed tiles; this only saves refetching while panning
+
+const INCIDENT_LABELS = {
+  chadabaji: 'Chadabaji (Extortion)',
+  teen_gang: 'Teen Gang Activity',
+  chintai: 'Chintai (Harassment)',
+  political_harassment: 'Political Harassment',
+  eve_teasing: 'Eve Teasing',
+  other: 'Other Incident'
+}
+
+const toDhakaDate = (value) => new Date(value).toLocaleDateString('en-CA', { timeZone: 'Asia/Dhaka' })
+
+// Advanced filter state -> tile query. Time-of-day, weekday and text search stay
+// client-side only: the browser's time slots don't match the server's buckets.
+const toTileQuery = (filters = {}) => {
+  const query = {}
+  if (filters.incidentTypes?.length > 0) query.types = [...filters.incidentTypes].sort().join(',')
+  if (filters.severityRange && (filters.severityRange[0] > 1 || filters.severityRange[1] < 5)) {
+    query.minSeverity = filters.severityRange[0]
+    query.maxSeverity = filters.severityRange[1]
+  }
+  if (filters.dateRange?.startDate) query.startDate = toDhakaDate(filters.dateRange.startDate)
+  if (filters.dateRange?.endDate) query.endDate = toDhakaDate(filters.dateRange.endDate)
+  return query
+}
+
+// Visible tile range for the map's current view
+const getVisibleTiles = (map) => {
+  const z = Math.max(0, Math.min(MAX_TILE_ZOOM, Math.round(map.getZoom())))
+  const n = 2 ** z
+  const bounds = map.getBounds()
+  const toX = (lng) => Math.min(n - 1, Math.max(0, Math.floor((lng + 180) / 360 * n)))
+  const toY = (lat) => {
+    const latRad = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180
+    return Math.min(n - 1, Math.max(0, Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n)))
+  }
+
+  const tiles = []
+  for (let x = toX(bounds.getWest()); x <= toX(bounds.getEast()); x++) {
+    for (let y = toY(bounds.getNorth()); y <= toY(bounds.getSouth()); y++) {
+      tiles.push({ z, x, y })
+    }
+  }
+  return tiles.slice(0, MAX_TILES_PER_VIEW)
+}
+
+const createClusterIcon = (properties, useBengaliNumerals) => {
+  const types = properties.types || {}
+  const dominantType = Object.keys(types)[0] || 'other'
+  const colors = getClusterColorScheme({
+    dominantType,
+    averageSeverity: properties.averageSeverity,
+    hasHighRisk: properties.maxSeverity >= 4
+  })
+  const { size, textSize, ringSize } = getClusterSizeConfig(properties.point_count)
+
+  return L.divIcon({
+    html: `
+      <div style="
+        width: ${size}px; height: ${size}px; border-radius: 50%;
+        background: ${colors.primary}; border: ${ringSize}px solid white;
+        box-shadow: 0 3px 10px rgba(0,0,0,0.35);
+        display: flex; align-items: center; justify-content: center;
+        color: white; font-weight: bold; font-size: ${textSize};
+      ">
+        ${formatClusterCount(properties.point_count, useBengaliNumerals)}
+      </div>
+    `,
+    className: 'custom-div-icon',
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  })
+}
+
+const createPointIcon = (properties) => {
+  const colors = getClusterColorScheme({
+    dominantType: properties.type,
+    averageSeverity: properties.severity,
+    hasHighRisk: properties.severity >= 4
+  })
+
+  return L.divIcon({
+    html: `<div style="width: 18px; height: 18px; border-radius: 50%; background: ${colors.primary}; border: 3px solid white; box-shadow: 0 2px 6px rgba(0,0,0,0.4);"></div>`,
+    className: 'custom-div-icon',
+    iconSize: [18, 18],
+    iconAnchor: [9, 9]
+  })
+}
+
+const createClusterPopup = (properties) => `
+  <div style="font-family: Inter, sans-serif; min-width: 180px; font-size: 12px; color: #4B5563; line-height: 1.5;">
+    <div style="font-weight: bold; color: #1F2937; margin-bottom: 4px;">${properties.point_count} reports</div>
+    ${Object.entries(properties.types || {}).map(([type, count]) => `<div>${INCIDENT_LABELS[type] || type}: ${count}</div>`).join('')}
+    <div style="margin-top: 4px;">Average severity: ${properties.averageSeverity}/5</div>
+    ${properties.genderSensitiveCount > 0 ? `<div>Female safety: ${properties.genderSensitiveCount}</div>` : ''}
+  </div>
+`
+
+const ClusterTileLayer = ({
+  map,
+  isVisible = true,
+  filters = {},
+  clusteringOptions = {},
+  onClusterClick = null,
+  onMarkerClick = null
+}) => {
+  const tileCacheRef = useRef(new Map())
+  const requestRef = useRef(0)
+  const [loading, setLoading] = useState(false)
+  const [summary, setSummary] = useState(null)
+
+  // Stable string so unrelated filter changes (search, sort) don't refetch tiles
+  const tileQuery = useMemo(() => new URLSearchParams(toTileQuery(filters)).toString(), [filters])
+  const useBengaliNumerals = Boolean(clusteringOptions.enableBengaliNumerals)
+
+  useEffect(() => {
+    if (!map || !isVisible) return
+
+    const group = L.layerGroup().addTo(map)
+    let active = true
+
+    const draw = (tiles) => {
+      group.clearLayers()
+      let reportCount = 0
+
+      tiles.forEach(tile => {
+        (tile?.data?.features || []).forEach(feature => {
+          const [lng, lat] = feature.geometry.coordinates
+          const { properties } = feature
+
+          if (properties.cluster) {
+            reportCount += properties.point_count
+            const marker = L.marker([lat, lng], { icon: createClusterIcon(properties, useBengaliNumerals) })
+            marker.bindPopup(createClusterPopup(properties), { maxWidth: 260, className: 'custom-popup' })
+            marker.on('click', () => {
+              // Zoom towards the cluster; at street level its reports share one privacy cell, so show the popup
+              if (map.getZoom() < 17) {
+                marker.closePopup()
+                map.setView([lat, lng], Math.min(map.getZoom() + 2, MAX_TILE_ZOOM))
+              }
+              if (onClusterClick) {
+                onClusterClick({ cluster: marker, markers: [], count: properties.point_count, bounds: L.latLngBounds([[lat, lng]]) })
+              }
+            })
+            marker.addTo(group)
+          } else {
+            reportCount += 1
+            const report = {
+              _id: properties.id,
+              type: properties.type,
+              severity: properties.severity,
+              status: properties.status,
+              genderSensitive: properties.genderSensitive,
+              createdAt: properties.createdAt,
+              incidentOccurredAt: properties.incidentOccurredAt,
+              location: { type: 'Point', coordinates: [lng, lat] }
+            }
+            const marker = L.marker([lat, lng], { icon: createPointIcon(properties) })
+            marker.bindPopup(`
+              <div style="font-family: Inter, sans-serif; font-size: 12px; color: #4B5563;">
+                <div style="font-weight: bold; color: #1F2937;">${INCIDENT_LABELS[properties.type] || properties.type}</div>
+                <div>Severity: ${properties.severity}/5</div>
+                <div>${new Date(properties.incidentOccurredAt || properties.createdAt).toLocaleDateString('en-GB', { timeZone: 'Asia/Dhaka' })}</div>
+              </div>
+            `, { maxWidth: 240, className: 'custom-popup' })
+            marker.on('click', () => {
+              if (onMarkerClick) onMarkerClick({ marker, report, position: marker.getLatLng() })
+            })
+            marker.addTo(group)
+          }
+        })
+      })
+
+      setSummary({ reportCount, tileCount: tiles.length })
+    }
+
+    const refresh = async () => {
+      const requestId = ++requestRef.current
+      const tiles = getVisibleTiles(map)
+      const now = Date.now()
+
+      setLoading(true)
+      const results = await Promise.allSettled(tiles.map(async ({ z, x, y }) => {
+        const key = `${tileQuery}|${z}/${x}/${y}`
+        const cached = tileCacheRef.current.get(key)
+        if (cached && now - cached.fetchedAt < TILE_REUSE_MS) return cached.response
+
+        const response = await apiService.getReportTile(z, x, y, Object.fromEntries(new URLSearchParams(tileQuery)))
+        tileCacheRef.current.set(key, { response, fetchedAt: Date.now() })
+        return response
+      }))
+
+      // A newer pan/zoom (or filter change) has started - let it draw
+      if (!active || requestId !== requestRef.current) return
+
+      const failed = results.filter(result => result.status === 'rejected')
+      if (failed.length > 0) console.warn(`⚠️ ${failed.length} report tiles failed to load:`, failed[0].reason?.message)
+
+      draw(results.filter(result => result.status === 'fulfilled').map(result => result.value))
+      setLoading(false)
+    }
+
+    refresh()
+    map.on('moveend', refresh)
+
+    return () => {
+      active = false
+      map.off('moveend', refresh)
+      map.removeLayer(group)
+    }
+  }, [map, isVisible, tileQuery, useBengaliNumerals, onClusterClick, onMarkerClick])
+
+  // Drop cached tiles once they're too old to reuse
+  useEffect(() => {
+    const cache = tileCacheRef.current
+    const interval = setInterval(() => {
+      const cutoff = Date.now() - TILE_REUSE_MS
+      for (const [key, entry] of cache) {
+        if (entry.fetchedAt < cutoff) cache.delete(key)
+      }
+    }, TILE_REUSE_MS)
+    return () => clearInterval(interval)
+  }, [])
+
+  if (!isVisible) return null
+
+  return (
+    <div className="absolute top-44 left-3 z-[1000] bg-white/95 backdrop-blur-sm rounded-lg shadow-lg border border-neutral-200 px-3 py-2 text-xs">
+      <div className="flex items-center space-x-2">
+        <span className="font-semibold text-neutral-800">🗺️ Server clusters</span>
+        {loading && <div className="animate-spin w-3 h-3 border border-neutral-400 border-t-transparent rounded-full"></div>}
+      </div>
+      {summary && (
+        <div className="text-neutral-500 mt-1">
+          {summary.reportCount} published reports in view
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ClusterTileLayer
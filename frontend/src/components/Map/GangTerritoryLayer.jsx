@@ -0,0 +1,175 @@
+// === frontend/src/components/Map/GangTerritoryLayer.jsx ===
+/**
+ * GangTerritoryLayer - inferred teen_gang / chintai territories
+ * Draws the monthly territory polygons from /api/territories, coloured by how
+ * each territory changed since the previous month, with a month picker
+ */
+import { useEffect, useRef, useState } from 'react'
+import L from 'leaflet'
+import apiService from '../../services/api'
+
+// Colour and label per month-over-month change
+const CHANGE_STYLES = {
+  new: { color: '#DC2626', label: 'New' },
+  expanded: { color: '#EA580C', label: 'Expanding' },
+  shifted: { color: '#9333EA', label: 'Moved' },
+  stable: { color: '#B45309', label: 'Stable' },
+  contracted: { color: '#CA8A04', label: 'Shrinking' },
+  dissolved: { color: '#6B7280', label: 'Dissolved' }
+}
+
+const formatMonth = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number)
+  return new Date(Date.UTC(year, monthIndex - 1, 1)).toLocaleDateString('en-GB', { month: 'short', year: 'numeric', timeZone: 'UTC' })
+}
+
+const createPopupContent = (territory) => {
+  const style = CHANGE_STYLES[territory.change?.status] || CHANGE_STYLES.stable
+  const area = territory.adminArea?.thana?.name || territory.adminArea?.district?.name
+  const { change = {} } = territory
+
+  let changeDetail = ''
+  if (change.status === 'shifted') changeDetail = `Moved about ${change.shiftMeters}m since last month`
+  else if (change.status === 'expanded' || change.status === 'contracted') {
+    changeDetail = `Area ${change.areaChangePct > 0 ? '+' : ''}${change.areaChangePct}% since last month`
+  } else if (change.status === 'dissolved') changeDetail = 'No longer active this month'
+  else if (change.status === 'new') changeDetail = 'First seen this month'
+
+  return `
+    <div style="font-family: Inter, sans-serif; min-width: 200px;">
+      <div style="display: flex; align-items: center; margin-bottom: 8px;">
+        <span style="background: ${style.color}; color: white; padding: 2px 8px; border-radius: 12px; font-size: 11px; font-weight: bold;">
+          ${style.label}
+        </span>
+        ${area ? `<span style="margin-left: 8px; font-size: 12px; color: #374151;">${area}</span>` : ''}
+      </div>
+      <div style="font-weight: bold; color: #1F2937; margin-bottom: 4px;">Gang activity territory</div>
+      <div style="font-size: 12px; color: #6B7280; line-height: 1.5;">
+        ${territory.reportCount > 0 ? `<div>👥 ${territory.typeBreakdown?.teen_gang || 0} teen gang • ⚠️ ${territory.typeBreakdown?.chintai || 0} chintai reports</div>` : ''}
+        <div>Area: ${(territory.areaSqMeters / 1e6).toFixed(2)} km²</div>
+        ${changeDetail ? `<div>${changeDetail}</div>` : ''}
+      </div>
+    </div>
+  `
+}
+
+const GangTerritoryLayer = ({
+  map,
+  isVisible = true,
+  type = null,
+  showDissolved = true
+}) => {
+  const layerGroupRef = useRef(null)
+  const [month, setMonth] = useState(null)
+  const [months, setMonths] = useState([])
+  const [territories, setTerritories] = useState([])
+  const [loading, setLoading] = useState(false)
+
+  // Fetch the selected month's territories
+  useEffect(() => {
+    if (!isVisible) return
+    let cancelled = false
+
+    const fetchTerritories = async () => {
+      setLoading(true)
+      try {
+        const filters = { includeDissolved: String(showDissolved) }
+        if (month) filters.month = month
+        if (type) filters.type = type
+
+        const response = await apiService.getGangTerritories(filters)
+        if (cancelled) return
+        setTerritories(response.data || [])
+        setMonths(response.months || [])
+        if (!month && response.month) setMonth(response.month)
+      } catch (error) {
+        console.error('❌ Failed to load gang territories:', error)
+        if (!cancelled) setTerritories([])
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchTerritories()
+    return () => { cancelled = true }
+  }, [isVisible, month, type, showDissolved])
+
+  // Draw polygons
+  useEffect(() => {
+    if (!map) return
+
+    if (layerGroupRef.current) {
+      map.removeLayer(layerGroupRef.current)
+      layerGroupRef.current = null
+    }
+    if (!isVisible || territories.length === 0) return
+
+    const group = L.layerGroup()
+    territories.forEach(territory => {
+      const style = CHANGE_STYLES[territory.change?.status] || CHANGE_STYLES.stable
+      const dissolved = territory.change?.status === 'dissolved'
+
+      L.geoJSON(territory.polygon, {
+        style: {
+          color: style.color,
+          weight: 2,
+          opacity: dissolved ? 0.6 : 0.9,
+          fillColor: style.color,
+          fillOpacity: dissolved ? 0.03 : 0.18,
+          dashArray: dissolved ? '6, 6' : null
+        }
+      })
+        .bindPopup(createPopupContent(territory), { maxWidth: 280, className: 'custom-popup' })
+        .addTo(group)
+    })
+    group.addTo(map)
+    layerGroupRef.current = group
+
+    console.log(`👥 Gang territory layer drawn: ${territories.length} territories`)
+
+    return () => {
+      if (layerGroupRef.current && map) {
+        map.removeLayer(layerGroupRef.current)
+        layerGroupRef.current = null
+      }
+    }
+  }, [map, isVisible, territories])
+
+  if (!isVisible) return null
+
+  return (
+    <div className="absolute top-28 right-4 z-[1000] bg-white/95 backdrop-blur-sm rounded-lg shadow-lg border border-neutral-200 p-3 text-xs w-48">
+      <div className="flex items-center justify-between mb-2">
+        <span className="font-semibold text-neutral-800">👥 Gang Territories</span>
+        {loading && <div className="animate-spin w-3 h-3 border border-neutral-400 border-t-transparent rounded-full"></div>}
+      </div>
+
+      {months.length > 0 ? (
+        <select
+          value={month || ''}
+          onChange={(e) => setMonth(e.target.value)}
+          className="w-full mb-2 border border-neutral-200 rounded px-2 py-1 text-xs"
+        >
+          {months.map(value => (
+            <option key={value} value={value}>{formatMonth(value)}</option>
+          ))}
+        </select>
+      ) : (
+        !loading && <p className="text-neutral-500 mb-2">No territories inferred yet</p>
+      )}
+
+      <div className="space-y-1">
+        {Object.entries(CHANGE_STYLES)
+          .filter(([status]) => showDissolved || status !== 'dissolved')
+          .map(([status, style]) => (
+            <div key={status} className="flex items-center text-neutral-600">
+              <span className="w-3 h-3 rounded-sm mr-2" style={{ backgroundColor: style.color, opacity: status === 'dissolved' ? 0.5 : 0.8 }}></span>
+              {style.label}
+            </div>
+          ))}
+      </div>
+    </div>
+  )
+}
+
+export default GangTerritoryLayer
@@ -0,0 +1,169 @@
+// === frontend/src/components/Map/HotspotLayer.jsx ===
+/**
+ * HotspotLayer - statistically significant hot and cold spots
+ * Draws the Getis-Ord Gi* grid cells from /api/hotspots, shaded by confidence
+ * level (90/95/99%), with type, period and confidence pickers
+ */
+import { useEffect, useRef, useState } from 'react'
+import L from 'leaflet'
+import apiService from '../../services/api'
+
+const CELL_COLORS = {
+  hot: { 99: '#B91C1C', 95: '#EF4444', 90: '#FCA5A5' },
+  cold: { 99: '#1D4ED8', 95: '#3B82F6', 90: '#93C5FD' }
+}
+
+const PERIODS = [
+  { value: 'week', label: 'Last 7 days' },
+  { value: 'month', label: 'Last 30 days' },
+  { value: 'quarter', label: 'Last 90 days' },
+  { value: 'year', label: 'Last 12 months' }
+]
+
+const TYPES = [
+  { value: 'all', label: 'All incidents' },
+  { value: 'chadabaji', label: 'Chadabaji' },
+  { value: 'teen_gang', label: 'Teen gang' },
+  { value: 'chintai', label: 'Chintai' },
+  { value: 'political_harassment', label: 'Political harassment' },
+  { value: 'eve_teasing', label: 'Eve teasing' },
+  { value: 'other', label: 'Other' }
+]
+
+const createPopupContent = (cell) => `
+  <div style="font-family: Inter, sans-serif; min-width: 190px;">
+    <div style="margin-bottom: 6px;">
+      <span style="background: ${CELL_COLORS[cell.kind][cell.confidence]}; color: white; padding: 2px 8px; border-radius: 12px; font-size: 11px; font-weight: bold;">
+        ${cell.kind === 'hot' ? 'Hot spot' : 'Cold spot'} • ${cell.confidence}% confidence
+      </span>
+    </div>
+    <div style="font-size: 12px; color: #4B5563; line-height: 1.5;">
+      <div>Reports in cell: ${cell.count}</div>
+      <div>Reports in neighbourhood: ${cell.neighbourhoodCount}</div>
+      <div>Gi* z-score: ${cell.zScore.toFixed(2)}</div>
+      <div>${cell.qValue !== undefined && cell.qValue !== null ? `FDR-adjusted p: ${cell.qValue}` : `p: ${cell.pValue}`}</div>
+    </div>
+  </div>
+`
+
+const HotspotLayer = ({
+  map,
+  isVisible = true,
+  defaultType = 'all',
+  defaultPeriod = 'month'
+}) => {
+  const layerGroupRef = useRef(null)
+  const [type, setType] = useState(defaultType)
+  const [period, setPeriod] = useState(defaultPeriod)
+  const [minConfidence, setMinConfidence] = useState(90)
+  const [analysis, setAnalysis] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  // Fetch the stored analysis
+  useEffect(() => {
+    if (!isVisible) return
+    let cancelled = false
+
+    const fetchHotspots = async () => {
+      setLoading(true)
+      setMessage(null)
+      try {
+        const response = await apiService.getHotspots({ type, period, minConfidence })
+        if (cancelled) return
+        setAnalysis(response)
+        if (response.skipped) setMessage(`Not enough data: ${response.skippedReason}`)
+      } catch (error) {
+        if (cancelled) return
+        setAnalysis(null)
+        setMessage(error.message || 'Failed to load hotspots')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchHotspots()
+    return () => { cancelled = true }
+  }, [isVisible, type, period, minConfidence])
+
+  // Draw cells
+  useEffect(() => {
+    if (!map) return
+
+    if (layerGroupRef.current) {
+      map.removeLayer(layerGroupRef.current)
+      layerGroupRef.current = null
+    }
+    const cells = analysis?.data || []
+    if (!isVisible || cells.length === 0) return
+
+    const group = L.layerGroup()
+    cells.forEach(cell => {
+      const [[minLng, minLat], [maxLng, maxLat]] = cell.bounds
+      const color = CELL_COLORS[cell.kind]?.[cell.confidence] || '#9CA3AF'
+
+      L.rectangle([[minLat, minLng], [maxLat, maxLng]], {
+        color,
+        weight: 1,
+        opacity: 0.8,
+        fillColor: color,
+        fillOpacity: 0.45
+      })
+        .bindPopup(createPopupContent(cell), { maxWidth: 260, className: 'custom-popup' })
+        .addTo(group)
+    })
+    group.addTo(map)
+    layerGroupRef.current = group
+
+    console.log(`📊 Hotspot layer drawn: ${cells.length} significant cells`)
+
+    return () => {
+      if (layerGroupRef.current && map) {
+        map.removeLayer(layerGroupRef.current)
+        layerGroupRef.current = null
+      }
+    }
+  }, [map, isVisible, analysis])
+
+  if (!isVisible) return null
+
+  return (
+    <div className="absolute top-44 left-3 z-[1000] bg-white/95 backdrop-blur-sm rounded-lg shadow-lg border border-neutral-200 p-3 text-xs w-56">
+      <div className="flex items-center justify-between mb-2">
+        <span className="font-semibold text-neutral-800">📊 Significant Hotspots</span>
+        {loading && <div className="animate-spin w-3 h-3 border border-neutral-400 border-t-transparent rounded-full"></div>}
+      </div>
+
+      <div className="space-y-1 mb-2">
+        <select value={type} onChange={(e) => setType(e.target.value)} className="w-full border border-neutral-200 rounded px-2 py-1 text-xs">
+          {TYPES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <select value={period} onChange={(e) => setPeriod(e.target.value)} className="w-full border border-neutral-200 rounded px-2 py-1 text-xs">
+          {PERIODS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <select value={minConfidence} onChange={(e) => setMinConfidence(parseInt(e.target.value))} className="w-full border border-neutral-200 rounded px-2 py-1 text-xs">
+          {[90, 95, 99].map(level => <option key={level} value={level}>{level}% confidence or higher</option>)}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 gap-x-2 gap-y-1 text-neutral-600">
+        {[99, 95, 90].flatMap(level => ['hot', 'cold'].map(kind => (
+          <div key={`${kind}-${level}`} className="flex items-center">
+            <span className="w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: CELL_COLORS[kind][level] }}></span>
+            {kind === 'hot' ? 'Hot' : 'Cold'} {level}%
+          </div>
+        )))}
+      </div>
+
+      {message && <p className="text-neutral-500 mt-2">{message}</p>}
+      {analysis?.method && !analysis.skipped && (
+        <p className="text-neutral-400 mt-2 leading-snug">
+          Getis-Ord Gi* on {analysis.method.cellSizeMeters}m cells, {analysis.count} significant
+          {analysis.method.multipleTesting === 'benjamini_hochberg_fdr' ? ' (FDR-corrected)' : ''}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default HotspotLayer
@@ -14,6 +14,15 @@ import MarkerCluster from './MarkerCluster'
 import SafeZones from './SafeZones'
 import RoutePlanner from './RoutePlanner'
 
+// 🆕 Inferred gang territory polygons
+import GangTerritoryLayer from './GangTerritoryLayer'
+
+// 🆕 Statistically significant hotspots (Gi*)
+import HotspotLayer from './HotspotLayer'
+
+// 🆕 Server-side clustered report tiles
+import ClusterTileLayer from './ClusterTileLayer'
+
 // Fix default marker icon issue in Leaflet (PRESERVED)
 delete L.Icon.Default.prototype._getIconUrl
 L.Icon.Default.mergeOptions({
@@ -27,7 +36,7 @@ const MapView = ({
   reports = [], 
   center = [23.8103, 90.4125], 
   zoom = 11,
-  viewMode = 'markers', // 'markers', 'heatmap', 'hybrid', 'clusters'
+  viewMode = 'markers', // 'markers', 'heatmap', 'hybrid', 'clusters', 'hotspots'
   heatmapOptions = {},
   clusteringOptions = {},
   onMapReady = null,
@@ -44,7 +53,14 @@ const MapView = ({
   onSafeZoneSelect = null,
   onSafeZoneHover = null,
   onRouteSelect = null,
-  onRouteHover = null
+  onRouteHover = null,
+
+  // 🆕 GANG TERRITORY LAYER
+  showGangTerritories = false,
+  gangTerritoryOptions = {},
+
+  // 🆕 ADVANCED FILTERS, sent with server-side cluster tile requests
+  filters = {}
 }) => {
   // ✅ EXISTING STATE PRESERVED
   const mapRef = useRef(null)
@@ -246,14 +262,16 @@ const MapView = ({
         markers: '📍 Individual Markers',
         clusters: '🎯 Smart Clusters',
         heatmap: '🔥 Density Heatmap', 
-        hybrid: '🔍 Hybrid View'
+        hybrid: '🔍 Hybrid View',
+        hotspots: '📊 Significant Hotspots'
       }
       
       const modeColors = {
         markers: '#006A4E',
         clusters: '#8B5CF6',
         heatmap: '#F59E0B',
-        hybrid: '#EF4444'
+        hybrid: '#EF4444',
+        hotspots: '#BE123C'
       }
 
       const actualViewMode = renderingStrategy.preferClustering && viewMode === 'markers' ? 'clusters' : viewMode
@@ -450,6 +468,7 @@ const MapView = ({
   const shouldUseClustering = useMemo(() => {
     if (viewMode === 'clusters') return true
     if (viewMode === 'heatmap') return false
+    if (viewMode === 'hotspots') return false
     if (viewMode === 'hybrid') return reports.length > 100
     if (viewMode === 'markers') return renderingStrategy.preferClustering
     return false
@@ -458,6 +477,7 @@ const MapView = ({
   const shouldShowIndividualMarkers = useMemo(() => {
     if (viewMode === 'heatmap') return false
     if (viewMode === 'clusters') return false
+    if (viewMode === 'hotspots') return false
     if (viewMode === 'hybrid') return reports.length <= 100
     if (viewMode === 'markers') return !shouldUseClustering
     return false
@@ -537,8 +557,8 @@ const MapView = ({
         style={{ zIndex: 1 }}
       />
       
-      {/* ✅ EXISTING MARKER CLUSTERING PRESERVED */}
-      {isMapReady && shouldUseClustering && (
+      {/* ✅ EXISTING MARKER CLUSTERING PRESERVED - hybrid and busy marker views */}
+      {isMapReady && shouldUseClustering && viewMode !== 'clusters' && (
         <MarkerCluster
           map={mapInstanceRef.current}
           reports={reports}
@@ -559,6 +579,26 @@ const MapView = ({
         />
       )}
 
+      {/* 🆕 SERVER-SIDE CLUSTER TILES - every published report, not just the loaded ones */}
+      {isMapReady && viewMode === 'clusters' && (
+        <ClusterTileLayer
+          map={mapInstanceRef.current}
+          isVisible={true}
+          filters={filters}
+          clusteringOptions={enhancedClusteringOptions}
+          onClusterClick={handleClusterClick}
+          onMarkerClick={onMarkerClick}
+        />
+      )}
+
+      {/* 🆕 SIGNIFICANT HOTSPOTS (Gi*) - replaces markers in this mode */}
+      {isMapReady && viewMode === 'hotspots' && (
+        <HotspotLayer
+          map={mapInstanceRef.current}
+          isVisible={true}
+        />
+      )}
+
       {/* 🆕 PHASE 3B: SAFE ZONES OVERLAY */}
       {isMapReady && showSafeZones && (
         <SafeZones
@@ -590,6 +630,16 @@ const MapView = ({
         />
       )}
 
+      {/* 🆕 GANG TERRITORY OVERLAY */}
+      {isMapReady && showGangTerritories && (
+        <GangTerritoryLayer
+          map={mapInstanceRef.current}
+          isVisible={true}
+          type={gangTerritoryOptions.type || null}
+          showDissolved={gangTerritoryOptions.showDissolved !== false}
+        />
+      )}
+
       {/* ✅ EXISTING PERFORMANCE WARNING PRESERVED */}
       {performanceMode === 'heavy' && viewMode === 'markers' && !shouldUseClustering && (
         <div className="absolute top-4 left-4 z-[1000] bg-amber-50 border border-amber-200 rounded-lg p-3 max-w-xs">
@@ -642,6 +692,7 @@ const MapView = ({
           {/* 🆕 PHASE 3B: INTELLIGENCE DEBUG INFO */}
           {showSafeZones && <div className="text-green-400">🛡️ Safe Zones: Active</div>}
           {showRoutePlanner && <div className="text-blue-400">🗺️ Routing: Active</div>}
+          {showGangTerritories && <div className="text-red-400">👥 Territories: Active</div>}
         </div>
       )}
     </div>
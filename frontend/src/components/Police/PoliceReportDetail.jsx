@@ -0,0 +1,254 @@
+// === src/components/Police/PoliceReportDetail.jsx ===
+// One report in the officer's jurisdiction, with its police notes and recorded actions
+import { useState, useEffect, useCallback } from 'react'
+import { MapPin, Clock, FileText, ClipboardCheck, Loader2, AlertTriangle, X } from 'lucide-react'
+import apiService from '../../services/api'
+import { logError } from '../../services/utils/logger'
+
+const formatLabel = (value = '') => value.replace(/_/g, ' ')
+
+function PoliceReportDetail({ reportId, actionTypes = [], canAddNotes = false, onClose }) {
+  const [detail, setDetail] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [noteText, setNoteText] = useState('')
+  const [actionForm, setActionForm] = useState({ action: '', reference: '', text: '' })
+  const [submitting, setSubmitting] = useState(null)
+  const [formError, setFormError] = useState(null)
+
+  const fetchDetail = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await apiService.getPoliceReport(reportId)
+      if (response.success) {
+        setDetail(response.data)
+        setError(null)
+      } else {
+        setError(response.message || 'Report not found in your jurisdiction')
+      }
+    } catch (err) {
+      logError('Failed to load police report', 'PoliceReportDetail', err)
+      setError('Failed to load report')
+    } finally {
+      setLoading(false)
+    }
+  }, [reportId])
+
+  useEffect(() => {
+    fetchDetail()
+  }, [fetchDetail])
+
+  // New entries go to the top - notes are listed newest first
+  const addEntry = (entry) => {
+    setDetail(prev => ({ ...prev, notes: [entry, ...prev.notes] }))
+  }
+
+  const handleAddNote = async (e) => {
+    e.preventDefault()
+    if (!noteText.trim()) return
+
+    setSubmitting('note')
+    setFormError(null)
+    const response = await apiService.addPoliceNote(reportId, noteText.trim())
+    setSubmitting(null)
+
+    if (response.success) {
+      addEntry(response.data)
+      setNoteText('')
+    } else {
+      setFormError(response.message || 'Failed to add note')
+    }
+  }
+
+  const handleRecordAction = async (e) => {
+    e.preventDefault()
+    if (!actionForm.action) return
+
+    setSubmitting('action')
+    setFormError(null)
+    const response = await apiService.recordPoliceAction(reportId, {
+      action: actionForm.action,
+      reference: actionForm.reference.trim(),
+      text: actionForm.text.trim()
+    })
+    setSubmitting(null)
+
+    if (response.success) {
+      addEntry(response.data)
+      setActionForm({ action: '', reference: '', text: '' })
+    } else {
+      setFormError(response.message || 'Failed to record action')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-neutral-200 p-8 flex justify-center">
+        <Loader2 className="w-6 h-6 animate-spin text-safe-primary" />
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-neutral-200 p-6">
+        <div className="flex items-center text-red-600">
+          <AlertTriangle className="w-5 h-5 mr-2" />
+          <span>{error}</span>
+        </div>
+      </div>
+    )
+  }
+
+  const { report, notes } = detail
+  const area = report.location?.adminArea
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-neutral-200">
+      {/* Report */}
+      <div className="p-6 border-b border-neutral-200">
+        <div className="flex items-start justify-between mb-3">
+          <div>
+            <h3 className="text-lg font-semibold text-neutral-800 capitalize">{formatLabel(report.type)}</h3>
+            <div className="flex items-center space-x-2 mt-1">
+              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-neutral-100 text-neutral-700 capitalize">
+                {formatLabel(report.status)}
+              </span>
+              <span className="text-xs text-neutral-500">Severity {report.severity}/5</span>
+            </div>
+          </div>
+          <button onClick={onClose} className="text-neutral-400 hover:text-neutral-600" aria-label="Close report">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-neutral-700 mb-4 whitespace-pre-line">{report.description}</p>
+
+        <div className="space-y-1 text-sm text-neutral-600">
+          <div className="flex items-center">
+            <MapPin className="w-4 h-4 mr-2 flex-shrink-0" />
+            <span>
+              {report.location?.address || 'No address given'}
+              {area?.thana?.name && ` — ${area.thana.name}`}
+            </span>
+          </div>
+          <div className="flex items-center">
+            <Clock className="w-4 h-4 mr-2 flex-shrink-0" />
+            <span>
+              {new Date(report.incidentOccurredAt || report.createdAt).toLocaleString()}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      {/* Add note / record action */}
+      {canAddNotes && (
+        <div className="p-6 border-b border-neutral-200 space-y-4">
+          {formError && (
+            <p className="text-sm text-red-600">{formError}</p>
+          )}
+
+          <form onSubmit={handleAddNote} className="space-y-2">
+            <label htmlFor="police-note" className="block text-sm font-medium text-neutral-700">
+              Add Note
+            </label>
+            <textarea
+              id="police-note"
+              value={noteText}
+              onChange={(e) => setNoteText(e.target.value)}
+              maxLength={2000}
+              rows={3}
+              className="form-input border-neutral-300 focus:border-safe-primary"
+              placeholder="Visible to police only"
+            />
+            <button
+              type="submit"
+              disabled={!noteText.trim() || submitting !== null}
+              className="btn btn-primary text-sm disabled:opacity-50"
+            >
+              {submitting === 'note' ? 'Saving...' : 'Add Note'}
+            </button>
+          </form>
+
+          <form onSubmit={handleRecordAction} className="space-y-2">
+            <label htmlFor="police-action" className="block text-sm font-medium text-neutral-700">
+              Record Action Taken
+            </label>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              <select
+                id="police-action"
+                value={actionForm.action}
+                onChange={(e) => setActionForm(prev => ({ ...prev, action: e.target.value }))}
+                className="form-input border-neutral-300 focus:border-safe-primary capitalize"
+              >
+                <option value="">Select action...</option>
+                {actionTypes.map(action => (
+                  <option key={action} value={action}>{formatLabel(action)}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={actionForm.reference}
+                onChange={(e) => setActionForm(prev => ({ ...prev, reference: e.target.value }))}
+                maxLength={100}
+                className="form-input border-neutral-300 focus:border-safe-primary"
+                placeholder="GD / case number (optional)"
+              />
+            </div>
+            <input
+              type="text"
+              value={actionForm.text}
+              onChange={(e) => setActionForm(prev => ({ ...prev, text: e.target.value }))}
+              maxLength={2000}
+              className="form-input border-neutral-300 focus:border-safe-primary"
+              placeholder="Details (optional)"
+            />
+            <button
+              type="submit"
+              disabled={!actionForm.action || submitting !== null}
+              className="btn btn-secondary text-sm disabled:opacity-50"
+            >
+              {submitting === 'action' ? 'Saving...' : 'Record Action'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Police notes and actions */}
+      <div className="p-6">
+        <h4 className="text-sm font-semibold text-neutral-800 mb-3">Police Notes &amp; Actions ({notes.length})</h4>
+        {notes.length === 0 ? (
+          <p className="text-sm text-neutral-500">Nothing recorded yet</p>
+        ) : (
+          <ul className="space-y-3">
+            {notes.map(entry => (
+              <li key={entry._id} className="border-l-2 border-neutral-200 pl-3">
+                <div className="flex items-center text-sm font-medium text-neutral-800">
+                  {entry.kind === 'action' ? (
+                    <ClipboardCheck className="w-4 h-4 mr-1 text-bangladesh-green" />
+                  ) : (
+                    <FileText className="w-4 h-4 mr-1 text-neutral-500" />
+                  )}
+                  <span className="capitalize">
+                    {entry.kind === 'action' ? formatLabel(entry.action) : 'Note'}
+                  </span>
+                  {entry.reference && (
+                    <span className="ml-2 text-xs text-neutral-500">Ref: {entry.reference}</span>
+                  )}
+                </div>
+                {entry.text && (
+                  <p className="text-sm text-neutral-700 mt-1 whitespace-pre-line">{entry.text}</p>
+                )}
+                <p className="text-xs text-neutral-500 mt-1">
+                  {entry.officer?.rank ? `${entry.officer.rank} ` : ''}#{entry.officer?.badgeNumber} · {new Date(entry.createdAt).toLocaleString()}
+                </p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PoliceReportDetail
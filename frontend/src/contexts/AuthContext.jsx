@@ -11,6 +11,9 @@ const USER_TYPES = {
   RESEARCHER: 'researcher'
 };
 
+// NEW: Which login the stored token came from (admin or police)
+const SESSION_TYPE_KEY = 'safestreets_session_type';
+
 // --- Authentication States ---
 const AUTH_STATES = {
   UNAUTHENTICATED: 'unauthenticated',
@@ -247,7 +250,28 @@ export const AuthProvider = ({ children }) => {
     try {
       // Check for existing session token first
       const storedToken = localStorage.getItem('safestreets_admin_token');
-      if (storedToken) {
+
+      // NEW: Restore a police portal session
+      if (storedToken && localStorage.getItem(SESSION_TYPE_KEY) === USER_TYPES.POLICE) {
+        const sessionResponse = await apiService.verifyPoliceSession();
+        if (sessionResponse.success) {
+          dispatch({
+            type: ActionTypes.INIT_SUCCESS,
+            payload: {
+              userType: USER_TYPES.POLICE,
+              user: sessionResponse.user,
+              userId: sessionResponse.user.id,
+              permissions: sessionResponse.user.permissions,
+              sessionToken: storedToken,
+              sessionExpiry: new Date(Date.now() + 24 * 60 * 60 * 1000)
+            }
+          });
+          console.log('✅ AuthContext: Restored police session');
+          return;
+        }
+        localStorage.removeItem('safestreets_admin_token');
+        localStorage.removeItem(SESSION_TYPE_KEY);
+      } else if (storedToken) {
         const sessionResponse = await apiService.verifyAdminSession();
         if (sessionResponse.success) {
           // Initialize as authenticated user
@@ -330,6 +354,7 @@ export const AuthProvider = ({ children }) => {
         // Store token (using generic key for now, could be user-type specific)
         const token = response.token || response.accessToken;
         localStorage.setItem('safestreets_admin_token', token);
+        localStorage.setItem(SESSION_TYPE_KEY, userType);
         
         dispatch({
           type: ActionTypes.LOGIN_SUCCESS,
@@ -372,16 +397,24 @@ export const AuthProvider = ({ children }) => {
     return login(credentials, USER_TYPES.ADMIN);
   }, [login]);
 
+  // NEW: Convenience method for police portal login
+  const loginPolice = useCallback((credentials) => {
+    return login(credentials, USER_TYPES.POLICE);
+  }, [login]);
+
   const logout = useCallback(async () => {
     try {
       // Call logout endpoint if authenticated
-      if (state.userType !== USER_TYPES.ANONYMOUS) {
+      if (state.userType === USER_TYPES.POLICE) {
+        await apiService.policeLogout();
+      } else if (state.userType !== USER_TYPES.ANONYMOUS) {
         await apiService.adminLogout();
       }
     } catch (error) {
       console.error("Logout API call failed:", error);
     } finally {
       localStorage.removeItem('safestreets_admin_token');
+      localStorage.removeItem(SESSION_TYPE_KEY);
       dispatch({ type: ActionTypes.LOGOUT_SUCCESS });
       // Re-initialize as anonymous
       await initialize();
@@ -476,6 +509,7 @@ export const AuthProvider = ({ children }) => {
           console.log('🕒 Session expired');
           dispatch({ type: ActionTypes.SESSION_EXPIRED });
           localStorage.removeItem('safestreets_admin_token');
+          localStorage.removeItem(SESSION_TYPE_KEY);
         }
       };
       
@@ -491,6 +525,7 @@ export const AuthProvider = ({ children }) => {
     // Actions
     login,
     loginAdmin,
+    loginPolice,
     logout,
     updatePreferences,
     updateActivity,
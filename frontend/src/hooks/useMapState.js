@@ -169,7 +169,7 @@ export const useMapState = (options = {}) => {
         return prev
       }
 
-      if (updates.viewMode && !['markers', 'clusters', 'heatmap', 'hybrid'].includes(updates.viewMode)) {
+      if (updates.viewMode && !['markers', 'clusters', 'heatmap', 'hybrid', 'hotspots'].includes(updates.viewMode)) {
         console.warn('Invalid view mode:', updates.viewMode)
         return prev
       }
@@ -1,9 +1,14 @@
 // === src/hooks/useReports.js ===
 import { useState, useEffect } from 'react'
 import apiService from '../services/api'
+import syncStore from '../services/syncStore'
 
 export function useReports() {
-  const [reports, setReports] = useState([])
+  // NEW: Start from the locally synced copy, then fetch only what changed
+  const [reports, setReports] = useState(() => {
+    syncStore.load()
+    return syncStore.getReports()
+  })
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
 
@@ -11,11 +16,20 @@ export function useReports() {
     setLoading(true)
     setError(null)
     try {
-      const data = await apiService.getReports()
-      setReports(data.data || [])
-      console.log(data)
+      await syncStore.sync()
+      setReports(syncStore.getReports())
     } catch (err) {
-      setError(err.message)
+      // Delta sync unavailable - fall back to the plain list when there's nothing local
+      if (syncStore.hasData()) {
+        setError(err.message)
+      } else {
+        try {
+          const data = await apiService.getReports()
+          setReports(data.data || [])
+        } catch (fallbackErr) {
+          setError(fallbackErr.message)
+        }
+      }
     } finally {
       setLoading(false)
     }
@@ -23,6 +37,8 @@ export function useReports() {
 
   useEffect(() => {
     fetchReports()
+    // Changes synced by another component (e.g. safe zones) update this list too
+    return syncStore.subscribe(store => setReports(store.getReports()))
   }, [])
 
   return {
@@ -38,13 +54,13 @@ export function useSubmitReport() {
   const [error, setError] = useState(null)
   const [success, setSuccess] = useState(false)
 
-  const submitReport = async (reportData) => {
+  const submitReport = async (reportData, mediaFiles = []) => {
     setSubmitting(true)
     setError(null)
     setSuccess(false)
 
     try {
-      const response = await apiService.submitReport(reportData)
+      const response = await apiService.submitReport(reportData, {}, mediaFiles)
       setSuccess(true)
       return response
     } catch (err) {
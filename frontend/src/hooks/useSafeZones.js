@@ -8,6 +8,7 @@
 import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
 import { useDebounce } from 'use-debounce'
 import safeZoneService from '../services/safeZoneService'
+import syncStore from '../services/syncStore'
 
 /**
  * Custom hook for managing safe zones
@@ -32,6 +33,12 @@ export const useSafeZones = (reports = [], options = {}) => {
   const [lastCalculated, setLastCalculated] = useState(null)
   const [isCalculating, setIsCalculating] = useState(false)
 
+  // NEW: Server safe zones from the locally synced copy
+  const [serverZones, setServerZones] = useState(() => {
+    syncStore.load()
+    return syncStore.getSafeZones()
+  })
+
   // Performance tracking
   const [performanceStats, setPerformanceStats] = useState({
     calculationTime: 0,
@@ -74,6 +81,7 @@ export const useSafeZones = (reports = [], options = {}) => {
     try {
       console.log('🔄 Calculating safe zones...', {
         reportCount: debouncedReports.length,
+        serverZoneCount: serverZones.length,
         options: memoizedOptions
       })
 
@@ -108,7 +116,19 @@ export const useSafeZones = (reports = [], options = {}) => {
       setIsCalculating(false)
       setLoading(false)
     }
-  }, [debouncedReports, memoizedOptions, isCalculating])
+  }, [debouncedReports, serverZones, memoizedOptions, isCalculating])
+
+  // NEW: Keep server zones current - fetches only what changed since the last sync
+  useEffect(() => {
+    const unsubscribe = syncStore.subscribe(store => setServerZones(store.getSafeZones()))
+    syncStore.sync().catch(err => console.warn('⚠️ Safe zone sync failed, using local copy:', err.message))
+    return unsubscribe
+  }, [])
+
+  // Must run before the auto-refresh effect recalculates
+  useEffect(() => {
+    safeZoneService.setServerSafeZones(serverZones)
+  }, [serverZones])
 
   // Auto-refresh effect
   useEffect(() => {
@@ -3,12 +3,14 @@ import { useState, useEffect, useRef } from 'react'
 import { 
   Shield, Users, TrendingUp, Clock, AlertTriangle, CheckCircle, XCircle,
   Eye, Flag, Globe, MapPin, RefreshCw, ArrowRight, ExternalLink,
-  FileText, Calendar, Activity, List, BarChart3, Settings
+  FileText, Calendar, Activity, List, BarChart3, Settings, Repeat, Zap
 } from 'lucide-react'
 import apiService from '../services/api'
 import ModerationQueue from '../components/Admin/ModerationQueue'
 import SecurityDashboard from '../components/Admin/SecurityDashboard'
 import AdminSafeZoneManager from '../components/Admin/AdminSafeZoneManager'
+import RecurringPatterns from '../components/Admin/RecurringPatterns'
+import IncidentAnomalies from '../components/Admin/IncidentAnomalies'
 import logger, { logInfo, logError } from '../services/utils/logger'
 
 function AdminPage() {
@@ -155,6 +157,18 @@ function AdminPage() {
       icon: MapPin,
       badge: null
     },
+    { 
+      id: 'patterns', 
+      label: 'Patterns', 
+      icon: Repeat,
+      badge: null
+    },
+    { 
+      id: 'anomalies', 
+      label: 'Spikes', 
+      icon: Zap,
+      badge: null
+    },
     { 
       id: 'analytics', 
       label: 'Analytics', 
@@ -582,6 +596,16 @@ function AdminPage() {
           <AdminSafeZoneManager />
         )}
 
+        {/* Recurring Patterns Tab - NEW */}
+        {activeTab === 'patterns' && (
+          <RecurringPatterns />
+        )}
+
+        {/* Incident Spikes Tab - NEW */}
+        {activeTab === 'anomalies' && (
+          <IncidentAnomalies />
+        )}
+
         {/* Coming Soon Tabs */}
         {(activeTab === 'analytics' || activeTab === 'settings') && (
           <div className="card">
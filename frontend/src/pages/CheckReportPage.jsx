@@ -0,0 +1,277 @@
+// === src/pages/CheckReportPage.jsx ===
+// Anonymous report status lookup for SafeStreets Bangladesh
+// Reporters enter the receipt code shown after submission - no account needed
+// Also hosts the reporter side of the moderator follow-up thread
+
+import { useState, useEffect } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { Search, Shield, Clock, CheckCircle, XCircle, AlertTriangle, FileText, MessageSquare, Send } from 'lucide-react'
+import apiService from '../services/api'
+import websocketService from '../services/websocketService'
+import { logError } from '../services/utils/logger'
+
+// Lifecycle stages in the order a report moves through them
+const STAGES = [
+  { key: 'received', label: 'Received' },
+  { key: 'in_review', label: 'In Review' },
+  { key: 'decided', label: 'Decision' }
+]
+
+const STAGE_DISPLAY = {
+  received: { icon: Clock, color: 'text-orange-600', bg: 'bg-orange-50 border-orange-200', step: 0 },
+  in_review: { icon: AlertTriangle, color: 'text-yellow-600', bg: 'bg-yellow-50 border-yellow-200', step: 1 },
+  published: { icon: CheckCircle, color: 'text-green-600', bg: 'bg-green-50 border-green-200', step: 2 },
+  closed: { icon: XCircle, color: 'text-neutral-600', bg: 'bg-neutral-50 border-neutral-200', step: 2 }
+}
+
+function CheckReportPage() {
+  const [searchParams] = useSearchParams()
+  const [receiptCode, setReceiptCode] = useState(searchParams.get('code') || '')
+  const [checking, setChecking] = useState(false)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+
+  // Follow-up thread state (the receipt code is the only credential)
+  const [checkedCode, setCheckedCode] = useState(null)
+  const [messages, setMessages] = useState([])
+  const [canReply, setCanReply] = useState(false)
+  const [reply, setReply] = useState('')
+  const [sendingReply, setSendingReply] = useState(false)
+  const [replyError, setReplyError] = useState(null)
+
+  // Live moderator questions while the page is open
+  useEffect(() => {
+    if (!checkedCode) return
+
+    websocketService.connect()
+      .then(() => websocketService.subscribeToReceipt(checkedCode))
+      .catch(err => logError('Real-time thread unavailable', 'CheckReportPage', err))
+
+    const unsubscribe = websocketService.on('report_follow_up_message', (data) => {
+      if (!data.message) return
+      setMessages(prev => prev.some(message => message.id === data.message.id) ? prev : [...prev, data.message])
+      setCanReply(true)
+    })
+
+    return () => {
+      unsubscribe()
+      websocketService.unsubscribeFromReceipt()
+    }
+  }, [checkedCode])
+
+  const loadMessages = async (code) => {
+    const response = await apiService.getReceiptMessages(code)
+    if (response.success) {
+      setMessages(response.data.messages)
+      setCanReply(response.data.canReply)
+    }
+  }
+
+  const handleReply = async (e) => {
+    e.preventDefault()
+    if (!reply.trim()) return
+
+    setSendingReply(true)
+    setReplyError(null)
+    const response = await apiService.sendReceiptMessage(checkedCode, reply.trim())
+    if (response.success) {
+      setMessages(prev => [...prev, response.data])
+      setReply('')
+    } else {
+      setReplyError(response.message || 'Failed to send reply')
+    }
+    setSendingReply(false)
+  }
+
+  const handleCheck = async (e) => {
+    e.preventDefault()
+    if (!receiptCode.trim()) {
+      setError('Please enter your receipt code')
+      return
+    }
+
+    setChecking(true)
+    setError(null)
+    setResult(null)
+    setCheckedCode(null)
+    setMessages([])
+
+    try {
+      const response = await apiService.getReportByReceipt(receiptCode)
+      if (response.success) {
+        setResult(response.data)
+        setCheckedCode(receiptCode)
+        await loadMessages(receiptCode)
+      } else {
+        setError(response.message || 'No report found for this receipt code')
+      }
+    } catch (err) {
+      logError('Receipt lookup failed', 'CheckReportPage', err)
+      setError('Unable to check report status. Please try again.')
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  const stageDisplay = result ? STAGE_DISPLAY[result.stage] || STAGE_DISPLAY.received : null
+  const StageIcon = stageDisplay?.icon
+
+  return (
+    <div className="min-h-screen bg-neutral-50 py-8">
+      <div className="container-safe max-w-2xl">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <Shield className="w-12 h-12 text-safe-primary mx-auto mb-3" />
+          <h1 className="text-3xl font-bold text-neutral-800 mb-2">Check My Report</h1>
+          <p className="text-neutral-600">
+            Enter the receipt code you received when you submitted your report.
+          </p>
+        </div>
+
+        {/* Lookup Form */}
+        <div className="card mb-6">
+          <div className="card-body">
+            <form onSubmit={handleCheck} className="space-y-4">
+              <div>
+                <label htmlFor="receipt-code" className="form-label">Receipt Code</label>
+                <input
+                  id="receipt-code"
+                  type="text"
+                  value={receiptCode}
+                  onChange={(e) => setReceiptCode(e.target.value)}
+                  placeholder="XXXX-XXXX-XXXX-XXXX"
+                  autoComplete="off"
+                  spellCheck={false}
+                  className="form-input w-full font-mono tracking-wider uppercase"
+                />
+              </div>
+              <button type="submit" disabled={checking} className="btn-primary w-full">
+                {checking ? (
+                  <div className="flex items-center justify-center">
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                    Checking...
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-center">
+                    <Search className="w-4 h-4 mr-2" />
+                    Check Status
+                  </div>
+                )}
+              </button>
+            </form>
+          </div>
+        </div>
+
+        {/* Error */}
+        {error && (
+          <div className="alert-danger mb-6">
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        {/* Result */}
+        {result && (
+          <div className={`card border ${stageDisplay.bg}`}>
+            <div className="card-body space-y-4">
+              <div className="flex items-start">
+                <StageIcon className={`w-6 h-6 mr-3 flex-shrink-0 ${stageDisplay.color}`} />
+                <div>
+                  <h3 className="font-semibold text-neutral-800 capitalize">
+                    {result.status.replace('_', ' ')}
+                  </h3>
+                  <p className="text-sm text-neutral-700">{result.message}</p>
+                </div>
+              </div>
+
+              {/* Lifecycle progress */}
+              <div className="flex items-center justify-between">
+                {STAGES.map((stage, index) => (
+                  <div key={stage.key} className="flex-1 flex flex-col items-center">
+                    <div className={`w-3 h-3 rounded-full ${
+                      index <= stageDisplay.step ? 'bg-safe-primary' : 'bg-neutral-300'
+                    }`} />
+                    <span className="text-xs text-neutral-600 mt-1">{stage.label}</span>
+                  </div>
+                ))}
+              </div>
+
+              {result.moderationReason && (
+                <div className="bg-white p-3 rounded border border-neutral-200">
+                  <h4 className="text-sm font-medium text-neutral-800 mb-1">Moderator note</h4>
+                  <p className="text-sm text-neutral-700">{result.moderationReason}</p>
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-2 text-sm text-neutral-600">
+                <div className="flex items-center">
+                  <FileText className="w-4 h-4 mr-1" />
+                  {result.type.replace(/_/g, ' ')}
+                </div>
+                <div>Severity {result.severity}/5</div>
+                <div>Submitted {new Date(result.submittedAt).toLocaleDateString()}</div>
+                {result.reviewedAt && (
+                  <div>Reviewed {new Date(result.reviewedAt).toLocaleDateString()}</div>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Follow-up thread */}
+        {result && (messages.length > 0 || canReply) && (
+          <div className="card mt-6">
+            <div className="card-body space-y-3">
+              <h3 className="font-semibold text-neutral-800 flex items-center">
+                <MessageSquare className="w-5 h-5 mr-2" />
+                Questions from the moderation team
+              </h3>
+              <p className="text-xs text-neutral-500">
+                Your identity is never shared. Answering helps moderators verify your report.
+              </p>
+
+              <div className="space-y-2">
+                {messages.map((message) => (
+                  <div
+                    key={message.id}
+                    className={`p-3 rounded text-sm ${
+                      message.from === 'moderator' ? 'bg-blue-50 border border-blue-200 mr-8' : 'bg-neutral-100 ml-8'
+                    }`}
+                  >
+                    <div className="text-xs text-neutral-500 mb-1">
+                      {message.from === 'moderator' ? 'Moderator' : 'You'} • {new Date(message.createdAt).toLocaleString()}
+                    </div>
+                    <p className="whitespace-pre-wrap text-neutral-800">{message.body}</p>
+                  </div>
+                ))}
+              </div>
+
+              {canReply && (
+                <form onSubmit={handleReply} className="flex space-x-2">
+                  <input
+                    type="text"
+                    value={reply}
+                    onChange={(e) => setReply(e.target.value)}
+                    maxLength={1000}
+                    placeholder="Type your answer..."
+                    className="form-input flex-1"
+                  />
+                  <button type="submit" disabled={sendingReply || !reply.trim()} className="btn-primary">
+                    <Send className="w-4 h-4" />
+                  </button>
+                </form>
+              )}
+              {replyError && <p className="text-red-600 text-sm">{replyError}</p>}
+            </div>
+          </div>
+        )}
+
+        <p className="text-center text-sm text-neutral-500 mt-6">
+          Lost your code? For your privacy we cannot recover it.{' '}
+          <Link to="/report" className="text-safe-primary underline">Submit a new report</Link>
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default CheckReportPage
@@ -128,9 +128,15 @@ const InviteRegisterPage = () => {
         email: formData.email.trim(),
         password: formData.password,
         deviceFingerprint: deviceFingerprint,
+        // NEW: Police officers' jurisdiction decides which reports the portal shows
+        ...(inviteDetails.userType === 'police' && {
+          badgeNumber: formData.badgeNumber?.trim(),
+          department: formData.department?.trim(),
+          rank: formData.rank?.trim(),
+          district: formData.district?.trim(),
+          thana: formData.thana?.trim()
+        }),
         // Include other role-specific data if collected in the form
-        // badgeNumber: formData.badgeNumber,
-        // department: formData.department,
         // institution: formData.institution,
         // etc.
       };
@@ -140,7 +146,7 @@ const InviteRegisterPage = () => {
       if (response.success) {
         setMessage({ type: 'success', text: response.message || 'Registration successful! Redirecting to login...' });
         setTimeout(() => {
-          navigate('/admin/login'); // Redirect to admin login or a general login page
+          navigate(inviteDetails.userType === 'police' ? '/police/login' : '/admin/login');
         }, 3000);
       } else {
         setMessage({ type: 'danger', text: response.message || 'Registration failed. Please try again.' });
@@ -325,6 +331,53 @@ const InviteRegisterPage = () => {
                     disabled={submitting}
                   />
                 </div>
+                <div>
+                  <label htmlFor="rank" className="form-label">
+                    Rank
+                  </label>
+                  <input
+                    id="rank"
+                    name="rank"
+                    type="text"
+                    className="form-input"
+                    placeholder="e.g. Sub-Inspector"
+                    value={formData.rank || ''}
+                    onChange={handleInputChange}
+                    disabled={submitting}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="district" className="form-label">
+                    District
+                  </label>
+                  <input
+                    id="district"
+                    name="district"
+                    type="text"
+                    required
+                    className="form-input"
+                    placeholder="Enter your district"
+                    value={formData.district || ''}
+                    onChange={handleInputChange}
+                    disabled={submitting}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="thana" className="form-label">
+                    Thana
+                  </label>
+                  <input
+                    id="thana"
+                    name="thana"
+                    type="text"
+                    required
+                    className="form-input"
+                    placeholder="Thana you are posted to"
+                    value={formData.thana || ''}
+                    onChange={handleInputChange}
+                    disabled={submitting}
+                  />
+                </div>
               </>
             )}
 
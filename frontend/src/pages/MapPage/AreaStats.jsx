@@ -0,0 +1,204 @@
+// === frontend/src/pages/MapPage/AreaStats.jsx ===
+import React, { memo, useState, useEffect } from 'react'
+import { BarChart3, RefreshCw } from 'lucide-react'
+import apiService from '../../services/api'
+import { handleApiError } from '../../services/utils/errorHandler'
+
+const LEVELS = [
+  { value: 'division', label: 'Division' },
+  { value: 'district', label: 'District' },
+  { value: 'thana', label: 'Thana' }
+]
+
+// The API serves completed calendar quarters (Bangladesh time) only, most recent first
+const getRecentQuarters = (count = 4) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone: 'Asia/Dhaka', year: 'numeric', month: 'numeric' })
+      .formatToParts(new Date())
+      .map(part => [part.type, part.value])
+  )
+  const current = Number(parts.year) * 4 + Math.floor((Number(parts.month) - 1) / 3)
+  return Array.from({ length: count }, (_, i) => {
+    const index = current - 1 - i
+    const period = `${Math.floor(index / 4)}-Q${(index % 4) + 1}`
+    return { period, label: period.replace('-', ' ') }
+  })
+}
+
+const QUARTERS = getRecentQuarters()
+
+// Single quarters, plus the last year as one range of quarters
+const RANGES = [
+  ...QUARTERS.map(({ period, label }) => ({ key: period, label, params: { period } })),
+  {
+    key: 'year',
+    label: 'Last 4 quarters',
+    params: { from: QUARTERS[QUARTERS.length - 1].period, to: QUARTERS[0].period }
+  }
+]
+
+const GRANULARITIES = [
+  { value: '', label: 'Auto' },
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' }
+]
+
+const TIME_OF_DAY_LABELS = {
+  early_morning: 'Early morning',
+  morning: 'Morning',
+  afternoon: 'Afternoon',
+  evening: 'Evening',
+  night: 'Night',
+  late_night: 'Late night'
+}
+
+/**
+ * AreaStats Component - Published incident statistics for one division/district/thana
+ * Small counts arrive withheld by the API (count: null) and are shown as "<minCount"
+ */
+const AreaStats = memo(() => {
+  const [level, setLevel] = useState('district')
+  const [areas, setAreas] = useState([])
+  const [code, setCode] = useState('')
+  const [rangeKey, setRangeKey] = useState(RANGES[0].key)
+  const [granularity, setGranularity] = useState('')
+  const [stats, setStats] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setAreas([])
+    setCode('')
+    setStats(null)
+    apiService.getAreas(level)
+      .then(response => {
+        if (!cancelled) {
+          setAreas([...(response.data?.areas || [])].sort((a, b) => a.name.localeCompare(b.name)))
+        }
+      })
+      .catch(err => handleApiError(err, 'AreaStats'))
+    return () => { cancelled = true }
+  }, [level])
+
+  useEffect(() => {
+    if (!code) return
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+    const { params } = RANGES.find(range => range.key === rangeKey)
+    apiService.getAreaStats(level, code, granularity ? { ...params, granularity } : params)
+      .then(response => {
+        if (!cancelled) setStats(response.data)
+      })
+      .catch(err => {
+        if (!cancelled) setError(handleApiError(err, 'AreaStats').userMessage || 'Failed to load area statistics')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => { cancelled = true }
+  }, [level, code, rangeKey, granularity])
+
+  const formatCount = (count) => count === null ? `<${stats.minCount}` : count
+  const seriesMax = Math.max(1, ...(stats?.timeSeries || []).map(bucket => bucket.count || 0))
+
+  const renderBreakdown = (title, rows, labelFor) => (
+    <div>
+      <h4 className="text-sm font-medium text-neutral-800 mb-2">{title}</h4>
+      <div className="space-y-1">
+        {rows.filter(row => row.count !== 0).map(row => (
+          <div key={labelFor(row)} className="flex justify-between text-sm">
+            <span className="text-neutral-600 capitalize">{labelFor(row)}</span>
+            <span className={row.suppressed ? 'text-neutral-400' : 'font-medium text-neutral-800'}>{formatCount(row.count)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="bg-white rounded-xl shadow-md border border-neutral-200">
+      <div className="bg-teal-600 p-4 rounded-t-xl">
+        <h3 className="font-bold text-white flex items-center">
+          <BarChart3 className="w-5 h-5 mr-2" />
+          Area Statistics
+          {loading && <RefreshCw className="w-4 h-4 ml-2 animate-spin" />}
+        </h3>
+      </div>
+      <div className="p-4 space-y-4">
+        <div className="grid grid-cols-3 gap-2">
+          <select className="form-select text-sm" value={level} onChange={(e) => setLevel(e.target.value)}>
+            {LEVELS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <select className="form-select text-sm" value={rangeKey} onChange={(e) => setRangeKey(e.target.value)}>
+            {RANGES.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+          </select>
+          <select className="form-select text-sm" value={granularity} onChange={(e) => setGranularity(e.target.value)}>
+            {GRANULARITIES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </div>
+        <select className="form-select text-sm w-full" value={code} onChange={(e) => setCode(e.target.value)}>
+          <option value="">Choose an area…</option>
+          {areas.map(area => <option key={area.code} value={area.code}>{area.name}</option>)}
+        </select>
+
+        {error && <div className="text-sm text-red-600">{error}</div>}
+
+        {stats && !loading && (
+          stats.suppressed || stats.total === 0 ? (
+            <p className="text-sm text-neutral-500 text-center py-4">
+              {stats.total === 0
+                ? 'No published reports in this period.'
+                : stats.quarters?.length > 1
+                  ? `Fewer than ${stats.minCount} published reports in at least one quarter of this range - details are withheld to protect reporters. Pick a single quarter instead.`
+                  : `Fewer than ${stats.minCount} published reports in this period - details are withheld to protect reporters.`}
+            </p>
+          ) : (
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-2">
+                <div className="text-center p-3 bg-teal-50 rounded-lg">
+                  <div className="text-xl font-bold text-teal-600">{stats.total}</div>
+                  <div className="text-xs text-teal-700">Published reports</div>
+                </div>
+                <div className="text-center p-3 bg-teal-50 rounded-lg">
+                  <div className="text-xl font-bold text-teal-600">{stats.averageSeverity ?? '—'}</div>
+                  <div className="text-xs text-teal-700">Average severity</div>
+                </div>
+              </div>
+
+              <div>
+                <h4 className="text-sm font-medium text-neutral-800 mb-2">
+                  Per {stats.range.granularity}
+                </h4>
+                <div className="flex items-end h-16 gap-px">
+                  {stats.timeSeries.map(bucket => (
+                    <div
+                      key={bucket.bucketStart}
+                      title={`${new Date(bucket.bucketStart).toLocaleDateString('en-GB', { timeZone: 'Asia/Dhaka' })}: ${formatCount(bucket.count)}`}
+                      className={`flex-1 rounded-t ${bucket.suppressed ? 'bg-neutral-200' : 'bg-teal-500'}`}
+                      style={{ height: `${bucket.suppressed ? 10 : Math.max(2, (bucket.count / seriesMax) * 100)}%` }}
+                    />
+                  ))}
+                </div>
+              </div>
+
+              {renderBreakdown('By type', stats.byType, row => row.type.replace(/_/g, ' '))}
+              {renderBreakdown('By severity', stats.severity, row => `Level ${row.severity}`)}
+              {renderBreakdown('By time of day', stats.timeOfDay, row => TIME_OF_DAY_LABELS[row.period] || row.period)}
+
+              <p className="text-xs text-neutral-500">
+                Counts under {stats.minCount} are withheld, along with one more where needed so they can't be worked out from the total.
+              </p>
+            </div>
+          )
+        )}
+      </div>
+    </div>
+  )
+})
+
+AreaStats.displayName = 'AreaStats'
+
+export default AreaStats
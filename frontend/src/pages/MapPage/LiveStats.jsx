@@ -1,7 +1,7 @@
 // === frontend/src/components/Map/LiveStats.jsx ===
 import React, { memo } from 'react'
 import { 
-  TrendingUp, Zap, Map, Target, Flame, Layers
+  TrendingUp, Zap, Map, Target, Flame, Layers, Crosshair
 } from 'lucide-react'
 
 /**
@@ -36,7 +36,8 @@ const LiveStats = memo(({
     markers: { icon: Map },
     clusters: { icon: Target },
     heatmap: { icon: Flame },
-    hybrid: { icon: Layers }
+    hybrid: { icon: Layers },
+    hotspots: { icon: Crosshair }
   }
 }) => {
   return (
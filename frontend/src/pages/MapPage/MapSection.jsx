@@ -2,7 +2,7 @@
 import React, { memo, useState, useCallback } from 'react'
 import { 
   MapPin, Zap, Map, Target, Flame, Layers, 
-  Shield, Navigation, Eye, EyeOff, Settings
+  Shield, Navigation, Eye, EyeOff, Settings, Users, Crosshair
 } from 'lucide-react'
 import MapView from '../../components/Map/MapView'
 import MapInsights from './MapInsights'
@@ -30,6 +30,7 @@ const MapSection = memo(({
   hasUserLocation,
   isUserInBangladesh,
   hasActiveFilters,
+  filters = {},
   
   // 🆕 PHASE 3B: NEW PROPS FOR INTELLIGENCE FEATURES
   userLocation = null,
@@ -43,13 +44,17 @@ const MapSection = memo(({
     markers: { color: 'text-bangladesh-green', bgColor: 'bg-bangladesh-green', icon: Map },
     clusters: { color: 'text-purple-600', bgColor: 'bg-purple-600', icon: Target },
     heatmap: { color: 'text-safe-warning', bgColor: 'bg-safe-warning', icon: Flame },
-    hybrid: { color: 'text-red-600', bgColor: 'bg-red-600', icon: Layers }
+    hybrid: { color: 'text-red-600', bgColor: 'bg-red-600', icon: Layers },
+    hotspots: { color: 'text-rose-700', bgColor: 'bg-rose-700', icon: Crosshair }
   }
 }) => {
   // 🆕 PHASE 3B: INTELLIGENCE FEATURES STATE
   const [showSafeZones, setShowSafeZones] = useState(false)
   const [showRoutePlanner, setShowRoutePlanner] = useState(false)
   const [showIntelligenceSettings, setShowIntelligenceSettings] = useState(false)
+
+  // 🆕 GANG TERRITORY LAYER STATE
+  const [showGangTerritories, setShowGangTerritories] = useState(false)
   
   // 🆕 PHASE 3B: SAFE ZONE OPTIONS
   const [safeZoneOptions, setSafeZoneOptions] = useState({
@@ -82,6 +87,11 @@ const MapSection = memo(({
     console.log(`🗺️ Route Planner ${!showRoutePlanner ? 'enabled' : 'disabled'}`)
   }, [showRoutePlanner])
 
+  const handleToggleGangTerritories = useCallback(() => {
+    setShowGangTerritories(prev => !prev)
+    console.log(`👥 Gang Territories ${!showGangTerritories ? 'enabled' : 'disabled'}`)
+  }, [showGangTerritories])
+
   const handleToggleIntelligenceSettings = useCallback(() => {
     setShowIntelligenceSettings(prev => !prev)
   }, [])
@@ -156,6 +166,10 @@ const MapSection = memo(({
                 onSafeZoneHover={onSafeZoneHover}
                 onRouteSelect={onRouteSelect}
                 onRouteHover={onRouteHover}
+                // 🆕 GANG TERRITORY LAYER
+                showGangTerritories={showGangTerritories}
+                // 🆕 SERVER-SIDE CLUSTER TILES FOLLOW THE ADVANCED FILTERS
+                filters={filters}
               />
 
               {/* ✅ EXISTING VIEW MODE CONTROLS + ENHANCED */}
@@ -210,6 +224,19 @@ const MapSection = memo(({
                       <Navigation className="w-4 h-4" />
                     </button>
 
+                    {/* Gang Territories Toggle */}
+                    <button
+                      onClick={handleToggleGangTerritories}
+                      className={`p-2 rounded-lg transition-all duration-200 ${
+                        showGangTerritories
+                          ? 'bg-red-600 text-white shadow-md'
+                          : 'hover:bg-red-50 text-red-600 border border-red-200'
+                      }`}
+                      title={`${showGangTerritories ? 'Hide' : 'Show'} Gang Territories`}
+                    >
+                      <Users className="w-4 h-4" />
+                    </button>
+
                     {/* Intelligence Settings */}
                     {(showSafeZones || showRoutePlanner) && (
                       <button
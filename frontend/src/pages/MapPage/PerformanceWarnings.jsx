@@ -85,7 +85,7 @@ const PerformanceWarnings = memo(({
     
     // High level: show if not using optimal view modes
     if (warningLevel === 'high') {
-      return viewMode !== 'clusters' && viewMode !== 'heatmap'
+      return viewMode !== 'clusters' && viewMode !== 'heatmap' && viewMode !== 'hotspots'
     }
     
     // Medium level: show if using individual markers
@@ -1,7 +1,7 @@
 // === frontend/src/pages/MapPage/index.jsx (COMPLETE FIXED VERSION) ===
 import React, { useState, useEffect, useCallback, useMemo, memo } from 'react'
 import {
-  Map, Target, Flame, Layers, MapPin
+  Map, Target, Flame, Layers, MapPin, Crosshair
 } from 'lucide-react'
 
 // ✅ PHASE 1: Header Components (PRESERVED)
@@ -16,6 +16,7 @@ import MapInsights from './MapInsights'
 // ✅ PHASE 3: Sidebar Components (PRESERVED)
 import MapSidebar from './MapSidebar'
 import LiveStats from './LiveStats'
+import AreaStats from './AreaStats'
 import MapLegendWrapper from './MapLegendWrapper'
 
 // ✅ EXISTING HOOKS PRESERVED
@@ -35,7 +36,8 @@ const VIEW_MODE_CONFIG = {
   markers: { color: 'text-bangladesh-green', bgColor: 'bg-bangladesh-green', icon: Map },
   clusters: { color: 'text-purple-600', bgColor: 'bg-purple-600', icon: Target },
   heatmap: { color: 'text-safe-warning', bgColor: 'bg-safe-warning', icon: Flame },
-  hybrid: { color: 'text-red-600', bgColor: 'bg-red-600', icon: Layers }
+  hybrid: { color: 'text-red-600', bgColor: 'bg-red-600', icon: Layers },
+  hotspots: { color: 'text-rose-700', bgColor: 'bg-rose-700', icon: Crosshair }
 }
 
 const MapPage = memo(() => {
@@ -361,6 +363,7 @@ const MapPage = memo(() => {
             hasUserLocation={hasUserLocation}
             isUserInBangladesh={isUserInBangladesh}
             hasActiveFilters={hasActiveFilters}
+            filters={filters}
             VIEW_MODE_CONFIG={VIEW_MODE_CONFIG}
             // 🆕 PHASE 3B: INTELLIGENCE PROPS
             userLocation={userLocation}
@@ -406,6 +409,9 @@ const MapPage = memo(() => {
                 routePlannerActive={intelligenceStatus.routePlannerActive}
               />
 
+              {/* 🆕 PUBLISHED STATISTICS FOR A CHOSEN AREA */}
+              <AreaStats />
+
               {/* ✅ SIDEBAR CONTENT WITH INTELLIGENCE */}
               <MapSidebar
                 showAdvancedFilters={showAdvancedFilters}
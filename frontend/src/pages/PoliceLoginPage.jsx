@@ -0,0 +1,215 @@
+// === frontend/src/pages/PoliceLoginPage.jsx ===
+// Police Portal Login for SafeStreets Bangladesh
+// Verified officers sign in with their badge number (or registered email)
+// Follows the LoginPage layout; sessions are handled by AuthContext.loginPolice
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { Shield, ArrowLeft, BadgeCheck, Lock, Loader2, LogIn, MapPin, FileText } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { logDebug, logInfo } from '../services/utils/logger';
+
+/**
+ * PoliceLoginPage Component
+ * Badge number + password login for the thana-scoped police portal
+ */
+const PoliceLoginPage = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { isPolice, isLoading, loginPolice } = useAuth();
+
+  const [formData, setFormData] = useState({ badgeNumber: '', password: '' });
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const redirectTo = location.state?.from?.pathname || '/police';
+
+  // Redirect if already signed in as an officer
+  useEffect(() => {
+    if (isPolice) {
+      logDebug(`Already authenticated, redirecting to: ${redirectTo}`, 'PoliceLoginPage');
+      navigate(redirectTo, { replace: true });
+    }
+  }, [isPolice, redirectTo, navigate]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.badgeNumber.trim() || !formData.password) {
+      setError('Badge number and password are required');
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await loginPolice({
+      badgeNumber: formData.badgeNumber.trim(),
+      password: formData.password
+    });
+    setIsSubmitting(false);
+
+    if (result.success) {
+      logInfo(`Police login successful, redirecting to: ${redirectTo}`, 'PoliceLoginPage');
+      navigate(redirectTo, { replace: true });
+    } else {
+      setFormData(prev => ({ ...prev, password: '' }));
+      setError(result.message || 'Login failed. Please try again.');
+    }
+  };
+
+  const isBusy = isLoading || isSubmitting;
+
+  return (
+    <div className="min-h-screen bg-neutral-50">
+      {/* Header Section */}
+      <div className="bg-gradient-safe text-white py-16 relative overflow-hidden">
+        <div className="absolute inset-0 bg-black/10"></div>
+
+        <div className="relative container-safe">
+          <div className="max-w-2xl mx-auto text-center">
+            <button
+              onClick={() => navigate('/')}
+              className="inline-flex items-center space-x-2 text-white/80 hover:text-white transition-colors mb-6 group"
+            >
+              <ArrowLeft className="w-4 h-4 group-hover:-translate-x-1 transition-transform" />
+              <span>Back to SafeStreets</span>
+            </button>
+
+            <div className="flex items-center justify-center mb-6">
+              <div className="bg-white/20 backdrop-blur-sm rounded-2xl p-4">
+                <Shield className="w-12 h-12 text-white" />
+              </div>
+            </div>
+
+            <h1 className="text-3xl md:text-4xl font-bold mb-4 animate-fade-in">
+              Police Portal
+            </h1>
+            <p className="text-lg mb-2 opacity-95 font-bangla animate-slide-up">
+              পুলিশ পোর্টাল
+            </p>
+            <p className="text-white/90 max-w-md mx-auto leading-relaxed animate-slide-up">
+              Reports from your thana, with your notes and actions kept on record
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Main Content */}
+      <div className="py-16">
+        <div className="container-safe">
+          <div className="max-w-4xl mx-auto grid grid-cols-1 lg:grid-cols-2 gap-12 items-start">
+
+            {/* Login Form */}
+            <div className="bg-white rounded-2xl shadow-soft border border-neutral-200 p-8">
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <div>
+                  <label htmlFor="police-badge" className="block text-sm font-medium text-neutral-700 mb-2">
+                    Badge Number or Email
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <BadgeCheck className="w-5 h-5 text-neutral-400" />
+                    </div>
+                    <input
+                      id="police-badge"
+                      name="badgeNumber"
+                      type="text"
+                      value={formData.badgeNumber}
+                      onChange={handleInputChange}
+                      disabled={isBusy}
+                      className="form-input pl-10 border-neutral-300 focus:border-safe-primary"
+                      placeholder="Enter your badge number"
+                      autoComplete="username"
+                      required
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label htmlFor="police-password" className="block text-sm font-medium text-neutral-700 mb-2">
+                    Password
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="w-5 h-5 text-neutral-400" />
+                    </div>
+                    <input
+                      id="police-password"
+                      name="password"
+                      type="password"
+                      value={formData.password}
+                      onChange={handleInputChange}
+                      disabled={isBusy}
+                      className="form-input pl-10 border-neutral-300 focus:border-safe-primary"
+                      placeholder="Enter your password"
+                      autoComplete="current-password"
+                      required
+                    />
+                  </div>
+                  {error && (
+                    <p className="mt-2 text-sm text-red-600">{error}</p>
+                  )}
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={isBusy}
+                  className={`w-full btn btn-primary ${isBusy ? 'opacity-50 cursor-not-allowed' : ''}`}
+                >
+                  {isSubmitting ? (
+                    <span className="flex items-center justify-center">
+                      <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+                      Signing in...
+                    </span>
+                  ) : (
+                    <span className="flex items-center justify-center">
+                      <LogIn className="w-5 h-5 mr-2" />
+                      Sign In
+                    </span>
+                  )}
+                </button>
+              </form>
+            </div>
+
+            {/* Information Panel */}
+            <div className="bg-white rounded-2xl shadow-soft border border-neutral-200 p-8 space-y-4">
+              <div className="flex items-start space-x-3">
+                <MapPin className="w-5 h-5 text-safe-primary mt-0.5 flex-shrink-0" />
+                <div>
+                  <h4 className="font-semibold text-neutral-800">Jurisdiction Access</h4>
+                  <p className="text-sm text-neutral-600">
+                    You see reports from your own thana only. Supervisors also see pending reports.
+                  </p>
+                </div>
+              </div>
+              <div className="flex items-start space-x-3">
+                <FileText className="w-5 h-5 text-safe-primary mt-0.5 flex-shrink-0" />
+                <div>
+                  <h4 className="font-semibold text-neutral-800">Notes &amp; Actions</h4>
+                  <p className="text-sm text-neutral-600">
+                    Police notes are kept separate from moderator notes. Record GD or case numbers with each action.
+                  </p>
+                </div>
+              </div>
+              <div className="flex items-start space-x-3">
+                <Shield className="w-5 h-5 text-safe-primary mt-0.5 flex-shrink-0" />
+                <div>
+                  <h4 className="font-semibold text-neutral-800">Audited Access</h4>
+                  <p className="text-sm text-neutral-600">
+                    Every report viewed and every entry added is logged against your badge number.
+                  </p>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PoliceLoginPage;
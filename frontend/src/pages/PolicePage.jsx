@@ -0,0 +1,206 @@
+// === src/pages/PolicePage.jsx ===
+// Police portal: reports in the officer's thana, with police notes and recorded actions
+import { useState, useEffect, useCallback } from 'react'
+import { Shield, MapPin, RefreshCw, LogOut, AlertTriangle, Loader2, ChevronRight } from 'lucide-react'
+import { useNavigate } from 'react-router-dom'
+import apiService from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
+import PoliceReportDetail from '../components/Police/PoliceReportDetail'
+import { logError } from '../services/utils/logger'
+
+const formatLabel = (value = '') => value.replace(/_/g, ' ')
+
+function PolicePage() {
+  const navigate = useNavigate()
+  const { user, logout } = useAuth()
+  const [profile, setProfile] = useState(user)
+  const [actionTypes, setActionTypes] = useState([])
+  const [statusFilter, setStatusFilter] = useState('')
+  const [reports, setReports] = useState([])
+  const [pagination, setPagination] = useState({ hasMore: false, nextCursor: null })
+  const [selectedId, setSelectedId] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Session carries the current jurisdiction and the recordable action types
+  useEffect(() => {
+    apiService.verifyPoliceSession()
+      .then(response => {
+        if (response.success) {
+          setProfile(response.user)
+          setActionTypes(response.actionTypes || [])
+        }
+      })
+      .catch(err => logError('Failed to load police session', 'PolicePage', err))
+  }, [])
+
+  const fetchReports = useCallback(async (cursor = null) => {
+    try {
+      if (cursor) setLoadingMore(true)
+      else setLoading(true)
+
+      const response = await apiService.getPoliceReports({ status: statusFilter, cursor })
+      if (response.success) {
+        setReports(prev => cursor ? [...prev, ...response.data] : response.data)
+        setPagination(response.pagination || { hasMore: false, nextCursor: null })
+        setError(null)
+      } else {
+        setError(response.message || 'Failed to load reports')
+      }
+    } catch (err) {
+      logError('Failed to load police reports', 'PolicePage', err)
+      setError('Failed to load reports')
+    } finally {
+      setLoading(false)
+      setLoadingMore(false)
+    }
+  }, [statusFilter])
+
+  useEffect(() => {
+    fetchReports()
+  }, [fetchReports])
+
+  const handleLogout = async () => {
+    await logout()
+    navigate('/police/login', { replace: true })
+  }
+
+  const jurisdiction = profile?.jurisdiction
+  const canAddNotes = profile?.permissions?.includes('add_police_notes')
+
+  return (
+    <div className="min-h-screen bg-neutral-50">
+      {/* Header */}
+      <div className="bg-gradient-safe text-white py-8">
+        <div className="container-safe flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div className="flex items-center">
+            <div className="bg-white/20 rounded-xl p-3 mr-4">
+              <Shield className="w-8 h-8" />
+            </div>
+            <div>
+              <h1 className="text-2xl font-bold">Police Portal</h1>
+              <p className="text-white/90 text-sm">
+                {profile?.rank ? `${profile.rank} ` : ''}#{profile?.badgeNumber}
+                {profile?.accessLevel && ` · ${formatLabel(profile.accessLevel)} access`}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center space-x-4">
+            <div className="flex items-center text-sm text-white/90">
+              <MapPin className="w-4 h-4 mr-1" />
+              {jurisdiction
+                ? [jurisdiction.thana, jurisdiction.district, jurisdiction.division].filter(Boolean).join(', ')
+                : 'No jurisdiction on record'}
+            </div>
+            <button
+              onClick={handleLogout}
+              className="inline-flex items-center px-3 py-2 rounded-lg bg-white/20 hover:bg-white/30 text-sm"
+            >
+              <LogOut className="w-4 h-4 mr-1" />
+              Sign Out
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="container-safe py-8">
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 items-start">
+          {/* Report list */}
+          <div className="bg-white rounded-xl shadow-sm border border-neutral-200">
+            <div className="p-4 border-b border-neutral-200 flex items-center justify-between">
+              <h2 className="font-semibold text-neutral-800">Jurisdiction Reports</h2>
+              <div className="flex items-center space-x-2">
+                <select
+                  value={statusFilter}
+                  onChange={(e) => setStatusFilter(e.target.value)}
+                  className="form-input py-1 text-sm border-neutral-300 capitalize"
+                  aria-label="Filter by status"
+                >
+                  <option value="">All visible</option>
+                  {(profile?.visibleStatuses || []).map(status => (
+                    <option key={status} value={status}>{formatLabel(status)}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => fetchReports()}
+                  className="p-2 text-neutral-500 hover:text-neutral-700"
+                  aria-label="Refresh reports"
+                >
+                  <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                </button>
+              </div>
+            </div>
+
+            {error ? (
+              <div className="p-6 flex items-center text-red-600">
+                <AlertTriangle className="w-5 h-5 mr-2" />
+                <span>{error}</span>
+              </div>
+            ) : loading ? (
+              <div className="p-8 flex justify-center">
+                <Loader2 className="w-6 h-6 animate-spin text-safe-primary" />
+              </div>
+            ) : reports.length === 0 ? (
+              <p className="p-6 text-sm text-neutral-500">No reports in your jurisdiction</p>
+            ) : (
+              <ul className="divide-y divide-neutral-200">
+                {reports.map(report => (
+                  <li key={report._id}>
+                    <button
+                      onClick={() => setSelectedId(report._id)}
+                      className={`w-full text-left p-4 flex items-center justify-between hover:bg-neutral-50 ${
+                        selectedId === report._id ? 'bg-neutral-50' : ''
+                      }`}
+                    >
+                      <div className="min-w-0">
+                        <div className="flex items-center space-x-2">
+                          <span className="font-medium text-neutral-800 capitalize">{formatLabel(report.type)}</span>
+                          <span className="px-2 py-0.5 rounded-full text-xs bg-neutral-100 text-neutral-700 capitalize">
+                            {formatLabel(report.status)}
+                          </span>
+                        </div>
+                        <p className="text-sm text-neutral-600 truncate">{report.location?.address || report.description}</p>
+                        <p className="text-xs text-neutral-500">{new Date(report.createdAt).toLocaleString()}</p>
+                      </div>
+                      <ChevronRight className="w-4 h-4 text-neutral-400 flex-shrink-0" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {pagination.hasMore && !loading && (
+              <div className="p-4 border-t border-neutral-200">
+                <button
+                  onClick={() => fetchReports(pagination.nextCursor)}
+                  disabled={loadingMore}
+                  className="w-full btn btn-secondary text-sm disabled:opacity-50"
+                >
+                  {loadingMore ? 'Loading...' : 'Load more'}
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Report detail */}
+          {selectedId ? (
+            <PoliceReportDetail
+              key={selectedId}
+              reportId={selectedId}
+              actionTypes={actionTypes}
+              canAddNotes={canAddNotes}
+              onClose={() => setSelectedId(null)}
+            />
+          ) : (
+            <div className="bg-white rounded-xl shadow-sm border border-neutral-200 p-8 text-center text-sm text-neutral-500">
+              Select a report to see its details, police notes and actions
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PolicePage
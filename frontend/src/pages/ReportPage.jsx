@@ -3,11 +3,11 @@
 // Integrates with backend Report model and security features
 
 import { useState, useEffect } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, Link } from 'react-router-dom'
 import { 
   Shield, AlertTriangle, Send, ChevronDown, Navigation, 
   MapPin, Clock, Users, Eye, EyeOff, Settings, Heart,
-  Lock, Globe, User, Calendar, ExternalLink, CheckCircle
+  Lock, Globe, User, Calendar, ExternalLink, CheckCircle, Camera, X
 } from 'lucide-react'
 import { useSubmitReport } from '../hooks/useReports'
 import { useAuth } from '../contexts/AuthContext' // Single import for enhanced context
@@ -18,6 +18,22 @@ import errorHandler, { handleValidationError, handleLocationError, handleApiErro
 import LocationPicker from '../components/LocationPicker/LocationPicker'
 import { isWithinBangladesh } from '../config/locationConfig'
 
+// Evidence upload limits (mirrors backend mediaProcessingService)
+const MAX_EVIDENCE_FILES = 5
+const MAX_EVIDENCE_SIZE = 5 * 1024 * 1024
+const EVIDENCE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif']
+
+// Incident times are entered as Bangladesh wall-clock time (UTC+6, no DST), whatever the device timezone
+const BANGLADESH_UTC_OFFSET_MS = 6 * 60 * 60 * 1000
+const toBangladeshIso = (inputValue) => (inputValue ? new Date(`${inputValue}:00+06:00`).toISOString() : null)
+const bangladeshNowInput = () => new Date(Date.now() + BANGLADESH_UTC_OFFSET_MS).toISOString().slice(0, 16)
+
+const INCIDENT_TIME_PRECISIONS = [
+  { value: 'exact', label: 'Exact time' },
+  { value: 'approximate', label: 'Roughly' },
+  { value: 'range', label: 'Sometime between' }
+]
+
 function ReportPage() {
   const navigate = useNavigate()
   const { submitReport, submitting, success, error, reset } = useSubmitReport()
@@ -33,11 +49,17 @@ function ReportPage() {
     type: '',
     description: '',
     location: '',
-    severity: 3
+    severity: 3,
+    incidentAt: '',
+    incidentRangeEnd: '',
+    incidentPrecision: 'approximate'
   })
   
   const [formErrors, setFormErrors] = useState({})
   const [selectedLocation, setSelectedLocation] = useState(null)
+  const [evidenceFiles, setEvidenceFiles] = useState([])
+  const [evidenceError, setEvidenceError] = useState(null)
+  const [receiptCode, setReceiptCode] = useState(null)
   
   // Enhanced UI state
   const [showFemaleSafetyMode, setShowFemaleSafetyMode] = useState(false)
@@ -134,6 +156,19 @@ function ReportPage() {
       errors.severity = 'Please select a valid severity level'
     }
 
+    // Incident time validation (optional - submission time is used when left empty)
+    if (formData.incidentAt) {
+      const now = bangladeshNowInput()
+      const isRange = formData.incidentPrecision === 'range'
+      if (formData.incidentAt > now || (isRange && formData.incidentRangeEnd > now)) {
+        errors.incidentTime = 'Incident time cannot be in the future'
+      } else if (isRange && !formData.incidentRangeEnd) {
+        errors.incidentTime = 'Please provide when the time range ends'
+      } else if (isRange && formData.incidentRangeEnd < formData.incidentAt) {
+        errors.incidentTime = 'The time range must end after it starts'
+      }
+    }
+
     setFormErrors(errors)
     return Object.keys(errors).length === 0
   }
@@ -193,6 +228,14 @@ function ReportPage() {
         },
         severity: parseInt(formData.severity),
         timestamp: new Date().toISOString(),
+        // NEW: When it happened - the server derives time-of-day risk from this
+        incidentTime: !formData.incidentAt ? undefined : formData.incidentPrecision === 'range'
+          ? {
+              precision: 'range',
+              rangeStart: toBangladeshIso(formData.incidentAt),
+              rangeEnd: toBangladeshIso(formData.incidentRangeEnd)
+            }
+          : { precision: formData.incidentPrecision, occurredAt: toBangladeshIso(formData.incidentAt) },
         // Enhanced security and privacy
         deviceFingerprint: deviceFingerprint,
         culturalContext: getCulturalContext(formData.type),
@@ -201,16 +244,22 @@ function ReportPage() {
 
       logInfo('Submitting report with enhanced data', 'ReportPage', reportData)
 
-      await submitReport(reportData)
+      const response = await submitReport(reportData, evidenceFiles)
+      setReceiptCode(response?.receipt?.code || null)
       
       // Reset form on success
       setFormData({
         type: '',
         description: '',
         location: '',
-        severity: 3
+        severity: 3,
+        incidentAt: '',
+        incidentRangeEnd: '',
+        incidentPrecision: 'approximate'
       })
       setSelectedLocation(null)
+      setEvidenceFiles([])
+      setEvidenceError(null)
       setFormErrors({})
       setSelectedIncidentCategory('general')
       
@@ -228,6 +277,30 @@ function ReportPage() {
     }
   }
 
+  // Add evidence photos (validated client-side, re-checked and re-encoded on the server)
+  const handleEvidenceChange = (e) => {
+    const selected = Array.from(e.target.files || [])
+    e.target.value = ''
+
+    const rejected = selected.filter(file => !EVIDENCE_TYPES.includes(file.type) || file.size > MAX_EVIDENCE_SIZE)
+    const accepted = selected.filter(file => !rejected.includes(file))
+    const combined = [...evidenceFiles, ...accepted].slice(0, MAX_EVIDENCE_FILES)
+
+    // Kept out of formErrors: rejected files are simply not attached, so this never blocks submit
+    setEvidenceFiles(combined)
+    setEvidenceError(
+      rejected.length > 0 ?
+        'Only JPEG, PNG, WebP or GIF images under 5MB can be attached' :
+        evidenceFiles.length + accepted.length > MAX_EVIDENCE_FILES ?
+          `You can attach up to ${MAX_EVIDENCE_FILES} photos` : null
+    )
+  }
+
+  const removeEvidenceFile = (index) => {
+    setEvidenceFiles(prev => prev.filter((_, i) => i !== index))
+    setEvidenceError(null)
+  }
+
   // Get location context based on incident type
   const getLocationContext = (incidentType) => {
     const femaleSafetyTypes = [
@@ -467,8 +540,23 @@ function ReportPage() {
                     </span>
                   )}
                 </p>
+                {receiptCode && (
+                  <div className="mt-3 p-3 bg-white rounded border border-green-200">
+                    <p className="text-xs text-green-800 mb-1">Your receipt code - save it now, it will not be shown again:</p>
+                    <p className="font-mono text-lg font-semibold tracking-wider text-neutral-800 select-all">{receiptCode}</p>
+                    <Link
+                      to={`/report/status?code=${encodeURIComponent(receiptCode)}`}
+                      className="text-xs text-green-700 underline"
+                    >
+                      Check my report status
+                    </Link>
+                  </div>
+                )}
                 <button 
-                  onClick={reset}
+                  onClick={() => {
+                    setReceiptCode(null)
+                    reset()
+                  }}
                   className="text-sm text-green-600 underline mt-2"
                 >
                   Submit another report
@@ -676,6 +764,69 @@ function ReportPage() {
                 </div>
               </div>
 
+              {/* NEW: Incident Time - when it happened, not when it is reported */}
+              <div>
+                <label className="form-label">
+                  <Clock className="w-4 h-4 text-bangladesh-green" />
+                  When did it happen?
+                </label>
+
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {INCIDENT_TIME_PRECISIONS.map(option => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      onClick={() => setFormData({ ...formData, incidentPrecision: option.value })}
+                      className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                        formData.incidentPrecision === option.value
+                          ? 'bg-bangladesh-green text-white border-bangladesh-green'
+                          : 'bg-white text-neutral-600 border-neutral-300 hover:border-bangladesh-green'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+
+                <div className={`grid gap-3 mt-3 ${formData.incidentPrecision === 'range' ? 'sm:grid-cols-2' : ''}`}>
+                  <input
+                    type="datetime-local"
+                    className={`form-input ${formErrors.incidentTime ? 'border-red-500' : ''}`}
+                    max={bangladeshNowInput()}
+                    value={formData.incidentAt}
+                    aria-label={formData.incidentPrecision === 'range' ? 'Earliest time' : 'Incident time'}
+                    onChange={(e) => {
+                      setFormData({ ...formData, incidentAt: e.target.value })
+                      if (formErrors.incidentTime) {
+                        setFormErrors(prev => ({ ...prev, incidentTime: null }))
+                      }
+                    }}
+                  />
+                  {formData.incidentPrecision === 'range' && (
+                    <input
+                      type="datetime-local"
+                      className={`form-input ${formErrors.incidentTime ? 'border-red-500' : ''}`}
+                      min={formData.incidentAt || undefined}
+                      max={bangladeshNowInput()}
+                      value={formData.incidentRangeEnd}
+                      aria-label="Latest time"
+                      onChange={(e) => {
+                        setFormData({ ...formData, incidentRangeEnd: e.target.value })
+                        if (formErrors.incidentTime) {
+                          setFormErrors(prev => ({ ...prev, incidentTime: null }))
+                        }
+                      }}
+                    />
+                  )}
+                </div>
+                {formErrors.incidentTime && (
+                  <p className="text-red-600 text-sm mt-1">{formErrors.incidentTime}</p>
+                )}
+                <p className="text-xs text-neutral-500 mt-1">
+                  🕒 Bangladesh time. Leave empty if it is happening now.
+                </p>
+              </div>
+
               {/* Severity Level - PRESERVED original enhanced structure */}
               <div>
                 <label className="form-label justify-between">
@@ -743,6 +894,51 @@ function ReportPage() {
                 )}
               </div>
 
+              {/* NEW: Evidence Photos */}
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">
+                  Evidence Photos (optional)
+                </label>
+                <label className="flex items-center justify-center w-full p-4 border-2 border-dashed border-neutral-300 rounded-lg cursor-pointer hover:border-neutral-400">
+                  <Camera className="w-5 h-5 mr-2 text-neutral-500" />
+                  <span className="text-sm text-neutral-600">
+                    Attach up to {MAX_EVIDENCE_FILES} photos (receipts, vehicles, location)
+                  </span>
+                  <input
+                    type="file"
+                    accept={EVIDENCE_TYPES.join(',')}
+                    multiple
+                    onChange={handleEvidenceChange}
+                    disabled={evidenceFiles.length >= MAX_EVIDENCE_FILES}
+                    className="hidden"
+                  />
+                </label>
+                {evidenceFiles.length > 0 && (
+                  <ul className="mt-2 space-y-1">
+                    {evidenceFiles.map((file, index) => (
+                      <li key={`${file.name}-${index}`} className="flex items-center justify-between text-sm bg-neutral-50 px-3 py-2 rounded">
+                        <span className="truncate text-neutral-700">{file.name}</span>
+                        <button
+                          type="button"
+                          onClick={() => removeEvidenceFile(index)}
+                          className="ml-2 text-neutral-500 hover:text-red-600"
+                          aria-label={`Remove ${file.name}`}
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <p className="text-xs text-neutral-500 mt-1 flex items-center">
+                  <Lock className="w-3 h-3 mr-1" />
+                  Photo location and camera details are removed before storage
+                </p>
+                {evidenceError && (
+                  <p className="text-red-600 text-sm mt-1">{evidenceError}</p>
+                )}
+              </div>
+
               {/* Submit Button - Enhanced */}
               <button 
                 type="submit" 
@@ -31,6 +31,7 @@ import reportService from './features/reportService.js';
 import adminService from './features/adminService.js';
 import safeZoneService from './features/safeZoneService.js';
 import behaviorService from './features/behaviorService.js';
+import policeService from './features/policeService.js';
 import { calculateDistance, calculateRouteSafetyScore } from './utils/geoUtils.js';
 import { io } from 'socket.io-client';
 import logger, { logConnection, logError } from './utils/logger.js';
@@ -82,6 +83,7 @@ class ApiService {
     adminService.setDeviceFingerprint(fingerprint);
     safeZoneService.setDeviceFingerprint(fingerprint);
     behaviorService.setDeviceFingerprint(fingerprint);
+    policeService.setDeviceFingerprint(fingerprint);
   }
 
   // Get authentication headers - delegate to API client
@@ -133,6 +135,21 @@ class ApiService {
     return authService.verifyAdminSession();
   }
 
+  // NEW: Police login - delegate to auth service
+  async policeLogin(credentials) {
+    return authService.policeLogin(credentials);
+  }
+
+  // NEW: Police logout - delegate to auth service
+  async policeLogout() {
+    return authService.policeLogout();
+  }
+
+  // NEW: Verify police session - delegate to auth service
+  async verifyPoliceSession() {
+    return authService.verifyPoliceSession();
+  }
+
   // Get admin profile - delegate to auth service
   async getAdminProfile() {
     return authService.getAdminProfile();
@@ -178,8 +195,8 @@ class ApiService {
   // ========== REPORT ENDPOINTS ==========
 
   // Submit report - delegate to report service
-  async submitReport(reportData, behaviorData = {}) {
-    return reportService.submitReport(reportData, behaviorData);
+  async submitReport(reportData, behaviorData = {}, mediaFiles = []) {
+    return reportService.submitReport(reportData, behaviorData, mediaFiles);
   }
 
   // Get reports - delegate to report service
@@ -187,11 +204,44 @@ class ApiService {
     return reportService.getReports(filters);
   }
 
+  // Reports in a map viewport, cursor-paged - delegate to report service
+  async getReportsInBounds(bounds, options = {}) {
+    return reportService.getReportsInBounds(bounds, options);
+  }
+
+  // Server-clustered map tile - delegate to report service
+  async getReportTile(z, x, y, filters = {}) {
+    return reportService.getReportTile(z, x, y, filters);
+  }
+
   // Get single report by ID - delegate to report service
   async getReport(id) {
     return reportService.getReport(id);
   }
 
+  // Check report status by receipt code - delegate to report service
+  async getReportByReceipt(receiptCode) {
+    return reportService.getReportByReceipt(receiptCode);
+  }
+
+  // Follow-up thread (reporter side) - delegate to report service
+  async getReceiptMessages(receiptCode) {
+    return reportService.getReceiptMessages(receiptCode);
+  }
+
+  async sendReceiptMessage(receiptCode, body) {
+    return reportService.sendReceiptMessage(receiptCode, body);
+  }
+
+  // Follow-up thread (moderator side) - delegate to report service
+  async getReportMessages(reportId) {
+    return reportService.getReportMessages(reportId);
+  }
+
+  async sendReportMessage(reportId, body) {
+    return reportService.sendReportMessage(reportId, body);
+  }
+
   // Get reports for admin - delegate to report service
   async getAdminReports(filters = {}) {
     return reportService.getAdminReports(filters);
@@ -212,6 +262,33 @@ class ApiService {
     return reportService.moderateReport(reportId, action, reason, priority);
   }
 
+  // Report lifecycle transitions - delegate to report service
+  async transitionReport(reportId, action, reason = '', options = {}) {
+    return reportService.transitionReport(reportId, action, reason, options);
+  }
+
+  async getReportLifecycle() {
+    return reportService.getReportLifecycle();
+  }
+
+  // Moderator assignment - delegate to report service
+  async getModerationQueue(view = 'unassigned', limit = 50) {
+    return reportService.getModerationQueue(view, limit);
+  }
+
+  async claimReport(reportId) {
+    return reportService.claimReport(reportId);
+  }
+
+  async releaseReportClaim(reportId, force = false) {
+    return reportService.releaseReportClaim(reportId, force);
+  }
+
+  // Bulk moderation - delegate to report service
+  async bulkModerateReports(reportIds, action, reason = '', options = {}) {
+    return reportService.bulkModerateReports(reportIds, action, reason, options);
+  }
+
   // Get flagged reports - delegate to report service
   async getFlaggedReports() {
     return reportService.getFlaggedReports();
@@ -237,6 +314,40 @@ class ApiService {
     return reportService.getFemaleSafetyReports();
   }
 
+  // Gang territories - delegate to report service
+  async getGangTerritories(filters = {}) {
+    return reportService.getGangTerritories(filters);
+  }
+
+  async getTerritoryHistory(lineageId) {
+    return reportService.getTerritoryHistory(lineageId);
+  }
+
+  // Statistical hotspots - delegate to report service
+  async getHotspots(filters = {}) {
+    return reportService.getHotspots(filters);
+  }
+
+  // Report count time series - delegate to report service
+  async getStatsTimeseries(filters = {}) {
+    return reportService.getStatsTimeseries(filters);
+  }
+
+  // Per-area statistics - delegate to report service
+  async getAreaStats(level, code, filters = {}) {
+    return reportService.getAreaStats(level, code, filters);
+  }
+
+  // Administrative area list - delegate to report service
+  async getAreas(level) {
+    return reportService.getAreas(level);
+  }
+
+  // Delta sync - delegate to report service
+  async getSyncChanges(since = null, options = {}) {
+    return reportService.getSyncChanges(since, options);
+  }
+
   // Submit community validation - delegate to report service
   async submitCommunityValidation(reportId, isPositive, validatorInfo = {}) {
     return reportService.submitCommunityValidation(reportId, isPositive, validatorInfo);
@@ -336,6 +447,55 @@ class ApiService {
     return adminService.checkAdminAccess();
   }
 
+  // Recurring incident patterns - delegate to admin service
+  async getRecurringPatterns(filters = {}) {
+    return adminService.getRecurringPatterns(filters);
+  }
+
+  async getUpcomingPatterns(days = 7) {
+    return adminService.getUpcomingPatterns(days);
+  }
+
+  async getRecurringPattern(patternId) {
+    return adminService.getRecurringPattern(patternId);
+  }
+
+  async reviewRecurringPattern(patternId, status, note = '') {
+    return adminService.reviewRecurringPattern(patternId, status, note);
+  }
+
+  // Incident spike alerts - delegate to admin service
+  async getIncidentAnomalies(filters = {}) {
+    return adminService.getIncidentAnomalies(filters);
+  }
+
+  async getIncidentAnomaly(anomalyId) {
+    return adminService.getIncidentAnomaly(anomalyId);
+  }
+
+  async reviewIncidentAnomaly(anomalyId, status, note = '') {
+    return adminService.reviewIncidentAnomaly(anomalyId, status, note);
+  }
+
+  // ========== POLICE PORTAL ==========
+
+  // NEW: Reports in the officer's jurisdiction - delegate to police service
+  async getPoliceReports(filters = {}) {
+    return policeService.getPoliceReports(filters);
+  }
+
+  async getPoliceReport(reportId) {
+    return policeService.getPoliceReport(reportId);
+  }
+
+  async addPoliceNote(reportId, text) {
+    return policeService.addPoliceNote(reportId, text);
+  }
+
+  async recordPoliceAction(reportId, action) {
+    return policeService.recordPoliceAction(reportId, action);
+  }
+
   // ========== SAFE ZONES ENDPOINTS ==========
 
   // Get public safe zones for map display - delegate to safe zone service
@@ -791,6 +951,9 @@ export const {
   adminLogin,
   adminLogout,
   verifyAdminSession,
+  policeLogin,
+  policeLogout,
+  verifyPoliceSession,
   getAdminProfile,
   updateUserPreferences,
   getSecurityInsights,
@@ -805,16 +968,36 @@ export const {
   // Report methods
   submitReport,
   getReports,
+  getReportsInBounds,
+  getReportTile,
   getReport,
+  getReportByReceipt,
+  getReceiptMessages,
+  sendReceiptMessage,
+  getReportMessages,
+  sendReportMessage,
   getAdminReports,
   getAllAdminReports,
   updateReportStatus,
   moderateReport,
+  transitionReport,
+  getReportLifecycle,
+  bulkModerateReports,
+  getModerationQueue,
+  claimReport,
+  releaseReportClaim,
   getFlaggedReports,
   bulkUpdateReports,
   getReportsWithFilter,
   searchReports,
   getFemaleSafetyReports,
+  getGangTerritories,
+  getTerritoryHistory,
+  getHotspots,
+  getStatsTimeseries,
+  getAreaStats,
+  getAreas,
+  getSyncChanges,
   submitCommunityValidation,
   getReportSecurityInsights,
   detectCoordinatedAttacks,
@@ -836,6 +1019,19 @@ export const {
   getAdminDashboard,
   getAdminAnalytics,
   checkAdminAccess,
+  getRecurringPatterns,
+  getUpcomingPatterns,
+  getRecurringPattern,
+  reviewRecurringPattern,
+  getIncidentAnomalies,
+  getIncidentAnomaly,
+  reviewIncidentAnomaly,
+
+  // Police portal methods
+  getPoliceReports,
+  getPoliceReport,
+  addPoliceNote,
+  recordPoliceAction,
 
   // Safe zone methods
   getSafeZones,
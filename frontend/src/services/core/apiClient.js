@@ -54,6 +54,11 @@ class ApiClient {
         ...options,
       };
 
+      // Let the browser set the multipart boundary for file uploads
+      if (typeof FormData !== 'undefined' && options.body instanceof FormData) {
+        delete config.headers['Content-Type'];
+      }
+
       console.log(`🌐 API Request: ${options.method || 'GET'} ${endpoint}`);
 
       const response = await fetch(url, config);
@@ -133,6 +133,50 @@ class AdminService {
       return false;
     }
   }
+
+  // NEW: Recurring incident patterns (admins and police)
+  async getRecurringPatterns(filters = {}) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const query = params.toString();
+    return apiClient.request(`/patterns${query ? `?${query}` : ''}`);
+  }
+
+  async getUpcomingPatterns(days = 7) {
+    return apiClient.request(`/patterns/upcoming?days=${days}`);
+  }
+
+  async getRecurringPattern(patternId) {
+    return apiClient.request(`/patterns/${patternId}`);
+  }
+
+  async reviewRecurringPattern(patternId, status, note = '') {
+    return apiClient.request(`/patterns/${patternId}/review`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status, note })
+    });
+  }
+
+  // NEW: Incident spike alerts per area and type
+  async getIncidentAnomalies(filters = {}) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const query = params.toString();
+    return apiClient.request(`/anomalies${query ? `?${query}` : ''}`);
+  }
+
+  async getIncidentAnomaly(anomalyId) {
+    return apiClient.request(`/anomalies/${anomalyId}`);
+  }
+
+  async reviewIncidentAnomaly(anomalyId, status, note = '') {
+    return apiClient.request(`/anomalies/${anomalyId}/review`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status, note })
+    });
+  }
 }
 
 // Create and export singleton instance
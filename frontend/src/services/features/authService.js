@@ -1,6 +1,6 @@
 // === Authentication Service ===
 // Authentication functionality extracted from api-old.js lines 151-200
-// Handles user authentication, admin login/logout, and user context management
+// Handles user authentication, admin and police login/logout, and user context management
 
 import apiClient from '../core/apiClient.js';
 
@@ -45,6 +45,30 @@ class AuthService {
     return result;
   }
 
+  // NEW: Police portal login (badge number or email)
+  async policeLogin(credentials) {
+    return apiClient.request('/auth/police/login', {
+      method: 'POST',
+      body: JSON.stringify(credentials)
+    });
+  }
+
+  // NEW: Police portal logout
+  async policeLogout() {
+    const result = await apiClient.request('/auth/police/logout', {
+      method: 'POST'
+    });
+
+    // Clear stored token regardless of response
+    localStorage.removeItem('safestreets_admin_token');
+    return result;
+  }
+
+  // NEW: Verify a stored police session and get the officer profile
+  async verifyPoliceSession() {
+    return apiClient.request('/police/session');
+  }
+
   // ========== ADMIN VERIFICATION AND PROFILE METHODS ==========
 
   // Original admin verification method
@@ -134,6 +134,48 @@ describe('AuthService', () => {
     })
   })
 
+  describe('Police Authentication', () => {
+    it('should perform police login with badge number', async () => {
+      const credentials = { badgeNumber: 'DMP-1234', password: 'password123' }
+      const mockResponse = { success: true, accessToken: 'police-token-123' }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await authService.policeLogin(credentials)
+
+      expect(apiClient.request).toHaveBeenCalledWith('/auth/police/login', {
+        method: 'POST',
+        body: JSON.stringify(credentials)
+      })
+      expect(result).toEqual(mockResponse)
+    })
+
+    it('should perform police logout and clear token', async () => {
+      const mockResponse = { success: true, message: 'Logout successful' }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await authService.policeLogout()
+
+      expect(apiClient.request).toHaveBeenCalledWith('/auth/police/logout', {
+        method: 'POST'
+      })
+      expect(window.localStorage.removeItem).toHaveBeenCalledWith('safestreets_admin_token')
+      expect(result).toEqual(mockResponse)
+    })
+
+    it('should verify a police session', async () => {
+      const mockResponse = { success: true, user: { id: 'officer-1', accessLevel: 'standard' } }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await authService.verifyPoliceSession()
+
+      expect(apiClient.request).toHaveBeenCalledWith('/police/session')
+      expect(result).toEqual(mockResponse)
+    })
+  })
+
   describe('Service Integration', () => {
     it('should work with API client correctly', async () => {
       const fingerprint = 'integration-test'
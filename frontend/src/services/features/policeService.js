@@ -0,0 +1,55 @@
+// === Police Portal Service ===
+// Reports in an officer's jurisdiction, plus police notes and recorded actions.
+// Every call is audited server-side; the session comes from authService.policeLogin.
+
+import apiClient from '../core/apiClient.js';
+
+class PoliceService {
+  constructor() {
+    this.deviceFingerprint = null;
+  }
+
+  // Set device fingerprint for all requests
+  setDeviceFingerprint(fingerprint) {
+    this.deviceFingerprint = fingerprint;
+  }
+
+  // ========== JURISDICTION REPORTS ==========
+
+  // Reports in the officer's thana. filters: status, type, genderSensitive, sortBy, sortOrder, limit, cursor
+  async getPoliceReports(filters = {}) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const query = params.toString();
+    return apiClient.request(`/police/reports${query ? `?${query}` : ''}`);
+  }
+
+  // One report with its police notes and actions
+  async getPoliceReport(reportId) {
+    return apiClient.request(`/police/reports/${reportId}`);
+  }
+
+  // ========== NOTES & ACTIONS ==========
+
+  async addPoliceNote(reportId, text) {
+    return apiClient.request(`/police/reports/${reportId}/notes`, {
+      method: 'POST',
+      body: JSON.stringify({ text })
+    });
+  }
+
+  // action is one of the session's actionTypes; reference is a GD/FIR number
+  async recordPoliceAction(reportId, { action, reference = '', text = '' }) {
+    return apiClient.request(`/police/reports/${reportId}/actions`, {
+      method: 'POST',
+      body: JSON.stringify({ action, reference, text })
+    });
+  }
+}
+
+// Create and export singleton instance
+const policeService = new PoliceService();
+
+export default policeService;
+export { PoliceService };
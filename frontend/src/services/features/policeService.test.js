@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import policeService, { PoliceService } from './policeService.js'
+import apiClient from '../core/apiClient.js'
+
+// Mock the API client
+vi.mock('../core/apiClient.js', () => ({
+  default: {
+    request: vi.fn()
+  }
+}))
+
+describe('PoliceService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('Constructor and Configuration', () => {
+    it('should export a singleton instance of PoliceService', () => {
+      expect(policeService).toBeInstanceOf(PoliceService)
+    })
+
+    it('should set device fingerprint', () => {
+      policeService.setDeviceFingerprint('police-fingerprint')
+      expect(policeService.deviceFingerprint).toBe('police-fingerprint')
+    })
+  })
+
+  describe('Jurisdiction Reports', () => {
+    it('should request reports without a query string when no filters are given', async () => {
+      const mockResponse = { success: true, data: [], pagination: { hasMore: false, nextCursor: null } }
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await policeService.getPoliceReports()
+
+      expect(apiClient.request).toHaveBeenCalledWith('/police/reports')
+      expect(result).toEqual(mockResponse)
+    })
+
+    it('should pass filters and cursor, dropping empty values', async () => {
+      apiClient.request.mockResolvedValue({ success: true, data: [] })
+
+      await policeService.getPoliceReports({ status: 'pending', type: '', cursor: 'abc123', limit: 25 })
+
+      expect(apiClient.request).toHaveBeenCalledWith('/police/reports?status=pending&cursor=abc123&limit=25')
+    })
+
+    it('should get one report with its notes', async () => {
+      const mockResponse = { success: true, data: { report: { _id: 'r1' }, notes: [] } }
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await policeService.getPoliceReport('r1')
+
+      expect(apiClient.request).toHaveBeenCalledWith('/police/reports/r1')
+      expect(result).toEqual(mockResponse)
+    })
+  })
+
+  describe('Notes and Actions', () => {
+    it('should add a police note', async () => {
+      apiClient.request.mockResolvedValue({ success: true, data: { kind: 'note' } })
+
+      await policeService.addPoliceNote('r1', 'Spoke with shop owners nearby')
+
+      expect(apiClient.request).toHaveBeenCalledWith('/police/reports/r1/notes', {
+        method: 'POST',
+        body: JSON.stringify({ text: 'Spoke with shop owners nearby' })
+      })
+    })
+
+    it('should record an action with reference and text', async () => {
+      apiClient.request.mockResolvedValue({ success: true, data: { kind: 'action' } })
+
+      await policeService.recordPoliceAction('r1', { action: 'general_diary_filed', reference: 'GD-452' })
+
+      expect(apiClient.request).toHaveBeenCalledWith('/police/reports/r1/actions', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'general_diary_filed', reference: 'GD-452', text: '' })
+      })
+    })
+
+    it('should return API errors unchanged', async () => {
+      const mockError = { success: false, message: 'Report not found in your jurisdiction' }
+      apiClient.request.mockResolvedValue(mockError)
+
+      const result = await policeService.addPoliceNote('other', 'note')
+
+      expect(result).toEqual(mockError)
+    })
+  })
+})
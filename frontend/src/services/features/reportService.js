@@ -19,7 +19,8 @@ class ReportService {
   // Extracted from api-old.js lines 300-400
 
   // Submit report (Enhanced version with behavior data)
-  async submitReport(reportData, behaviorData = {}) {
+  // Evidence files are sent as multipart; the server re-encodes them and strips EXIF/GPS
+  async submitReport(reportData, behaviorData = {}, mediaFiles = []) {
     const enhancedReportData = {
       ...reportData,
       submittedBy: {
@@ -34,6 +35,17 @@ class ReportService {
       }
     };
 
+    if (mediaFiles.length > 0) {
+      const formData = new FormData();
+      formData.append('report', JSON.stringify(enhancedReportData));
+      mediaFiles.forEach(file => formData.append('media', file));
+
+      return apiClient.request('/reports', {
+        method: 'POST',
+        body: formData
+      });
+    }
+
     return apiClient.request('/reports', {
       method: 'POST',
       body: JSON.stringify(enhancedReportData)
@@ -50,11 +62,64 @@ class ReportService {
     return apiClient.request(`/reports?${queryParams}`);
   }
 
+  // One page of reports inside a map viewport; pass the previous page's nextCursor to continue
+  async getReportsInBounds(bounds, { cursor, ...filters } = {}) {
+    const { west, south, east, north } = bounds;
+    return this.getReports({
+      ...filters,
+      bbox: [west, south, east, north].join(','),
+      ...(cursor ? { cursor } : {})
+    });
+  }
+
+  // Published reports clustered server-side for one z/x/y map tile
+  async getReportTile(z, x, y, filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return apiClient.request(`/reports/tiles/${z}/${x}/${y}${queryParams ? `?${queryParams}` : ''}`);
+  }
+
   // Get single report by ID (Original)
   async getReport(id) {
     return apiClient.request(`/reports/${id}`);
   }
 
+  // Check report status with the anonymous receipt code returned at submission
+  async getReportByReceipt(receiptCode) {
+    const code = (receiptCode || '').trim().toUpperCase();
+    return apiClient.request(`/reports/receipt/${encodeURIComponent(code)}`);
+  }
+
+  // ========== FOLLOW-UP THREAD ==========
+  // Moderators ask questions by report ID; reporters answer with their receipt code
+
+  // Get thread messages for the reporter
+  async getReceiptMessages(receiptCode) {
+    const code = (receiptCode || '').trim().toUpperCase();
+    return apiClient.request(`/reports/receipt/${encodeURIComponent(code)}/messages`);
+  }
+
+  // Reply to a moderator as the reporter
+  async sendReceiptMessage(receiptCode, body) {
+    const code = (receiptCode || '').trim().toUpperCase();
+    return apiClient.request(`/reports/receipt/${encodeURIComponent(code)}/messages`, {
+      method: 'POST',
+      body: JSON.stringify({ body })
+    });
+  }
+
+  // Get thread messages for moderators
+  async getReportMessages(reportId) {
+    return apiClient.request(`/reports/${reportId}/messages`);
+  }
+
+  // Send a follow-up question to the reporter
+  async sendReportMessage(reportId, body) {
+    return apiClient.request(`/reports/${reportId}/messages`, {
+      method: 'POST',
+      body: JSON.stringify({ body })
+    });
+  }
+
   // Get reports for admin (Enhanced)
   async getAdminReports(filters = {}) {
     const queryParams = new URLSearchParams(filters).toString();
@@ -90,6 +155,47 @@ class ReportService {
     });
   }
 
+  // Apply a lifecycle action (approve, reject, escalate, request_info, verify, unapprove, archive, reopen)
+  async transitionReport(reportId, action, reason = '', options = {}) {
+    return apiClient.request(`/reports/${reportId}/transition`, {
+      method: 'POST',
+      body: JSON.stringify({ action, reason, ...options })
+    });
+  }
+
+  // Apply one lifecycle action to many reports; returns per-report results
+  async bulkModerateReports(reportIds, action, reason = '', options = {}) {
+    return apiClient.request('/reports/bulk/moderate', {
+      method: 'POST',
+      body: JSON.stringify({ reportIds, action, reason, ...options })
+    });
+  }
+
+  // Get a moderator work queue: 'mine' (my claims) or 'unassigned'
+  async getModerationQueue(view = 'unassigned', limit = 50) {
+    const queryParams = new URLSearchParams({ view, limit }).toString();
+    return apiClient.request(`/reports/assignments/queue?${queryParams}`);
+  }
+
+  // Claim a report for review (renews an existing claim)
+  async claimReport(reportId) {
+    return apiClient.request(`/reports/${reportId}/claim`, {
+      method: 'POST'
+    });
+  }
+
+  // Release a claim; force is honoured for super admins only
+  async releaseReportClaim(reportId, force = false) {
+    return apiClient.request(`/reports/${reportId}/claim${force ? '?force=true' : ''}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // Get the report lifecycle state machine (states, transitions, reason rules)
+  async getReportLifecycle() {
+    return apiClient.request('/reports/lifecycle');
+  }
+
   // Get flagged reports (Both versions)
   async getFlaggedReports() {
     return apiClient.request('/admin/reports/flagged');
@@ -165,6 +271,58 @@ class ReportService {
     });
   }
 
+  // ========== GANG TERRITORIES ==========
+
+  // Inferred gang territory polygons for a month (latest by default)
+  async getGangTerritories(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return apiClient.request(`/territories${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  // One territory's monthly snapshots
+  async getTerritoryHistory(lineageId) {
+    return apiClient.request(`/territories/${encodeURIComponent(lineageId)}/history`);
+  }
+
+  // ========== HOTSPOTS ==========
+
+  // Significant Gi* hot/cold spot cells for a type and period
+  async getHotspots(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return apiClient.request(`/hotspots${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  // ========== STATS ==========
+
+  // National published report counts per day/week from the rollups, small counts withheld
+  async getStatsTimeseries(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return apiClient.request(`/stats/timeseries${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  // Published report breakdowns for one division/district/thana. filters: period or from/to (YYYY-Qn, completed
+  // quarters only), granularity (day, week, month)
+  async getAreaStats(level, code, filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return apiClient.request(`/stats/areas/${level}/${encodeURIComponent(code)}${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  // Known administrative areas for a level (division, district, upazila, thana)
+  async getAreas(level) {
+    return apiClient.request(`/geo/areas/${level}`);
+  }
+
+  // ========== DELTA SYNC ==========
+
+  // Report and safe zone changes since a sync token (full snapshot without one)
+  async getSyncChanges(since = null, options = {}) {
+    const queryParams = new URLSearchParams({
+      ...(since ? { since } : {}),
+      ...(options.limit ? { limit: options.limit } : {})
+    }).toString();
+    return apiClient.request(`/sync/changes${queryParams ? `?${queryParams}` : ''}`);
+  }
+
   // Get report security insights (Enhanced)
   async getReportSecurityInsights() {
     return apiClient.request('/admin/reports/security-insights');
@@ -117,6 +117,32 @@ describe('ReportService', () => {
       
       expect(result).toEqual(mockError)
     })
+
+    it('should submit evidence files as multipart form data', async () => {
+      const reportData = {
+        type: 'chadabaji',
+        description: 'Extortion receipt attached',
+        location: { coordinates: [90.4125, 23.8103] },
+        severity: 4
+      }
+      const photo = new File(['fake-image'], 'receipt.jpg', { type: 'image/jpeg' })
+      const mockResponse = { success: true, reportId: 'abc' }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await reportService.submitReport(reportData, {}, [photo])
+
+      expect(apiClient.request).toHaveBeenCalledWith('/reports', {
+        method: 'POST',
+        body: expect.any(FormData)
+      })
+
+      const formData = apiClient.request.mock.calls[0][1].body
+      expect(JSON.parse(formData.get('report'))).toMatchObject(reportData)
+      expect(formData.getAll('media')).toHaveLength(1)
+      expect(formData.get('media').name).toBe('receipt.jpg')
+      expect(result).toEqual(mockResponse)
+    })
   })
 
   describe('Report Retrieval', () => {
@@ -152,6 +178,222 @@ describe('ReportService', () => {
       
       expect(result).toEqual(mockError)
     })
+
+    it('should request a clustered map tile with filters', async () => {
+      const mockResponse = { success: true, tile: { z: 12, x: 3076, y: 1768 }, count: 0, data: { type: 'FeatureCollection', features: [] } }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await reportService.getReportTile(12, 3076, 1768, { types: 'chintai,teen_gang', minSeverity: 3, maxSeverity: 5 })
+
+      expect(apiClient.request).toHaveBeenCalledWith('/reports/tiles/12/3076/1768?types=chintai%2Cteen_gang&minSeverity=3&maxSeverity=5')
+      expect(result).toEqual(mockResponse)
+    })
+
+    it('should fetch a page of reports inside a viewport', async () => {
+      const mockResponse = { success: true, data: [], pagination: { limit: 100, hasMore: true, nextCursor: 'eyJmIjoiY3JlYXRlZEF0In0' } }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await reportService.getReportsInBounds(
+        { west: 90.3, south: 23.7, east: 90.5, north: 23.9 },
+        { cursor: 'eyJmIjoiY3JlYXRlZEF0In0', limit: 100 }
+      )
+
+      expect(apiClient.request).toHaveBeenCalledWith('/reports?includeGenderSensitive=true&limit=100&bbox=90.3%2C23.7%2C90.5%2C23.9&cursor=eyJmIjoiY3JlYXRlZEF0In0')
+      expect(result).toEqual(mockResponse)
+    })
+
+    it('should check report status by receipt code', async () => {
+      const mockResponse = { success: true, data: { status: 'approved', stage: 'published' } }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await reportService.getReportByReceipt(' abcd-efgh-jkmn-pqrs ')
+
+      expect(apiClient.request).toHaveBeenCalledWith('/reports/receipt/ABCD-EFGH-JKMN-PQRS')
+      expect(result).toEqual(mockResponse)
+    })
+  })
+
+  describe('Follow-up Thread', () => {
+    it('should send a moderator question by report ID', async () => {
+      const mockResponse = { success: true, data: { id: 'm1', from: 'moderator' } }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await reportService.sendReportMessage('report123', 'Which bus route?')
+
+      expect(apiClient.request).toHaveBeenCalledWith('/reports/report123/messages', {
+        method: 'POST',
+        body: JSON.stringify({ body: 'Which bus route?' })
+      })
+      expect(result).toEqual(mockResponse)
+    })
+
+    it('should send a reporter reply by receipt code', async () => {
+      const mockResponse = { success: true, data: { id: 'm2', from: 'reporter' } }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await reportService.sendReceiptMessage('abcd-efgh-jkmn-pqrs', 'Route 6, around 9pm')
+
+      expect(apiClient.request).toHaveBeenCalledWith('/reports/receipt/ABCD-EFGH-JKMN-PQRS/messages', {
+        method: 'POST',
+        body: JSON.stringify({ body: 'Route 6, around 9pm' })
+      })
+      expect(result).toEqual(mockResponse)
+    })
+  })
+
+  describe('Report Lifecycle', () => {
+    it('should send a lifecycle transition with its reason', async () => {
+      const mockResponse = { success: true, status: 'under_review', from: 'pending' }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await reportService.transitionReport('report123', 'escalate', 'Needs senior review', { femaleModerator: true })
+
+      expect(apiClient.request).toHaveBeenCalledWith('/reports/report123/transition', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'escalate', reason: 'Needs senior review', femaleModerator: true })
+      })
+      expect(result).toEqual(mockResponse)
+    })
+
+    it('should send bulk moderation in a single request', async () => {
+      const mockResponse = {
+        success: true,
+        summary: { requested: 2, succeeded: 1, failed: 1 },
+        results: [
+          { reportId: 'r1', success: true, status: 'rejected' },
+          { reportId: 'r2', success: false, code: 'INVALID_TRANSITION' }
+        ]
+      }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await reportService.bulkModerateReports(['r1', 'r2'], 'reject', 'Spam campaign')
+
+      expect(apiClient.request).toHaveBeenCalledTimes(1)
+      expect(apiClient.request).toHaveBeenCalledWith('/reports/bulk/moderate', {
+        method: 'POST',
+        body: JSON.stringify({ reportIds: ['r1', 'r2'], action: 'reject', reason: 'Spam campaign' })
+      })
+      expect(result).toEqual(mockResponse)
+    })
+  })
+
+  describe('Moderator Assignment', () => {
+    it('should request the caller\'s own queue', async () => {
+      const mockResponse = { success: true, data: { view: 'mine', reports: [], total: 0 } }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await reportService.getModerationQueue('mine')
+
+      expect(apiClient.request).toHaveBeenCalledWith('/reports/assignments/queue?view=mine&limit=50')
+      expect(result).toEqual(mockResponse)
+    })
+
+    it('should claim and release a report', async () => {
+      apiClient.request.mockResolvedValue({ success: true })
+
+      await reportService.claimReport('report123')
+      await reportService.releaseReportClaim('report123')
+
+      expect(apiClient.request).toHaveBeenNthCalledWith(1, '/reports/report123/claim', { method: 'POST' })
+      expect(apiClient.request).toHaveBeenNthCalledWith(2, '/reports/report123/claim', { method: 'DELETE' })
+    })
+  })
+
+  describe('Gang Territories', () => {
+    it('should request territories for a month and type', async () => {
+      const mockResponse = { success: true, month: '2025-03', months: ['2025-03'], count: 0, data: [] }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await reportService.getGangTerritories({ month: '2025-03', type: 'teen_gang' })
+
+      expect(apiClient.request).toHaveBeenCalledWith('/territories?month=2025-03&type=teen_gang')
+      expect(result).toEqual(mockResponse)
+    })
+
+    it('should request the latest territories and a territory history', async () => {
+      apiClient.request.mockResolvedValue({ success: true, data: [] })
+
+      await reportService.getGangTerritories()
+      await reportService.getTerritoryHistory('lineage123')
+
+      expect(apiClient.request).toHaveBeenNthCalledWith(1, '/territories')
+      expect(apiClient.request).toHaveBeenNthCalledWith(2, '/territories/lineage123/history')
+    })
+  })
+
+  describe('Hotspots', () => {
+    it('should request significant hotspots for a type, period and confidence', async () => {
+      const mockResponse = { success: true, type: 'chadabaji', period: 'quarter', count: 0, data: [] }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await reportService.getHotspots({ type: 'chadabaji', period: 'quarter', minConfidence: 95 })
+
+      expect(apiClient.request).toHaveBeenCalledWith('/hotspots?type=chadabaji&period=quarter&minConfidence=95')
+      expect(result).toEqual(mockResponse)
+    })
+  })
+
+  describe('Stats', () => {
+    it('should request a report count time series', async () => {
+      const mockResponse = { success: true, basis: 'occurred', granularity: 'day', count: 0, data: [] }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await reportService.getStatsTimeseries({ granularity: 'day', thana: 'DHK-MIRPUR', groupBy: 'bucket,type' })
+
+      expect(apiClient.request).toHaveBeenCalledWith('/stats/timeseries?granularity=day&thana=DHK-MIRPUR&groupBy=bucket%2Ctype')
+      expect(result).toEqual(mockResponse)
+    })
+
+    it('should request statistics for one area', async () => {
+      const mockResponse = { success: true, data: { area: { level: 'district', code: 'BGD.3.1_1' }, total: 42, suppressed: false } }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await reportService.getAreaStats('district', 'BGD.3.1_1', { period: '2025-Q3' })
+
+      expect(apiClient.request).toHaveBeenCalledWith('/stats/areas/district/BGD.3.1_1?period=2025-Q3')
+      expect(result).toEqual(mockResponse)
+    })
+
+    it('should request a range of quarters with a granularity', async () => {
+      apiClient.request.mockResolvedValue({ success: true, data: {} })
+
+      await reportService.getAreaStats('thana', 'BGD.3.1.2_1', { from: '2025-Q1', to: '2025-Q4', granularity: 'week' })
+
+      expect(apiClient.request).toHaveBeenCalledWith('/stats/areas/thana/BGD.3.1.2_1?from=2025-Q1&to=2025-Q4&granularity=week')
+    })
+  })
+
+  describe('Delta Sync', () => {
+    it('should request a full snapshot without a sync token', async () => {
+      const mockResponse = { success: true, reset: true, hasMore: false, syncToken: 'eyJ2IjoxfQ', data: {} }
+
+      apiClient.request.mockResolvedValue(mockResponse)
+
+      const result = await reportService.getSyncChanges()
+
+      expect(apiClient.request).toHaveBeenCalledWith('/sync/changes')
+      expect(result).toEqual(mockResponse)
+    })
+
+    it('should request changes since a sync token', async () => {
+      apiClient.request.mockResolvedValue({ success: true, reset: false })
+
+      await reportService.getSyncChanges('eyJ2IjoxfQ', { limit: 200 })
+
+      expect(apiClient.request).toHaveBeenCalledWith('/sync/changes?since=eyJ2IjoxfQ&limit=200')
+    })
   })
 
   describe('Device Detection', () => {
@@ -66,6 +66,9 @@ class SafeZoneService {
 
     // Predefined safe locations (can be admin-managed)
     this.adminSafeZones = this.loadAdminSafeZones()
+
+    // NEW: Active safe zones from the server, kept current by the sync store
+    this.serverSafeZones = []
     
     // Police station locations (can be updated from admin)
     this.policeStations = this.loadPoliceStations()
@@ -476,7 +479,7 @@ class SafeZoneService {
   getValidAdminSafeZones(options = {}) {
     const currentHour = options.hour || new Date().getHours()
     
-    return this.adminSafeZones
+    return [...this.adminSafeZones, ...this.serverSafeZones]
       .filter(zone => {
         if (!zone.timeRestrictions) return true
         
@@ -486,6 +489,26 @@ class SafeZoneService {
       .map(zone => ({ ...zone })) // Clone to avoid mutations
   }
 
+  // NEW: Use synced server zones (point zones only) alongside the local admin zones
+  setServerSafeZones(zones = []) {
+    this.serverSafeZones = zones
+      .filter(zone => zone.location?.type === 'Point' && zone.location.coordinates?.length === 2)
+      .map(zone => ({
+        id: zone._id,
+        name: zone.name,
+        coordinates: zone.location.coordinates,
+        radius: zone.radius || 200,
+        type: zone.zoneType,
+        safetyScore: zone.safetyScore,
+        timeRestrictions: null,
+        verified: ['verified', 'admin_verified', 'community_verified', 'female_verified'].includes(zone.verificationStatus),
+        description: zone.description
+      }))
+
+    // Cached calculations were made without these zones
+    this.cache.safeZones.clear()
+  }
+
   // Utility methods...
   calculateBoundingBox(reports) {
     if (reports.length === 0) {
@@ -0,0 +1,157 @@
+// === frontend/src/services/syncStore.js ===
+/**
+ * Delta Sync Store for SafeStreets Bangladesh
+ * Local copy of published reports and active safe zones, kept current with
+ * GET /api/sync/changes and persisted in localStorage, so reloads and
+ * refreshes on slow connections only download what changed.
+ *
+ * Changes are applied idempotently - the server may resend a record near a
+ * sync boundary - and a reset response replaces the whole local copy.
+ */
+
+import apiService from './api'
+
+const STORAGE_KEY = 'safestreets_sync_v1'
+
+class SyncStore {
+  constructor() {
+    this.config = {
+      pageLimit: 500,
+      maxPagesPerSync: 10 // The server caps a fresh snapshot at 2k reports; larger backlogs finish on the next sync
+    }
+
+    this.reports = new Map()
+    this.safeZones = new Map()
+    this.syncToken = null
+    this.lastSyncedAt = null
+
+    this.listeners = new Set()
+    this.inflight = null
+    this.loaded = false
+  }
+
+  // Restore the persisted copy (once)
+  load() {
+    if (this.loaded) return
+    this.loaded = true
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null')
+      if (!stored) return
+
+      this.syncToken = stored.syncToken || null
+      this.lastSyncedAt = stored.lastSyncedAt || null
+      ;(stored.reports || []).forEach(report => this.reports.set(report._id, report))
+      ;(stored.safeZones || []).forEach(zone => this.safeZones.set(zone._id, zone))
+    } catch (error) {
+      console.warn('⚠️ Failed to load synced data, starting fresh:', error)
+      this.reset()
+    }
+  }
+
+  persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        syncToken: this.syncToken,
+        lastSyncedAt: this.lastSyncedAt,
+        reports: [...this.reports.values()],
+        safeZones: [...this.safeZones.values()]
+      }))
+    } catch (error) {
+      // Over quota: keep working from memory and resync from scratch next session
+      console.warn('⚠️ Synced data too large to persist:', error)
+      localStorage.removeItem(STORAGE_KEY)
+    }
+  }
+
+  reset() {
+    this.reports.clear()
+    this.safeZones.clear()
+    this.syncToken = null
+    this.lastSyncedAt = null
+  }
+
+  // Apply one /sync/changes response
+  applyChanges(response) {
+    if (response.reset) {
+      this.reports.clear()
+      this.safeZones.clear()
+    }
+
+    const apply = (store, changes = {}) => {
+      [...(changes.created || []), ...(changes.updated || [])].forEach(record => {
+        const existing = store.get(record._id)
+        if (!existing || new Date(record.updatedAt) >= new Date(existing.updatedAt)) {
+          store.set(record._id, record)
+        }
+      })
+      ;(changes.removed || []).forEach(id => store.delete(id))
+    }
+
+    apply(this.reports, response.data?.reports)
+    apply(this.safeZones, response.data?.safeZones)
+    this.syncToken = response.syncToken
+    this.lastSyncedAt = response.serverTime
+  }
+
+  // Fetch and apply every page of changes; concurrent callers share one sync
+  sync() {
+    this.load()
+    if (this.inflight) return this.inflight
+
+    this.inflight = (async () => {
+      let pages = 0
+      let changed = false
+      try {
+        let hasMore = true
+        while (hasMore && pages < this.config.maxPagesPerSync) {
+          const response = await apiService.getSyncChanges(this.syncToken, { limit: this.config.pageLimit })
+          this.applyChanges(response)
+          changed = changed || response.reset || ['reports', 'safeZones'].some(entity =>
+            ['created', 'updated', 'removed'].some(kind => response.data?.[entity]?.[kind]?.length > 0)
+          )
+          hasMore = response.hasMore
+          pages++
+        }
+      } finally {
+        // Whatever was applied is consistent with the token, even after a failed page
+        if (pages > 0) {
+          this.persist()
+          if (changed) this.notify()
+        }
+        this.inflight = null
+      }
+      return { pages, changed }
+    })()
+
+    return this.inflight
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this))
+  }
+
+  // Newest first, like GET /api/reports
+  getReports() {
+    return [...this.reports.values()].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+  }
+
+  getSafeZones() {
+    return [...this.safeZones.values()]
+  }
+
+  hasData() {
+    return this.syncToken !== null
+  }
+}
+
+// Create singleton instance
+const syncStore = new SyncStore()
+
+export default syncStore
+export { SyncStore }
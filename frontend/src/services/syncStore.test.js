@@ -0,0 +1,167 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { SyncStore } from './syncStore.js'
+import apiService from './api'
+
+// Mock the API service
+vi.mock('./api', () => ({
+  default: {
+    getSyncChanges: vi.fn()
+  }
+}))
+
+const report = (id, updatedAt, extra = {}) => ({
+  _id: id,
+  type: 'harassment',
+  createdAt: '2025-01-01T00:00:00.000Z',
+  updatedAt,
+  ...extra
+})
+
+const changes = ({ reports = {}, safeZones = {}, reset = false, hasMore = false, syncToken = 'token-1' } = {}) => ({
+  success: true,
+  reset,
+  hasMore,
+  syncToken,
+  serverTime: '2025-02-01T00:00:00.000Z',
+  data: {
+    reports: { created: [], updated: [], removed: [], ...reports },
+    safeZones: { created: [], updated: [], removed: [], ...safeZones }
+  }
+})
+
+describe('SyncStore', () => {
+  let store
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.getItem.mockReturnValue(null)
+    store = new SyncStore()
+  })
+
+  describe('Applying changes', () => {
+    it('should add created and updated records and keep the sync token', () => {
+      store.applyChanges(changes({
+        reports: { created: [report('r1', '2025-01-02')], updated: [report('r2', '2025-01-03')] },
+        safeZones: { created: [{ _id: 'z1', updatedAt: '2025-01-02' }] }
+      }))
+
+      expect(store.reports.size).toBe(2)
+      expect(store.safeZones.get('z1')).toBeDefined()
+      expect(store.syncToken).toBe('token-1')
+      expect(store.lastSyncedAt).toBe('2025-02-01T00:00:00.000Z')
+      expect(store.hasData()).toBe(true)
+    })
+
+    it('should drop removed records and ignore removals of unknown ids', () => {
+      store.applyChanges(changes({ reports: { created: [report('r1', '2025-01-02'), report('r2', '2025-01-02')] } }))
+      store.applyChanges(changes({ reports: { removed: ['r1', 'unknown'] }, syncToken: 'token-2' }))
+
+      expect([...store.reports.keys()]).toEqual(['r2'])
+      expect(store.syncToken).toBe('token-2')
+    })
+  })
+
+  describe('Merging', () => {
+    it('should keep the newer copy when an older version is resent', () => {
+      store.applyChanges(changes({ reports: { updated: [report('r1', '2025-01-05', { severity: 4 })] } }))
+      store.applyChanges(changes({ reports: { updated: [report('r1', '2025-01-02', { severity: 2 })] } }))
+
+      expect(store.reports.get('r1').severity).toBe(4)
+    })
+
+    it('should replace a record with a newer version', () => {
+      store.applyChanges(changes({ reports: { created: [report('r1', '2025-01-02', { severity: 2 })] } }))
+      store.applyChanges(changes({ reports: { updated: [report('r1', '2025-01-05', { severity: 4 })] } }))
+
+      expect(store.reports.get('r1').severity).toBe(4)
+    })
+
+    it('should be idempotent when the same page is applied twice', () => {
+      const page = changes({ reports: { created: [report('r1', '2025-01-02')], removed: ['r9'] } })
+      store.applyChanges(page)
+      store.applyChanges(page)
+
+      expect(store.getReports()).toEqual([report('r1', '2025-01-02')])
+    })
+  })
+
+  describe('Reset', () => {
+    it('should discard the local copy when the server sends a full snapshot', () => {
+      store.applyChanges(changes({
+        reports: { created: [report('old', '2025-01-02')] },
+        safeZones: { created: [{ _id: 'z-old', updatedAt: '2025-01-02' }] }
+      }))
+      store.applyChanges(changes({ reset: true, reports: { created: [report('new', '2025-01-03')] }, syncToken: 'fresh' }))
+
+      expect([...store.reports.keys()]).toEqual(['new'])
+      expect(store.safeZones.size).toBe(0)
+      expect(store.syncToken).toBe('fresh')
+    })
+
+    it('should clear records and the token on reset()', () => {
+      store.applyChanges(changes({ reports: { created: [report('r1', '2025-01-02')] } }))
+      store.reset()
+
+      expect(store.reports.size).toBe(0)
+      expect(store.syncToken).toBeNull()
+      expect(store.lastSyncedAt).toBeNull()
+      expect(store.hasData()).toBe(false)
+    })
+
+    it('should start fresh when the persisted copy is unreadable', () => {
+      localStorage.getItem.mockReturnValue('{not json')
+      store.load()
+
+      expect(store.hasData()).toBe(false)
+      expect(store.reports.size).toBe(0)
+    })
+  })
+
+  describe('Syncing', () => {
+    it('should follow pages with the returned token, then persist and notify once', async () => {
+      apiService.getSyncChanges
+        .mockResolvedValueOnce(changes({ reset: true, hasMore: true, reports: { created: [report('r1', '2025-01-02')] } }))
+        .mockResolvedValueOnce(changes({ syncToken: 'token-2', reports: { created: [report('r2', '2025-01-03')] } }))
+      const listener = vi.fn()
+      store.subscribe(listener)
+
+      const result = await store.sync()
+
+      expect(result).toEqual({ pages: 2, changed: true })
+      expect(apiService.getSyncChanges).toHaveBeenNthCalledWith(1, null, { limit: 500 })
+      expect(apiService.getSyncChanges).toHaveBeenNthCalledWith(2, 'token-1', { limit: 500 })
+      expect(store.reports.size).toBe(2)
+      expect(localStorage.setItem).toHaveBeenCalledTimes(1)
+      expect(listener).toHaveBeenCalledTimes(1)
+    })
+
+    it('should stop after maxPagesPerSync pages and resume from the token next time', async () => {
+      store.config.maxPagesPerSync = 2
+      apiService.getSyncChanges.mockResolvedValue(changes({ hasMore: true, syncToken: 'partial' }))
+
+      const result = await store.sync()
+
+      expect(result.pages).toBe(2)
+      expect(store.syncToken).toBe('partial')
+    })
+
+    it('should share one request between concurrent callers', async () => {
+      apiService.getSyncChanges.mockResolvedValue(changes())
+
+      await Promise.all([store.sync(), store.sync()])
+
+      expect(apiService.getSyncChanges).toHaveBeenCalledTimes(1)
+    })
+
+    it('should not notify listeners when nothing changed', async () => {
+      apiService.getSyncChanges.mockResolvedValue(changes())
+      const listener = vi.fn()
+      store.subscribe(listener)
+
+      const result = await store.sync()
+
+      expect(result.changed).toBe(false)
+      expect(listener).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -13,6 +13,7 @@ class WebSocketService {
     this.maxReconnectAttempts = 5;
     this.eventListeners = new Map();
     this.connectionPromise = null;
+    this.receiptCode = null;
     
     // Auto-detect server URL based on environment
     this.serverUrl = import.meta.env.DEV 
@@ -86,6 +87,11 @@ class WebSocketService {
       this.isConnected = true;
       this.reconnectAttempts = 0;
       this.emit('connected');
+
+      // Re-join the report thread room after reconnects
+      if (this.receiptCode) {
+        this.socket.emit('subscribe_receipt', { code: this.receiptCode });
+      }
     });
 
     this.socket.on('disconnect', (reason) => {
@@ -164,6 +170,38 @@ class WebSocketService {
       this.emit('system_stats', stats);
     });
 
+    // Follow-up thread messages (moderator <-> anonymous reporter)
+    this.socket.on('report_follow_up_message', (data) => {
+      this.emit('report_follow_up_message', data);
+    });
+
+    // Moderator claim locks
+    this.socket.on('report_claimed', (data) => {
+      this.emit('report_claimed', data);
+    });
+
+    this.socket.on('report_claim_released', (data) => {
+      this.emit('report_claim_released', data);
+    });
+
+    // Recurring incident patterns found by the background detector
+    this.socket.on('recurring_pattern_detected', (data) => {
+      this.emit('recurring_pattern_detected', data);
+    });
+
+    // Incident spikes found by the anomaly detector (admins only)
+    this.socket.on('incident_anomaly_detected', (data) => {
+      this.emit('incident_anomaly_detected', data);
+    });
+
+    this.socket.on('receipt_subscription_confirmed', (data) => {
+      this.emit('receipt_subscription_confirmed', data);
+    });
+
+    this.socket.on('receipt_subscription_error', (error) => {
+      this.emit('receipt_subscription_error', error);
+    });
+
     this.socket.on('emergency_alert', (alert) => {
       console.log('🚨 EMERGENCY ALERT:', alert);
       this.emit('emergency_alert', alert);
@@ -261,6 +299,36 @@ class WebSocketService {
     return true;
   }
 
+  /**
+   * Follow the moderator thread of a report using its receipt code (anonymous)
+   * @param {string} receiptCode - Receipt code returned at submission
+   */
+  subscribeToReceipt(receiptCode) {
+    // Only one thread is followed at a time
+    if (this.receiptCode && this.receiptCode !== receiptCode) {
+      this.unsubscribeFromReceipt();
+    }
+    this.receiptCode = receiptCode;
+
+    if (!this.isConnected) {
+      // Subscription is sent on connect
+      return false;
+    }
+
+    this.socket.emit('subscribe_receipt', { code: receiptCode });
+    return true;
+  }
+
+  /**
+   * Stop following a report thread
+   */
+  unsubscribeFromReceipt() {
+    if (this.receiptCode && this.isConnected) {
+      this.socket.emit('unsubscribe_receipt', { code: this.receiptCode });
+    }
+    this.receiptCode = null;
+  }
+
   /**
    * Add event listener
    * @param {string} event - Event name